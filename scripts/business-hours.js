@@ -0,0 +1,377 @@
+/**
+ * Business Hours Module
+ * Opening hours, holidays and appointment slots in the business timezone.
+ * Shared by the appointment picker and the server-side validation rules.
+ *
+ * @module business-hours
+ */
+
+(function(root) {
+  'use strict';
+
+  // Opening hours - keep in sync with openingHoursSpecification in index.html
+  const BUSINESS_HOURS = Object.freeze({
+    timezone: 'America/New_York',
+    timezoneLabel: 'Eastern Time',
+    slotMinutes: 120, // Two-hour arrival windows
+    leadTimeMinutes: 120, // A slot must start at least this long from now
+    bookingHorizonDays: 60,
+    // Day of week (0 = Sunday) -> hours; null when closed
+    weekly: Object.freeze({
+      0: null,
+      1: Object.freeze({ opens: '08:00', closes: '18:00' }),
+      2: Object.freeze({ opens: '08:00', closes: '18:00' }),
+      3: Object.freeze({ opens: '08:00', closes: '18:00' }),
+      4: Object.freeze({ opens: '08:00', closes: '18:00' }),
+      5: Object.freeze({ opens: '08:00', closes: '18:00' }),
+      6: Object.freeze({ opens: '09:00', closes: '16:00' }),
+    }),
+    // Days only bookable for emergency service
+    emergencyOnly: Object.freeze({
+      0: Object.freeze({ opens: '09:00', closes: '17:00' }),
+    }),
+    emergencyService: 'emergency', // service value that unlocks emergencyOnly days
+    // Closed all day (YYYY-MM-DD in the business timezone)
+    holidays: Object.freeze([
+      '2026-01-01', '2026-05-25', '2026-07-03', '2026-07-04', '2026-09-07', '2026-11-26', '2026-12-25',
+      '2027-01-01', '2027-05-31', '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24', '2027-12-25',
+    ]),
+  });
+
+  const DAY_NAMES = Object.freeze(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']);
+
+  const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+  /**
+   * Appointment slot
+   * @typedef {Object} AppointmentSlot
+   * @property {string} value - "HH:MM-HH:MM" as submitted
+   * @property {string} start - Start time "HH:MM"
+   * @property {string} end - End time "HH:MM"
+   * @property {string} label - Display label, e.g. "8:00 AM - 10:00 AM"
+   * @property {boolean} available - False when the slot has passed or is within the lead time
+   */
+
+  /**
+   * Day status
+   * @typedef {Object} DayStatus
+   * @property {string} status - 'open', 'invalid', 'past', 'tooFarAhead', 'holiday', 'closed' or 'emergencyOnly'
+   * @property {{opens: string, closes: string}|null} hours - Hours that apply (null unless open)
+   */
+
+  const formatterCache = new Map();
+
+  /**
+   * Date/time parts of an instant in a timezone
+   * @param {Date|number} date - Instant
+   * @param {string} [timezone] - IANA timezone
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+   */
+  function getZonedParts(date, timezone = BUSINESS_HOURS.timezone) {
+    if (!formatterCache.has(timezone)) {
+      formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      }));
+    }
+
+    const parts = {};
+    formatterCache.get(timezone).formatToParts(new Date(date)).forEach((part) => {
+      if (part.type !== 'literal') {
+        parts[part.type] = Number(part.value);
+      }
+    });
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+    };
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to an instant
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @param {string} time - "HH:MM"
+   * @param {string} [timezone] - IANA timezone
+   * @returns {number} Milliseconds since epoch
+   */
+  function zonedTimeToTimestamp(dateString, time, timezone = BUSINESS_HOURS.timezone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    const offsetAt = (timestamp) => {
+      const parts = getZonedParts(timestamp, timezone);
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) -
+        Math.floor(timestamp / 60000) * 60000;
+    };
+
+    // Second pass corrects guesses that land on the other side of a DST change
+    const guess = wallClock - offsetAt(wallClock);
+    return wallClock - offsetAt(guess);
+  }
+
+  /**
+   * Whether a string is a real calendar date in YYYY-MM-DD form
+   * @param {string} dateString - Date string
+   * @returns {boolean}
+   */
+  function isValidDate(dateString) {
+    const match = DATE_PATTERN.exec(String(dateString));
+    if (!match) {
+      return false;
+    }
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCFullYear() === Number(match[1]) &&
+      date.getUTCMonth() === Number(match[2]) - 1 &&
+      date.getUTCDate() === Number(match[3]);
+  }
+
+  /**
+   * Day of week of a calendar date (0 = Sunday)
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @returns {number}
+   */
+  function getWeekday(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  /**
+   * Add days to a calendar date
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @param {number} days - Days to add (may be negative)
+   * @returns {string} "YYYY-MM-DD"
+   */
+  function addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Today's date in the business timezone
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {string} "YYYY-MM-DD"
+   */
+  function getToday(now = Date.now()) {
+    const { year, month, day } = getZonedParts(now);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Whether a day can be booked, and with which hours
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @param {Object} [options] - Options
+   * @param {string} [options.service] - Selected service (unlocks emergency-only days)
+   * @param {number} [options.now] - Current time (ms since epoch)
+   * @returns {DayStatus}
+   */
+  function getDayStatus(dateString, options = {}) {
+    const closed = (status) => ({ status, hours: null });
+
+    if (!isValidDate(dateString)) {
+      return closed('invalid');
+    }
+
+    const today = getToday(options.now);
+    if (dateString < today) {
+      return closed('past');
+    }
+    if (dateString > addDays(today, BUSINESS_HOURS.bookingHorizonDays)) {
+      return closed('tooFarAhead');
+    }
+    if (BUSINESS_HOURS.holidays.includes(dateString)) {
+      return closed('holiday');
+    }
+
+    const weekday = getWeekday(dateString);
+    if (BUSINESS_HOURS.weekly[weekday]) {
+      return { status: 'open', hours: BUSINESS_HOURS.weekly[weekday] };
+    }
+    if (BUSINESS_HOURS.emergencyOnly[weekday]) {
+      return options.service === BUSINESS_HOURS.emergencyService
+        ? { status: 'open', hours: BUSINESS_HOURS.emergencyOnly[weekday] }
+        : closed('emergencyOnly');
+    }
+    return closed('closed');
+  }
+
+  /**
+   * Format "HH:MM" as a 12-hour clock label
+   * @param {string} time - "HH:MM"
+   * @returns {string} e.g. "8:00 AM"
+   */
+  function formatTime(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    const suffix = hour < 12 ? 'AM' : 'PM';
+    return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${suffix}`;
+  }
+
+  /**
+   * Minutes since midnight to "HH:MM"
+   * @param {number} minutes - Minutes
+   * @returns {string}
+   */
+  function toTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Appointment slots of a day. Slots that have passed (or start within the
+   * lead time) are included but marked unavailable.
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @param {Object} [options] - Options
+   * @param {string} [options.service] - Selected service
+   * @param {number} [options.now] - Current time (ms since epoch)
+   * @returns {Array<AppointmentSlot>} Slots (empty when the day is not bookable)
+   */
+  function getSlots(dateString, options = {}) {
+    const { hours } = getDayStatus(dateString, options);
+
+    if (!hours) {
+      return [];
+    }
+
+    const now = options.now ?? Date.now();
+    const earliest = now + BUSINESS_HOURS.leadTimeMinutes * 60000;
+    const [opensHour, opensMinute] = hours.opens.split(':').map(Number);
+    const [closesHour, closesMinute] = hours.closes.split(':').map(Number);
+    const closes = closesHour * 60 + closesMinute;
+    const slots = [];
+
+    for (let start = opensHour * 60 + opensMinute; start + BUSINESS_HOURS.slotMinutes <= closes; start += BUSINESS_HOURS.slotMinutes) {
+      const startTime = toTime(start);
+      const endTime = toTime(start + BUSINESS_HOURS.slotMinutes);
+
+      slots.push({
+        value: `${startTime}-${endTime}`,
+        start: startTime,
+        end: endTime,
+        label: `${formatTime(startTime)} - ${formatTime(endTime)}`,
+        available: zonedTimeToTimestamp(dateString, startTime) >= earliest,
+      });
+    }
+
+    return slots;
+  }
+
+  /**
+   * Check a preferred date
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @param {Object} [options] - Options passed to getDayStatus
+   * @returns {string|{code: string, params: Object}|null} Issue code or null when bookable
+   */
+  function checkDate(dateString, options = {}) {
+    const { status } = getDayStatus(dateString, options);
+
+    if (status === 'invalid') {
+      return 'invalid';
+    }
+    if (status === 'tooFarAhead') {
+      return { code: 'tooFarAhead', params: { count: BUSINESS_HOURS.bookingHorizonDays } };
+    }
+    if (status !== 'open') {
+      return status;
+    }
+    if (!getSlots(dateString, options).some((slot) => slot.available)) {
+      return 'noSlotsLeft';
+    }
+    return null;
+  }
+
+  /**
+   * Check a preferred slot on a date. Problems with the date itself are left
+   * to checkDate so they are only reported once.
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @param {string} slotValue - "HH:MM-HH:MM"
+   * @param {Object} [options] - Options passed to getSlots
+   * @returns {string|{code: string, params: Object}|null} Issue code or null when bookable
+   */
+  function checkSlot(dateString, slotValue, options = {}) {
+    if (!dateString) {
+      return 'dateRequired';
+    }
+    if (checkDate(dateString, options)) {
+      return null;
+    }
+
+    const slots = getSlots(dateString, options);
+    const slot = slots.find((candidate) => candidate.value === slotValue);
+
+    if (!slot) {
+      return {
+        code: 'invalidSlot',
+        params: { slots: slots.filter((candidate) => candidate.available).map((candidate) => candidate.label).join(', ') },
+      };
+    }
+    if (!slot.available) {
+      return 'slotPassed';
+    }
+    return null;
+  }
+
+  /**
+   * Compare the configured weekly hours with schema.org openingHoursSpecification
+   * @param {Array<Object>|Object} specifications - openingHoursSpecification entries
+   * @returns {Array<string>} Mismatches (empty when they agree)
+   */
+  function compareOpeningHours(specifications) {
+    const problems = [];
+    const published = {};
+
+    [].concat(specifications || []).forEach((specification) => {
+      [].concat(specification.dayOfWeek || []).forEach((dayName) => {
+        const weekday = DAY_NAMES.indexOf(String(dayName).replace('https://schema.org/', ''));
+        if (weekday !== -1) {
+          published[weekday] = { opens: specification.opens, closes: specification.closes };
+        }
+      });
+    });
+
+    DAY_NAMES.forEach((dayName, weekday) => {
+      const configured = BUSINESS_HOURS.weekly[weekday];
+      const listed = published[weekday];
+
+      if (!configured && !listed) {
+        return;
+      }
+      if (!configured || !listed || configured.opens !== listed.opens || configured.closes !== listed.closes) {
+        const describe = (hours) => (hours ? `${hours.opens}-${hours.closes}` : 'closed');
+        problems.push(`${dayName}: configured ${describe(configured)}, structured data says ${describe(listed)}`);
+      }
+    });
+
+    return problems;
+  }
+
+  // Export public API
+  const BusinessHours = {
+    getToday,
+    addDays,
+    getDayStatus,
+    getSlots,
+    checkDate,
+    checkSlot,
+    compareOpeningHours,
+    zonedTimeToTimestamp,
+    BUSINESS_HOURS,
+  };
+
+  // Attach to the global scope
+  root.BusinessHours = BusinessHours;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BusinessHours;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
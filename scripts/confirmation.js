@@ -0,0 +1,504 @@
+/**
+ * Confirmation Module
+ * Reference numbers for accepted requests, plus the confirmation view shown
+ * in place of the contact form: a summary of what was sent, an .ics file for
+ * the requested visit window and a .vcf contact card built from the page's
+ * LocalBusiness structured data. Reference numbers are also issued by the
+ * Node server, which is why this module loads outside the browser.
+ *
+ * @module confirmation
+ */
+
+(function(root) {
+  'use strict';
+
+  // Confirmation settings
+  const CONFIRMATION_CONFIG = Object.freeze({
+    referencePrefix: 'TC',
+    // Crockford base32: no I, L, O or U to misread over the phone
+    referenceAlphabet: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+    referenceLength: 5,
+    // Arrival windows for the visitWindow choices, in the business timezone
+    visitWindows: Object.freeze({
+      morning: Object.freeze({ start: '08:00', end: '12:00' }),
+      afternoon: Object.freeze({ start: '12:00', end: '18:00' }),
+    }),
+    calendarProductId: '-//ThermoCool//Contact Form//EN',
+    labels: Object.freeze({
+      title: 'Thank you - we have received your request',
+      reference: 'Your reference number:',
+      followUp: 'We\'ll get back to you as soon as possible. Please quote your reference number if you call us.',
+      summary: 'What you sent us',
+      calendar: 'Add the visit window to your calendar',
+      contactCard: 'Save our contact details',
+      another: 'Submit another request',
+      eventTitle: '{business} visit (requested)',
+      eventDescription: 'Reference {reference}. This is the window you asked for; we will call to confirm the exact time.',
+      photos: '{count} photo(s)',
+    }),
+  });
+
+  const log = (typeof module !== 'undefined' && module.exports ? require('./logger.js') : root.Logger).create('Confirmation');
+
+  const ICS_DATE_PATTERN = /[-:]|\.\d{3}/g;
+
+  /**
+   * Business contact details
+   * @typedef {Object} BusinessDetails
+   * @property {string} name - Business name
+   * @property {string} [telephone] - Phone number
+   * @property {string} [email] - Email address
+   * @property {string} [url] - Website
+   * @property {Object} [address] - schema.org PostalAddress
+   */
+
+  /**
+   * Summary line of a submission
+   * @typedef {Object} SummaryItem
+   * @property {string} name - Field name
+   * @property {string} label - Field label
+   * @property {string} value - Value as the visitor saw it
+   */
+
+  /**
+   * Confirmation view controller
+   * @typedef {Object} ConfirmationView
+   * @property {HTMLElement} element - The view
+   * @property {function(): void} remove - Remove the view and free its download links
+   */
+
+  /**
+   * Create a reference number such as "TC-261019-7K3QX": the prefix, the UTC
+   * date and random characters. Leads keep their UUID as the real key; the
+   * reference is for people reading it out on the phone.
+   * @param {Date} [date] - Submission time
+   * @returns {string} Reference number
+   */
+  function createReference(date = new Date()) {
+    const { referencePrefix, referenceAlphabet, referenceLength } = CONFIRMATION_CONFIG;
+    const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+    const random = new Uint8Array(referenceLength);
+
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+      crypto.getRandomValues(random);
+    } else {
+      random.forEach((value, index) => {
+        random[index] = Math.floor(Math.random() * 256);
+      });
+    }
+
+    // 256 is a multiple of 32, so the modulo keeps every character equally likely
+    const suffix = Array.from(random, (value) => referenceAlphabet[value % referenceAlphabet.length]).join('');
+
+    return `${referencePrefix}-${day}-${suffix}`;
+  }
+
+  /**
+   * Read the business details from the page's LocalBusiness JSON-LD
+   * @param {Document} doc - Page document
+   * @returns {BusinessDetails|null}
+   */
+  function readBusinessDetails(doc) {
+    const scripts = Array.from(doc.querySelectorAll('script[type="application/ld+json"]'));
+
+    for (const script of scripts) {
+      try {
+        const data = JSON.parse(script.textContent);
+        if (data && data['@type'] === 'LocalBusiness' && data.name) {
+          return {
+            name: data.name,
+            telephone: data.telephone,
+            email: data.email,
+            url: data.url,
+            address: data.address,
+          };
+        }
+      } catch (error) {
+        log.warn('Could not parse structured data:', error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Work out the requested visit window: the chosen slot, else the chosen
+   * visit window, else the opening hours of the chosen day
+   * @param {Object} data - Sanitized submission data
+   * @returns {{start: number, end: number}|null} Window in ms since epoch, or null without a date
+   */
+  function getRequestedWindow(data) {
+    const businessHours = root.BusinessHours;
+    const date = data.preferredDate;
+
+    if (!businessHours || !date) {
+      return null;
+    }
+
+    let visit = null;
+
+    if (/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(data.preferredSlot || '')) {
+      const [start, end] = data.preferredSlot.split('-');
+      visit = { start, end };
+    } else if (CONFIRMATION_CONFIG.visitWindows[data.visitWindow]) {
+      visit = CONFIRMATION_CONFIG.visitWindows[data.visitWindow];
+    } else {
+      const day = businessHours.getDayStatus(date, { service: data.service });
+      visit = day.hours ? { start: day.hours.opens, end: day.hours.closes } : null;
+    }
+
+    if (!visit) {
+      return null;
+    }
+
+    return {
+      start: businessHours.zonedTimeToTimestamp(date, visit.start),
+      end: businessHours.zonedTimeToTimestamp(date, visit.end),
+    };
+  }
+
+  /**
+   * Build an iCalendar file for the requested visit window
+   * @param {Object} data - Sanitized submission data
+   * @param {Object} options - Calendar options
+   * @param {string} options.reference - Reference number
+   * @param {BusinessDetails} options.business - Business details
+   * @param {Date} [options.now] - Creation time
+   * @returns {string|null} .ics content, or null when no date was requested
+   */
+  function buildCalendarFile(data, options) {
+    const visit = getRequestedWindow(data);
+
+    if (!visit) {
+      return null;
+    }
+
+    const { reference, business } = options;
+    const host = business.url ? business.url.replace(/^https?:\/\//, '').replace(/\/.*$/, '') : 'localhost';
+    const params = { business: business.name, reference };
+
+    return foldLines([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${CONFIRMATION_CONFIG.calendarProductId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${reference}@${host}`,
+      `DTSTAMP:${formatCalendarTime(options.now || new Date())}`,
+      `DTSTART:${formatCalendarTime(new Date(visit.start))}`,
+      `DTEND:${formatCalendarTime(new Date(visit.end))}`,
+      `SUMMARY:${escapeText(formatLabel(CONFIRMATION_CONFIG.labels.eventTitle, params))}`,
+      `DESCRIPTION:${escapeText(formatLabel(CONFIRMATION_CONFIG.labels.eventDescription, params))}`,
+      'STATUS:TENTATIVE',
+      'TRANSP:OPAQUE',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ]);
+  }
+
+  /**
+   * Build a vCard 3.0 contact card for the business
+   * @param {BusinessDetails} business - Business details
+   * @returns {string} .vcf content
+   */
+  function buildContactCard(business) {
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${escapeText(business.name)}`,
+      `ORG:${escapeText(business.name)}`,
+    ];
+
+    if (business.telephone) {
+      lines.push(`TEL;TYPE=WORK,VOICE:${escapeText(business.telephone)}`);
+    }
+    if (business.email) {
+      lines.push(`EMAIL;TYPE=INTERNET,WORK:${escapeText(business.email)}`);
+    }
+    if (business.url) {
+      lines.push(`URL:${escapeText(business.url)}`);
+    }
+    if (business.address) {
+      const address = business.address;
+      const parts = ['', '', address.streetAddress, address.addressLocality, address.addressRegion, address.postalCode, address.addressCountry];
+      lines.push(`ADR;TYPE=WORK:${parts.map((part) => escapeText(part || '')).join(';')}`);
+    }
+
+    lines.push('END:VCARD');
+    return foldLines(lines);
+  }
+
+  /**
+   * Describe what a form holds, field by field, with option labels instead
+   * of raw values. Hidden, sensitive and unvalidated controls are left out.
+   * Call it before the form is reset.
+   * @param {HTMLFormElement} form - Contact form
+   * @returns {Array<SummaryItem>}
+   */
+  function describeForm(form) {
+    const { readControlValue, formatFieldName, getFieldRules } = root.FormValidation;
+    const names = Array.from(form.elements)
+      .filter((control) => control.name &&
+        control.type !== 'hidden' &&
+        !control.hasAttribute('data-sensitive') &&
+        control.getAttribute('data-validate') !== 'false')
+      .map((control) => control.name);
+
+    return Array.from(new Set(names)).reduce((items, name) => {
+      const value = readControlValue(form, name);
+      const values = [].concat(value).filter((item) => item !== '' && item != null);
+
+      if (values.length === 0) {
+        return items;
+      }
+
+      const rules = getFieldRules(name);
+      const text = rules && rules.type === 'file'
+        ? formatLabel(CONFIRMATION_CONFIG.labels.photos, { count: values.length })
+        : values.map((item) => describeValue(form, name, String(item))).join(', ');
+
+      items.push({ name, label: formatFieldName(name), value: text });
+      return items;
+    }, []);
+  }
+
+  /**
+   * Text the visitor saw for a value: the option or choice label, else the value itself
+   * @param {HTMLFormElement} form - Contact form
+   * @param {string} name - Field name
+   * @param {string} value - Submitted value
+   * @returns {string}
+   */
+  function describeValue(form, name, value) {
+    const control = form.elements[name];
+    const single = control && control.tagName ? control : null;
+
+    if (single && single.tagName === 'SELECT') {
+      const option = Array.from(single.options).find((item) => item.value === value);
+      return option ? option.textContent.trim() : value;
+    }
+
+    const choice = Array.from(form.querySelectorAll(`[name="${name}"]`))
+      .find((item) => (item.type === 'radio' || item.type === 'checkbox') && item.value === value);
+    const label = choice && choice.closest('label');
+
+    return label ? label.textContent.trim().replace(/\s+/g, ' ') : value;
+  }
+
+  /**
+   * Show the confirmation view in place of a form
+   * @param {HTMLFormElement} form - Contact form (hidden by the caller)
+   * @param {Object} submission - Accepted submission
+   * @param {string} submission.reference - Reference number
+   * @param {Object} submission.data - Sanitized submission data
+   * @param {Array<SummaryItem>} submission.summary - describeForm() output
+   * @param {Object} [options] - View options
+   * @param {BusinessDetails} [options.business] - Defaults to the page's structured data
+   * @param {function(): void} [options.onReset] - "Submit another request" handler
+   * @returns {ConfirmationView}
+   */
+  function show(form, submission, options = {}) {
+    const labels = CONFIRMATION_CONFIG.labels;
+    const business = options.business || readBusinessDetails(document);
+    const objectUrls = [];
+    const view = document.createElement('section');
+
+    view.className = 'confirmation';
+    view.setAttribute('aria-labelledby', 'confirmation-title');
+    view.setAttribute('tabindex', '-1');
+
+    const title = document.createElement('h3');
+    title.id = 'confirmation-title';
+    title.className = 'confirmation__title';
+    title.textContent = labels.title;
+
+    const reference = document.createElement('p');
+    reference.className = 'confirmation__reference';
+    reference.appendChild(document.createTextNode(`${labels.reference} `));
+    const referenceValue = document.createElement('strong');
+    referenceValue.textContent = submission.reference;
+    reference.appendChild(referenceValue);
+
+    const followUp = document.createElement('p');
+    followUp.textContent = labels.followUp;
+
+    view.appendChild(title);
+    view.appendChild(reference);
+    view.appendChild(followUp);
+
+    if (submission.summary.length > 0) {
+      const heading = document.createElement('h4');
+      heading.className = 'confirmation__subtitle';
+      heading.textContent = labels.summary;
+
+      const list = document.createElement('dl');
+      list.className = 'confirmation__summary';
+      submission.summary.forEach((item) => {
+        const term = document.createElement('dt');
+        term.textContent = item.label;
+        const detail = document.createElement('dd');
+        detail.textContent = item.value;
+        list.appendChild(term);
+        list.appendChild(detail);
+      });
+
+      view.appendChild(heading);
+      view.appendChild(list);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'confirmation__actions';
+
+    /**
+     * Add a download link for generated file content
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     * @param {string} fileName - Download file name
+     * @param {string} text - Link text
+     */
+    const addDownload = (content, type, fileName, text) => {
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const link = document.createElement('a');
+
+      objectUrls.push(url);
+      link.className = 'btn btn--secondary confirmation__download';
+      link.href = url;
+      link.download = fileName;
+      link.textContent = text;
+      actions.appendChild(link);
+    };
+
+    if (business) {
+      const calendar = buildCalendarFile(submission.data, { reference: submission.reference, business });
+      if (calendar) {
+        addDownload(calendar, 'text/calendar', `${submission.reference}.ics`, labels.calendar);
+      }
+      addDownload(buildContactCard(business), 'text/vcard', `${toFileName(business.name)}.vcf`, labels.contactCard);
+    }
+
+    const another = document.createElement('button');
+    another.type = 'button';
+    another.className = 'btn btn--primary confirmation__another';
+    another.textContent = labels.another;
+    actions.appendChild(another);
+    view.appendChild(actions);
+
+    /**
+     * Remove the view and free its download links
+     */
+    function remove() {
+      objectUrls.splice(0).forEach((url) => URL.revokeObjectURL(url));
+      view.remove();
+    }
+
+    another.addEventListener('click', () => {
+      remove();
+      if (options.onReset) {
+        options.onReset();
+      }
+    });
+
+    form.parentNode.insertBefore(view, form);
+    view.focus();
+
+    return {
+      element: view,
+      remove,
+    };
+  }
+
+  /**
+   * Format a date as an iCalendar UTC date-time (20261020T120000Z)
+   * @param {Date} date - Date
+   * @returns {string}
+   */
+  function formatCalendarTime(date) {
+    return date.toISOString().replace(ICS_DATE_PATTERN, '');
+  }
+
+  /**
+   * Escape text for iCalendar and vCard values
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  function escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Join content lines with CRLF, folding any longer than 75 octets
+   * (RFC 5545 section 3.1) without splitting a UTF-8 character
+   * @param {Array<string>} lines - Unfolded lines
+   * @returns {string}
+   */
+  function foldLines(lines) {
+    const encoder = new TextEncoder();
+
+    return lines.map((line) => {
+      const chunks = [];
+      let chunk = '';
+      let octets = 0;
+
+      for (const character of line) {
+        const size = encoder.encode(character).length;
+        // Continuation lines start with a space, which counts towards their 75
+        const limit = chunks.length === 0 ? 75 : 74;
+
+        if (octets + size > limit) {
+          chunks.push(chunk);
+          chunk = '';
+          octets = 0;
+        }
+        chunk += character;
+        octets += size;
+      }
+
+      chunks.push(chunk);
+      return chunks.join('\r\n ');
+    }).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Turn a name into a safe download file name
+   * @param {string} name - Display name
+   * @returns {string}
+   */
+  function toFileName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'contact';
+  }
+
+  /**
+   * Fill {placeholders} in a label
+   * @param {string} template - Label template
+   * @param {Object.<string, *>} params - Values
+   * @returns {string}
+   */
+  function formatLabel(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+  }
+
+  // Export public API
+  const Confirmation = {
+    createReference,
+    readBusinessDetails,
+    buildCalendarFile,
+    buildContactCard,
+    describeForm,
+    show,
+    CONFIRMATION_CONFIG,
+  };
+
+  // Attach to the global scope
+  root.Confirmation = Confirmation;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Confirmation;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
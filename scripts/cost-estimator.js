@@ -0,0 +1,326 @@
+/**
+ * Cost Estimator Module
+ * Ballpark price ranges for the four services on the page, from the local
+ * PRICING table. The estimator markup ships hidden and is shown once this
+ * module wires it up; "use this estimate" hands the result to the page,
+ * which carries it into the quote form.
+ *
+ * @module cost-estimator
+ */
+
+(function() {
+  'use strict';
+
+  // Local pricing - installed prices in USD; update with each season's price list
+  const PRICING = Object.freeze({
+    spread: 0.15, // The range runs this far either side of the midpoint
+    roundTo: 50,
+    squareFeet: Object.freeze({ min: 400, max: 10000, default: 2000 }),
+    zones: Object.freeze({ min: 1, max: 4 }),
+    // Tear-out and code upgrades when replacing an older system
+    ageFactors: Object.freeze({
+      'under-5': 1,
+      '5-10': 1,
+      '10-15': 1.05,
+      'over-15': 1.1,
+      unknown: 1.05,
+    }),
+    services: Object.freeze({
+      heating: Object.freeze({
+        label: 'Heating Systems',
+        perExtraZone: 1200,
+        systemTypes: Object.freeze({
+          furnace: Object.freeze({ label: 'Gas furnace', base: 3800, perSquareFoot: 0.9 }),
+          'heat-pump': Object.freeze({ label: 'Heat pump', base: 5200, perSquareFoot: 1.4 }),
+          boiler: Object.freeze({ label: 'Boiler', base: 6000, perSquareFoot: 1.6 }),
+        }),
+      }),
+      cooling: Object.freeze({
+        label: 'Cooling Solutions',
+        perExtraZone: 1100,
+        systemTypes: Object.freeze({
+          'central-ac': Object.freeze({ label: 'Central air conditioner', base: 4200, perSquareFoot: 1.2 }),
+          'heat-pump': Object.freeze({ label: 'Heat pump', base: 5200, perSquareFoot: 1.4 }),
+          ductless: Object.freeze({ label: 'Ductless mini-split', base: 3500, perSquareFoot: 0.8 }),
+        }),
+      }),
+      'air-quality': Object.freeze({
+        label: 'Air Quality',
+        perExtraZone: 250,
+        systemTypes: Object.freeze({
+          filtration: Object.freeze({ label: 'Whole-home air filtration', base: 900, perSquareFoot: 0.1 }),
+          humidifier: Object.freeze({ label: 'Whole-home humidifier', base: 700, perSquareFoot: 0.05 }),
+          ventilation: Object.freeze({ label: 'Energy recovery ventilator', base: 2200, perSquareFoot: 0.3 }),
+        }),
+      }),
+      maintenance: Object.freeze({
+        label: 'Maintenance Plans',
+        perYear: true, // Plans are priced per year, not installed
+        perExtraZone: 40,
+        systemTypes: Object.freeze({
+          heating: Object.freeze({ label: 'Heating only', base: 180, perSquareFoot: 0 }),
+          cooling: Object.freeze({ label: 'Cooling only', base: 180, perSquareFoot: 0 }),
+          both: Object.freeze({ label: 'Heating and cooling', base: 300, perSquareFoot: 0 }),
+        }),
+      }),
+    }),
+    labels: Object.freeze({
+      range: '{low} - {high}',
+      perYear: '{range} per year',
+      summary: '[Estimate] {service}: {range} | System: {systemType} | Size: {squareFeet} sq ft | ' +
+        'Age: {systemAge} | Zones: {zones}',
+    }),
+  });
+
+  // Between the summary and the visitor's own text. Not whitespace, which the
+  // message rule collapses, and not used inside a summary.
+  const SUMMARY_SEPARATOR = ' — ';
+
+  // Matches an estimate written by mergeSummary (or on a line of its own), so a new one replaces it
+  const SUMMARY_PATTERN = /^\[Estimate\][^\n]*?(?: — |\n+|$)/;
+
+  /**
+   * Estimator inputs
+   * @typedef {Object} EstimateInput
+   * @property {string} service - heating, cooling, air-quality or maintenance
+   * @property {string} systemType - Key of the service's systemTypes
+   * @property {number} squareFeet - Conditioned floor area
+   * @property {string} systemAge - Same values as the quote form's systemAge
+   * @property {number} zones - Number of zones
+   */
+
+  /**
+   * Price estimate
+   * @typedef {Object} Estimate
+   * @property {EstimateInput} input - Inputs, clamped to the allowed ranges
+   * @property {number} low - Low end in USD
+   * @property {number} high - High end in USD
+   * @property {boolean} perYear - Whether the price is per year
+   */
+
+  /**
+   * Estimator controller
+   * @typedef {Object} CostEstimator
+   * @property {function(): Estimate|null} getEstimate - Current estimate
+   */
+
+  /**
+   * Work out a price range
+   * @param {EstimateInput} input - Estimator inputs
+   * @returns {Estimate|null} Estimate, or null for an unknown service or system type
+   */
+  function estimate(input) {
+    const service = PRICING.services[input.service];
+    const systemType = service && service.systemTypes[input.systemType];
+
+    if (!systemType) {
+      return null;
+    }
+
+    const squareFeet = clamp(Math.round(Number(input.squareFeet) || PRICING.squareFeet.default),
+      PRICING.squareFeet.min, PRICING.squareFeet.max);
+    const zones = clamp(Math.round(Number(input.zones) || PRICING.zones.min), PRICING.zones.min, PRICING.zones.max);
+    const ageFactor = PRICING.ageFactors[input.systemAge] || PRICING.ageFactors.unknown;
+
+    const midpoint = (systemType.base + systemType.perSquareFoot * squareFeet + service.perExtraZone * (zones - 1)) *
+      ageFactor;
+    const round = (value) => Math.round(value / PRICING.roundTo) * PRICING.roundTo;
+
+    return {
+      input: { ...input, squareFeet, zones },
+      low: round(midpoint * (1 - PRICING.spread)),
+      high: round(midpoint * (1 + PRICING.spread)),
+      perYear: Boolean(service.perYear),
+    };
+  }
+
+  /**
+   * Format an estimate's price range
+   * @param {Estimate} result - Estimate
+   * @returns {string} e.g. "$4,350 - $5,900" or "$250 - $350 per year"
+   */
+  function formatRange(result) {
+    const range = formatLabel(PRICING.labels.range, {
+      low: formatCurrency(result.low),
+      high: formatCurrency(result.high),
+    });
+    return result.perYear ? formatLabel(PRICING.labels.perYear, { range }) : range;
+  }
+
+  /**
+   * One-line summary of an estimate for the quote form's message. One line
+   * because the message rule collapses whitespace, newlines included.
+   * @param {Estimate} result - Estimate
+   * @param {Object.<string, string>} [ageLabels] - Display text per systemAge value
+   * @returns {string}
+   */
+  function formatSummary(result, ageLabels = {}) {
+    const service = PRICING.services[result.input.service];
+
+    return formatLabel(PRICING.labels.summary, {
+      service: service.label,
+      range: formatRange(result),
+      systemType: service.systemTypes[result.input.systemType].label,
+      squareFeet: result.input.squareFeet.toLocaleString('en-US'),
+      systemAge: ageLabels[result.input.systemAge] || result.input.systemAge,
+      zones: result.input.zones,
+    });
+  }
+
+  /**
+   * Put an estimate summary at the start of a message, replacing an earlier one.
+   * The two are joined with SUMMARY_SEPARATOR on one line, so the separation
+   * survives the message rule.
+   * @param {string} message - Current message
+   * @param {string} summary - formatSummary() output
+   * @returns {string}
+   */
+  function mergeSummary(message, summary) {
+    const rest = message.replace(SUMMARY_PATTERN, '').trim();
+    return rest ? `${summary}${SUMMARY_SEPARATOR}${rest}` : summary;
+  }
+
+  /**
+   * Wire up the estimator markup
+   * @param {HTMLElement} section - Element holding the estimator form and result
+   * @param {Object} [options] - Options
+   * @param {function(Estimate, string): void} [options.onApply] - Called with the estimate and its summary
+   *   when the visitor chooses to use it
+   * @returns {CostEstimator|null} Controller, or null when the markup is incomplete
+   */
+  function create(section, options = {}) {
+    const form = section.querySelector('.estimator__form');
+    const result = section.querySelector('.estimator__result');
+
+    if (!form || !result) {
+      return null;
+    }
+
+    const field = (name) => form.querySelector(`[name="${name}"]`);
+    const range = result.querySelector('.estimator__range');
+    const applyButton = result.querySelector('.estimator__apply');
+    let current = null;
+
+    field('squareFeet').min = String(PRICING.squareFeet.min);
+    field('squareFeet').max = String(PRICING.squareFeet.max);
+
+    /**
+     * Offer the system types of the chosen service
+     */
+    function fillSystemTypes() {
+      const select = field('systemType');
+      const service = PRICING.services[field('service').value];
+      const previous = select.value;
+
+      select.innerHTML = '';
+      Object.keys(service ? service.systemTypes : {}).forEach((key) => {
+        select.appendChild(new Option(service.systemTypes[key].label, key));
+      });
+      if (Array.from(select.options).some((option) => option.value === previous)) {
+        select.value = previous;
+      }
+    }
+
+    /**
+     * Display text per systemAge value, from the estimator's own select
+     * @returns {Object.<string, string>}
+     */
+    function getAgeLabels() {
+      const labels = {};
+      Array.from(field('systemAge').options).forEach((option) => {
+        labels[option.value] = option.textContent.trim();
+      });
+      return labels;
+    }
+
+    /**
+     * Recalculate from the current inputs
+     */
+    function update() {
+      current = estimate({
+        service: field('service').value,
+        systemType: field('systemType').value,
+        squareFeet: field('squareFeet').value,
+        systemAge: field('systemAge').value,
+        zones: field('zones').value,
+      });
+
+      range.textContent = current ? formatRange(current) : '';
+      applyButton.disabled = !current;
+    }
+
+    form.addEventListener('change', (event) => {
+      if (event.target.name === 'service') {
+        fillSystemTypes();
+      }
+      update();
+    });
+    form.addEventListener('input', update);
+    // Nothing to submit - Enter just recalculates
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      update();
+    });
+
+    applyButton.addEventListener('click', () => {
+      if (current && options.onApply) {
+        options.onApply(current, formatSummary(current, getAgeLabels()));
+      }
+    });
+
+    fillSystemTypes();
+    update();
+    section.hidden = false;
+
+    return {
+      getEstimate: () => current,
+    };
+  }
+
+  /**
+   * Format whole dollars
+   * @param {number} amount - Amount in USD
+   * @returns {string} e.g. "$4,350"
+   */
+  function formatCurrency(amount) {
+    return `$${amount.toLocaleString('en-US')}`;
+  }
+
+  /**
+   * Keep a number within bounds
+   * @param {number} value - Value
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number}
+   */
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  /**
+   * Fill {placeholders} in a label
+   * @param {string} template - Label template
+   * @param {Object.<string, *>} params - Values
+   * @returns {string}
+   */
+  function formatLabel(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+  }
+
+  // Export public API
+  const CostEstimator = {
+    create,
+    estimate,
+    formatRange,
+    formatSummary,
+    mergeSummary,
+    PRICING,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CostEstimator;
+  } else {
+    window.CostEstimator = CostEstimator;
+  }
+
+})();
@@ -0,0 +1,351 @@
+/**
+ * Form Draft Module
+ * Saves what a visitor has typed into a form to sessionStorage while they
+ * type and puts it back after a reload or a trip to another page, with a
+ * notice offering to discard it. Fields marked data-sensitive, passwords,
+ * file inputs and hidden inputs are never stored.
+ *
+ * @module form-draft
+ */
+
+(function() {
+  'use strict';
+
+  // Draft settings
+  const DRAFT_CONFIG = Object.freeze({
+    storageKey: 'thermocool:contact-draft',
+    saveDelay: 500, // Quiet time after the last keystroke before saving
+    skippedTypes: Object.freeze(['password', 'file', 'hidden', 'submit', 'button', 'reset']),
+    labels: Object.freeze({
+      restored: 'We restored the details you entered earlier.',
+      discard: 'Discard draft',
+    }),
+  });
+
+  const log = window.Logger.create('Draft');
+
+  /**
+   * Stored draft
+   * @typedef {Object} StoredDraft
+   * @property {number} savedAt - Save time (ms since epoch)
+   * @property {Object.<string, string|Array<string>>} values - Field values keyed by name
+   */
+
+  /**
+   * Draft controller
+   * @typedef {Object} FormDraft
+   * @property {function(): void} save - Save the form now
+   * @property {function(): Array<string>} restore - Put a saved draft back into the form
+   * @property {function(): void} clear - Forget the saved draft and remove the notice
+   * @property {function(): void} discard - Clear the draft and reset the form
+   */
+
+  /**
+   * Create a draft controller for a form and start saving on input
+   * @param {HTMLFormElement} form - Form to save
+   * @param {Object} [options] - Draft options
+   * @param {Storage} [options.storage] - Web Storage to use (default sessionStorage)
+   * @param {function(Array<string>): void} [options.onRestore] - Called with the restored field names
+   * @param {function(Array<string>): void} [options.onDiscard] - Called with the fields that were reset
+   * @returns {FormDraft|null} Controller, or null when storage is unavailable
+   */
+  function create(form, options = {}) {
+    const storage = options.storage || getSessionStorage();
+
+    if (!storage) {
+      return null;
+    }
+
+    const { collectFormData, createDebouncedValidator, isAbortError } = window.FormValidation;
+    let notice = null;
+
+    /**
+     * Names of the fields a draft may hold
+     * @returns {Array<string>}
+     */
+    function getDraftFields() {
+      const names = Array.from(form.elements)
+        .filter(isDraftControl)
+        .map((control) => control.name);
+      return Array.from(new Set(names));
+    }
+
+    /**
+     * Save the fields the visitor has changed from their defaults, so an
+     * untouched form (e.g. with a pre-checked radio) leaves no draft
+     */
+    function save() {
+      const values = collectFormData(form, getDraftFields().filter((name) => isFieldChanged(form, name)));
+      const hasInput = Object.keys(values).some((name) => !isBlank(values[name]));
+
+      try {
+        if (hasInput) {
+          storage.setItem(DRAFT_CONFIG.storageKey, JSON.stringify({ savedAt: Date.now(), values }));
+        } else {
+          storage.removeItem(DRAFT_CONFIG.storageKey);
+        }
+      } catch (error) {
+        log.warn('Could not save draft:', error.message);
+      }
+    }
+
+    /**
+     * Read the saved draft
+     * @returns {StoredDraft|null}
+     */
+    function read() {
+      try {
+        const draft = JSON.parse(storage.getItem(DRAFT_CONFIG.storageKey));
+        return draft && typeof draft.values === 'object' ? draft : null;
+      } catch (error) {
+        return null; // Corrupt draft - start over
+      }
+    }
+
+    /**
+     * Put a saved draft back into the form
+     * @returns {Array<string>} Names of the restored fields
+     */
+    function restore() {
+      const draft = read();
+
+      if (!draft) {
+        return [];
+      }
+
+      const restored = applyValues(form, draft.values);
+
+      if (restored.length > 0) {
+        showNotice();
+        if (options.onRestore) {
+          options.onRestore(restored);
+        }
+      }
+
+      return restored;
+    }
+
+    /**
+     * Forget the saved draft and remove the notice
+     */
+    function clear() {
+      saveLater.cancel();
+
+      try {
+        storage.removeItem(DRAFT_CONFIG.storageKey);
+      } catch (error) {
+        // Storage blocked - nothing was saved either
+      }
+
+      if (notice) {
+        notice.remove();
+        notice = null;
+      }
+    }
+
+    /**
+     * Clear the draft and empty the form
+     */
+    function discard() {
+      const fields = getDraftFields();
+
+      clear();
+      form.reset();
+
+      if (options.onDiscard) {
+        options.onDiscard(fields);
+      }
+    }
+
+    /**
+     * Show the "draft restored" notice with its discard button
+     */
+    function showNotice() {
+      if (notice) {
+        return;
+      }
+
+      notice = document.createElement('div');
+      notice.className = 'form__draft-notice';
+      notice.setAttribute('role', 'status');
+
+      const text = document.createElement('p');
+      text.textContent = DRAFT_CONFIG.labels.restored;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'form__draft-discard';
+      button.textContent = DRAFT_CONFIG.labels.discard;
+      button.addEventListener('click', discard);
+
+      notice.appendChild(text);
+      notice.appendChild(button);
+      form.insertBefore(notice, form.firstChild);
+    }
+
+    const saveLater = createDebouncedValidator(save, DRAFT_CONFIG.saveDelay);
+
+    /**
+     * Save after the visitor pauses
+     * @param {Event} event - Input or change event
+     */
+    function handleInput(event) {
+      if (!isDraftControl(event.target)) {
+        return;
+      }
+
+      saveLater().catch((error) => {
+        if (!isAbortError(error)) {
+          log.warn('Could not save draft:', error.message);
+        }
+      });
+    }
+
+    form.addEventListener('input', handleInput);
+    form.addEventListener('change', handleInput);
+
+    // Don't lose the last keystrokes to the debounce when leaving the page
+    window.addEventListener('pagehide', () => {
+      saveLater.cancel();
+      save();
+    });
+
+    return {
+      save,
+      restore,
+      clear,
+      discard,
+    };
+  }
+
+  /**
+   * Fill a form from saved values (a draft, a queued submission). Fields are
+   * filled in document order with change events, so dependent fields (e.g. the
+   * appointment slots for a date) are rebuilt before their own value is set.
+   * Fields a draft may not hold are left alone.
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object.<string, string|Array<string>>} values - Values keyed by field name
+   * @returns {Array<string>} Names of the fields filled in
+   */
+  function applyValues(form, values) {
+    const names = new Set(Array.from(form.elements).filter(isDraftControl).map((control) => control.name));
+
+    return Array.from(names).filter((name) => {
+      const value = values[name];
+      return !isBlank(value) && applyControlValue(form, name, value);
+    });
+  }
+
+  /**
+   * Whether a control's value may be stored in a draft
+   * @param {HTMLElement} control - Form control
+   * @returns {boolean}
+   */
+  function isDraftControl(control) {
+    return Boolean(control.name) &&
+      control.tagName !== 'BUTTON' &&
+      control.tagName !== 'FIELDSET' &&
+      !DRAFT_CONFIG.skippedTypes.includes(control.type) &&
+      !control.hasAttribute('data-sensitive') &&
+      control.getAttribute('data-validate') !== 'false'; // e.g. the spam honeypot
+  }
+
+  /**
+   * Whether any control of a field differs from its markup default
+   * @param {HTMLFormElement} form - Form element
+   * @param {string} fieldName - Field name
+   * @returns {boolean}
+   */
+  function isFieldChanged(form, fieldName) {
+    return Array.from(form.elements).some((control) => {
+      if (control.name !== fieldName || !isDraftControl(control)) {
+        return false;
+      }
+      if (control.type === 'radio' || control.type === 'checkbox') {
+        return control.checked !== control.defaultChecked;
+      }
+      if (control.type === 'select-multiple') {
+        return Array.from(control.options).some((option) => option.selected !== option.defaultSelected);
+      }
+      if (control.type === 'select-one') {
+        // Without a selected attribute the browser picks the first enabled option
+        const options = Array.from(control.options);
+        const defaultOption = options.filter((option) => option.defaultSelected).pop() ||
+          options.find((option) => !option.disabled);
+        return control.options[control.selectedIndex] !== defaultOption;
+      }
+      return control.value !== control.defaultValue;
+    });
+  }
+
+  /**
+   * Set a field's value. Radio groups check the matching radio, checkbox
+   * groups check every listed value.
+   * @param {HTMLFormElement} form - Form element
+   * @param {string} fieldName - Field name
+   * @param {string|Array<string>} value - Stored value
+   * @returns {boolean} Whether the value could be applied
+   */
+  function applyControlValue(form, fieldName, value) {
+    const group = Array.from(form.elements).filter((control) => control.name === fieldName && isDraftControl(control));
+    const values = [].concat(value).map(String);
+    let applied = false;
+
+    group.forEach((control) => {
+      if (control.type === 'radio' || control.type === 'checkbox') {
+        const checked = values.includes(control.value);
+        if (control.checked !== checked) {
+          control.checked = checked;
+          control.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        applied = applied || checked;
+        return;
+      }
+
+      control.value = values[0];
+      // A select drops values it has no option for
+      if (control.value === values[0]) {
+        control.dispatchEvent(new Event('input', { bubbles: true }));
+        control.dispatchEvent(new Event('change', { bubbles: true }));
+        applied = true;
+      }
+    });
+
+    return applied;
+  }
+
+  /**
+   * Whether a stored value is empty
+   * @param {string|Array<string>|undefined} value - Field value
+   * @returns {boolean}
+   */
+  function isBlank(value) {
+    return Array.isArray(value) ? value.length === 0 : !value;
+  }
+
+  /**
+   * sessionStorage, when the browser allows it
+   * @returns {Storage|null}
+   */
+  function getSessionStorage() {
+    try {
+      return window.sessionStorage || null;
+    } catch (error) {
+      return null; // Blocked by privacy settings
+    }
+  }
+
+  // Export public API
+  const FormDraft = {
+    create,
+    applyValues,
+    DRAFT_CONFIG,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormDraft;
+  } else {
+    window.FormDraft = FormDraft;
+  }
+
+})();
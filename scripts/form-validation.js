@@ -11,107 +11,471 @@
   'use strict';
 
   /**
-   * Validation rule definitions with patterns and constraints
+   * Default validation rule definitions with patterns and constraints.
+   * The active rule set lives in the registry below and starts as a copy of these.
    * @const {Object.<string, ValidationRule>}
    */
   const VALIDATION_RULES = Object.freeze({
+    propertyType: {
+      required: true,
+      allowedValues: ['house', 'townhouse', 'apartment', 'mobile-home', 'commercial'],
+      sanitize: (value) => value.trim(),
+    },
+    systemAge: {
+      required: true,
+      allowedValues: ['under-5', '5-10', '10-15', 'over-15', 'unknown'],
+      sanitize: (value) => value.trim(),
+    },
+    zip: {
+      required: true,
+      scopes: ['quote', 'planSignup'],
+      maxLength: 10,
+      pattern: /^\d{5}(?:-\d{4})?$/,
+      sanitize: (value) => value.trim().replace(/\s+/g, ''),
+      // Out-of-area leads are still accepted, but flagged for the dispatcher
+      normalize: (value) => {
+        const serviceArea = getServiceArea();
+        const check = serviceArea ? serviceArea.checkZip(value) : { status: 'unknown', distance: null };
+        return {
+          zip: value,
+          serviceArea: check.status,
+          serviceDistance: check.distance,
+        };
+      },
+    },
     name: {
       required: true,
+      scopes: ['quote', 'planSignup'],
       minLength: 2,
       maxLength: 100,
       pattern: /^[a-zA-Z\s'-]+$/,
-      message: 'Please enter a valid name (letters, spaces, hyphens, and apostrophes only)',
       sanitize: (value) => value.trim().replace(/\s+/g, ' '),
     },
     email: {
       required: true,
+      scopes: ['quote', 'planSignup'],
       pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
       maxLength: 254, // RFC 5321
-      message: 'Please enter a valid email address',
       sanitize: (value) => value.trim().toLowerCase(),
       additionalValidation: (value) => {
         // Check for consecutive dots
-        if (/\.\./.test(value)) return 'Email cannot contain consecutive dots';
+        if (/\.\./.test(value)) return 'consecutiveDots';
         // Check local part length (before @)
         const localPart = value.split('@')[0];
-        if (localPart.length > 64) return 'Email local part too long';
+        if (localPart.length > 64) return { code: 'localPartTooLong', params: { max: 64, count: 64 } };
         return null;
       },
     },
-    phone: {
-      required: true,
-      pattern: /^[\d\s\-\(\)\+]+$/,
-      minLength: 10,
-      maxLength: 20,
-      message: 'Please enter a valid phone number',
+    preferredContact: {
+      required: false, // Older clients don't send it; treated as 'phone'
+      scopes: ['quote', 'planSignup'],
+      allowedValues: ['phone', 'email', 'text'],
       sanitize: (value) => value.trim(),
+    },
+    phone: {
+      required: false,
+      requiredIf: { field: 'preferredContact', notIn: ['email'] },
+      scopes: ['quote', 'planSignup'],
+      maxLength: 30, // Display format plus an extension
+      sanitize: (value) => value.trim().replace(/\s+/g, ' '),
       additionalValidation: (value) => {
-        // Extract digits only
-        const digits = value.replace(/\D/g, '');
-        if (digits.length < 10) return 'Phone number must contain at least 10 digits';
-        if (digits.length > 15) return 'Phone number must not exceed 15 digits';
-        return null;
+        const parsed = parsePhoneNumber(value);
+        return parsed.valid ? null : parsed.issue;
+      },
+      // sanitizedData gets E.164 for dispatch plus the human-readable format
+      normalize: (value, formData) => {
+        const parsed = parsePhoneNumber(value);
+        // A round trip through the server sends the extension separately from the E.164 value
+        const extension = parsed.extension || String(formData.phoneExtension || '').replace(/\D/g, '');
+        return {
+          phone: parsed.e164,
+          phoneDisplay: parsed.extension || !extension ? parsed.display : `${parsed.display} ext. ${extension}`,
+          phoneExtension: extension,
+        };
       },
     },
     service: {
       required: true,
-      message: 'Please select a service',
+      // Must match the <option> values of #service in index.html
       allowedValues: [
-        'ac-installation',
-        'ac-repair',
-        'ac-maintenance',
-        'heating-installation',
-        'heating-repair',
-        'emergency-service',
+        'heating',
+        'cooling',
+        'air-quality',
+        'maintenance',
+        'emergency',
         'other',
       ],
       sanitize: (value) => value.trim(),
-      additionalValidation: (value, rules) => {
-        if (!rules.allowedValues.includes(value)) {
-          return 'Please select a valid service option';
-        }
-        return null;
+    },
+    symptoms: {
+      required: false,
+      multiple: true, // Checkbox group - the value is an array
+      // Must match the checkbox values of "symptoms" in index.html
+      allowedValues: [
+        'no-heat',
+        'no-cooling',
+        'weak-airflow',
+        'strange-noises',
+        'bad-smell',
+        'leaking',
+        'high-bills',
+        'short-cycling',
+      ],
+    },
+    visitWindow: {
+      required: true,
+      allowedValues: ['morning', 'afternoon', 'flexible'],
+      sanitize: (value) => value.trim(),
+    },
+    preferredDate: {
+      required: false,
+      pattern: /^\d{4}-\d{2}-\d{2}$/,
+      sanitize: (value) => value.trim(),
+      // Opening hours, holidays and the Sunday emergency-only rule
+      dependsOn: ['service'],
+      validateWith: (value, formData, rules, options) => {
+        const businessHours = getBusinessHours();
+        return businessHours ? businessHours.checkDate(value, { service: formData.service, now: options.now }) : null;
+      },
+    },
+    preferredSlot: {
+      required: false,
+      pattern: /^\d{2}:\d{2}-\d{2}:\d{2}$/,
+      dynamicOptions: true, // The picker rebuilds the <option>s for the chosen date
+      sanitize: (value) => value.trim(),
+      dependsOn: ['preferredDate', 'service'],
+      validateWith: (value, formData, rules, options) => {
+        const businessHours = getBusinessHours();
+        return businessHours
+          ? businessHours.checkSlot(formData.preferredDate || '', value, { service: formData.service, now: options.now })
+          : null;
       },
     },
     message: {
       required: false,
+      // We need details before sending someone out for these
+      requiredIf: { field: 'service', in: ['emergency', 'other'] },
       maxLength: 1000,
       minLength: 0,
-      message: 'Message must not exceed 1000 characters',
       sanitize: (value) => value.trim().replace(/\s+/g, ' '),
-      additionalValidation: (value) => {
-        // Check for suspicious patterns (basic spam detection)
-        const suspiciousPatterns = [
-          /https?:\/\/[^\s]+/gi, // Multiple URLs
-          /<script/gi, // Script tags
-          /\b(viagra|cialis|casino|lottery)\b/gi, // Common spam words
-        ];
-        
-        let urlCount = 0;
-        const urls = value.match(/https?:\/\/[^\s]+/gi);
-        if (urls) urlCount = urls.length;
-        
-        if (urlCount > 2) return 'Message contains too many links';
-        
-        for (const pattern of suspiciousPatterns.slice(1)) {
-          if (pattern.test(value)) {
-            return 'Message contains prohibited content';
-          }
-        }
-        
-        return null;
+      // Spam scoring lives in spam-protection.js
+    },
+    photos: {
+      required: false,
+      type: 'file',
+      multiple: true,
+      accept: ['image/jpeg', 'image/png', 'image/webp'],
+      extensions: ['.jpg', '.jpeg', '.png', '.webp'],
+      maxFiles: 4,
+      maxFileSize: 8 * 1024 * 1024, // The browser downscales photos well below this
+      maxTotalSize: 20 * 1024 * 1024,
+    },
+    // Maintenance plan sign-up - the contact fields above are shared with it
+    plan: {
+      required: true,
+      scopes: ['planSignup'],
+      // Must match the plan ids in maintenance-plans.js
+      allowedValues: ['essential', 'comfort-plus', 'total-care'],
+      sanitize: (value) => value.trim(),
+      // The server records the price it agreed to, not one the browser sent
+      normalize: (value, formData) => {
+        const maintenancePlans = getMaintenancePlans();
+        return {
+          plan: value,
+          planPrice: maintenancePlans
+            ? maintenancePlans.getPrice(value, formData.billingCycle, formData.planSystems)
+            : null,
+        };
+      },
+    },
+    billingCycle: {
+      required: true,
+      scopes: ['planSignup'],
+      allowedValues: ['monthly', 'annual'],
+      sanitize: (value) => value.trim(),
+    },
+    planSystems: {
+      required: true,
+      scopes: ['planSignup'],
+      allowedValues: ['1', '2', '3', '4'],
+      sanitize: (value) => value.trim(),
+    },
+  });
+
+  /**
+   * Message catalogs keyed by locale. Error templates are looked up as
+   * "<field>.<code>" first, then "<code>". A template may be an object of
+   * plural forms (Intl.PluralRules categories) selected by params.count.
+   * @const {Object.<string, MessageCatalog>}
+   */
+  const MESSAGES = {
+    en: {
+      fields: {
+        propertyType: 'Property type',
+        systemAge: 'System age',
+        zip: 'ZIP code',
+        name: 'Name',
+        email: 'Email',
+        phone: 'Phone',
+        service: 'Service',
+        symptoms: 'Symptoms',
+        visitWindow: 'Visit window',
+        preferredDate: 'Preferred date',
+        preferredSlot: 'Preferred time',
+        preferredContact: 'Preferred contact method',
+        message: 'Message',
+        photos: 'Photos',
+        plan: 'Plan',
+        billingCycle: 'Billing',
+        planSystems: 'Number of systems',
+      },
+      errors: {
+        'required': '{field} is required',
+        'tooShort': {
+          one: '{field} must be at least {min} character',
+          other: '{field} must be at least {min} characters',
+        },
+        'tooLong': {
+          one: '{field} must not exceed {max} character',
+          other: '{field} must not exceed {max} characters',
+        },
+        'invalid': 'Please enter a valid value for {field}',
+        'invalidOption': 'Please select a valid option for {field}',
+        'formInvalid': 'Please correct the highlighted fields and try again.',
+        'name.invalid': 'Please enter a valid name (letters, spaces, hyphens, and apostrophes only)',
+        'email.invalid': 'Please enter a valid email address',
+        'email.consecutiveDots': 'Email cannot contain consecutive dots',
+        'email.localPartTooLong': 'Email local part too long',
+        'email.duplicateLead': 'We already received a request from this email today. Please call us if it is urgent.',
+        'phone.invalid': 'Please enter a valid phone number',
+        'zip.invalid': 'Please enter a 5-digit ZIP code',
+        'phone.required': 'Please enter a phone number, or choose email as your preferred contact method',
+        'phone.tooFewDigits': 'Phone number must contain at least {min} digits',
+        'phone.tooManyDigits': 'Phone number must not exceed {max} digits',
+        'phone.invalidAreaCode': 'Please check the area code ({areaCode} is not a valid US/Canada area code)',
+        'phone.invalidExchange': 'Please check the phone number ({exchange} is not a valid exchange)',
+        'service.required': 'Please select a service',
+        'service.invalidOption': 'Please select a valid service option',
+        'propertyType.required': 'Please choose your property type',
+        'systemAge.required': 'Please tell us roughly how old your system is',
+        'visitWindow.required': 'Please choose when we can visit',
+        'message.required': 'Please describe the problem so we can send the right technician',
+        'plan.required': 'Please choose a plan',
+        'billingCycle.required': 'Please choose monthly or annual billing',
+        'planSystems.required': 'Please tell us how many systems the plan should cover',
+        'preferredDate.invalid': 'Please enter a valid date',
+        'preferredDate.past': 'Please choose today or a later date',
+        'preferredDate.tooFarAhead': {
+          one: 'Please choose a date within the next {count} day',
+          other: 'Please choose a date within the next {count} days',
+        },
+        'preferredDate.holiday': 'We are closed for a holiday that day. Please choose another date',
+        'preferredDate.closed': 'We are closed that day. Please choose another date',
+        'preferredDate.emergencyOnly': 'Sunday visits are for emergency service only. Choose Emergency Service or another day',
+        'preferredDate.noSlotsLeft': 'There are no times left that day. Please choose a later date',
+        'preferredSlot.invalid': 'Please choose a time from the list',
+        'preferredSlot.dateRequired': 'Please choose a date for this time',
+        'preferredSlot.invalidSlot': 'That time is outside our hours that day. Available times: {slots}',
+        'preferredSlot.slotPassed': 'That time has passed or is too soon. Please choose a later time',
+        'tooManyFiles': {
+          one: 'You can attach up to {max} file',
+          other: 'You can attach up to {max} files',
+        },
+        'fileType': '"{fileName}" is not a supported file type. Please use {types}',
+        'fileTooLarge': '"{fileName}" is too large. Each file must be under {max} MB',
+        'totalTooLarge': 'Attachments must add up to less than {max} MB',
+        'photos.tooManyFiles': {
+          one: 'You can attach up to {max} photo',
+          other: 'You can attach up to {max} photos',
+        },
+        'spamDetected': 'Your message looks like spam. Please remove links or unusual content and try again.',
+        'tooFast': 'That was quick! Please take a moment to check your details, then send again.',
+        'rateLimited': {
+          one: 'You have sent several requests already. Please try again in {count} minute.',
+          other: 'You have sent several requests already. Please try again in {count} minutes.',
+        },
+        'submitFailed': 'We could not send your message right now. Please try again or call us at (123) 456-7890.',
+        'networkError': 'We could not reach our server. Please check your connection and try again.',
+        'offlineTitle': 'You appear to be offline.',
+        'offlineSaved': 'Your request has been saved on this device and will be sent automatically as soon as you are back online.',
+        'queueLabel': 'Saved requests',
+        'queueItem': 'Request from {date}:',
+        'queuePending': 'Saved on this device - it will be sent when you are back online.',
+        'queueSending': 'Sending...',
+        'queueSent': 'Sent. We will get back to you as soon as possible.',
+        'queueFailed': 'Could not be sent. Put it back into the form to correct it and send it again, or call us at (123) 456-7890.',
+        'queueRestore': 'Correct and resend',
+        'queueDismiss': 'Dismiss',
+        'queueRestored': 'We put your saved request back into the form. Please check it and send it again.',
+      },
+    },
+    es: {
+      fields: {
+        propertyType: 'Tipo de propiedad',
+        systemAge: 'Antigüedad del equipo',
+        zip: 'Código postal',
+        name: 'Nombre',
+        email: 'Correo electrónico',
+        phone: 'Teléfono',
+        service: 'Servicio',
+        symptoms: 'Síntomas',
+        visitWindow: 'Horario de visita',
+        preferredDate: 'Fecha preferida',
+        preferredSlot: 'Hora preferida',
+        preferredContact: 'Medio de contacto preferido',
+        message: 'Mensaje',
+        photos: 'Fotos',
+        plan: 'Plan',
+        billingCycle: 'Facturación',
+        planSystems: 'Número de equipos',
+      },
+      errors: {
+        'required': 'El campo {field} es obligatorio',
+        'tooShort': {
+          one: 'El campo {field} debe tener al menos {min} carácter',
+          other: 'El campo {field} debe tener al menos {min} caracteres',
+        },
+        'tooLong': {
+          one: 'El campo {field} no debe superar {max} carácter',
+          other: 'El campo {field} no debe superar {max} caracteres',
+        },
+        'invalid': 'Introduce un valor válido para {field}',
+        'invalidOption': 'Selecciona una opción válida para {field}',
+        'formInvalid': 'Corrige los campos marcados e inténtalo de nuevo.',
+        'name.invalid': 'Introduce un nombre válido (solo letras, espacios, guiones y apóstrofos)',
+        'email.invalid': 'Introduce un correo electrónico válido',
+        'email.consecutiveDots': 'El correo electrónico no puede contener puntos consecutivos',
+        'email.localPartTooLong': 'La parte del correo electrónico antes de la @ es demasiado larga',
+        'email.duplicateLead': 'Ya recibimos hoy una solicitud desde este correo electrónico. Llámanos si es urgente.',
+        'phone.invalid': 'Introduce un número de teléfono válido',
+        'zip.invalid': 'Introduce un código postal de 5 dígitos',
+        'phone.required': 'Introduce un número de teléfono o elige el correo electrónico como medio de contacto',
+        'phone.tooFewDigits': 'El número de teléfono debe tener al menos {min} dígitos',
+        'phone.tooManyDigits': 'El número de teléfono no debe superar {max} dígitos',
+        'phone.invalidAreaCode': 'Revisa el código de área ({areaCode} no es un código válido de EE. UU./Canadá)',
+        'phone.invalidExchange': 'Revisa el número de teléfono ({exchange} no es un prefijo válido)',
+        'service.required': 'Selecciona un servicio',
+        'service.invalidOption': 'Selecciona un servicio válido',
+        'propertyType.required': 'Elige el tipo de propiedad',
+        'systemAge.required': 'Indícanos más o menos la antigüedad de tu equipo',
+        'visitWindow.required': 'Elige cuándo podemos visitarte',
+        'message.required': 'Describe el problema para que enviemos al técnico adecuado',
+        'plan.required': 'Elige un plan',
+        'billingCycle.required': 'Elige facturación mensual o anual',
+        'planSystems.required': 'Indica cuántos equipos debe cubrir el plan',
+        'preferredDate.invalid': 'Introduce una fecha válida',
+        'preferredDate.past': 'Elige hoy o una fecha posterior',
+        'preferredDate.tooFarAhead': {
+          one: 'Elige una fecha dentro de los próximos {count} día',
+          other: 'Elige una fecha dentro de los próximos {count} días',
+        },
+        'preferredDate.holiday': 'Ese día cerramos por festivo. Elige otra fecha',
+        'preferredDate.closed': 'Ese día estamos cerrados. Elige otra fecha',
+        'preferredDate.emergencyOnly': 'Los domingos solo atendemos emergencias. Elige Servicio de emergencia u otro día',
+        'preferredDate.noSlotsLeft': 'No quedan horarios ese día. Elige una fecha posterior',
+        'preferredSlot.invalid': 'Elige una hora de la lista',
+        'preferredSlot.dateRequired': 'Elige una fecha para esta hora',
+        'preferredSlot.invalidSlot': 'Esa hora está fuera de nuestro horario ese día. Horarios disponibles: {slots}',
+        'preferredSlot.slotPassed': 'Esa hora ya pasó o es demasiado pronto. Elige una hora posterior',
+        'tooManyFiles': {
+          one: 'Puedes adjuntar hasta {max} archivo',
+          other: 'Puedes adjuntar hasta {max} archivos',
+        },
+        'fileType': '"{fileName}" no es un tipo de archivo admitido. Usa {types}',
+        'fileTooLarge': '"{fileName}" es demasiado grande. Cada archivo debe ocupar menos de {max} MB',
+        'totalTooLarge': 'Los archivos adjuntos deben ocupar menos de {max} MB en total',
+        'photos.tooManyFiles': {
+          one: 'Puedes adjuntar hasta {max} foto',
+          other: 'Puedes adjuntar hasta {max} fotos',
+        },
+        'spamDetected': 'Tu mensaje parece spam. Quita los enlaces o el contenido inusual e inténtalo de nuevo.',
+        'tooFast': '¡Qué rápido! Revisa tus datos un momento y vuelve a enviarlos.',
+        'rateLimited': {
+          one: 'Ya has enviado varias solicitudes. Inténtalo de nuevo en {count} minuto.',
+          other: 'Ya has enviado varias solicitudes. Inténtalo de nuevo en {count} minutos.',
+        },
+        'submitFailed': 'No pudimos enviar tu mensaje en este momento. Inténtalo de nuevo o llámanos al (123) 456-7890.',
+        'networkError': 'No pudimos conectar con nuestro servidor. Revisa tu conexión e inténtalo de nuevo.',
+        'offlineTitle': 'Parece que no tienes conexión.',
+        'offlineSaved': 'Guardamos tu solicitud en este dispositivo y la enviaremos automáticamente en cuanto vuelvas a tener conexión.',
+        'queueLabel': 'Solicitudes guardadas',
+        'queueItem': 'Solicitud del {date}:',
+        'queuePending': 'Guardada en este dispositivo: se enviará cuando vuelvas a tener conexión.',
+        'queueSending': 'Enviando...',
+        'queueSent': 'Enviada. Te responderemos lo antes posible.',
+        'queueFailed': 'No se pudo enviar. Vuelve a ponerla en el formulario para corregirla y enviarla de nuevo, o llámanos al (123) 456-7890.',
+        'queueRestore': 'Corregir y reenviar',
+        'queueDismiss': 'Descartar',
+        'queueRestored': 'Hemos vuelto a poner tu solicitud guardada en el formulario. Revísala y envíala de nuevo.',
       },
     },
+  };
+
+  // Phone number parsing settings
+  const PHONE_RULES = Object.freeze({
+    defaultCountryCode: '1', // NANP (US, Canada and the Caribbean)
+    minDigits: 8, // Shortest plausible international number incl. country code
+    maxDigits: 15, // E.164 maximum incl. country code
+    // Two-digit country codes; 1 and 7 are the only single-digit ones, everything else is three digits
+    twoDigitCountryCodes: [
+      '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46',
+      '47', '48', '49', '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63',
+      '64', '65', '66', '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98',
+    ],
+    extensionPattern: /\s*(?:;\s*ext=|ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i,
+  });
+
+  // Locale used when neither an explicit option nor <html lang> says otherwise
+  const DEFAULT_LOCALE = 'en';
+
+  // Scope of rules without a scopes list, and of validateForm calls that name none
+  const DEFAULT_SCOPE = 'quote';
+
+  // Locale set through setLocale(); null means "follow <html lang>"
+  let activeLocale = null;
+
+  // Defaults for asynchronous checks
+  const ASYNC_DEFAULTS = Object.freeze({
+    checkTimeout: 5000, // A check slower than this is skipped, not failed
+  });
+
+  // Fallback patterns for controls whose markup declares a type but no rule exists
+  const TYPE_PATTERNS = Object.freeze({
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    tel: /^[\d\s\-().+]+(?:\s*(?:;\s*ext=|ext\.?|extension|x|#)\s*\d{1,6})?\s*$/i, // Optional extension
   });
 
+  /**
+   * Active rule registry, keyed by field name (insertion order is validation order)
+   * @type {Map<string, ValidationRule>}
+   */
+  const ruleRegistry = new Map(Object.entries(VALIDATION_RULES));
+
+  const log = (typeof module !== 'undefined' && module.exports ? require('./logger.js') : window.Logger).create('Form');
+
   /**
    * Validation result type
    * @typedef {Object} ValidationResult
    * @property {boolean} valid - Whether the field is valid
-   * @property {string|null} error - Error message if invalid
+   * @property {string|null} error - Localized error message if invalid
+   * @property {string|null} code - Stable machine-readable error code if invalid
    * @property {*} sanitizedValue - Sanitized field value
    */
 
+  /**
+   * Message catalog type
+   * @typedef {Object} MessageCatalog
+   * @property {Object.<string, string>} fields - Display names keyed by field name
+   * @property {Object.<string, string|Object.<string, string>>} errors - Templates keyed by code
+   */
+
+  /**
+   * Validation issue returned by additionalValidation and async checks:
+   * null when valid, an error code, or a code with interpolation params.
+   * A string that is not a known code is treated as a literal message.
+   * @typedef {null|string|{code: string, params: Object}} ValidationIssue
+   */
+
   /**
    * Validation rule type
    * @typedef {Object} ValidationRule
@@ -119,87 +483,167 @@
    * @property {number} [minLength] - Minimum length constraint
    * @property {number} [maxLength] - Maximum length constraint
    * @property {RegExp} [pattern] - Pattern to match
-   * @property {string} message - Default error message
+   * @property {string} [message] - Literal pattern error, for rules without catalog entries
    * @property {Function} sanitize - Value sanitization function
-   * @property {Function} [additionalValidation] - Additional validation logic
-   * @property {Array<string>} [allowedValues] - Allowed values for select fields
+   * @property {function(string, ValidationRule, Object): ValidationIssue} [additionalValidation] - Additional validation
+   *   logic; receives the sanitized value, the rule and the whole form data (for cross-field checks)
+   * @property {Array<string>} [allowedValues] - Allowed values for select, radio and checkbox fields
+   * @property {boolean} [multiple] - Value is a list (checkbox group); each item must be allowed
+   * @property {boolean} [dynamicOptions] - The select's options are rebuilt at runtime, so they are not
+   *   derived into allowedValues or compared with it
+   * @property {FieldCondition} [requiredIf] - Required only while another field meets a condition
+   * @property {function(*, Object, ValidationRule, Object): ValidationIssue} [validateWith] - Cross-field check; receives
+   *   the sanitized value, the whole sanitized form data, the rule and the validation options (for `now`).
+   *   Runs after every other check passes.
+   * @property {Array<string>} [dependsOn] - Fields validateWith reads, so the page re-validates this field
+   *   when they change
+   * @property {string} [type] - 'file' for attachments; the value is then a list of FileDescriptors
+   * @property {Array<string>} [accept] - MIME types allowed for a file field
+   * @property {Array<string>} [extensions] - File name extensions allowed for a file field (e.g. '.jpg')
+   * @property {number} [maxFiles] - Most files a file field may hold
+   * @property {number} [maxFileSize] - Largest single file in bytes
+   * @property {number} [maxTotalSize] - Largest combined size in bytes
+   * @property {string} [source] - 'markup' when the rule was derived from form markup
+   * @property {Array<AsyncCheck>} [asyncChecks] - Checks run by validateFieldAsync after the sync rules pass
+   * @property {function(*, Object): Object} [normalize] - Maps a valid value (and the whole form data)
+   *   to the entries validateForm stores in sanitizedData
+   * @property {Array<string>} [scopes] - Forms the rule belongs to, e.g. 'quote' or 'planSignup'
+   *   (DEFAULT_SCOPE when unset); validateForm only checks the rules of one scope
+   */
+
+  /**
+   * Condition on another field's value. With neither in nor notIn the field must just be filled in.
+   * @typedef {Object} FieldCondition
+   * @property {string} field - Name of the controlling field
+   * @property {Array<string>} [in] - Met when the field's value (or one of its values) is listed
+   * @property {Array<string>} [notIn] - Met when the field's value is not listed (an empty value counts)
+   */
+
+  /**
+   * Attached file. Browser File objects qualify; the server builds these from multipart parts.
+   * @typedef {Object} FileDescriptor
+   * @property {string} name - File name
+   * @property {string} type - MIME type
+   * @property {number} size - Size in bytes
+   */
+
+  /**
+   * Parsed phone number type
+   * @typedef {Object} ParsedPhoneNumber
+   * @property {boolean} valid - Whether the number is dialable
+   * @property {ValidationIssue} issue - Why the number is invalid (null when valid)
+   * @property {string} countryCode - Country calling code without '+'
+   * @property {string} nationalNumber - National significant number
+   * @property {string} extension - Extension digits ('' if none)
+   * @property {string} e164 - E.164 form, e.g. '+15552345678' ('' when invalid)
+   * @property {string} display - Human-readable form, e.g. '(555) 234-5678 ext. 12'
+   */
+
+  /**
+   * Asynchronous check type
+   * @typedef {Object} AsyncCheck
+   * @property {string} name - Check identifier, reported in skippedChecks
+   * @property {function(string, {signal: AbortSignal, rules: ValidationRule}): Promise<ValidationIssue>} validate
+   *   Resolves to an issue, or null when the value passes
+   * @property {number} [timeout] - Per-check timeout in milliseconds
+   */
+
+  /**
+   * Asynchronous validation result type
+   * @typedef {ValidationResult} AsyncValidationResult
+   * @property {Array<string>} skippedChecks - Checks that timed out or errored and were skipped
    */
 
   /**
    * Validates a single field value against its rules
    * @param {string} fieldName - Name of the field to validate
    * @param {string} value - Value to validate
+   * @param {Object} [options] - Options
+   * @param {string} [options.locale] - Locale for the error message
+   * @param {Object} [options.formData] - Whole form data, for rules that depend on other fields.
+   *   Rules see it sanitized.
+   * @param {Object} [options.sanitizedFormData] - The same data already run through
+   *   sanitizeFormData, when validating many fields of one form
+   * @param {number} [options.now] - Time that date rules compare against (ms since epoch, default now)
    * @returns {ValidationResult} Validation result with error and sanitized value
    */
-  function validateField(fieldName, value) {
-    const rules = VALIDATION_RULES[fieldName];
+  function validateField(fieldName, value, options = {}) {
+    const rules = ruleRegistry.get(fieldName);
     
     if (!rules) {
-      console.warn(`No validation rules defined for field: ${fieldName}`);
+      log.warn(`No validation rules defined for field: ${fieldName}`);
       return {
         valid: true,
         error: null,
+        code: null,
         sanitizedValue: value,
       };
     }
 
+    // Conditional and cross-field rules compare sanitized values
+    const context = options.sanitizedFormData || sanitizeFormData(options.formData || {});
+
+    if (rules.type === 'file') {
+      return validateFileField(fieldName, value, rules, { ...options, formData: context });
+    }
+
+    if (rules.multiple) {
+      return validateMultipleField(fieldName, value, rules, { ...options, formData: context });
+    }
+
     // Sanitize value first
     const sanitizedValue = rules.sanitize ? rules.sanitize(value) : value.trim();
+    const invalid = (issue) => createInvalidResult(fieldName, issue, sanitizedValue, options.locale);
+    const required = isRuleRequired(rules, context);
 
     // Required validation
-    if (rules.required && !sanitizedValue) {
-      return {
-        valid: false,
-        error: `${formatFieldName(fieldName)} is required`,
-        sanitizedValue,
-      };
+    if (required && !sanitizedValue) {
+      return invalid('required');
     }
 
     // Skip other validations if field is empty and not required
-    if (!sanitizedValue && !rules.required) {
+    if (!sanitizedValue && !required) {
       return {
         valid: true,
         error: null,
+        code: null,
         sanitizedValue,
       };
     }
 
     // Length validation - minimum
     if (rules.minLength !== undefined && sanitizedValue.length < rules.minLength) {
-      return {
-        valid: false,
-        error: `${formatFieldName(fieldName)} must be at least ${rules.minLength} characters`,
-        sanitizedValue,
-      };
+      return invalid({ code: 'tooShort', params: { min: rules.minLength, count: rules.minLength } });
     }
 
     // Length validation - maximum
     if (rules.maxLength !== undefined && sanitizedValue.length > rules.maxLength) {
-      return {
-        valid: false,
-        error: `${formatFieldName(fieldName)} must not exceed ${rules.maxLength} characters`,
-        sanitizedValue,
-      };
+      return invalid({ code: 'tooLong', params: { max: rules.maxLength, count: rules.maxLength } });
     }
 
     // Pattern validation
     if (rules.pattern && !rules.pattern.test(sanitizedValue)) {
-      return {
-        valid: false,
-        error: rules.message,
-        sanitizedValue,
-      };
+      return invalid(rules.message ? { code: 'invalid', message: rules.message } : 'invalid');
+    }
+
+    // Allowed values validation (select fields)
+    if (rules.allowedValues && !rules.allowedValues.includes(sanitizedValue)) {
+      return invalid('invalidOption');
     }
 
     // Additional custom validation
     if (rules.additionalValidation) {
-      const additionalError = rules.additionalValidation(sanitizedValue, rules);
-      if (additionalError) {
-        return {
-          valid: false,
-          error: additionalError,
-          sanitizedValue,
-        };
+      const issue = rules.additionalValidation(sanitizedValue, rules, context);
+      if (issue) {
+        return invalid(issue);
+      }
+    }
+
+    // Cross-field validation
+    if (rules.validateWith) {
+      const issue = rules.validateWith(sanitizedValue, context, rules, options);
+      if (issue) {
+        return invalid(issue);
       }
     }
 
@@ -207,164 +651,1409 @@
     return {
       valid: true,
       error: null,
+      code: null,
       sanitizedValue,
     };
   }
 
   /**
-   * Validates all form fields
-   * @param {Object.<string, string>} formData - Form data as key-value pairs
-   * @returns {Object} Validation results with errors map and overall validity
+   * Validates a list-valued field (checkbox group)
+   * @param {string} fieldName - Name of the field
+   * @param {Array<string>|string} value - Selected values, or a comma-separated string
+   * @param {ValidationRule} rules - Field rules
+   * @param {Object} options - Options passed to validateField
+   * @returns {ValidationResult} Result whose sanitizedValue is an array
    */
-  function validateForm(formData) {
-    const errors = new Map();
-    const sanitizedData = {};
-    let isValid = true;
+  function validateMultipleField(fieldName, value, rules, options) {
+    const sanitizedValue = toValueList(value).map((item) => (rules.sanitize ? rules.sanitize(item) : item));
+    const invalid = (issue) => createInvalidResult(fieldName, issue, sanitizedValue, options.locale);
 
-    // Validate each field that has rules
-    Object.keys(VALIDATION_RULES).forEach(fieldName => {
-      const value = formData[fieldName] || '';
-      const result = validateField(fieldName, value);
-      
-      sanitizedData[fieldName] = result.sanitizedValue;
-      
-      if (!result.valid) {
-        errors.set(fieldName, result.error);
-        isValid = false;
+    if (isRuleRequired(rules, options.formData || {}) && sanitizedValue.length === 0) {
+      return invalid('required');
+    }
+
+    if (rules.allowedValues && sanitizedValue.some((item) => !rules.allowedValues.includes(item))) {
+      return invalid('invalidOption');
+    }
+
+    if (rules.additionalValidation) {
+      const issue = rules.additionalValidation(sanitizedValue, rules, options.formData || {});
+      if (issue) {
+        return invalid(issue);
       }
-    });
+    }
+
+    if (rules.validateWith && sanitizedValue.length > 0) {
+      const issue = rules.validateWith(sanitizedValue, options.formData || {}, rules, options);
+      if (issue) {
+        return invalid(issue);
+      }
+    }
 
     return {
-      valid: isValid,
-      errors,
-      sanitizedData,
+      valid: true,
+      error: null,
+      code: null,
+      sanitizedValue,
     };
   }
 
   /**
-   * Validates email format with comprehensive checks
-   * @param {string} email - Email address to validate
-   * @returns {ValidationResult} Validation result
+   * Validates a file field: count, type (MIME and extension), per-file and total size
+   * @param {string} fieldName - Name of the field
+   * @param {FileList|Array<FileDescriptor>|string} value - Attached files ('' when none)
+   * @param {ValidationRule} rules - Field rules
+   * @param {Object} options - Options passed to validateField
+   * @returns {ValidationResult} Result whose sanitizedValue is an array of files
    */
-  function validateEmail(email) {
-    return validateField('email', email);
+  function validateFileField(fieldName, value, rules, options) {
+    const files = toFileList(value);
+    const invalid = (issue) => createInvalidResult(fieldName, issue, files, options.locale);
+    const toMegabytes = (bytes) => Math.round((bytes / (1024 * 1024)) * 10) / 10;
+
+    if (isRuleRequired(rules, options.formData || {}) && files.length === 0) {
+      return invalid('required');
+    }
+
+    if (rules.maxFiles !== undefined && files.length > rules.maxFiles) {
+      return invalid({ code: 'tooManyFiles', params: { max: rules.maxFiles, count: rules.maxFiles } });
+    }
+
+    const wrongType = files.find((file) => !isAcceptedFile(file, rules));
+    if (wrongType) {
+      const types = (rules.extensions || rules.accept || []).join(', ');
+      return invalid({ code: 'fileType', params: { fileName: wrongType.name, types } });
+    }
+
+    if (rules.maxFileSize !== undefined) {
+      const tooLarge = files.find((file) => file.size > rules.maxFileSize);
+      if (tooLarge) {
+        return invalid({ code: 'fileTooLarge', params: { fileName: tooLarge.name, max: toMegabytes(rules.maxFileSize) } });
+      }
+    }
+
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    if (rules.maxTotalSize !== undefined && totalSize > rules.maxTotalSize) {
+      return invalid({ code: 'totalTooLarge', params: { max: toMegabytes(rules.maxTotalSize) } });
+    }
+
+    if (rules.additionalValidation) {
+      const issue = rules.additionalValidation(files, rules, options.formData || {});
+      if (issue) {
+        return invalid(issue);
+      }
+    }
+
+    return {
+      valid: true,
+      error: null,
+      code: null,
+      sanitizedValue: files,
+    };
   }
 
   /**
-   * Validates phone number format
-   * @param {string} phone - Phone number to validate
-   * @returns {ValidationResult} Validation result
+   * Whether a rule requires a value, given the rest of the form
+   * @param {ValidationRule} rules - Field rules
+   * @param {Object} formData - Whole form data
+   * @returns {boolean}
    */
-  function validatePhone(phone) {
-    return validateField('phone', phone);
+  function isRuleRequired(rules, formData) {
+    return Boolean(rules.required) || (rules.requiredIf ? isConditionMet(rules.requiredIf, formData) : false);
   }
 
   /**
-   * Validates name format
-   * @param {string} name - Name to validate
-   * @returns {ValidationResult} Validation result
+   * Evaluates a FieldCondition against form data
+   * @param {FieldCondition} condition - Condition
+   * @param {Object} formData - Whole form data
+   * @returns {boolean}
    */
-  function validateName(name) {
-    return validateField('name', name);
+  function isConditionMet(condition, formData) {
+    const values = [].concat(formData[condition.field] ?? [])
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+
+    if (condition.in) {
+      return values.some((item) => condition.in.includes(item));
+    }
+    if (condition.notIn) {
+      return !values.some((item) => condition.notIn.includes(item));
+    }
+    return values.length > 0;
   }
 
   /**
-   * Validates service selection
-   * @param {string} service - Service value to validate
-   * @returns {ValidationResult} Validation result
+   * Sanitizes every field of a form data object with its rule, so cross-field
+   * checks compare clean values. Fields without rules are copied unchanged.
+   * @param {Object} formData - Raw form data
+   * @returns {Object} Sanitized form data
    */
-  function validateService(service) {
-    return validateField('service', service);
+  function sanitizeFormData(formData) {
+    const sanitized = { ...formData };
+
+    ruleRegistry.forEach((rules, fieldName) => {
+      const value = formData[fieldName] ?? '';
+
+      if (rules.type === 'file') {
+        sanitized[fieldName] = toFileList(value);
+      } else if (rules.multiple) {
+        sanitized[fieldName] = toValueList(value).map((item) => (rules.sanitize ? rules.sanitize(item) : item));
+      } else {
+        const text = String(value);
+        sanitized[fieldName] = rules.sanitize ? rules.sanitize(text) : text.trim();
+      }
+    });
+
+    return sanitized;
   }
 
   /**
-   * Validates message content
-   * @param {string} message - Message to validate
-   * @returns {ValidationResult} Validation result
+   * Normalizes a file field value. Anything that is not file-like (such as the
+   * empty string a text-only submission sends) is dropped.
+   * @param {*} value - FileList, array of files or a single file
+   * @returns {Array<FileDescriptor>} Files
    */
-  function validateMessage(message) {
-    return validateField('message', message);
+  function toFileList(value) {
+    const items = value && typeof value.length === 'number' && typeof value !== 'string'
+      ? Array.from(value)
+      : [].concat(value ?? []);
+
+    return items.filter((item) =>
+      item && typeof item === 'object' && typeof item.name === 'string' && typeof item.size === 'number'
+    );
   }
 
   /**
-   * Formats field name for display in error messages
-   * @param {string} fieldName - Field name to format
-   * @returns {string} Formatted field name
+   * Whether a file matches a rule's MIME types and extensions
+   * @param {FileDescriptor} file - File to check
+   * @param {ValidationRule} rules - Field rules
+   * @returns {boolean}
    */
-  function formatFieldName(fieldName) {
-    const nameMap = {
-      name: 'Name',
-      email: 'Email',
-      phone: 'Phone',
-      service: 'Service',
-      message: 'Message',
-    };
-    return nameMap[fieldName] || fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+  function isAcceptedFile(file, rules) {
+    const name = file.name.toLowerCase();
+    const typeOk = !rules.accept || rules.accept.includes(String(file.type).toLowerCase());
+    const extensionOk = !rules.extensions || rules.extensions.some((extension) => name.endsWith(extension));
+    return typeOk && extensionOk;
   }
 
   /**
-   * Sanitizes a string value by removing potentially harmful content
-   * @param {string} value - Value to sanitize
-   * @returns {string} Sanitized value
+   * Normalizes a list value. Strings are split on commas, which is how
+   * URLSearchParams serializes arrays.
+   * @param {*} value - Raw value
+   * @returns {Array<string>} Trimmed, non-empty, de-duplicated items
    */
-  function sanitizeString(value) {
-    if (typeof value !== 'string') return '';
-    
-    return value
-      .trim()
-      .replace(/[<>]/g, '') // Remove angle brackets
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .slice(0, 1000); // Limit length
+  function toValueList(value) {
+    const items = [].concat(value ?? [])
+      .flatMap((item) => String(item).split(','))
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+    return Array.from(new Set(items));
   }
 
   /**
-   * Checks if a value is empty (null, undefined, empty string, or whitespace)
-   * @param {*} value - Value to check
-   * @returns {boolean} True if value is empty
+   * Builds a failed validation result from an issue
+   * @param {string} fieldName - Name of the field
+   * @param {ValidationIssue} issue - Issue reported by a rule or check
+   * @param {*} sanitizedValue - Sanitized field value
+   * @param {string} [locale] - Locale for the message
+   * @returns {ValidationResult} Invalid result with code and localized error
    */
-  function isEmpty(value) {
-    return value === null || 
-           value === undefined || 
-           (typeof value === 'string' && value.trim() === '');
+  function createInvalidResult(fieldName, issue, sanitizedValue, locale) {
+    let code = issue.code;
+    let params = issue.params || {};
+    let message = issue.message || null;
+
+    if (typeof issue === 'string') {
+      if (hasMessage(issue, fieldName)) {
+        code = issue;
+      } else {
+        // Legacy rules return finished sentences instead of codes
+        code = 'custom';
+        message = issue;
+      }
+    }
+
+    return {
+      valid: false,
+      error: message || formatMessage(code, params, { locale, fieldName }),
+      code,
+      sanitizedValue,
+    };
   }
 
   /**
-   * Gets validation rules for a specific field
-   * @param {string} fieldName - Name of the field
-   * @returns {ValidationRule|null} Validation rules or null if not found
+   * Resolves the BusinessHours module (window global in the browser, require in Node)
+   * @returns {Object|null} BusinessHours API, or null when it is not loaded
    */
-  function getFieldRules(fieldName) {
-    return VALIDATION_RULES[fieldName] || null;
+  function getBusinessHours() {
+    if (typeof window !== 'undefined' && window.BusinessHours) {
+      return window.BusinessHours;
+    }
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      return require('./business-hours.js');
+    }
+    return null;
   }
 
   /**
-   * Checks if a field is required
-   * @param {string} fieldName - Name of the field
-   * @returns {boolean} True if field is required
+   * Resolves the ServiceArea module (window global in the browser, require in Node)
+   * @returns {Object|null} ServiceArea API, or null when it is not loaded
    */
-  function isFieldRequired(fieldName) {
-    const rules = VALIDATION_RULES[fieldName];
-    return rules ? rules.required : false;
+  function getServiceArea() {
+    if (typeof window !== 'undefined' && window.ServiceArea) {
+      return window.ServiceArea;
+    }
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      return require('./service-area.js');
+    }
+    return null;
   }
 
   /**
-   * Gets all required field names
-   * @returns {Array<string>} Array of required field names
+   * Resolves the MaintenancePlans module (window global in the browser, require in Node)
+   * @returns {Object|null} MaintenancePlans API, or null when it is not loaded
    */
-  function getRequiredFields() {
-    return Object.keys(VALIDATION_RULES).filter(fieldName => 
-      VALIDATION_RULES[fieldName].required
-    );
+  function getMaintenancePlans() {
+    if (typeof window !== 'undefined' && window.MaintenancePlans) {
+      return window.MaintenancePlans;
+    }
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      return require('./maintenance-plans.js');
+    }
+    return null;
+  }
+
+  /**
+   * Splits off a trailing extension ("x123", "ext. 123", "#123", ";ext=123")
+   * @param {string} value - Phone number as typed
+   * @returns {{main: string, extension: string}} Number and extension digits
+   */
+  function splitPhoneExtension(value) {
+    const match = value.match(PHONE_RULES.extensionPattern);
+
+    if (!match) {
+      return { main: value, extension: '' };
+    }
+
+    return {
+      main: value.slice(0, match.index),
+      extension: match[1],
+    };
+  }
+
+  /**
+   * Detects the country calling code at the start of an international number
+   * @param {string} digits - Digits after the international prefix
+   * @returns {string} Country code
+   */
+  function detectCountryCode(digits) {
+    if (digits[0] === '1' || digits[0] === '7') {
+      return digits[0];
+    }
+    if (PHONE_RULES.twoDigitCountryCodes.includes(digits.slice(0, 2))) {
+      return digits.slice(0, 2);
+    }
+    return digits.slice(0, 3);
+  }
+
+  /**
+   * Checks NANP area code and exchange (NXX-NXX) rules
+   * @param {string} nationalNumber - Ten-digit national number
+   * @returns {ValidationIssue} Issue or null when valid
+   */
+  function checkNanpNumber(nationalNumber) {
+    const areaCode = nationalNumber.slice(0, 3);
+    const exchange = nationalNumber.slice(3, 6);
+    const isServiceCode = (code) => code[1] === '1' && code[2] === '1'; // N11 (211, 911, ...)
+
+    // N = 2-9; a 9 in the middle of an area code is reserved for expansion
+    if (!/^[2-9]/.test(areaCode) || areaCode[1] === '9' || isServiceCode(areaCode)) {
+      return { code: 'invalidAreaCode', params: { areaCode } };
+    }
+    if (!/^[2-9]/.test(exchange) || isServiceCode(exchange)) {
+      return { code: 'invalidExchange', params: { exchange } };
+    }
+    return null;
+  }
+
+  /**
+   * Groups digits for display
+   * @param {string} countryCode - Country calling code
+   * @param {string} nationalNumber - National significant number
+   * @returns {string} Display format
+   */
+  function formatPhoneDisplay(countryCode, nationalNumber) {
+    if (countryCode === PHONE_RULES.defaultCountryCode && nationalNumber.length === 10) {
+      return `(${nationalNumber.slice(0, 3)}) ${nationalNumber.slice(3, 6)}-${nationalNumber.slice(6)}`;
+    }
+
+    // Generic grouping in threes, keeping the last four digits together
+    const groups = [];
+    let rest = nationalNumber;
+    while (rest.length > 4) {
+      groups.push(rest.slice(0, 3));
+      rest = rest.slice(3);
+    }
+    groups.push(rest);
+
+    return `+${countryCode} ${groups.join(' ')}`;
+  }
+
+  /**
+   * Parses a phone number into E.164 and display forms.
+   * Numbers without an international prefix (+, 00 or 011) are treated as NANP.
+   * @param {string} value - Phone number as typed
+   * @returns {ParsedPhoneNumber} Parse result
+   */
+  function parsePhoneNumber(value) {
+    const { main, extension } = splitPhoneExtension(String(value || '').trim());
+    const invalid = (issue) => ({
+      valid: false,
+      issue,
+      countryCode: '',
+      nationalNumber: '',
+      extension,
+      e164: '',
+      display: String(value || '').trim(),
+    });
+
+    if (!/^[\d\s\-().+]*$/.test(main) || main.indexOf('+') > 0) {
+      return invalid('invalid');
+    }
+
+    let digits = main.replace(/\D/g, '');
+    let international = main.startsWith('+');
+
+    if (!international && /^(?:00|011)/.test(digits)) {
+      digits = digits.replace(/^(?:00|011)/, '');
+      international = true;
+    }
+
+    let countryCode;
+    let nationalNumber;
+
+    if (international) {
+      if (digits.length < PHONE_RULES.minDigits) {
+        return invalid({ code: 'tooFewDigits', params: { min: PHONE_RULES.minDigits, count: PHONE_RULES.minDigits } });
+      }
+      countryCode = detectCountryCode(digits);
+      nationalNumber = digits.slice(countryCode.length);
+    } else {
+      // Optional leading trunk prefix: 1 555 234 5678
+      nationalNumber = digits.length === 11 && digits[0] === '1' ? digits.slice(1) : digits;
+      countryCode = PHONE_RULES.defaultCountryCode;
+
+      if (nationalNumber.length < 10) {
+        return invalid({ code: 'tooFewDigits', params: { min: 10, count: 10 } });
+      }
+    }
+
+    if (countryCode.length + nationalNumber.length > PHONE_RULES.maxDigits) {
+      return invalid({ code: 'tooManyDigits', params: { max: PHONE_RULES.maxDigits, count: PHONE_RULES.maxDigits } });
+    }
+
+    if (countryCode === PHONE_RULES.defaultCountryCode) {
+      if (nationalNumber.length !== 10) {
+        return invalid(nationalNumber.length < 10
+          ? { code: 'tooFewDigits', params: { min: 10, count: 10 } }
+          : { code: 'tooManyDigits', params: { max: 11, count: 11 } });
+      }
+      const nanpIssue = checkNanpNumber(nationalNumber);
+      if (nanpIssue) {
+        return invalid(nanpIssue);
+      }
+    }
+
+    const display = formatPhoneDisplay(countryCode, nationalNumber);
+
+    return {
+      valid: true,
+      issue: null,
+      countryCode,
+      nationalNumber,
+      extension,
+      e164: `+${countryCode}${nationalNumber}`,
+      display: extension ? `${display} ext. ${extension}` : display,
+    };
+  }
+
+  /**
+   * Formats a partially typed phone number for display while typing.
+   * Only digits, a leading '+' and the extension are kept from the input.
+   * @param {string} value - Current input value
+   * @returns {string} Formatted value
+   */
+  function formatPhoneAsYouType(value) {
+    const { main, extension } = splitPhoneExtension(String(value || ''));
+    const extensionMatch = String(value || '').match(PHONE_RULES.extensionPattern);
+    // Keep a half-typed extension marker ("555 234 5678 x") as it is
+    const pendingMarker = !extensionMatch && /\s*(?:ext\.?|x|#)\s*$/i.exec(main);
+    const number = pendingMarker ? main.slice(0, pendingMarker.index) : main;
+    const digits = number.replace(/\D/g, '');
+    let formatted;
+
+    if (number.trim().startsWith('+')) {
+      if (digits[0] === '1') {
+        formatted = '+1' + (digits.length > 1 ? ' ' + formatNanpPartial(digits.slice(1)) : '');
+      } else {
+        const countryCode = digits.length > 3 ? detectCountryCode(digits) : digits;
+        const rest = digits.slice(countryCode.length);
+        formatted = `+${countryCode}` + (rest ? ' ' + (rest.match(/.{1,3}/g) || []).join(' ') : '');
+      }
+    } else if (digits.length === 11 && digits[0] === '1') {
+      formatted = '1 ' + formatNanpPartial(digits.slice(1));
+    } else if (digits.length <= 10) {
+      formatted = formatNanpPartial(digits);
+    } else {
+      formatted = digits; // Not a NANP number - don't impose a shape on it
+    }
+
+    if (extensionMatch) {
+      return `${formatted} x${extension}`;
+    }
+    if (pendingMarker) {
+      return `${formatted} x`;
+    }
+    return formatted;
+  }
+
+  /**
+   * Formats up to ten NANP digits: 555, (555) 23, (555) 234-5
+   * @param {string} digits - National digits typed so far
+   * @returns {string} Partially formatted number
+   */
+  function formatNanpPartial(digits) {
+    if (digits.length <= 3) {
+      return digits;
+    }
+    if (digits.length <= 6) {
+      return `(${digits.slice(0, 3)}) ${digits.slice(3)}`;
+    }
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6, 10)}`;
+  }
+
+  /**
+   * Validates all form fields
+   * @param {Object.<string, string>} formData - Form data as key-value pairs
+   * @param {Object} [options] - Options
+   * @param {string} [options.locale] - Locale for error messages
+   * @param {string} [options.scope] - Form whose rules apply (DEFAULT_SCOPE when unset)
+   * @param {number} [options.now] - Time that date rules compare against (ms since epoch, default now)
+   * @returns {Object} Validation results with errors and codes maps and overall validity
+   */
+  function validateForm(formData, options = {}) {
+    const errors = new Map();
+    const codes = new Map();
+    const sanitizedData = {};
+    const scope = options.scope || DEFAULT_SCOPE;
+    const sanitizedFormData = sanitizeFormData(formData);
+    let isValid = true;
+
+    // Validate each field that has rules in this form
+    ruleRegistry.forEach((rules, fieldName) => {
+      if (!isInScope(rules, scope)) {
+        return;
+      }
+
+      const value = formData[fieldName] || '';
+      const result = validateField(fieldName, value, { ...options, formData, sanitizedFormData });
+      
+      sanitizedData[fieldName] = result.sanitizedValue;
+      
+      if (!result.valid) {
+        errors.set(fieldName, result.error);
+        codes.set(fieldName, result.code);
+        isValid = false;
+      } else if (rules.normalize && result.sanitizedValue) {
+        Object.assign(sanitizedData, rules.normalize(result.sanitizedValue, formData));
+      }
+    });
+
+    return {
+      valid: isValid,
+      errors,
+      codes,
+      sanitizedData,
+    };
+  }
+
+  /**
+   * Creates the error used to reject cancelled validations
+   * @param {string} [message] - Reason for the cancellation
+   * @returns {Error} Error whose name is 'AbortError'
+   */
+  function createAbortError(message = 'Validation aborted') {
+    if (typeof DOMException === 'function') {
+      return new DOMException(message, 'AbortError');
+    }
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Checks whether an error represents a cancelled validation
+   * @param {*} error - Error to inspect
+   * @returns {boolean} True for AbortError
+   */
+  function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Runs one async check with its own timeout, linked to the caller's signal
+   * @param {AsyncCheck} check - Check to run
+   * @param {string} value - Sanitized value
+   * @param {ValidationRule} rules - Field rules
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<{issue: ValidationIssue, skipped: boolean}>} Check outcome
+   */
+  function runAsyncCheck(check, value, rules, signal) {
+    const controller = new AbortController();
+    const timeout = check.timeout || ASYNC_DEFAULTS.checkTimeout;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const finish = (callback) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback();
+      };
+
+      const onAbort = () => {
+        controller.abort();
+        finish(() => reject(createAbortError()));
+      };
+
+      const timeoutId = setTimeout(() => {
+        controller.abort();
+        log.warn(`Async check "${check.name}" timed out after ${timeout}ms, skipping`);
+        finish(() => resolve({ issue: null, skipped: true }));
+      }, timeout);
+
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      Promise.resolve()
+        .then(() => check.validate(value, { signal: controller.signal, rules }))
+        .then(
+          (issue) => finish(() => resolve({ issue: issue || null, skipped: false })),
+          (error) => {
+            // A broken lookup should not block the visitor - skip the check
+            log.warn(`Async check "${check.name}" failed, skipping:`, error && error.message);
+            finish(() => resolve({ issue: null, skipped: true }));
+          }
+        );
+    });
+  }
+
+  /**
+   * Validates a field with its sync rules, then its async checks.
+   * Rejects with an AbortError if options.signal is aborted.
+   * @param {string} fieldName - Name of the field to validate
+   * @param {string} value - Value to validate
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels pending checks
+   * @param {string} [options.locale] - Locale for the error message
+   * @returns {Promise<AsyncValidationResult>} Validation result
+   */
+  async function validateFieldAsync(fieldName, value, options = {}) {
+    const { signal } = options;
+
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
+    const result = validateField(fieldName, value, options);
+    const rules = ruleRegistry.get(fieldName);
+    const checks = rules && rules.asyncChecks ? rules.asyncChecks : [];
+
+    if (!result.valid || checks.length === 0 || !result.sanitizedValue) {
+      return { ...result, skippedChecks: [] };
+    }
+
+    const outcomes = await Promise.all(
+      checks.map((check) => runAsyncCheck(check, result.sanitizedValue, rules, signal))
+    );
+
+    const failed = outcomes.find((outcome) => outcome.issue);
+    const skippedChecks = checks
+      .filter((check, index) => outcomes[index].skipped)
+      .map((check) => check.name);
+
+    if (failed) {
+      return {
+        ...createInvalidResult(fieldName, failed.issue, result.sanitizedValue, options.locale),
+        skippedChecks,
+      };
+    }
+
+    return {
+      ...result,
+      skippedChecks,
+    };
+  }
+
+  /**
+   * Validates all form fields including async checks
+   * @param {Object.<string, string>} formData - Form data as key-value pairs
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels pending checks
+   * @returns {Promise<Object>} Same shape as validateForm plus skippedChecks
+   */
+  async function validateFormAsync(formData, options = {}) {
+    const validation = validateForm(formData, options);
+    const skippedChecks = [];
+
+    const asyncFields = getRegisteredFields(options.scope || DEFAULT_SCOPE).filter((fieldName) => {
+      const rules = ruleRegistry.get(fieldName);
+      return rules.asyncChecks && rules.asyncChecks.length > 0 && !validation.errors.has(fieldName);
+    });
+
+    const fieldOptions = { ...options, formData, sanitizedFormData: sanitizeFormData(formData) };
+    const results = await Promise.all(
+      asyncFields.map((fieldName) => validateFieldAsync(fieldName, formData[fieldName] || '', fieldOptions))
+    );
+
+    results.forEach((result, index) => {
+      const fieldName = asyncFields[index];
+      skippedChecks.push(...result.skippedChecks.map((name) => `${fieldName}:${name}`));
+
+      if (!result.valid) {
+        validation.errors.set(fieldName, result.error);
+        validation.codes.set(fieldName, result.code);
+        validation.valid = false;
+      }
+    });
+
+    return {
+      ...validation,
+      skippedChecks,
+    };
+  }
+
+  /**
+   * Validates email format with comprehensive checks
+   * @param {string} email - Email address to validate
+   * @returns {ValidationResult} Validation result
+   */
+  function validateEmail(email) {
+    return validateField('email', email);
+  }
+
+  /**
+   * Validates phone number format
+   * @param {string} phone - Phone number to validate
+   * @returns {ValidationResult} Validation result
+   */
+  function validatePhone(phone) {
+    return validateField('phone', phone);
+  }
+
+  /**
+   * Validates name format
+   * @param {string} name - Name to validate
+   * @returns {ValidationResult} Validation result
+   */
+  function validateName(name) {
+    return validateField('name', name);
+  }
+
+  /**
+   * Validates service selection
+   * @param {string} service - Service value to validate
+   * @returns {ValidationResult} Validation result
+   */
+  function validateService(service) {
+    return validateField('service', service);
+  }
+
+  /**
+   * Validates message content
+   * @param {string} message - Message to validate
+   * @returns {ValidationResult} Validation result
+   */
+  function validateMessage(message) {
+    return validateField('message', message);
+  }
+
+  /**
+   * Formats field name for display in error messages
+   * @param {string} fieldName - Field name to format
+   * @param {string} [locale] - Locale for the display name
+   * @returns {string} Formatted field name
+   */
+  function formatFieldName(fieldName, locale) {
+    const resolved = resolveLocale(locale);
+    const fields = MESSAGES[resolved].fields;
+    const fallbackFields = MESSAGES[DEFAULT_LOCALE].fields;
+
+    return fields[fieldName] ||
+      fallbackFields[fieldName] ||
+      fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+  }
+
+  /**
+   * Resolves the locale to use for messages: the explicit one, then
+   * setLocale(), then <html lang>, reduced to a locale that has a catalog
+   * @param {string} [locale] - Explicitly requested locale
+   * @returns {string} Locale with a message catalog (e.g. 'es' for 'es-MX')
+   */
+  function resolveLocale(locale) {
+    const documentLocale = typeof document !== 'undefined' && document.documentElement
+      ? document.documentElement.lang
+      : '';
+    const requested = String(locale || activeLocale || documentLocale || DEFAULT_LOCALE).toLowerCase();
+
+    if (MESSAGES[requested]) {
+      return requested;
+    }
+
+    const language = requested.split(/[-_]/)[0];
+    return MESSAGES[language] ? language : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Sets the locale for messages, overriding <html lang>
+   * @param {string|null} locale - Locale tag, or null to follow <html lang> again
+   * @returns {string} The locale now in effect
+   */
+  function setLocale(locale) {
+    activeLocale = locale || null;
+    return resolveLocale();
+  }
+
+  /**
+   * Gets the locale currently used for messages
+   * @returns {string} Resolved locale
+   */
+  function getLocale() {
+    return resolveLocale();
+  }
+
+  /**
+   * Adds or overrides messages for a locale
+   * @param {string} locale - Locale tag (e.g. 'es')
+   * @param {Partial<MessageCatalog>} catalog - Field names and/or error templates
+   * @returns {void}
+   */
+  function registerMessages(locale, catalog) {
+    const key = String(locale).toLowerCase();
+    const existing = MESSAGES[key] || { fields: {}, errors: {} };
+
+    MESSAGES[key] = {
+      fields: { ...existing.fields, ...(catalog.fields || {}) },
+      errors: { ...existing.errors, ...(catalog.errors || {}) },
+    };
+  }
+
+  /**
+   * Finds the template for a code, preferring the field-specific entry and
+   * the requested locale before falling back to the default locale
+   * @param {string} code - Error code
+   * @param {string} locale - Resolved locale
+   * @param {string} [fieldName] - Field the message is about
+   * @returns {string|Object|null} Template or plural forms
+   */
+  function findTemplate(code, locale, fieldName) {
+    const locales = locale === DEFAULT_LOCALE ? [locale] : [locale, DEFAULT_LOCALE];
+
+    for (const candidate of locales) {
+      const errors = MESSAGES[candidate].errors;
+      if (fieldName && errors[`${fieldName}.${code}`]) {
+        return errors[`${fieldName}.${code}`];
+      }
+      if (errors[code]) {
+        return errors[code];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks whether a catalog entry exists for a code
+   * @param {string} code - Error code
+   * @param {string} [fieldName] - Field the message is about
+   * @returns {boolean} True if the code can be translated
+   */
+  function hasMessage(code, fieldName) {
+    return findTemplate(code, DEFAULT_LOCALE, fieldName) !== null;
+  }
+
+  /**
+   * Formats the localized message for an error code.
+   * {name} placeholders are replaced from params (numbers are locale-formatted)
+   * and {field} defaults to the localized field name.
+   * @param {string} code - Error code
+   * @param {Object} [params] - Interpolation values; params.count selects plural forms
+   * @param {Object} [options] - Options
+   * @param {string} [options.locale] - Locale for the message
+   * @param {string} [options.fieldName] - Field the message is about
+   * @returns {string} Localized message (the code itself if no template exists)
+   */
+  function formatMessage(code, params = {}, options = {}) {
+    const locale = resolveLocale(options.locale);
+    let template = findTemplate(code, locale, options.fieldName);
+
+    if (template === null) {
+      return code;
+    }
+
+    if (typeof template === 'object') {
+      const count = Number(params.count);
+      const category = Number.isFinite(count) ? new Intl.PluralRules(locale).select(count) : 'other';
+      template = template[category] || template.other;
+    }
+
+    const values = {
+      ...params,
+      field: params.field || (options.fieldName ? formatFieldName(options.fieldName, locale) : ''),
+    };
+    const numberFormat = new Intl.NumberFormat(locale);
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+      if (!(key in values)) {
+        return placeholder;
+      }
+      return typeof values[key] === 'number' ? numberFormat.format(values[key]) : String(values[key]);
+    });
+  }
+
+  /**
+   * Sanitizes a string value by removing potentially harmful content
+   * @param {string} value - Value to sanitize
+   * @returns {string} Sanitized value
+   */
+  function sanitizeString(value) {
+    if (typeof value !== 'string') return '';
+    
+    return value
+      .trim()
+      .replace(/[<>]/g, '') // Remove angle brackets
+      .replace(/\s+/g, ' ') // Normalize whitespace
+      .slice(0, 1000); // Limit length
+  }
+
+  /**
+   * Checks if a value is empty (null, undefined, empty string, or whitespace)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is empty
+   */
+  function isEmpty(value) {
+    return value === null || 
+           value === undefined || 
+           (typeof value === 'string' && value.trim() === '');
+  }
+
+  /**
+   * Gets validation rules for a specific field
+   * @param {string} fieldName - Name of the field
+   * @returns {ValidationRule|null} Validation rules or null if not found
+   */
+  function getFieldRules(fieldName) {
+    return ruleRegistry.get(fieldName) || null;
+  }
+
+  /**
+   * Checks if a field is required
+   * @param {string} fieldName - Name of the field
+   * @param {Object} [formData] - Whole form data; without it requiredIf conditions count as unmet
+   * @returns {boolean} True if field is required
+   */
+  function isFieldRequired(fieldName, formData) {
+    const rules = ruleRegistry.get(fieldName);
+
+    if (!rules) {
+      return false;
+    }
+    return formData ? isRuleRequired(rules, sanitizeFormData(formData)) : !!rules.required;
+  }
+
+  /**
+   * Gets the fields whose rules depend on a field, through requiredIf or dependsOn
+   * @param {string} fieldName - Controlling field
+   * @returns {Array<string>} Dependent field names in validation order
+   */
+  function getDependentFields(fieldName) {
+    return getRegisteredFields().filter((name) => {
+      const rules = ruleRegistry.get(name);
+      return (rules.requiredIf && rules.requiredIf.field === fieldName) ||
+        (Array.isArray(rules.dependsOn) && rules.dependsOn.includes(fieldName));
+    });
+  }
+
+  /**
+   * Gets all required field names
+   * @param {string} [scope] - Only fields of this form (all fields when unset)
+   * @returns {Array<string>} Array of required field names
+   */
+  function getRequiredFields(scope) {
+    return getRegisteredFields(scope).filter(fieldName => 
+      ruleRegistry.get(fieldName).required
+    );
+  }
+
+  /**
+   * Gets the names of all fields with registered rules
+   * @param {string} [scope] - Only fields of this form (all fields when unset)
+   * @returns {Array<string>} Field names in validation order
+   */
+  function getRegisteredFields(scope) {
+    const fieldNames = Array.from(ruleRegistry.keys());
+    return scope ? fieldNames.filter((fieldName) => isInScope(ruleRegistry.get(fieldName), scope)) : fieldNames;
+  }
+
+  /**
+   * Checks whether a rule belongs to a form
+   * @param {ValidationRule} rules - Field rules
+   * @param {string} scope - Form scope
+   * @returns {boolean}
+   */
+  function isInScope(rules, scope) {
+    return (rules.scopes || [DEFAULT_SCOPE]).includes(scope);
+  }
+
+  /**
+   * Registers (or replaces) the validation rule for a field
+   * @param {string} fieldName - Name of the field
+   * @param {ValidationRule} rule - Rule definition
+   * @returns {ValidationRule} The frozen registered rule
+   */
+  function registerRule(fieldName, rule) {
+    if (!fieldName || typeof fieldName !== 'string') {
+      throw new TypeError('registerRule: fieldName must be a non-empty string');
+    }
+    if (!rule || typeof rule !== 'object') {
+      throw new TypeError(`registerRule: rule for "${fieldName}" must be an object`);
+    }
+
+    const problems = checkRule(fieldName, rule);
+    if (problems.length > 0) {
+      throw new TypeError(`registerRule: ${problems.join('; ')}`);
+    }
+
+    const registered = Object.freeze({ required: false, ...rule });
+    ruleRegistry.set(fieldName, registered);
+    return registered;
+  }
+
+  /**
+   * Merges overrides into a field's existing rule (or registers a new one)
+   * @param {string} fieldName - Name of the field
+   * @param {Partial<ValidationRule>} overrides - Properties to change
+   * @returns {ValidationRule} The updated rule
+   */
+  function extendRules(fieldName, overrides) {
+    const existing = ruleRegistry.get(fieldName) || {};
+    return registerRule(fieldName, { ...existing, ...overrides });
+  }
+
+  /**
+   * Removes the validation rule for a field
+   * @param {string} fieldName - Name of the field
+   * @returns {boolean} True if a rule was removed
+   */
+  function removeRule(fieldName) {
+    return ruleRegistry.delete(fieldName);
+  }
+
+  /**
+   * Restores the registry to the default VALIDATION_RULES
+   * @returns {void}
+   */
+  function resetRules() {
+    ruleRegistry.clear();
+    Object.keys(VALIDATION_RULES).forEach((fieldName) => {
+      ruleRegistry.set(fieldName, VALIDATION_RULES[fieldName]);
+    });
+  }
+
+  /**
+   * Reads validation constraints from a form control's markup
+   * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} control - Form control
+   * @returns {Partial<ValidationRule>} Constraints declared by the markup
+   */
+  function readMarkupConstraints(control) {
+    const constraints = {
+      required: control.hasAttribute('required'),
+    };
+
+    if (control.hasAttribute('minlength')) {
+      constraints.minLength = parseInt(control.getAttribute('minlength'), 10);
+    }
+
+    if (control.hasAttribute('maxlength')) {
+      constraints.maxLength = parseInt(control.getAttribute('maxlength'), 10);
+    }
+
+    if (control.hasAttribute('pattern')) {
+      try {
+        // HTML patterns are implicitly anchored to the whole value
+        constraints.pattern = new RegExp(`^(?:${control.getAttribute('pattern')})$`, 'u');
+      } catch (error) {
+        log.warn(`Ignoring invalid pattern on "${control.name}":`, error.message);
+      }
+    } else if (TYPE_PATTERNS[control.type]) {
+      constraints.pattern = TYPE_PATTERNS[control.type];
+    }
+
+    if (control.tagName === 'SELECT') {
+      constraints.allowedValues = Array.from(control.options)
+        .map((option) => option.value)
+        .filter((value) => value !== '');
+    }
+
+    if (control.type === 'file') {
+      const accepted = (control.getAttribute('accept') || '')
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+
+      constraints.type = 'file';
+      constraints.multiple = control.hasAttribute('multiple');
+      if (accepted.some((item) => item.includes('/'))) {
+        constraints.accept = accepted.filter((item) => item.includes('/'));
+      }
+      if (accepted.some((item) => item.startsWith('.'))) {
+        constraints.extensions = accepted.filter((item) => item.startsWith('.'));
+      }
+    }
+
+    if (isChoiceControl(control)) {
+      const group = getControlGroup(control);
+      constraints.required = group.some((member) => member.hasAttribute('required'));
+      constraints.allowedValues = group.map((member) => member.value);
+      if (control.type === 'checkbox' && group.length > 1) {
+        constraints.multiple = true;
+      }
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Whether a control is a radio button or checkbox
+   * @param {HTMLElement} control - Form control
+   * @returns {boolean}
+   */
+  function isChoiceControl(control) {
+    return control.type === 'radio' || control.type === 'checkbox';
+  }
+
+  /**
+   * Gets every control of a form that shares a control's name
+   * @param {HTMLElement} control - Form control
+   * @returns {Array<HTMLElement>} Controls in the group (at least the control itself)
+   */
+  function getControlGroup(control) {
+    if (!control.form) {
+      return [control];
+    }
+    return Array.from(control.form.elements).filter((member) => member.name === control.name);
+  }
+
+  /**
+   * Reads the current value of a named field. Radio groups give the checked
+   * value, checkbox groups with a multiple rule give an array of checked values
+   * and file inputs give an array of their files.
+   * @param {HTMLFormElement} form - Form element
+   * @param {string} fieldName - Field name
+   * @returns {string|Array<string>|Array<File>} Field value ('' when missing)
+   */
+  function readControlValue(form, fieldName) {
+    const group = Array.from(form.elements).filter((control) => control.name === fieldName);
+    const first = group[0];
+    const rules = ruleRegistry.get(fieldName);
+
+    if (!first) {
+      return '';
+    }
+
+    if (first.type === 'file') {
+      return Array.from(first.files || []);
+    }
+
+    if (isChoiceControl(first)) {
+      const checked = group.filter((control) => control.checked).map((control) => control.value);
+      return rules && rules.multiple ? checked : (checked[0] || '');
+    }
+
+    return first.value;
+  }
+
+  /**
+   * Collects the values of a form's validated controls
+   * @param {HTMLFormElement} form - Form element
+   * @param {Array<string>} [fieldNames] - Limit to these fields (default: every named control)
+   * @returns {Object.<string, string|Array<string>>} Values keyed by field name
+   */
+  function collectFormData(form, fieldNames) {
+    const names = fieldNames || getNamedControls(form).map((control) => control.name);
+    const formData = {};
+
+    names.forEach((fieldName) => {
+      formData[fieldName] = readControlValue(form, fieldName);
+    });
+
+    return formData;
+  }
+
+  /**
+   * Derives rules from a form's markup (required, minlength, maxlength,
+   * pattern, type=email/tel, <option> values and radio/checkbox groups).
+   * Registered rules stay authoritative because the server shares them, so
+   * markup only fills in constraints a rule does not declare, and fields
+   * without any rule get one built entirely from their markup.
+   * @param {HTMLFormElement} form - Form to read
+   * @param {Object} [options] - Options
+   * @param {string} [options.scope] - Scope given to rules built from markup (DEFAULT_SCOPE when unset)
+   * @returns {Array<string>} Names of fields whose rules were added or extended
+   */
+  function deriveRulesFromForm(form, options = {}) {
+    const changed = [];
+
+    getNamedControls(form).forEach((control) => {
+      const constraints = readMarkupConstraints(control);
+      const existing = ruleRegistry.get(control.name);
+
+      if (!existing) {
+        registerRule(control.name, {
+          ...constraints,
+          scopes: [options.scope || DEFAULT_SCOPE],
+          source: 'markup',
+        });
+        changed.push(control.name);
+        return;
+      }
+
+      if (existing.dynamicOptions) {
+        delete constraints.allowedValues;
+      }
+
+      const missing = {};
+      Object.keys(constraints).forEach((key) => {
+        if (existing[key] === undefined) {
+          missing[key] = constraints[key];
+        }
+      });
+
+      if (Object.keys(missing).length > 0) {
+        extendRules(control.name, missing);
+        changed.push(control.name);
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Gets the named, user-editable controls of a form
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Array<HTMLElement>} Controls with a name attribute
+   */
+  function getNamedControls(form) {
+    return Array.from(form.elements).filter((control) =>
+      control.name &&
+      !['submit', 'button', 'reset', 'fieldset', 'hidden'].includes(control.type) &&
+      control.tagName !== 'BUTTON' &&
+      control.getAttribute('data-validate') !== 'false' // e.g. the spam honeypot
+    );
+  }
+
+  /**
+   * Checks a single rule definition for internal consistency
+   * @param {string} fieldName - Name of the field
+   * @param {ValidationRule} rule - Rule definition
+   * @returns {Array<string>} Problems found (empty when consistent)
+   */
+  function checkRule(fieldName, rule) {
+    const problems = [];
+    const isLength = (value) => Number.isInteger(value) && value >= 0;
+
+    if (rule.required !== undefined && typeof rule.required !== 'boolean') {
+      problems.push(`"${fieldName}".required must be a boolean`);
+    }
+    ['multiple', 'dynamicOptions'].forEach((key) => {
+      if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+        problems.push(`"${fieldName}".${key} must be a boolean`);
+      }
+    });
+    if (rule.minLength !== undefined && !isLength(rule.minLength)) {
+      problems.push(`"${fieldName}".minLength must be a non-negative integer`);
+    }
+    if (rule.maxLength !== undefined && !isLength(rule.maxLength)) {
+      problems.push(`"${fieldName}".maxLength must be a non-negative integer`);
+    }
+    if (isLength(rule.minLength) && isLength(rule.maxLength) && rule.minLength > rule.maxLength) {
+      problems.push(`"${fieldName}".minLength (${rule.minLength}) exceeds maxLength (${rule.maxLength})`);
+    }
+    if (rule.pattern !== undefined && !(rule.pattern instanceof RegExp)) {
+      problems.push(`"${fieldName}".pattern must be a RegExp`);
+    }
+    if (rule.pattern instanceof RegExp && (rule.pattern.global || rule.pattern.sticky)) {
+      problems.push(`"${fieldName}".pattern must not use the g or y flag (test() would be stateful)`);
+    }
+    ['sanitize', 'additionalValidation', 'validateWith', 'normalize'].forEach((key) => {
+      if (rule[key] !== undefined && typeof rule[key] !== 'function') {
+        problems.push(`"${fieldName}".${key} must be a function`);
+      }
+    });
+    if (rule.type !== undefined && rule.type !== 'file') {
+      problems.push(`"${fieldName}".type must be 'file' when set`);
+    }
+    if (rule.requiredIf !== undefined) {
+      const condition = rule.requiredIf;
+      const isList = (list) => list === undefined || (Array.isArray(list) && list.every((item) => typeof item === 'string'));
+
+      if (!condition || typeof condition.field !== 'string' || !isList(condition.in) || !isList(condition.notIn)) {
+        problems.push(`"${fieldName}".requiredIf must be a { field, in?, notIn? } object with string arrays`);
+      } else if (condition.in && condition.notIn) {
+        problems.push(`"${fieldName}".requiredIf must not combine in and notIn`);
+      } else if (condition.field === fieldName) {
+        problems.push(`"${fieldName}".requiredIf cannot depend on the field itself`);
+      }
+      if (rule.required) {
+        problems.push(`"${fieldName}" has both required and requiredIf; requiredIf has no effect`);
+      }
+    }
+    if (rule.dependsOn !== undefined && !(Array.isArray(rule.dependsOn) && rule.dependsOn.every((item) => typeof item === 'string'))) {
+      problems.push(`"${fieldName}".dependsOn must be an array of field names`);
+    }
+    if (rule.scopes !== undefined &&
+      !(Array.isArray(rule.scopes) && rule.scopes.length > 0 && rule.scopes.every((item) => typeof item === 'string'))) {
+      problems.push(`"${fieldName}".scopes must be a non-empty array of strings`);
+    }
+    ['maxFiles', 'maxFileSize', 'maxTotalSize'].forEach((key) => {
+      if (rule[key] !== undefined && !(Number.isInteger(rule[key]) && rule[key] > 0)) {
+        problems.push(`"${fieldName}".${key} must be a positive integer`);
+      }
+    });
+    ['accept', 'extensions'].forEach((key) => {
+      if (rule[key] !== undefined && !(Array.isArray(rule[key]) && rule[key].every((item) => typeof item === 'string'))) {
+        problems.push(`"${fieldName}".${key} must be an array of strings`);
+      }
+    });
+    if (rule.asyncChecks !== undefined) {
+      const validChecks = Array.isArray(rule.asyncChecks) && rule.asyncChecks.every((check) =>
+        check && typeof check.name === 'string' && typeof check.validate === 'function'
+      );
+      if (!validChecks) {
+        problems.push(`"${fieldName}".asyncChecks must be an array of { name, validate } objects`);
+      }
+    }
+    if (rule.allowedValues !== undefined) {
+      if (!Array.isArray(rule.allowedValues) || rule.allowedValues.length === 0) {
+        problems.push(`"${fieldName}".allowedValues must be a non-empty array`);
+      } else if (rule.allowedValues.some((value) => typeof value !== 'string')) {
+        problems.push(`"${fieldName}".allowedValues must only contain strings`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validates the whole registered rule set, and optionally its agreement with
+   * a form's markup. Every problem is logged as a warning.
+   * @param {Object} [options] - Options
+   * @param {HTMLFormElement} [options.form] - Form whose markup should match the rules
+   * @param {string} [options.scope] - Scope of that form (DEFAULT_SCOPE when unset)
+   * @returns {Array<string>} Problems found (empty when consistent)
+   */
+  function validateRuleSet(options = {}) {
+    const problems = [];
+    const scope = options.scope || DEFAULT_SCOPE;
+
+    ruleRegistry.forEach((rule, fieldName) => {
+      problems.push(...checkRule(fieldName, rule));
+
+      const controllers = [].concat(rule.requiredIf ? rule.requiredIf.field : [], rule.dependsOn || []);
+      controllers.forEach((controller) => {
+        if (typeof controller !== 'string') {
+          return;
+        }
+        if (!ruleRegistry.has(controller)) {
+          problems.push(`"${fieldName}" depends on "${controller}", which has no validation rule`);
+          return;
+        }
+        (rule.scopes || [DEFAULT_SCOPE]).forEach((dependentScope) => {
+          if (!isInScope(ruleRegistry.get(controller), dependentScope)) {
+            problems.push(`"${fieldName}" depends on "${controller}", which is not part of the "${dependentScope}" form`);
+          }
+        });
+      });
+    });
+
+    if (options.form) {
+      const controls = getNamedControls(options.form);
+      const controlNames = new Set(controls.map((control) => control.name));
+
+      controls.forEach((control) => {
+        const rule = ruleRegistry.get(control.name);
+
+        if (!rule) {
+          problems.push(`Form field "${control.name}" has no validation rule`);
+          return;
+        }
+
+        if (!isInScope(rule, scope)) {
+          problems.push(`Form field "${control.name}" has a rule outside the "${scope}" scope, so it is never validated`);
+        }
+
+        if (control.tagName === 'SELECT' && Array.isArray(rule.allowedValues) && !rule.dynamicOptions) {
+          Array.from(control.options).forEach((option) => {
+            if (option.value !== '' && !rule.allowedValues.includes(option.value)) {
+              problems.push(
+                `Select "${control.name}" offers option "${option.value}" that is not in the rule's allowedValues ` +
+                `(${rule.allowedValues.join(', ')}); choosing it will always fail validation`
+              );
+            }
+          });
+        }
+
+        if (isChoiceControl(control) && Array.isArray(rule.allowedValues) && !rule.allowedValues.includes(control.value)) {
+          problems.push(
+            `${control.type === 'radio' ? 'Radio' : 'Checkbox'} "${control.name}" offers value "${control.value}" ` +
+            `that is not in the rule's allowedValues (${rule.allowedValues.join(', ')}); choosing it will always fail validation`
+          );
+        }
+
+        if (control.type === 'file' && rule.type !== 'file') {
+          problems.push(`File input "${control.name}" has a rule without type: 'file'`);
+        }
+
+        if (control.hasAttribute('required') && !rule.required && !rule.requiredIf) {
+          problems.push(`Field "${control.name}" is required in the markup but optional in its rule`);
+        }
+      });
+
+      ruleRegistry.forEach((rule, fieldName) => {
+        if (rule.required && isInScope(rule, scope) && !controlNames.has(fieldName)) {
+          problems.push(`Required rule "${fieldName}" has no matching form field`);
+        }
+      });
+    }
+
+    problems.forEach((problem) => {
+      log.warn(`Rule set inconsistency: ${problem}`);
+    });
+
+    return problems;
   }
 
   /**
    * Validates multiple fields at once with early exit on first error
    * @param {Object.<string, string>} fields - Fields to validate
+   * @param {Object} [options] - Options passed to validateField
    * @returns {ValidationResult|null} First validation error or null if all valid
    */
-  function validateFieldsFast(fields) {
+  function validateFieldsFast(fields, options = {}) {
     for (const [fieldName, value] of Object.entries(fields)) {
-      const result = validateField(fieldName, value);
+      const result = validateField(fieldName, value, options);
       if (!result.valid) {
         return {
           fieldName,
@@ -376,68 +2065,112 @@
   }
 
   /**
-   * Creates a debounced validation function
-   * @param {Function} validationFn - Validation function to debounce
+   * Creates a debounced validation function.
+   * The wrapped function receives an extra final argument `{ signal }`. A new
+   * call supersedes the previous one: a call still waiting on the timer and a
+   * call whose validation is in flight both reject with an AbortError.
+   * @param {Function} validationFn - Validation function to debounce (sync or async)
    * @param {number} delay - Debounce delay in milliseconds
-   * @returns {Function} Debounced validation function
+   * @returns {Function} Debounced validation function with a cancel() method
    */
   function createDebouncedValidator(validationFn, delay = 300) {
     let timeoutId = null;
-    
-    return function(...args) {
-      return new Promise((resolve) => {
-        if (timeoutId) {
-          clearTimeout(timeoutId);
-        }
-        
+    let pending = null;
+
+    const cancel = (reason = 'Superseded by a newer validation') => {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+      }
+      if (pending) {
+        pending.controller.abort();
+        pending.reject(createAbortError(reason));
+        pending = null;
+      }
+    };
+
+    const debounced = function(...args) {
+      cancel();
+
+      return new Promise((resolve, reject) => {
+        const call = { controller: new AbortController(), reject };
+        pending = call;
+
         timeoutId = setTimeout(() => {
-          const result = validationFn(...args);
-          resolve(result);
           timeoutId = null;
+
+          Promise.resolve()
+            .then(() => validationFn(...args, { signal: call.controller.signal }))
+            .then(
+              (result) => {
+                // Ignore results of calls that were superseded meanwhile
+                if (pending === call) {
+                  pending = null;
+                  resolve(result);
+                }
+              },
+              (error) => {
+                if (pending === call) {
+                  pending = null;
+                  reject(error);
+                }
+              }
+            );
         }, delay);
       });
     };
+
+    debounced.cancel = () => cancel('Validation cancelled');
+
+    return debounced;
   }
 
-  // Export validation utilities
+  // Export public API
+  const FormValidation = {
+    validateField,
+    validateForm,
+    validateFieldAsync,
+    validateFormAsync,
+    validateEmail,
+    validatePhone,
+    validateName,
+    validateService,
+    validateMessage,
+    sanitizeString,
+    isEmpty,
+    getFieldRules,
+    isFieldRequired,
+    getRequiredFields,
+    getDependentFields,
+    getRegisteredFields,
+    registerRule,
+    extendRules,
+    removeRule,
+    resetRules,
+    deriveRulesFromForm,
+    readControlValue,
+    collectFormData,
+    validateRuleSet,
+    validateFieldsFast,
+    createDebouncedValidator,
+    isAbortError,
+    parsePhoneNumber,
+    formatPhoneAsYouType,
+    formatMessage,
+    formatFieldName,
+    registerMessages,
+    setLocale,
+    getLocale,
+    VALIDATION_RULES,
+    MESSAGES,
+  };
+
   if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment
-    module.exports = {
-      validateField,
-      validateForm,
-      validateEmail,
-      validatePhone,
-      validateName,
-      validateService,
-      validateMessage,
-      sanitizeString,
-      isEmpty,
-      getFieldRules,
-      isFieldRequired,
-      getRequiredFields,
-      validateFieldsFast,
-      createDebouncedValidator,
-      VALIDATION_RULES,
-    };
+    module.exports = FormValidation;
   } else {
     // Browser environment - attach to window
-    window.FormValidation = {
-      validateField,
-      validateForm,
-      validateEmail,
-      validatePhone,
-      validateName,
-      validateService,
-      validateMessage,
-      sanitizeString,
-      isEmpty,
-      getFieldRules,
-      isFieldRequired,
-      getRequiredFields,
-      validateFieldsFast,
-      createDebouncedValidator,
-      VALIDATION_RULES,
-    };
+    window.FormValidation = FormValidation;
   }
 
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,306 @@
+/**
+ * Logger Module
+ * Namespaced, levelled logging for the page scripts. Pages stay silent by
+ * default; verbose output is switched on per namespace with a debug spec,
+ * e.g. "?debug=performance,form" or "?debug=*", or the same spec saved in
+ * localStorage under LOGGER_CONFIG.storageKey. "name:level" picks a level
+ * other than debug, e.g. "main:warn". In Node the spec comes from the DEBUG
+ * environment variable and warnings are shown by default.
+ *
+ * Sinks receive every record at or above their own level whatever the
+ * console shows, so warnings can be forwarded to a reporting endpoint.
+ *
+ * @module logger
+ */
+
+(function(root) {
+  'use strict';
+
+  // Logger settings
+  const LOGGER_CONFIG = Object.freeze({
+    levels: Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }),
+    browserLevel: 'silent', // Production pages print nothing
+    nodeLevel: 'warn', // The server shows rule-set warnings at start-up
+    debugLevel: 'debug', // Level of a namespace named in a spec without ":level"
+    queryParam: 'debug',
+    storageKey: 'thermocool:debug',
+    envVariable: 'DEBUG',
+    sinkLevel: 'warn',
+    endpointSinkLimit: 20, // Records an endpoint sink sends per page view
+  });
+
+  const isBrowser = typeof root.document !== 'undefined';
+
+  // Console level per namespace (lower case), '*' for all
+  let debugLevels = new Map();
+
+  // Registered sinks: { sink, level }
+  const sinks = [];
+
+  /**
+   * Log record passed to sinks
+   * @typedef {Object} LogRecord
+   * @property {number} time - ms since epoch
+   * @property {string} level - 'debug', 'info', 'warn' or 'error'
+   * @property {string} namespace - e.g. 'Performance'
+   * @property {string} message - Arguments joined into one line
+   * @property {Array<*>} args - Arguments as passed
+   */
+
+  /**
+   * Namespaced logger
+   * @typedef {Object} NamespacedLogger
+   * @property {function(...*): void} debug - Verbose detail
+   * @property {function(...*): void} info - Normal operation
+   * @property {function(...*): void} warn - Something is off but handled
+   * @property {function(...*): void} error - Something failed
+   * @property {function(string): void} group - Open a console group (shown at info level)
+   * @property {function(): void} groupEnd - Close the last group
+   * @property {function(string): boolean} isEnabled - Whether a level reaches the console
+   */
+
+  /**
+   * Parse a debug spec
+   * @param {string} spec - e.g. "performance,form:info" or "*"
+   * @returns {Map<string, string>} Level per namespace (lower case)
+   */
+  function parseSpec(spec) {
+    const levels = new Map();
+
+    String(spec || '').split(',').forEach((part) => {
+      const [name, level] = part.trim().toLowerCase().split(':');
+      if (!name) {
+        return;
+      }
+
+      const namespace = name === 'all' ? '*' : name;
+      const known = Object.prototype.hasOwnProperty.call(LOGGER_CONFIG.levels, level);
+      levels.set(namespace, known ? level : LOGGER_CONFIG.debugLevel);
+    });
+
+    return levels;
+  }
+
+  /**
+   * Read the debug spec of this context: localStorage then the query string in
+   * the browser (the query string wins), DEBUG in Node
+   * @returns {Map<string, string>}
+   */
+  function readSpec() {
+    if (!isBrowser) {
+      const env = typeof process !== 'undefined' && process.env ? process.env[LOGGER_CONFIG.envVariable] : '';
+      return parseSpec(env);
+    }
+
+    let stored = '';
+    try {
+      stored = root.localStorage.getItem(LOGGER_CONFIG.storageKey) || '';
+    } catch (error) {
+      // Storage blocked - query string only
+    }
+
+    const query = new URLSearchParams(root.location ? root.location.search : '').get(LOGGER_CONFIG.queryParam);
+
+    return new Map([...parseSpec(stored), ...parseSpec(query)]);
+  }
+
+  /**
+   * Console level of a namespace
+   * @param {string} namespace - Namespace
+   * @returns {string}
+   */
+  function getConsoleLevel(namespace) {
+    return debugLevels.get(namespace.toLowerCase()) ||
+      debugLevels.get('*') ||
+      (isBrowser ? LOGGER_CONFIG.browserLevel : LOGGER_CONFIG.nodeLevel);
+  }
+
+  /**
+   * Whether a level reaches a threshold
+   * @param {string} level - Record level
+   * @param {string} threshold - Minimum level
+   * @returns {boolean}
+   */
+  function reaches(level, threshold) {
+    return LOGGER_CONFIG.levels[level] >= LOGGER_CONFIG.levels[threshold];
+  }
+
+  /**
+   * Join log arguments into one line
+   * @param {Array<*>} args - Arguments
+   * @returns {string}
+   */
+  function formatArgs(args) {
+    return args.map((arg) => {
+      if (typeof arg === 'string') {
+        return arg;
+      }
+      if (arg instanceof Error) {
+        return `${arg.name}: ${arg.message}`;
+      }
+      try {
+        return JSON.stringify(arg);
+      } catch (error) {
+        return String(arg);
+      }
+    }).join(' ');
+  }
+
+  /**
+   * Send a record to the console (when its namespace shows that level) and to the sinks
+   * @param {string} level - Record level
+   * @param {string} namespace - Namespace
+   * @param {Array<*>} args - Arguments
+   * @returns {void}
+   */
+  function write(level, namespace, args) {
+    if (reaches(level, getConsoleLevel(namespace))) {
+      const method = level === 'warn' || level === 'error' ? level : 'log';
+      console[method](`[${namespace}]`, ...args);
+    }
+
+    const matching = sinks.filter((entry) => reaches(level, entry.level));
+    if (matching.length === 0) {
+      return;
+    }
+
+    const record = { time: Date.now(), level, namespace, message: formatArgs(args), args };
+    matching.forEach((entry) => {
+      try {
+        entry.sink(record);
+      } catch (error) {
+        // A broken sink must not break the caller
+      }
+    });
+  }
+
+  /**
+   * Create a logger for a namespace
+   * @param {string} namespace - e.g. 'Main', 'Performance', 'Form', 'Analytics'
+   * @returns {NamespacedLogger}
+   */
+  function create(namespace) {
+    // Whether each open group reached the console
+    const openGroups = [];
+
+    return {
+      debug: (...args) => write('debug', namespace, args),
+      info: (...args) => write('info', namespace, args),
+      warn: (...args) => write('warn', namespace, args),
+      error: (...args) => write('error', namespace, args),
+      group: (label) => {
+        const shown = reaches('info', getConsoleLevel(namespace));
+        openGroups.push(shown);
+        if (shown) {
+          console.group(`[${namespace}] ${label}`);
+        }
+      },
+      groupEnd: () => {
+        if (openGroups.pop()) {
+          console.groupEnd();
+        }
+      },
+      isEnabled: (level) => reaches(level, getConsoleLevel(namespace)),
+    };
+  }
+
+  /**
+   * Change the debug spec at runtime
+   * @param {string} spec - Debug spec; '' returns to the default
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist] - Also save it in localStorage for later page views
+   * @returns {void}
+   */
+  function setDebug(spec, options = {}) {
+    debugLevels = parseSpec(spec);
+
+    if (options.persist && isBrowser) {
+      try {
+        if (spec) {
+          root.localStorage.setItem(LOGGER_CONFIG.storageKey, spec);
+        } else {
+          root.localStorage.removeItem(LOGGER_CONFIG.storageKey);
+        }
+      } catch (error) {
+        // Storage blocked - this page view only
+      }
+    }
+  }
+
+  /**
+   * Add a sink
+   * @param {function(LogRecord): void} sink - Receives records
+   * @param {Object} [options] - Options
+   * @param {string} [options.level] - Lowest level it receives (default LOGGER_CONFIG.sinkLevel)
+   * @returns {function(): void} Remove the sink
+   */
+  function addSink(sink, options = {}) {
+    const entry = { sink, level: options.level || LOGGER_CONFIG.sinkLevel };
+    sinks.push(entry);
+
+    return () => {
+      const index = sinks.indexOf(entry);
+      if (index !== -1) {
+        sinks.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Sink that posts records to an endpoint, with sendBeacon or a keepalive
+   * fetch, up to LOGGER_CONFIG.endpointSinkLimit per page view
+   * @param {string} endpoint - Reporting URL
+   * @returns {function(LogRecord): void} Sink for addSink()
+   */
+  function createEndpointSink(endpoint) {
+    let sent = 0;
+
+    return (record) => {
+      if (sent >= LOGGER_CONFIG.endpointSinkLimit) {
+        return;
+      }
+      sent += 1;
+
+      const body = JSON.stringify({
+        time: record.time,
+        level: record.level,
+        namespace: record.namespace,
+        message: record.message,
+        page: root.location ? root.location.pathname : '',
+      });
+
+      if (root.navigator && typeof root.navigator.sendBeacon === 'function' &&
+        root.navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+      if (typeof root.fetch === 'function') {
+        root.fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          keepalive: true,
+        }).catch(() => {});
+      }
+    };
+  }
+
+  debugLevels = readSpec();
+
+  // Export public API
+  const Logger = {
+    create,
+    setDebug,
+    addSink,
+    createEndpointSink,
+    LOGGER_CONFIG,
+  };
+
+  // Attach to the global scope
+  root.Logger = Logger;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Logger;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
@@ -10,151 +10,73 @@
 (function() {
   'use strict';
 
-  // Performance monitoring state
-  const performanceMetrics = {
-    navigationStart: 0,
-    firstPaint: 0,
-    firstContentfulPaint: 0,
-    largestContentfulPaint: 0,
-    firstInputDelay: 0,
-    cumulativeLayoutShift: 0,
-    timeToInteractive: 0,
-  };
+  // Contact form submission settings
+  const SUBMISSION_CONFIG = Object.freeze({
+    timeout: 10000, // Abort a single request after 10s
+    uploadTimeout: 60000, // Requests carrying photos get longer on slow connections
+    maxRetries: 2, // Retries for network failures only
+    retryBaseDelay: 1000, // Doubled on every retry
+  });
 
-  /**
-   * Initialize performance monitoring with Web Vitals API
-   */
-  function initPerformanceMonitoring() {
-    // Store navigation start time
-    if (performance.timing) {
-      performanceMetrics.navigationStart = performance.timing.navigationStart;
-    }
+  // Real-user metrics collection
+  const METRICS_CONFIG = Object.freeze({
+    endpoint: '/rum',
+    sampleRate: 0.25, // A quarter of sessions is plenty for percentiles at our traffic
+  });
 
-    // Monitor Largest Contentful Paint (LCP)
-    if ('PerformanceObserver' in window) {
-      try {
-        const lcpObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          const lastEntry = entries[entries.length - 1];
-          performanceMetrics.largestContentfulPaint = lastEntry.renderTime || lastEntry.loadTime;
-          
-          // Log LCP metric
-          console.log('[Performance] LCP:', performanceMetrics.largestContentfulPaint.toFixed(2), 'ms');
-          
-          // Check if LCP meets threshold (2.5s)
-          if (performanceMetrics.largestContentfulPaint > 2500) {
-            console.warn('[Performance] LCP exceeds recommended threshold of 2.5s');
-          }
-        });
-        
-        lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
-      } catch (e) {
-        console.warn('[Performance] LCP monitoring not supported:', e);
-      }
+  // Forwarding of warnings and errors from every namespace
+  const LOGGING_CONFIG = Object.freeze({
+    endpoint: null, // URL that accepts the JSON records of Logger.createEndpointSink; null keeps them on the page
+    level: 'warn', // Lowest level forwarded
+  });
 
-      // Monitor First Input Delay (FID)
-      try {
-        const fidObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          entries.forEach((entry) => {
-            performanceMetrics.firstInputDelay = entry.processingStart - entry.startTime;
-            
-            console.log('[Performance] FID:', performanceMetrics.firstInputDelay.toFixed(2), 'ms');
-            
-            // Check if FID meets threshold (100ms)
-            if (performanceMetrics.firstInputDelay > 100) {
-              console.warn('[Performance] FID exceeds recommended threshold of 100ms');
-            }
-          });
-        });
-        
-        fidObserver.observe({ type: 'first-input', buffered: true });
-      } catch (e) {
-        console.warn('[Performance] FID monitoring not supported:', e);
-      }
+  // Async checks layered onto the shared rules (browser only - they call the backend)
+  const ASYNC_CHECKS = Object.freeze({
+    email: [
+      { name: 'duplicate-lead', timeout: 3000, validate: checkDuplicateLead },
+    ],
+  });
 
-      // Monitor Cumulative Layout Shift (CLS)
-      try {
-        let clsValue = 0;
-        const clsObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          entries.forEach((entry) => {
-            if (!entry.hadRecentInput) {
-              clsValue += entry.value;
-              performanceMetrics.cumulativeLayoutShift = clsValue;
-            }
-          });
-          
-          console.log('[Performance] CLS:', performanceMetrics.cumulativeLayoutShift.toFixed(3));
-          
-          // Check if CLS meets threshold (0.1)
-          if (performanceMetrics.cumulativeLayoutShift > 0.1) {
-            console.warn('[Performance] CLS exceeds recommended threshold of 0.1');
-          }
-        });
-        
-        clsObserver.observe({ type: 'layout-shift', buffered: true });
-      } catch (e) {
-        console.warn('[Performance] CLS monitoring not supported:', e);
-      }
+  // Debounced async validators per field name
+  const asyncFieldValidators = new Map();
 
-      // Monitor First Contentful Paint (FCP)
-      try {
-        const fcpObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          entries.forEach((entry) => {
-            if (entry.name === 'first-contentful-paint') {
-              performanceMetrics.firstContentfulPaint = entry.startTime;
-              console.log('[Performance] FCP:', performanceMetrics.firstContentfulPaint.toFixed(2), 'ms');
-            }
-          });
-        });
-        
-        fcpObserver.observe({ type: 'paint', buffered: true });
-      } catch (e) {
-        console.warn('[Performance] FCP monitoring not supported:', e);
-      }
-    }
+  // Per-session submit limiter (set up by initSpamProtection)
+  let submitRateLimiter = null;
 
-    // Monitor page load time
-    window.addEventListener('load', () => {
-      setTimeout(() => {
-        const loadTime = performance.timing.loadEventEnd - performance.timing.navigationStart;
-        console.log('[Performance] Page Load Time:', loadTime.toFixed(2), 'ms');
-        
-        // Check if load time meets threshold (3s)
-        if (loadTime > 3000) {
-          console.warn('[Performance] Page load time exceeds recommended threshold of 3s');
-        }
+  // Multi-step quote wizard controller (null without QuoteWizard)
+  let quoteWizard = null;
 
-        // Log complete performance summary
-        logPerformanceSummary();
-      }, 0);
-    });
+  // Contact form draft autosave (null without FormDraft or sessionStorage)
+  let formDraft = null;
+
+  // Photo attachment list (null when the browser cannot enhance the file input)
+  let photoAttachments = null;
+
+  const mainLog = window.Logger.create('Main');
+  const performanceLog = window.Logger.create('Performance');
+  const formLog = window.Logger.create('Form');
+
+  /**
+   * Forward warnings and errors to LOGGING_CONFIG.endpoint, when one is set
+   */
+  function initLogReporting() {
+    if (!LOGGING_CONFIG.endpoint) {
+      return;
+    }
+
+    window.Logger.addSink(window.Logger.createEndpointSink(LOGGING_CONFIG.endpoint), { level: LOGGING_CONFIG.level });
   }
 
   /**
-   * Log comprehensive performance summary
+   * Start PerformanceMonitor, the single collector of web vitals for the page
    */
-  function logPerformanceSummary() {
-    console.group('[Performance] Summary');
-    console.log('Navigation Start:', performanceMetrics.navigationStart);
-    console.log('First Contentful Paint:', performanceMetrics.firstContentfulPaint.toFixed(2), 'ms');
-    console.log('Largest Contentful Paint:', performanceMetrics.largestContentfulPaint.toFixed(2), 'ms');
-    console.log('First Input Delay:', performanceMetrics.firstInputDelay.toFixed(2), 'ms');
-    console.log('Cumulative Layout Shift:', performanceMetrics.cumulativeLayoutShift.toFixed(3));
-    
-    // Calculate and log additional metrics
-    if (performance.timing) {
-      const timing = performance.timing;
-      console.log('DNS Lookup:', (timing.domainLookupEnd - timing.domainLookupStart).toFixed(2), 'ms');
-      console.log('TCP Connection:', (timing.connectEnd - timing.connectStart).toFixed(2), 'ms');
-      console.log('Request Time:', (timing.responseStart - timing.requestStart).toFixed(2), 'ms');
-      console.log('Response Time:', (timing.responseEnd - timing.responseStart).toFixed(2), 'ms');
-      console.log('DOM Processing:', (timing.domComplete - timing.domLoading).toFixed(2), 'ms');
+  function initPerformanceMonitoring() {
+    if (typeof window.PerformanceMonitor === 'undefined') {
+      mainLog.warn('PerformanceMonitor not loaded - performance metrics are not collected');
+      return;
     }
-    
-    console.groupEnd();
+
+    window.PerformanceMonitor.init();
   }
 
   /**
@@ -162,7 +84,7 @@
    */
   function initLazyLoading() {
     if (!('IntersectionObserver' in window)) {
-      console.warn('[Performance] IntersectionObserver not supported, loading all images');
+      performanceLog.warn('IntersectionObserver not supported, loading all images');
       return;
     }
 
@@ -189,7 +111,7 @@
           // Stop observing this image
           observer.unobserve(img);
           
-          console.log('[Performance] Lazy loaded image:', img.alt || img.src);
+          performanceLog.debug('Lazy loaded image:', img.alt || img.src);
         }
       });
     }, {
@@ -205,121 +127,19 @@
   }
 
   /**
-   * Monitor resource loading performance
+   * Send web vitals to the metrics collector, batched and sent when the page is hidden
    */
-  function monitorResourceLoading() {
-    if (!performance.getEntriesByType) {
+  function trackWebVitals() {
+    if (typeof window.PerformanceMonitor === 'undefined' || typeof window.MetricsBeacon === 'undefined') {
       return;
     }
 
-    window.addEventListener('load', () => {
-      setTimeout(() => {
-        const resources = performance.getEntriesByType('resource');
-        
-        console.group('[Performance] Resource Loading');
-        
-        // Categorize resources
-        const resourcesByType = {
-          image: [],
-          script: [],
-          stylesheet: [],
-          other: [],
-        };
-        
-        resources.forEach((resource) => {
-          const type = resource.initiatorType;
-          if (type === 'img') {
-            resourcesByType.image.push(resource);
-          } else if (type === 'script') {
-            resourcesByType.script.push(resource);
-          } else if (type === 'link' || type === 'css') {
-            resourcesByType.stylesheet.push(resource);
-          } else {
-            resourcesByType.other.push(resource);
-          }
-        });
-        
-        // Log statistics for each type
-        Object.keys(resourcesByType).forEach((type) => {
-          const items = resourcesByType[type];
-          if (items.length > 0) {
-            const totalSize = items.reduce((sum, item) => sum + (item.transferSize || 0), 0);
-            const totalDuration = items.reduce((sum, item) => sum + item.duration, 0);
-            const avgDuration = totalDuration / items.length;
-            
-            console.log(`${type}:`, {
-              count: items.length,
-              totalSize: `${(totalSize / 1024).toFixed(2)} KB`,
-              avgDuration: `${avgDuration.toFixed(2)} ms`,
-            });
-          }
-        });
-        
-        console.groupEnd();
-      }, 0);
+    window.MetricsBeacon.connect(window.PerformanceMonitor, {
+      endpoint: METRICS_CONFIG.endpoint,
+      sampleRate: METRICS_CONFIG.sampleRate,
     });
   }
 
-  /**
-   * Track Core Web Vitals and send to analytics (placeholder)
-   */
-  function trackWebVitals() {
-    // This is a placeholder for analytics integration
-    // In production, you would send these metrics to your analytics service
-    
-    const sendToAnalytics = (metric) => {
-      console.log('[Analytics] Web Vital:', metric);
-      
-      // Example: Send to Google Analytics
-      // if (window.gtag) {
-      //   gtag('event', metric.name, {
-      //     value: Math.round(metric.value),
-      //     metric_id: metric.id,
-      //     metric_value: metric.value,
-      //     metric_delta: metric.delta,
-      //   });
-      // }
-    };
-
-    // Track when metrics are available
-    if ('PerformanceObserver' in window) {
-      // LCP tracking
-      try {
-        const lcpObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          const lastEntry = entries[entries.length - 1];
-          sendToAnalytics({
-            name: 'LCP',
-            value: lastEntry.renderTime || lastEntry.loadTime,
-            id: 'lcp-' + Date.now(),
-            delta: lastEntry.renderTime || lastEntry.loadTime,
-          });
-        });
-        lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
-      } catch (e) {
-        // Observer not supported
-      }
-
-      // FID tracking
-      try {
-        const fidObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          entries.forEach((entry) => {
-            sendToAnalytics({
-              name: 'FID',
-              value: entry.processingStart - entry.startTime,
-              id: 'fid-' + Date.now(),
-              delta: entry.processingStart - entry.startTime,
-            });
-          });
-        });
-        fidObserver.observe({ type: 'first-input', buffered: true });
-      } catch (e) {
-        // Observer not supported
-      }
-    }
-  }
-
   /**
    * Initialize smooth scrolling for anchor links
    */
@@ -363,167 +183,1943 @@
 
     // Check if FormValidation module is available
     if (typeof window.FormValidation === 'undefined') {
-      console.warn('[Form] FormValidation module not loaded');
+      formLog.warn('FormValidation module not loaded');
       return;
     }
 
-    const { validateForm, validateField } = window.FormValidation;
+    const {
+      validateFormAsync,
+      validateField,
+      deriveRulesFromForm,
+      validateRuleSet,
+      readControlValue,
+      collectFormData,
+    } = window.FormValidation;
+
+    // Fill rule gaps from the markup, then warn where markup and rules disagree
+    deriveRulesFromForm(form);
+    registerAsyncChecks();
+    validateRuleSet({ form });
+    initPhoneFormatting(form);
+    initPhotoAttachments(form);
+    initSpamProtection(form);
+    initAppointmentPicker(form);
+    initZipAreaHint(form);
+    initDependentFields(form);
+    initFormDraft(form);
+    initQuoteWizard(form);
 
-    // Real-time validation on blur
-    const inputs = form.querySelectorAll('input, select, textarea');
+    // Real-time validation on blur (the honeypot and hidden signals are not user fields)
+    const inputs = form.querySelectorAll('input:not([type="hidden"]):not([data-validate="false"]), select, textarea');
     inputs.forEach((input) => {
       input.addEventListener('blur', () => {
-        const result = validateField(input.name, input.value);
+        const result = validateField(input.name, readControlValue(form, input.name), {
+          formData: collectFormData(form),
+        });
         displayFieldError(input, result);
+
+        if (result.valid && ASYNC_CHECKS[input.name]) {
+          runAsyncFieldValidation(input);
+        }
       });
 
-      // Clear error on focus
       input.addEventListener('focus', () => {
+        cancelAsyncFieldValidation(input);
+      });
+
+      // Clear the error once the visitor starts fixing it - not on focus, so
+      // following a link from the error summary still shows the message
+      input.addEventListener('input', () => {
         clearFieldError(input);
       });
     });
 
+    // Without fetch the browser posts the form natively and the server redirects
+    if (typeof window.fetch !== 'function') {
+      return;
+    }
+
     // Form submission
-    form.addEventListener('submit', (e) => {
+    form.addEventListener('submit', async (e) => {
       e.preventDefault();
 
-      // Collect form data
-      const formData = {};
-      inputs.forEach((input) => {
-        formData[input.name] = input.value;
-      });
+      // Ignore repeated submits while a request is in flight
+      if (form.classList.contains('form--submitting')) {
+        return;
+      }
 
-      // Validate entire form
-      const validation = validateForm(formData);
+      clearSubmitError(form);
+      clearErrorSummary(form);
 
-      if (!validation.valid) {
-        // Display all errors
-        validation.errors.forEach((error, fieldName) => {
-          const input = form.querySelector(`[name="${fieldName}"]`);
-          if (input) {
-            displayFieldError(input, { valid: false, error });
-          }
-        });
+      // Submission re-runs every check, so drop the ones started on blur
+      inputs.forEach(cancelAsyncFieldValidation);
 
-        // Focus first invalid field
-        const firstError = form.querySelector('.form__group--error');
-        if (firstError) {
-          const input = firstError.querySelector('input, select, textarea');
-          if (input) {
-            input.focus();
-          }
+      // Set before the first await so a second click while photos finish
+      // downscaling is ignored by the check above
+      let formData;
+      let validation;
+      setSubmittingState(form, true);
+      try {
+        // Photos still being downscaled are not in the file input yet
+        if (photoAttachments) {
+          await photoAttachments.ready();
         }
 
+        // Collect form data (radio and checkbox groups resolve to their checked values)
+        formData = collectFormData(form);
+
+        // Validate entire form, including async checks
+        validation = await validateFormAsync(formData);
+      } finally {
+        setSubmittingState(form, false);
+      }
+
+      if (!validation.valid) {
+        displayFormErrors(form, Object.fromEntries(validation.errors));
         return;
       }
 
-      // Form is valid - submit
-      console.log('[Form] Submitting form with data:', validation.sanitizedData);
-      
-      // In production, you would send this to your backend
-      // For now, just show success message
-      showFormSuccess();
+      if (!passesSpamChecks(form, formData)) {
+        return;
+      }
+
+      // Form is valid - submit, with the spam signals for the server to re-check
+      submitContactForm(form, { ...validation.sanitizedData, ...collectSpamSignals(form) });
     });
   }
 
   /**
-   * Display field validation error
+   * Offer only bookable appointment slots for the chosen date and service
+   * @param {HTMLFormElement} form - Contact form
    */
-  function displayFieldError(input, result) {
-    const formGroup = input.closest('.form__group');
-    
-    if (!formGroup) {
+  function initAppointmentPicker(form) {
+    const dateInput = form.querySelector('[name="preferredDate"]');
+    const slotSelect = form.querySelector('[name="preferredSlot"]');
+    const serviceSelect = form.querySelector('[name="service"]');
+
+    if (!dateInput || !slotSelect || typeof window.BusinessHours === 'undefined') {
       return;
     }
 
-    // Remove existing error
-    clearFieldError(input);
+    const { BusinessHours, FormValidation } = window;
+    const today = BusinessHours.getToday();
 
-    if (!result.valid && result.error) {
-      formGroup.classList.add('form__group--error');
-      
-      const errorElement = document.createElement('span');
-      errorElement.className = 'form__error';
-      errorElement.textContent = result.error;
-      errorElement.setAttribute('role', 'alert');
-      
-      formGroup.appendChild(errorElement);
-      input.setAttribute('aria-invalid', 'true');
+    warnOnOpeningHoursMismatch();
+
+    dateInput.min = today;
+    dateInput.max = BusinessHours.addDays(today, BusinessHours.BUSINESS_HOURS.bookingHorizonDays);
+
+    /**
+     * Rebuild the slot options and show any problem with the date straight away
+     */
+    function refresh() {
+      const date = dateInput.value;
+      const service = serviceSelect ? serviceSelect.value : '';
+      const slots = date ? BusinessHours.getSlots(date, { service }).filter((slot) => slot.available) : [];
+      const previous = slotSelect.value;
+
+      slotSelect.innerHTML = '';
+      slotSelect.appendChild(new Option(date ? 'Any time that day' : 'Choose a date first', ''));
+      slots.forEach((slot) => {
+        slotSelect.appendChild(new Option(slot.label, slot.value));
+      });
+
+      slotSelect.value = slots.some((slot) => slot.value === previous) ? previous : '';
+      slotSelect.disabled = slots.length === 0;
+
+      if (date) {
+        const result = FormValidation.validateField('preferredDate', date, {
+          formData: FormValidation.collectFormData(form),
+        });
+        displayFieldError(dateInput, result);
+      } else {
+        clearFieldError(dateInput);
+      }
+    }
+
+    dateInput.addEventListener('change', refresh);
+    if (serviceSelect) {
+      // Emergency service unlocks Sundays
+      serviceSelect.addEventListener('change', refresh);
     }
+    // The reset event fires before the fields are emptied
+    form.addEventListener('reset', () => setTimeout(refresh));
+
+    refresh();
   }
 
   /**
-   * Clear field validation error
+   * Warn when the picker's opening hours disagree with the page's structured data
    */
-  function clearFieldError(input) {
-    const formGroup = input.closest('.form__group');
-    
-    if (!formGroup) {
+  function warnOnOpeningHoursMismatch() {
+    const script = document.querySelector('script[type="application/ld+json"]');
+
+    if (!script) {
       return;
     }
 
-    formGroup.classList.remove('form__group--error');
-    
-    const errorElement = formGroup.querySelector('.form__error');
-    if (errorElement) {
-      errorElement.remove();
+    try {
+      const data = JSON.parse(script.textContent);
+      window.BusinessHours.compareOpeningHours(data.openingHoursSpecification).forEach((problem) => {
+        formLog.warn(`Opening hours mismatch: ${problem}`);
+      });
+    } catch (error) {
+      formLog.warn('Could not read structured data:', error.message);
     }
-    
-    input.removeAttribute('aria-invalid');
   }
 
   /**
-   * Show form success message
+   * Show a service-area result for a ZIP code
+   * @param {HTMLElement} output - Element receiving the sentence
+   * @param {string} value - ZIP code as typed
+   * @param {string} baseClass - BEM class of the output; the status becomes its modifier (e.g. --edge-of-area)
+   * @returns {AreaCheck|null} Result, or null when the value is not a ZIP code yet
+   */
+  function renderAreaCheck(output, value, baseClass) {
+    const check = window.ServiceArea.checkZip(value);
+    const modifier = (status) => `${baseClass}--${status.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+
+    output.classList.remove(...['inArea', 'edgeOfArea', 'outOfArea', 'unknown'].map(modifier));
+
+    if (check.status === 'invalid') {
+      output.textContent = '';
+      return null;
+    }
+
+    output.textContent = window.ServiceArea.describe(check);
+    output.classList.add(modifier(check.status));
+    return check;
+  }
+
+  /**
+   * Tell visitors straight away whether the contact form's ZIP code is in
+   * the service area. Out-of-area requests can still be sent.
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function initZipAreaHint(form) {
+    const zipInput = form.querySelector('[name="zip"]');
+    const output = document.getElementById('zip-area');
+
+    if (!zipInput || !output || typeof window.ServiceArea === 'undefined') {
+      return;
+    }
+
+    const update = () => renderAreaCheck(output, zipInput.value, 'form__hint');
+
+    zipInput.addEventListener('input', update);
+    // The reset event fires before the input is emptied
+    form.addEventListener('reset', () => setTimeout(update));
+    update();
+  }
+
+  /**
+   * Wire up the "Do you serve my area?" widget, copying a checked ZIP code
+   * into the contact form when it has none yet
+   */
+  function initServiceAreaCheck() {
+    const widget = document.querySelector('.area-check');
+
+    if (!widget || typeof window.ServiceArea === 'undefined') {
+      return;
+    }
+
+    const input = widget.querySelector('.area-check__input');
+    const result = widget.querySelector('.area-check__result');
+
+    warnOnServiceAreaMismatch();
+
+    widget.addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      const check = renderAreaCheck(result, input.value, 'area-check__result');
+
+      if (!check) {
+        result.textContent = window.ServiceArea.describe({ status: 'invalid', zip: '', distance: null });
+        input.focus();
+        return;
+      }
+
+      const contactZip = document.querySelector('.contact__form form [name="zip"]');
+      if (contactZip && !contactZip.value) {
+        contactZip.value = check.zip;
+        contactZip.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    });
+
+    widget.hidden = false;
+  }
+
+  /**
+   * Wire up the cost estimator in the services section
    */
-  function showFormSuccess() {
+  function initCostEstimator() {
+    const section = document.querySelector('.estimator');
     const form = document.querySelector('.contact__form form');
-    
-    if (!form) {
+
+    if (!section || !form || typeof window.CostEstimator === 'undefined') {
       return;
     }
 
-    // Create success message
-    const successMessage = document.createElement('div');
-    successMessage.className = 'form__success';
-    successMessage.setAttribute('role', 'alert');
-    successMessage.innerHTML = `
-      <p><strong>Thank you for your message!</strong></p>
-      <p>We'll get back to you as soon as possible.</p>
-    `;
+    window.CostEstimator.create(section, {
+      onApply: (estimate, summary) => applyEstimate(form, estimate, summary),
+    });
+  }
 
-    // Replace form with success message
-    form.style.display = 'none';
-    form.parentNode.insertBefore(successMessage, form);
+  /**
+   * Carry an estimate into the quote form: select its service, fill in the
+   * system age if still empty and put the summary at the top of the message
+   * @param {HTMLFormElement} form - Contact form
+   * @param {Estimate} estimate - Estimate to apply
+   * @param {string} summary - One-line estimate summary
+   */
+  function applyEstimate(form, estimate, summary) {
+    const service = form.querySelector('[name="service"]');
+    const systemAge = form.querySelector('[name="systemAge"]');
+    const message = form.querySelector('[name="message"]');
 
-    // Reset form
-    form.reset();
+    if (service) {
+      setControlValue(service, estimate.input.service);
+    }
+    if (systemAge && !systemAge.value) {
+      setControlValue(systemAge, estimate.input.systemAge);
+    }
+    if (message) {
+      setControlValue(message, window.CostEstimator.mergeSummary(message.value, summary));
+    }
+
+    // Messages shown for the old values no longer apply
+    [service, systemAge, message].filter(Boolean).forEach(clearFieldError);
+
+    if (quoteWizard) {
+      quoteWizard.goTo(quoteWizard.getCurrentStep(), { focus: true });
+    } else if (service) {
+      service.focus();
+    }
+    announce(form, 'The estimate was added to your quote request.');
   }
 
   /**
-   * Initialize all functionality when DOM is ready
+   * Set a control's value as if the visitor had changed it, so listeners
+   * (draft autosave, dependent fields, the slot picker) react
+   * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} control - Form control
+   * @param {string} value - New value
    */
-  function init() {
-    console.log('[Main] Initializing ThermoCool landing page');
-    
-    // Initialize performance monitoring first
-    initPerformanceMonitoring();
-    
-    // Initialize lazy loading
-    initLazyLoading();
-    
-    // Monitor resource loading
-    monitorResourceLoading();
-    
-    // Track Web Vitals
-    trackWebVitals();
-    
-    // Initialize smooth scrolling
-    initSmoothScrolling();
-    
-    // Initialize form handling
-    initFormHandling();
+  function setControlValue(control, value) {
+    control.value = value;
+    control.dispatchEvent(new Event('input', { bubbles: true }));
+    control.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Warn when the page's structured data advertises a different service area than SERVICE_AREA
+   */
+  function warnOnServiceAreaMismatch() {
+    const script = document.querySelector('script[type="application/ld+json"]');
+
+    if (!script) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(script.textContent);
+      window.ServiceArea.compareAreaServed(data.areaServed).forEach((problem) => {
+        formLog.warn(`Service area mismatch: ${problem}`);
+      });
+    } catch (error) {
+      formLog.warn('Could not read structured data:', error.message);
+    }
+  }
+
+  /**
+   * Wire up the maintenance plans: comparison table, billing toggle and sign-up form
+   */
+  function initMaintenancePlans() {
+    const section = document.querySelector('.plans');
+
+    if (!section || typeof window.MaintenancePlans === 'undefined') {
+      return;
+    }
+
+    const plans = window.MaintenancePlans.create(section, {
+      // The visitor starts filling in the form now
+      onChoose: (planId, cycle, form) => startSpamClock(form),
+    });
+
+    if (plans && typeof window.FormValidation !== 'undefined') {
+      initPlanSignup(section.querySelector('.plans__signup form'));
+    }
+    warnOnPlanOfferMismatch();
+  }
+
+  /**
+   * Validate and send the plan sign-up form. It shares the contact fields'
+   * rules with the quote form and adds the planSignup-scoped plan fields.
+   * @param {HTMLFormElement} form - Plan sign-up form
+   */
+  function initPlanSignup(form) {
+    const {
+      validateForm,
+      validateField,
+      deriveRulesFromForm,
+      validateRuleSet,
+      readControlValue,
+      collectFormData,
+    } = window.FormValidation;
+    const scope = 'planSignup';
+
+    deriveRulesFromForm(form, { scope });
+    validateRuleSet({ form, scope });
+    initPhoneFormatting(form);
+    initSpamProtection(form);
+    initDependentFields(form);
+
+    const inputs = form.querySelectorAll('input:not([type="hidden"]):not([data-validate="false"]), select');
+    inputs.forEach((input) => {
+      input.addEventListener('blur', () => {
+        const result = validateField(input.name, readControlValue(form, input.name), {
+          formData: collectFormData(form),
+        });
+        displayFieldError(input, result);
+      });
+
+      input.addEventListener('input', () => {
+        clearFieldError(input);
+      });
+    });
+
+    // Without fetch the browser posts the form natively and the server redirects
+    if (typeof window.fetch !== 'function') {
+      return;
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      if (form.classList.contains('form--submitting')) {
+        return;
+      }
+
+      clearSubmitError(form);
+      clearErrorSummary(form);
+
+      const formData = collectFormData(form);
+      const validation = validateForm(formData, { scope });
+
+      if (!validation.valid) {
+        displayFormErrors(form, Object.fromEntries(validation.errors));
+        return;
+      }
+
+      if (!passesSpamChecks(form, formData)) {
+        return;
+      }
+
+      submitContactForm(form, { ...validation.sanitizedData, ...collectSpamSignals(form) });
+    });
+  }
+
+  /**
+   * Warn when the page's structured data lists different plan prices than PLANS_CONFIG
+   */
+  function warnOnPlanOfferMismatch() {
+    const script = document.querySelector('script[type="application/ld+json"]');
+
+    if (!script) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(script.textContent);
+      window.MaintenancePlans.compareOffers(data.hasOfferCatalog).forEach((problem) => {
+        formLog.warn(`Plans structured data mismatch: ${problem}`);
+      });
+    } catch (error) {
+      formLog.warn('Could not read plans structured data:', error.message);
+    }
+  }
+
+  /**
+   * Enhance the photo input with thumbnails, remove buttons and progress bars,
+   * validating the list whenever it changes
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function initPhotoAttachments(form) {
+    const input = form.querySelector('input[type="file"][name="photos"]');
+
+    if (!input || typeof window.PhotoAttachments === 'undefined') {
+      return;
+    }
+
+    const { validateField } = window.FormValidation;
+
+    photoAttachments = window.PhotoAttachments.create(input, {
+      onChange: (files) => {
+        displayFieldError(input, validateField(input.name, files));
+      },
+    });
+  }
+
+  /**
+   * Autosave the contact form and restore an earlier draft, re-validating the
+   * restored fields so their error states show straight away
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function initFormDraft(form) {
+    if (typeof window.FormDraft === 'undefined') {
+      return;
+    }
+
+    const { validateField, readControlValue, collectFormData } = window.FormValidation;
+
+    /**
+     * Look up the control to show a field's error on
+     * @param {string} fieldName - Field name
+     * @returns {HTMLElement|null}
+     */
+    const findControl = (fieldName) => form.querySelector(`[name="${fieldName}"]`);
+
+    formDraft = window.FormDraft.create(form, {
+      onRestore: (fieldNames) => {
+        const formData = collectFormData(form);
+        fieldNames.forEach((fieldName) => {
+          const control = findControl(fieldName);
+          if (control) {
+            const result = validateField(fieldName, readControlValue(form, fieldName), { formData });
+            displayFieldError(control, result, { announce: false });
+          }
+        });
+      },
+      onDiscard: (fieldNames) => {
+        fieldNames.map(findControl).filter(Boolean).forEach(clearFieldError);
+      },
+    });
+
+    if (formDraft) {
+      formDraft.restore();
+    }
+  }
+
+  /**
+   * Keep fields with requiredIf or validateWith rules in step with the fields
+   * they depend on: toggle the required marker and aria-required, and
+   * re-validate dependents the visitor has filled in or that show an error
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function initDependentFields(form) {
+    const {
+      getDependentFields,
+      getRegisteredFields,
+      isFieldRequired,
+      validateField,
+      readControlValue,
+      collectFormData,
+    } = window.FormValidation;
+
+    /**
+     * Show whether a field is currently required
+     * @param {string} fieldName - Field name
+     * @param {Object} formData - Whole form data
+     */
+    function updateRequiredState(fieldName, formData) {
+      const control = form.querySelector(`[name="${fieldName}"]`);
+
+      if (!control) {
+        return;
+      }
+
+      const target = getErrorTarget(control);
+      const label = target === control ? form.querySelector(`label[for="${control.id}"]`) : target.querySelector('legend');
+      const marker = label && label.querySelector('[aria-label="required"]');
+      const required = isFieldRequired(fieldName, formData);
+
+      target.setAttribute('aria-required', String(required));
+      if (marker) {
+        marker.hidden = !required;
+      }
+    }
+
+    /**
+     * Update the fields that depend on a changed field
+     * @param {string} fieldName - Changed field
+     */
+    function updateDependents(fieldName) {
+      const dependents = getDependentFields(fieldName);
+
+      if (dependents.length === 0) {
+        return;
+      }
+
+      const formData = collectFormData(form);
+
+      dependents.forEach((dependent) => {
+        const control = form.querySelector(`[name="${dependent}"]`);
+
+        updateRequiredState(dependent, formData);
+        if (!control) {
+          return;
+        }
+
+        const value = readControlValue(form, dependent);
+        const showsError = control.closest('.form__group--error') !== null;
+
+        if (hasValue(value) || showsError) {
+          displayFieldError(control, validateField(dependent, value, { formData }), { announce: false });
+        }
+      });
+    }
+
+    const controllers = new Set(getRegisteredFields().filter((fieldName) => getDependentFields(fieldName).length > 0));
+
+    form.addEventListener('change', (event) => {
+      if (controllers.has(event.target.name)) {
+        updateDependents(event.target.name);
+      }
+    });
+
+    // The reset event fires before the controls are emptied
+    form.addEventListener('reset', () => {
+      setTimeout(() => controllers.forEach(updateDependents));
+    });
+
+    controllers.forEach(updateDependents);
+  }
+
+  /**
+   * Turn the contact form's steps into the quote wizard
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function initQuoteWizard(form) {
+    if (typeof window.QuoteWizard === 'undefined') {
+      return;
+    }
+
+    quoteWizard = window.QuoteWizard.create(form, {
+      onInvalid: (result) => {
+        const input = form.querySelector(`[name="${result.fieldName}"]`);
+        if (input) {
+          displayFieldError(input, result);
+          input.focus();
+        }
+      },
+    });
+  }
+
+  /**
+   * Start the time-to-submit clock and the per-session rate limiter, which
+   * every form on the page shares
+   * @param {HTMLFormElement} form - Contact or plan sign-up form
+   */
+  function initSpamProtection(form) {
+    if (typeof window.SpamProtection === 'undefined') {
+      formLog.warn('SpamProtection module not loaded - relying on server-side checks');
+      return;
+    }
+
+    const { createRateLimiter } = window.SpamProtection;
+
+    startSpamClock(form);
+
+    if (submitRateLimiter) {
+      return;
+    }
+
+    let storage = null;
+    try {
+      storage = window.sessionStorage;
+    } catch (error) {
+      // Storage blocked (privacy mode) - fall back to an in-memory limit
+    }
+
+    submitRateLimiter = createRateLimiter({ storage });
+  }
+
+  /**
+   * Start the time-to-submit clock
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function startSpamClock(form) {
+    if (typeof window.SpamProtection === 'undefined') {
+      return;
+    }
+
+    const timestamp = form.querySelector(`[name="${window.SpamProtection.SPAM_CONFIG.timestampField}"]`);
+    if (timestamp) {
+      timestamp.value = String(Date.now());
+    }
+  }
+
+  /**
+   * Read the honeypot and timestamp fields
+   * @param {HTMLFormElement} form - Contact form
+   * @returns {Object.<string, string>} Spam signal fields
+   */
+  function collectSpamSignals(form) {
+    if (typeof window.SpamProtection === 'undefined') {
+      return {};
+    }
+
+    const { SPAM_CONFIG } = window.SpamProtection;
+    const signals = {};
+
+    [SPAM_CONFIG.honeypotField, SPAM_CONFIG.timestampField].forEach((name) => {
+      const field = form.querySelector(`[name="${name}"]`);
+      if (field) {
+        signals[name] = field.value;
+      }
+    });
+
+    return signals;
+  }
+
+  /**
+   * Run the spam checks and rate limit before sending.
+   * A filled honeypot gets a fake success so bots learn nothing.
+   * @param {HTMLFormElement} form - Contact form
+   * @param {Object.<string, string>} formData - Raw form data
+   * @returns {boolean} Whether the submission may be sent
+   */
+  function passesSpamChecks(form, formData) {
+    if (typeof window.SpamProtection === 'undefined') {
+      return true;
+    }
+
+    const { formatMessage } = window.FormValidation;
+    const verdict = window.SpamProtection.evaluate({ ...formData, ...collectSpamSignals(form) });
+
+    if (verdict.reason === 'honeypot') {
+      formLog.warn('Honeypot filled - submission dropped');
+      showFormSuccess(form, formData);
+      return false;
+    }
+
+    if (verdict.spam) {
+      formLog.warn(`Submission flagged as spam (${verdict.reason}, score ${verdict.score})`);
+      showSubmitError(form, formatMessage(verdict.reason === 'tooFast' ? 'tooFast' : 'spamDetected'));
+      return false;
+    }
+
+    const limit = submitRateLimiter.check();
+    if (!limit.allowed) {
+      showSubmitError(form, formatMessage('rateLimited', { count: Math.ceil(limit.retryAfter / 60000) }));
+      return false;
+    }
+
+    submitRateLimiter.record();
+    return true;
+  }
+
+  /**
+   * Format tel inputs as the user types, keeping the caret next to the same digit
+   * @param {HTMLFormElement} form - Form containing the tel inputs
+   */
+  function initPhoneFormatting(form) {
+    const { formatPhoneAsYouType } = window.FormValidation;
+
+    form.querySelectorAll('input[type="tel"]').forEach((input) => {
+      let previousValue = input.value;
+
+      input.addEventListener('input', (event) => {
+        let value = input.value;
+        let caret = input.selectionStart === null ? value.length : input.selectionStart;
+
+        // Backspace over "(", ")", " " or "-" only removes formatting that would be
+        // re-added straight away, so delete the digit in front of it instead
+        if (event.inputType === 'deleteContentBackward' &&
+            countPhoneDigits(value) === countPhoneDigits(previousValue)) {
+          const digitIndex = findLastDigitBefore(value, caret);
+          if (digitIndex !== -1) {
+            value = value.slice(0, digitIndex) + value.slice(digitIndex + 1);
+            caret = digitIndex;
+          }
+        }
+
+        const atEnd = caret === value.length;
+        const digitsBeforeCaret = countPhoneDigits(value.slice(0, caret));
+        const formatted = formatPhoneAsYouType(value);
+
+        input.value = formatted;
+        previousValue = formatted;
+
+        if (document.activeElement === input) {
+          const position = atEnd ? formatted.length : findCaretPosition(formatted, digitsBeforeCaret);
+          input.setSelectionRange(position, position);
+        }
+      });
+    });
+  }
+
+  /**
+   * Count the characters formatting keeps (digits and a leading '+')
+   * @param {string} value - Phone input value
+   * @returns {number}
+   */
+  function countPhoneDigits(value) {
+    return (value.match(/[\d+]/g) || []).length;
+  }
+
+  /**
+   * Find the index of the last digit before a position
+   * @param {string} value - Phone input value
+   * @param {number} position - Caret position
+   * @returns {number} Index or -1
+   */
+  function findLastDigitBefore(value, position) {
+    for (let i = position - 1; i >= 0; i--) {
+      if (/\d/.test(value[i])) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find the caret position that follows a given number of digits
+   * @param {string} value - Formatted value
+   * @param {number} digitCount - Digits that should precede the caret
+   * @returns {number} Caret position
+   */
+  function findCaretPosition(value, digitCount) {
+    if (digitCount === 0) {
+      return 0;
+    }
+
+    let seen = 0;
+    for (let i = 0; i < value.length; i++) {
+      if (/[\d+]/.test(value[i])) {
+        seen += 1;
+        if (seen === digitCount) {
+          return i + 1;
+        }
+      }
+    }
+    return value.length;
+  }
+
+  /**
+   * Attach the browser-only async checks to the shared rules
+   */
+  function registerAsyncChecks() {
+    const { getFieldRules, extendRules } = window.FormValidation;
+
+    Object.keys(ASYNC_CHECKS).forEach((fieldName) => {
+      if (getFieldRules(fieldName)) {
+        extendRules(fieldName, { asyncChecks: ASYNC_CHECKS[fieldName] });
+      }
+    });
+  }
+
+  /**
+   * Ask the backend whether this email already sent a request recently.
+   * Resolves to null (pass) when the lookup endpoint is unavailable.
+   * @param {string} email - Sanitized email address
+   * @param {{signal: AbortSignal}} context - Check context
+   * @returns {Promise<string|null>} Error code or null
+   */
+  async function checkDuplicateLead(email, { signal }) {
+    const response = await fetch(`/check-lead?email=${encodeURIComponent(email)}`, {
+      headers: { 'Accept': 'application/json' },
+      signal,
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const body = await parseResponseBody(response);
+
+    if (body && body.duplicate) {
+      return 'duplicateLead';
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a field's async checks (debounced) with a "checking..." state
+   * @param {HTMLInputElement} input - Field to validate
+   */
+  function runAsyncFieldValidation(input) {
+    const { createDebouncedValidator, validateFieldAsync, isAbortError } = window.FormValidation;
+
+    if (!asyncFieldValidators.has(input.name)) {
+      asyncFieldValidators.set(input.name, createDebouncedValidator(validateFieldAsync, 150));
+    }
+
+    setFieldChecking(input, true);
+
+    asyncFieldValidators.get(input.name)(input.name, input.value).then(
+      (result) => {
+        setFieldChecking(input, false);
+        displayFieldError(input, result);
+      },
+      (error) => {
+        // Superseded calls are followed by a newer one that owns the checking state
+        if (!isAbortError(error)) {
+          setFieldChecking(input, false);
+          formLog.warn('Async validation failed:', error.message);
+        }
+      }
+    );
+  }
+
+  /**
+   * Cancel a field's pending async checks
+   * @param {HTMLInputElement} input - Field
+   */
+  function cancelAsyncFieldValidation(input) {
+    const validator = asyncFieldValidators.get(input.name);
+
+    if (validator) {
+      validator.cancel();
+      setFieldChecking(input, false);
+    }
+  }
+
+  /**
+   * Toggle the "checking..." state of a field
+   * @param {HTMLInputElement} input - Field
+   * @param {boolean} isChecking - Whether an async check is pending
+   */
+  function setFieldChecking(input, isChecking) {
+    const formGroup = input.closest('.form__group');
+
+    if (!formGroup) {
+      return;
+    }
+
+    formGroup.classList.toggle('form__group--checking', isChecking);
+    input.setAttribute('aria-busy', String(isChecking));
+
+    let indicator = formGroup.querySelector('.form__checking');
+
+    if (isChecking && !indicator) {
+      indicator = document.createElement('span');
+      indicator.className = 'form__checking';
+      indicator.textContent = 'Checking\u2026';
+      formGroup.appendChild(indicator);
+    } else if (!isChecking && indicator) {
+      indicator.remove();
+    }
+  }
+
+  /**
+   * Send validated form data to the form's action and reflect the outcome
+   * @param {HTMLFormElement} form - Contact or plan sign-up form
+   * @param {Object.<string, string>} data - Sanitized form data
+   * @returns {Promise<void>}
+   */
+  async function submitContactForm(form, data) {
+    const endpoint = form.getAttribute('action') || '/submit-contact';
+    // Shared by every retry and the offline queue: an attempt that timed out may
+    // still have been stored, and the server answers repeats with that lead
+    const idempotencyKey = createIdempotencyKey();
+    // Lets the server check the preferred slot against when the visitor sent
+    // the form, not when a queued copy finally arrives
+    const submission = { ...data, submittedAt: String(Date.now()) };
+
+    let response;
+
+    setSubmittingState(form, true);
+
+    try {
+      // Known to be offline - don't burn through retries, keep it on the device
+      if (navigator.onLine === false && canQueueSubmissions()) {
+        await queueSubmission(form, endpoint, submission, idempotencyKey);
+        return;
+      }
+
+      response = await sendSubmission(endpoint, submission, idempotencyKey);
+    } catch (error) {
+      formLog.warn('Submission failed:', error.message);
+
+      // Network failure after all retries - queue it rather than lose the lead
+      if (!error.status && canQueueSubmissions()) {
+        try {
+          await queueSubmission(form, endpoint, submission, idempotencyKey);
+          return;
+        } catch (queueError) {
+          formLog.warn('Could not queue submission:', queueError.message);
+        }
+      }
+
+      if (error.fieldErrors) {
+        displayFormErrors(form, error.fieldErrors);
+      }
+
+      showSubmitError(form, getSubmitErrorMessage(error));
+      return;
+    } finally {
+      setSubmittingState(form, false);
+    }
+
+    // Outside the try: the lead is stored, so a display problem must not queue it again
+    formLog.info('Submission accepted');
+    if (formDraft && isQuoteForm(form)) {
+      formDraft.clear();
+    }
+    showFormSuccess(form, data, response);
+  }
+
+  /**
+   * Unique key of one submission, sent as the Idempotency-Key header
+   * @returns {string}
+   */
+  function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * POST data as JSON, falling back to form encoding if the server rejects JSON
+   * @param {string} url - Submission endpoint
+   * @param {Object.<string, string>} data - Data to send
+   * @param {string} idempotencyKey - Same for every attempt of this submission
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async function sendSubmission(url, data, idempotencyKey) {
+    // Server-side errors come back in the page's language, not the browser's
+    const locale = window.FormValidation ? window.FormValidation.getLocale() : document.documentElement.lang;
+
+    if (hasAttachments(data)) {
+      const response = await withNetworkRetries(() => uploadWithProgress(url, createMultipartBody(data), {
+        locale,
+        idempotencyKey,
+        onProgress: photoAttachments ? photoAttachments.setProgress : null,
+      }));
+      return readSubmissionResponse(response);
+    }
+
+    let response = await fetchWithRetry(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Accept-Language': locale,
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: JSON.stringify(data),
+    });
+
+    // 415 Unsupported Media Type - the server only understands classic form posts
+    if (response.status === 415) {
+      response = await fetchWithRetry(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+          'Accept': 'application/json',
+          'Accept-Language': locale,
+          'Idempotency-Key': idempotencyKey,
+        },
+        body: new URLSearchParams(data).toString(),
+      });
+    }
+
+    return readSubmissionResponse(response);
+  }
+
+  /**
+   * Parse a submission response, throwing for HTTP errors
+   * @param {Response} response - Submission response
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async function readSubmissionResponse(response) {
+    const body = await parseResponseBody(response);
+
+    if (!response.ok) {
+      const error = new Error(`Submission request failed: ${response.status}`);
+      error.status = response.status;
+      error.fieldErrors = body && body.errors ? body.errors : null;
+      error.serverMessage = body && body.message ? body.message : null;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Whether submission data carries files
+   * @param {Object} data - Submission data
+   * @returns {boolean}
+   */
+  function hasAttachments(data) {
+    return Object.values(data).some((value) => Array.isArray(value) && value.some((item) => item instanceof Blob));
+  }
+
+  /**
+   * Build a multipart body with the text fields first and the files last
+   * @param {Object} data - Submission data
+   * @returns {FormData}
+   */
+  function createMultipartBody(data) {
+    const body = new FormData();
+    const files = [];
+
+    Object.keys(data).forEach((key) => {
+      [].concat(data[key] ?? []).forEach((value) => {
+        if (value instanceof Blob) {
+          files.push([key, value]);
+        } else {
+          body.append(key, value);
+        }
+      });
+    });
+
+    files.forEach(([key, file]) => body.append(key, file, file.name));
+    return body;
+  }
+
+  /**
+   * POST a multipart body with XMLHttpRequest, which (unlike fetch) reports upload progress
+   * @param {string} url - Submission endpoint
+   * @param {FormData} body - Multipart body
+   * @param {Object} options - Upload options
+   * @param {string} options.locale - Accept-Language value
+   * @param {string} options.idempotencyKey - Idempotency-Key value
+   * @param {function(number, number): void} [options.onProgress] - Receives bytes sent and total
+   * @returns {Promise<Response>} Response, rejecting on network failure or timeout
+   */
+  function uploadWithProgress(url, body, options) {
+    return new Promise((resolve, reject) => {
+      const request = new XMLHttpRequest();
+
+      request.open('POST', url);
+      request.timeout = SUBMISSION_CONFIG.uploadTimeout;
+      request.setRequestHeader('Accept', 'application/json');
+      request.setRequestHeader('Accept-Language', options.locale);
+      request.setRequestHeader('Idempotency-Key', options.idempotencyKey);
+
+      if (options.onProgress) {
+        request.upload.addEventListener('progress', (event) => {
+          if (event.lengthComputable) {
+            options.onProgress(event.loaded, event.total);
+          }
+        });
+      }
+
+      request.addEventListener('load', () => {
+        resolve(new Response(request.responseText, {
+          status: request.status,
+          headers: { 'Content-Type': request.getResponseHeader('Content-Type') || '' },
+        }));
+      });
+      request.addEventListener('error', () => reject(new Error('Network error during upload')));
+      request.addEventListener('timeout', () => {
+        const timeoutError = new Error(`Request timed out after ${SUBMISSION_CONFIG.uploadTimeout}ms`);
+        timeoutError.timedOut = true;
+        reject(timeoutError);
+      });
+
+      request.send(body);
+    });
+  }
+
+  /**
+   * Fetch with a timeout, retrying network failures with exponential backoff.
+   * HTTP error responses are returned as-is and never retried.
+   * @param {string} url - Request URL
+   * @param {RequestInit} options - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  function fetchWithRetry(url, options) {
+    return withNetworkRetries(() => fetchWithTimeout(url, options, SUBMISSION_CONFIG.timeout));
+  }
+
+  /**
+   * Run a request, retrying network failures with exponential backoff. Timeouts
+   * are retried too: the request carries an Idempotency-Key, so the server
+   * stores the lead once even if the attempt that timed out got through.
+   * @param {function(): Promise<Response>} request - Starts one attempt
+   * @returns {Promise<Response>} Response of the first attempt that reached the server
+   */
+  async function withNetworkRetries(request) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await request();
+      } catch (error) {
+        if (attempt >= SUBMISSION_CONFIG.maxRetries) {
+          throw error;
+        }
+
+        const delay = SUBMISSION_CONFIG.retryBaseDelay * Math.pow(2, attempt);
+        attempt += 1;
+        formLog.warn(`Network error, retry ${attempt} in ${delay}ms:`, error.message);
+        await wait(delay);
+      }
+    }
+  }
+
+  /**
+   * Fetch that rejects once the timeout elapses
+   * @param {string} url - Request URL
+   * @param {RequestInit} options - Fetch options
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Response>} Fetch response
+   */
+  async function fetchWithTimeout(url, options, timeout) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timeoutId = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+    try {
+      return await fetch(url, {
+        ...options,
+        signal: controller ? controller.signal : undefined,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+        timeoutError.timedOut = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+    }
+  }
+
+  /**
+   * Parse a JSON response body, tolerating empty or non-JSON bodies
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object|null>} Parsed body or null
+   */
+  async function parseResponseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+
+    if (!contentType.includes('application/json')) {
+      return null;
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve after the given delay
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Show field errors from client or server validation, list them in the
+   * error summary and move focus to it. The wizard switches to the step of
+   * the first invalid field so that the field is visible behind the summary.
+   * @param {HTMLFormElement} form - Contact form
+   * @param {Object.<string, string>} fieldErrors - Error messages keyed by field name
+   */
+  function displayFormErrors(form, fieldErrors) {
+    const invalidInputs = Object.keys(fieldErrors)
+      .map((fieldName) => [form.querySelector(`[name="${fieldName}"]`), fieldErrors[fieldName]])
+      .filter(([input]) => input)
+      .sort(([a], [b]) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+    if (invalidInputs.length === 0) {
+      return;
+    }
+
+    // The summary takes focus and is read out, so the fields stay quiet
+    invalidInputs.forEach(([input, error]) => {
+      displayFieldError(input, { valid: false, error }, { announce: false });
+    });
+
+    if (quoteWizard && isQuoteForm(form)) {
+      quoteWizard.showField(invalidInputs[0][0].name);
+    }
+
+    const summary = renderErrorSummary(form, invalidInputs);
+    summary.focus();
+  }
+
+  /**
+   * Render the error summary at the top of the form: a heading and one link per invalid field
+   * @param {HTMLFormElement} form - Contact form
+   * @param {Array<Array>} invalidInputs - [control, message] pairs in document order
+   * @returns {HTMLDivElement} Summary element
+   */
+  function renderErrorSummary(form, invalidInputs) {
+    let summary = form.querySelector('.form__error-summary');
+
+    if (!summary) {
+      summary = document.createElement('div');
+      summary.className = 'form__error-summary';
+      summary.setAttribute('tabindex', '-1');
+      summary.setAttribute('aria-labelledby', 'form-error-summary-title');
+
+      const title = document.createElement('p');
+      title.className = 'form__error-summary-title';
+      title.id = 'form-error-summary-title';
+
+      const list = document.createElement('ul');
+      list.className = 'form__error-summary-list';
+
+      summary.appendChild(title);
+      summary.appendChild(list);
+      summary.addEventListener('click', (event) => {
+        const link = event.target.closest('a[data-field]');
+        if (link) {
+          event.preventDefault();
+          focusField(form, link.getAttribute('data-field'));
+        }
+      });
+      form.insertBefore(summary, form.firstChild);
+    }
+
+    const { formatMessage } = window.FormValidation;
+    const list = summary.querySelector('.form__error-summary-list');
+
+    summary.querySelector('.form__error-summary-title').textContent = formatMessage('formInvalid');
+    list.textContent = '';
+
+    invalidInputs.forEach(([input, error]) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${getErrorTarget(input).id || input.id}`;
+      link.setAttribute('data-field', input.name);
+      link.textContent = error;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    return summary;
+  }
+
+  /**
+   * Keep the error summary in step with a field: update its message, or drop
+   * it once the field is valid (and the whole summary once it is empty)
+   * @param {HTMLFormElement} form - Contact form
+   * @param {string} fieldName - Field name
+   * @param {string|null} error - Current message, or null when valid
+   */
+  function updateErrorSummary(form, fieldName, error) {
+    const summary = form.querySelector('.form__error-summary');
+    const link = summary && summary.querySelector(`a[data-field="${fieldName}"]`);
+
+    if (!link) {
+      return;
+    }
+
+    if (error) {
+      link.textContent = error;
+      return;
+    }
+
+    link.parentNode.remove();
+    if (!summary.querySelector('a[data-field]')) {
+      summary.remove();
+    }
+  }
+
+  /**
+   * Remove the error summary
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function clearErrorSummary(form) {
+    const summary = form.querySelector('.form__error-summary');
+    if (summary) {
+      summary.remove();
+    }
+  }
+
+  /**
+   * Show and focus a field, switching wizard steps if needed
+   * @param {HTMLFormElement} form - Contact form
+   * @param {string} fieldName - Field name
+   */
+  function focusField(form, fieldName) {
+    const controls = Array.from(form.querySelectorAll(`[name="${fieldName}"]`));
+    const control = controls.find((member) => member.checked) || controls[0];
+
+    if (!control) {
+      return;
+    }
+    if (quoteWizard && isQuoteForm(form)) {
+      quoteWizard.showField(fieldName);
+    }
+    control.focus();
+  }
+
+  /**
+   * Announce a message through the form's polite live region
+   * @param {HTMLFormElement} form - Contact form
+   * @param {string} message - Text to announce
+   */
+  function announce(form, message) {
+    let region = form.querySelector('.form__live');
+
+    if (!region) {
+      region = document.createElement('p');
+      region.className = 'form__live sr-only';
+      region.setAttribute('aria-live', 'polite');
+      form.appendChild(region);
+    }
+
+    // Clearing first makes a repeated message count as a change
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 50);
+  }
+
+  /**
+   * Pick a user-facing message for a failed submission
+   * @param {Error} error - Submission error
+   * @returns {string} Message to display
+   */
+  function getSubmitErrorMessage(error) {
+    const { formatMessage } = window.FormValidation;
+
+    if (error.fieldErrors || (error.status === 429 && error.serverMessage)) {
+      return error.serverMessage || formatMessage('formInvalid');
+    }
+    return formatMessage(error.status ? 'submitFailed' : 'networkError');
+  }
+
+  /**
+   * Toggle the pending state on the form and its submit button
+   * @param {HTMLFormElement} form - Contact form
+   * @param {boolean} isSubmitting - Whether a submission is in flight
+   */
+  function setSubmittingState(form, isSubmitting) {
+    const submitButton = form.querySelector('[type="submit"]');
+
+    form.classList.toggle('form--submitting', isSubmitting);
+    form.setAttribute('aria-busy', String(isSubmitting));
+
+    if (submitButton) {
+      submitButton.classList.toggle('btn--loading', isSubmitting);
+      submitButton.disabled = isSubmitting;
+    }
+  }
+
+  /**
+   * Show the form-level submission error banner
+   * @param {HTMLFormElement} form - Contact form
+   * @param {string} message - Message to display
+   */
+  function showSubmitError(form, message) {
+    let errorBanner = form.querySelector('.form__submit-error');
+
+    if (!errorBanner) {
+      errorBanner = document.createElement('div');
+      errorBanner.className = 'form__submit-error';
+      errorBanner.setAttribute('role', 'alert');
+      form.insertBefore(errorBanner, form.firstChild);
+    }
+
+    errorBanner.textContent = message;
+    errorBanner.classList.add('form__submit-error--visible');
+  }
+
+  /**
+   * Hide the form-level submission error banner
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function clearSubmitError(form) {
+    const errorBanner = form.querySelector('.form__submit-error');
+
+    if (errorBanner) {
+      errorBanner.classList.remove('form__submit-error--visible');
+      errorBanner.textContent = '';
+    }
+  }
+
+  /**
+   * Display a field's validation result: the message below the field, tied
+   * to the control with aria-describedby, and the control's error or success class
+   * @param {HTMLElement} input - Field control
+   * @param {ValidationResult} result - Validation result
+   * @param {Object} [options] - Display options
+   * @param {boolean} [options.announce=true] - Read the error out through the live region
+   */
+  function displayFieldError(input, result, options = {}) {
+    const formGroup = input.closest('.form__group');
+    
+    if (!formGroup) {
+      return;
+    }
+
+    // Remove existing error
+    clearFieldError(input);
+
+    const target = getErrorTarget(input);
+    const controlClass = getControlClass(target);
+
+    if (!result.valid && result.error) {
+      formGroup.classList.add('form__group--error');
+      
+      const errorElement = document.createElement('span');
+      errorElement.className = 'form__error';
+      errorElement.id = getErrorId(input);
+      errorElement.textContent = result.error;
+      
+      formGroup.appendChild(errorElement);
+      target.setAttribute('aria-invalid', 'true');
+      setDescribedBy(target, errorElement.id, true);
+      if (controlClass) {
+        target.classList.add(`${controlClass}--error`);
+      }
+
+      updateErrorSummary(input.form, input.name, result.error);
+      if (options.announce !== false) {
+        announce(input.form, result.error);
+      }
+      return;
+    }
+
+    updateErrorSummary(input.form, input.name, null);
+    if (result.valid && controlClass && hasValue(result.sanitizedValue)) {
+      target.classList.add(`${controlClass}--success`);
+    }
+  }
+
+  /**
+   * Clear a field's validation state
+   * @param {HTMLElement} input - Field control
+   */
+  function clearFieldError(input) {
+    const formGroup = input.closest('.form__group');
+    
+    if (!formGroup) {
+      return;
+    }
+
+    formGroup.classList.remove('form__group--error');
+    
+    const errorElement = formGroup.querySelector('.form__error');
+    if (errorElement) {
+      errorElement.remove();
+    }
+
+    const target = getErrorTarget(input);
+    const controlClass = getControlClass(target);
+
+    target.removeAttribute('aria-invalid');
+    setDescribedBy(target, getErrorId(input), false);
+    if (controlClass) {
+      target.classList.remove(`${controlClass}--error`, `${controlClass}--success`);
+    }
+  }
+
+  /**
+   * Element that carries a field's error state: the control itself, or the
+   * fieldset around a radio or checkbox group
+   * @param {HTMLElement} input - Field control
+   * @returns {HTMLElement}
+   */
+  function getErrorTarget(input) {
+    if (input.type === 'radio' || input.type === 'checkbox') {
+      return input.closest('.form__choices') || input;
+    }
+    return input;
+  }
+
+  /**
+   * Id of a field's error message. Based on the control's id, since the
+   * quote and plan sign-up forms share field names.
+   * @param {HTMLElement} input - Field control
+   * @returns {string}
+   */
+  function getErrorId(input) {
+    return `${getErrorTarget(input).id || input.name}-error`;
+  }
+
+  /**
+   * Whether a form is the quote form, which owns the wizard and the draft
+   * @param {HTMLFormElement} form - Form element
+   * @returns {boolean}
+   */
+  function isQuoteForm(form) {
+    return form.closest('.contact__form') !== null;
+  }
+
+  /**
+   * BEM block class of a control, used for its --error and --success modifiers
+   * @param {HTMLElement} control - Control or choice fieldset
+   * @returns {string|null} e.g. 'form__input'
+   */
+  function getControlClass(control) {
+    return ['form__input', 'form__select', 'form__textarea', 'form__file', 'form__choices']
+      .find((className) => control.classList.contains(className)) || null;
+  }
+
+  /**
+   * Add or remove an id in an element's aria-describedby, keeping any hint ids
+   * @param {HTMLElement} element - Described element
+   * @param {string} id - Id to add or remove
+   * @param {boolean} present - Whether the id should be listed
+   */
+  function setDescribedBy(element, id, present) {
+    const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter((item) => item && item !== id);
+
+    if (present) {
+      ids.push(id);
+    }
+
+    if (ids.length > 0) {
+      element.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      element.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * Whether a sanitized value holds anything (so an empty optional field is not marked valid)
+   * @param {*} value - Sanitized value
+   * @returns {boolean}
+   */
+  function hasValue(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  /**
+   * Check if failed submissions can be stored for later
+   * @returns {boolean}
+   */
+  function canQueueSubmissions() {
+    return typeof window.SubmissionQueue !== 'undefined' && window.SubmissionQueue.isSupported();
+  }
+
+  /**
+   * Store a submission on the device and schedule it to be sent
+   * @param {HTMLFormElement} form - Form the submission came from
+   * @param {string} endpoint - Submission endpoint
+   * @param {Object.<string, string>} data - Sanitized form data
+   * @param {string} idempotencyKey - Key of the attempts already made
+   * @returns {Promise<void>}
+   */
+  async function queueSubmission(form, endpoint, data, idempotencyKey) {
+    await window.SubmissionQueue.enqueue(endpoint, data, { idempotencyKey });
+    if (formDraft && isQuoteForm(form)) {
+      formDraft.clear(); // The queue holds the submission now
+    }
+    const syncRegistered = await window.SubmissionQueue.registerBackgroundSync();
+
+    formLog.info('Submission queued', syncRegistered ? '(background sync)' : '(replay on reconnect)');
+    showFormQueued(form);
+  }
+
+  /**
+   * Initialize the offline submission queue: service worker, replay on
+   * reconnect and the status of requests queued on earlier visits
+   */
+  function initSubmissionQueue() {
+    if (!canQueueSubmissions()) {
+      return;
+    }
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('sw.js').catch((error) => {
+        formLog.warn('Service worker registration failed:', error.message);
+      });
+
+      // The service worker replayed the queue in the background
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'submission-queue-replayed') {
+          renderQueueStatus();
+        }
+      });
+    }
+
+    window.addEventListener('online', replayQueuedSubmissions);
+
+    if (navigator.onLine === false) {
+      renderQueueStatus();
+    } else {
+      replayQueuedSubmissions();
+    }
+  }
+
+  /**
+   * Send queued submissions from the page and refresh their status
+   * @returns {Promise<void>}
+   */
+  async function replayQueuedSubmissions() {
+    try {
+      const summary = await window.SubmissionQueue.replay();
+      if (summary.sent || summary.failed) {
+        formLog.info('Replayed queued submissions:', summary);
+      }
+    } catch (error) {
+      formLog.warn('Queue replay failed:', error.message);
+    }
+
+    await renderQueueStatus();
+  }
+
+  /**
+   * Render per-item status of queued submissions above the contact form.
+   * Sent items are dropped once they have been shown; failed ones stay, with
+   * their data, until the visitor puts them back into the form or dismisses them.
+   * @returns {Promise<void>}
+   */
+  async function renderQueueStatus() {
+    const form = document.querySelector('.contact__form form');
+
+    if (!form) {
+      return;
+    }
+
+    const { STATUS } = window.SubmissionQueue;
+    const { formatMessage, getLocale } = window.FormValidation;
+    let items;
+
+    try {
+      items = await window.SubmissionQueue.getAll();
+    } catch (error) {
+      formLog.warn('Could not read submission queue:', error.message);
+      return;
+    }
+
+    let statusList = document.querySelector('.form__queue-status');
+
+    if (items.length === 0) {
+      if (statusList) {
+        statusList.remove();
+      }
+      return;
+    }
+
+    if (!statusList) {
+      statusList = document.createElement('ul');
+      statusList.className = 'form__queue-status';
+      statusList.setAttribute('aria-label', formatMessage('queueLabel'));
+      statusList.setAttribute('aria-live', 'polite');
+      form.parentNode.insertBefore(statusList, form.parentNode.firstChild);
+    }
+
+    const statusCodes = {
+      [STATUS.PENDING]: 'queuePending',
+      [STATUS.SENDING]: 'queueSending',
+      [STATUS.SENT]: 'queueSent',
+      [STATUS.FAILED]: 'queueFailed',
+    };
+
+    statusList.textContent = '';
+
+    items.forEach((item) => {
+      const listItem = document.createElement('li');
+      listItem.className = `form__queue-item form__queue-item--${item.status}`;
+
+      const title = document.createElement('strong');
+      title.textContent = `${formatMessage('queueItem', { date: new Date(item.createdAt).toLocaleString(getLocale()) })} `;
+
+      listItem.appendChild(title);
+      listItem.appendChild(document.createTextNode(statusCodes[item.status] ? formatMessage(statusCodes[item.status]) : item.status));
+      if (item.status === STATUS.FAILED) {
+        listItem.appendChild(createQueueActions(form, item));
+      }
+      statusList.appendChild(listItem);
+    });
+
+    // A sent request only needs to be reported once
+    await Promise.all(
+      items
+        .filter((item) => item.status === STATUS.SENT)
+        .map((item) => window.SubmissionQueue.remove(item.id).catch(() => {}))
+    );
+  }
+
+  /**
+   * Buttons of a failed queued submission: back into the form, or dismiss
+   * @param {HTMLFormElement} form - Contact form
+   * @param {Object} item - QueuedSubmission
+   * @returns {HTMLElement}
+   */
+  function createQueueActions(form, item) {
+    const { formatMessage } = window.FormValidation;
+    const actions = document.createElement('span');
+    actions.className = 'form__queue-actions';
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'form__queue-action';
+    restoreButton.textContent = formatMessage('queueRestore');
+    restoreButton.addEventListener('click', () => restoreQueuedSubmission(form, item));
+
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'form__queue-action';
+    dismissButton.textContent = formatMessage('queueDismiss');
+    dismissButton.addEventListener('click', () => dismissQueuedSubmission(item));
+
+    actions.append(restoreButton, dismissButton);
+    return actions;
+  }
+
+  /**
+   * Put a failed queued submission back into the form, with the server's
+   * field errors, and drop it from the queue - the visitor sends it again
+   * @param {HTMLFormElement} form - Contact form
+   * @param {Object} item - QueuedSubmission
+   * @returns {Promise<void>}
+   */
+  async function restoreQueuedSubmission(form, item) {
+    if (typeof window.FormDraft !== 'undefined') {
+      window.FormDraft.applyValues(form, item.data);
+    }
+
+    // Photos are kept as Files; put them back into the file input
+    const photos = [].concat(item.data.photos || []).filter((file) => file instanceof Blob);
+    const photoInput = form.querySelector('input[type="file"][name="photos"]');
+    if (photos.length > 0 && photoInput && typeof DataTransfer === 'function') {
+      const transfer = new DataTransfer();
+      photos.forEach((file) => transfer.items.add(file));
+      photoInput.files = transfer.files;
+      photoInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    await dismissQueuedSubmission(item);
+
+    if (item.fieldErrors && Object.keys(item.fieldErrors).length > 0) {
+      displayFormErrors(form, item.fieldErrors);
+    } else {
+      showSubmitError(form, window.FormValidation.formatMessage('queueRestored'));
+    }
+  }
+
+  /**
+   * Remove a queued submission and refresh the status list
+   * @param {Object} item - QueuedSubmission
+   * @returns {Promise<void>}
+   */
+  async function dismissQueuedSubmission(item) {
+    try {
+      await window.SubmissionQueue.remove(item.id);
+    } catch (error) {
+      formLog.warn('Could not remove queued submission:', error.message);
+    }
+
+    await renderQueueStatus();
+  }
+
+  /**
+   * Show the "saved for later" message in place of the form
+   * @param {HTMLFormElement} form - Form the submission came from
+   */
+  function showFormQueued(form) {
+    const { formatMessage } = window.FormValidation;
+    const queuedMessage = document.createElement('div');
+    queuedMessage.className = 'form__submit-success form__submit-success--visible';
+    queuedMessage.setAttribute('role', 'status');
+
+    const title = document.createElement('p');
+    title.appendChild(document.createElement('strong')).textContent = formatMessage('offlineTitle');
+    const detail = document.createElement('p');
+    detail.textContent = formatMessage('offlineSaved');
+    queuedMessage.append(title, detail);
+
+    form.style.display = 'none';
+    form.parentNode.insertBefore(queuedMessage, form);
+
+    form.reset();
+  }
+
+  /**
+   * Replace the form with the confirmation view: reference number, summary
+   * and calendar/contact downloads
+   * @param {HTMLFormElement} form - Contact form
+   * @param {Object} data - Submitted data
+   * @param {Object} [response] - Server response; its reference is used when present
+   */
+  function showFormSuccess(form, data, response = {}) {
+    if (typeof window.Confirmation === 'undefined') {
+      const successMessage = document.createElement('div');
+      successMessage.className = 'form__submit-success form__submit-success--visible';
+      successMessage.setAttribute('role', 'status');
+      successMessage.textContent = 'Thank you for your message! We\'ll get back to you as soon as possible.';
+
+      form.style.display = 'none';
+      form.parentNode.insertBefore(successMessage, form);
+      form.reset();
+      return;
+    }
+
+    const { Confirmation } = window;
+    // Read before the reset below empties the form
+    const summary = Confirmation.describeForm(form);
+
+    form.style.display = 'none';
+    Confirmation.show(form, {
+      // The server issues the reference; the honeypot path and older servers don't
+      reference: response.reference || Confirmation.createReference(),
+      data,
+      summary,
+    }, {
+      onReset: () => restoreForm(form),
+    });
+
+    form.reset();
+  }
+
+  /**
+   * Bring back a clean form after a confirmation
+   * @param {HTMLFormElement} form - Contact form
+   */
+  function restoreForm(form) {
+    form.reset();
+    form.querySelectorAll('input, select, textarea').forEach(clearFieldError);
+    clearErrorSummary(form);
+    clearSubmitError(form);
+    startSpamClock(form);
+    form.style.display = '';
+
+    if (quoteWizard && isQuoteForm(form)) {
+      quoteWizard.goTo(0, { history: 'replace', focus: true });
+    } else {
+      const firstField = form.querySelector('input:not([type="hidden"]):not([data-validate="false"]), select, textarea');
+      if (firstField) {
+        firstField.focus();
+      }
+    }
+  }
+
+  /**
+   * Initialize all functionality when DOM is ready
+   */
+  function init() {
+    mainLog.debug('Initializing ThermoCool landing page');
+    
+    // Before anything else, so their warnings are forwarded too
+    initLogReporting();
+    
+    // Initialize performance monitoring first
+    initPerformanceMonitoring();
+    
+    // Initialize lazy loading
+    initLazyLoading();
+    
+    // Track Web Vitals
+    trackWebVitals();
+    
+    // Initialize smooth scrolling
+    initSmoothScrolling();
+    
+    // Initialize form handling
+    initFormHandling();
+    
+    // "Do you serve my area?" widget
+    initServiceAreaCheck();
+    
+    // Ballpark prices that carry into the quote form
+    initCostEstimator();
+    
+    // Plan comparison and sign-up
+    initMaintenancePlans();
+    
+    // Replay and report submissions saved while offline
+    initSubmissionQueue();
     
-    console.log('[Main] Initialization complete');
+    mainLog.debug('Initialization complete');
   }
 
   // Initialize when DOM is ready
@@ -538,9 +2134,9 @@
     module.exports = {
       initPerformanceMonitoring,
       initLazyLoading,
-      monitorResourceLoading,
       trackWebVitals,
-      performanceMetrics,
+      sendSubmission,
+      SUBMISSION_CONFIG,
     };
   }
 
@@ -0,0 +1,541 @@
+/**
+ * Maintenance Plans Module
+ * The three maintenance plan tiers: prices, the feature comparison table
+ * with its monthly/annual toggle, and the sign-up form the "Choose plan"
+ * buttons open. The server loads it too, through the plan rule in
+ * form-validation.js, so a sign-up is stored with the price shown here.
+ *
+ * @module maintenance-plans
+ */
+
+(function(root) {
+  'use strict';
+
+  // Plan tiers - keep the Offers in index.html's structured data in sync (see toOffers)
+  const PLANS_CONFIG = Object.freeze({
+    currency: 'USD',
+    maxSystems: 4, // Larger homes and commercial sites are quoted individually
+    defaultCycle: 'monthly',
+    features: Object.freeze([
+      Object.freeze({ id: 'tuneUps', label: 'Precision tune-ups' }),
+      Object.freeze({ id: 'priority', label: 'Priority scheduling' }),
+      Object.freeze({ id: 'noOvertime', label: 'No after-hours charges' }),
+      Object.freeze({ id: 'repairDiscount', label: 'Discount on repairs' }),
+      Object.freeze({ id: 'filters', label: 'Filters delivered' }),
+      Object.freeze({ id: 'emergencyFee', label: 'Emergency call-out fee waived' }),
+    ]),
+    // Prices in whole USD for the first system; extraSystem is added per further system
+    plans: Object.freeze([
+      Object.freeze({
+        id: 'essential',
+        name: 'Essential',
+        description: 'A yearly tune-up to keep one system running safely.',
+        price: Object.freeze({ monthly: 15, annual: 159 }),
+        extraSystem: Object.freeze({ monthly: 8, annual: 85 }),
+        features: Object.freeze({
+          tuneUps: '1 per year',
+          priority: false,
+          noOvertime: false,
+          repairDiscount: '10%',
+          filters: false,
+          emergencyFee: false,
+        }),
+      }),
+      Object.freeze({
+        id: 'comfort-plus',
+        name: 'Comfort Plus',
+        description: 'Spring and fall tune-ups with priority service all year.',
+        popular: true,
+        price: Object.freeze({ monthly: 25, annual: 269 }),
+        extraSystem: Object.freeze({ monthly: 12, annual: 129 }),
+        features: Object.freeze({
+          tuneUps: '2 per year',
+          priority: true,
+          noOvertime: true,
+          repairDiscount: '15%',
+          filters: false,
+          emergencyFee: true,
+        }),
+      }),
+      Object.freeze({
+        id: 'total-care',
+        name: 'Total Care',
+        description: 'Everything in Comfort Plus, plus filters at your door.',
+        price: Object.freeze({ monthly: 39, annual: 419 }),
+        extraSystem: Object.freeze({ monthly: 18, annual: 189 }),
+        features: Object.freeze({
+          tuneUps: '2 per year',
+          priority: true,
+          noOvertime: true,
+          repairDiscount: '20%',
+          filters: true,
+          emergencyFee: true,
+        }),
+      }),
+    ]),
+    // UN/CEFACT unit codes for the structured data's UnitPriceSpecification
+    unitCodes: Object.freeze({ monthly: 'MON', annual: 'ANN' }),
+    labels: Object.freeze({
+      caption: 'Maintenance plan features and prices',
+      feature: 'Feature',
+      popular: 'Most popular',
+      monthly: '{price}/mo',
+      annual: '{price}/yr',
+      extraSystem: '+{price} per extra system',
+      saving: 'Save up to {percent}%',
+      included: 'Included',
+      notIncluded: 'Not included',
+      choose: 'Choose plan',
+      system: '{count} system',
+      systems: '{count} systems',
+      total: '{plan}, {systems}: {price}',
+      offerName: '{plan} Maintenance Plan',
+    }),
+  });
+
+  /**
+   * Plan tier
+   * @typedef {Object} Plan
+   * @property {string} id - Plan id, as submitted in the plan field
+   * @property {string} name - Display name
+   * @property {string} description - One-line description
+   * @property {boolean} [popular] - Highlighted as the most popular plan
+   * @property {{monthly: number, annual: number}} price - Price for the first system
+   * @property {{monthly: number, annual: number}} extraSystem - Price per further system
+   * @property {Object.<string, boolean|string>} features - Entry per feature id: included or not, or a detail
+   */
+
+  /**
+   * Plans section controller
+   * @typedef {Object} PlansSection
+   * @property {function(): string} getCycle - Billing cycle shown in the table
+   * @property {function(string, string=): void} choose - Open the sign-up form for a plan and cycle
+   * @property {function(): void} close - Hide the sign-up form again
+   */
+
+  /**
+   * Find a plan by id
+   * @param {string} planId - Plan id
+   * @returns {Plan|null}
+   */
+  function getPlan(planId) {
+    return PLANS_CONFIG.plans.find((plan) => plan.id === planId) || null;
+  }
+
+  /**
+   * Price of a plan for a number of systems
+   * @param {string} planId - Plan id
+   * @param {string} cycle - 'monthly' or 'annual'
+   * @param {number|string} [systems=1] - Systems covered
+   * @returns {number|null} Price in USD per cycle, or null for an unknown plan, cycle or count
+   */
+  function getPrice(planId, cycle, systems = 1) {
+    const plan = getPlan(planId);
+    const count = Number(systems);
+
+    if (!plan || !(cycle in plan.price) || !Number.isInteger(count) || count < 1 || count > PLANS_CONFIG.maxSystems) {
+      return null;
+    }
+    return plan.price[cycle] + plan.extraSystem[cycle] * (count - 1);
+  }
+
+  /**
+   * Format a price for a billing cycle
+   * @param {number} amount - Amount in USD
+   * @param {string} cycle - 'monthly' or 'annual'
+   * @returns {string} e.g. "$25/mo" or "$269/yr"
+   */
+  function formatPrice(amount, cycle) {
+    return formatLabel(PLANS_CONFIG.labels[cycle], { price: formatCurrency(amount) });
+  }
+
+  /**
+   * Largest saving of annual over monthly billing across the plans
+   * @returns {number} Whole percent
+   */
+  function getAnnualSaving() {
+    return Math.max(...PLANS_CONFIG.plans.map((plan) =>
+      Math.round((1 - plan.price.annual / (plan.price.monthly * 12)) * 100)
+    ));
+  }
+
+  /**
+   * schema.org Offers for the plans, one UnitPriceSpecification per billing cycle.
+   * This is what index.html's "Maintenance Plans" OfferCatalog should list.
+   * @returns {Array<Object>} Offer objects
+   */
+  function toOffers() {
+    const { currency, unitCodes, labels } = PLANS_CONFIG;
+
+    return PLANS_CONFIG.plans.map((plan) => ({
+      '@type': 'Offer',
+      name: formatLabel(labels.offerName, { plan: plan.name }),
+      description: plan.description,
+      price: plan.price.monthly.toFixed(2),
+      priceCurrency: currency,
+      priceSpecification: Object.keys(unitCodes).map((cycle) => ({
+        '@type': 'UnitPriceSpecification',
+        price: plan.price[cycle].toFixed(2),
+        priceCurrency: currency,
+        referenceQuantity: {
+          '@type': 'QuantitativeValue',
+          value: 1,
+          unitCode: unitCodes[cycle],
+        },
+      })),
+      itemOffered: {
+        '@type': 'Service',
+        name: formatLabel(labels.offerName, { plan: plan.name }),
+        serviceType: 'HVAC maintenance',
+      },
+    }));
+  }
+
+  /**
+   * Compare the plans with the Offers in schema.org structured data
+   * @param {Object} catalog - hasOfferCatalog from the page's structured data
+   * @returns {Array<string>} Mismatches (empty when they agree)
+   */
+  function compareOffers(catalog) {
+    const published = collectOffers(catalog);
+
+    return toOffers().reduce((problems, offer) => {
+      const match = published.find((item) => item.name === offer.name);
+
+      if (!match) {
+        problems.push(`"${offer.name}" is missing from the structured data`);
+        return problems;
+      }
+
+      offer.priceSpecification.forEach((expected) => {
+        const unitCode = expected.referenceQuantity.unitCode;
+        const actual = [].concat(match.priceSpecification || []).find((specification) =>
+          specification.referenceQuantity && specification.referenceQuantity.unitCode === unitCode
+        );
+
+        if (!actual || Number(actual.price) !== Number(expected.price)) {
+          problems.push(
+            `"${offer.name}" ${unitCode} price: configured ${expected.price}, structured data says ${actual && actual.price}`
+          );
+        }
+      });
+      return problems;
+    }, []);
+  }
+
+  /**
+   * Flatten the Offers of a catalog and its nested catalogs
+   * @param {Object} catalog - schema.org OfferCatalog
+   * @returns {Array<Object>} Offers
+   */
+  function collectOffers(catalog) {
+    return [].concat((catalog && catalog.itemListElement) || []).reduce((offers, item) => {
+      if (item && item['@type'] === 'OfferCatalog') {
+        return offers.concat(collectOffers(item));
+      }
+      return item && item['@type'] === 'Offer' ? offers.concat(item) : offers;
+    }, []);
+  }
+
+  /**
+   * Build the comparison table
+   * @param {string} cycle - Billing cycle to show
+   * @returns {HTMLTableElement}
+   */
+  function buildTable(cycle) {
+    const { labels } = PLANS_CONFIG;
+    const table = document.createElement('table');
+    const caption = table.createCaption();
+    const head = table.createTHead().insertRow();
+    const body = table.createTBody();
+    const foot = table.createTFoot().insertRow();
+
+    table.className = 'plans__table';
+    caption.className = 'sr-only';
+    caption.textContent = labels.caption;
+
+    head.appendChild(createCell('th', '', labels.feature, 'col'));
+    foot.appendChild(document.createElement('td'));
+
+    PLANS_CONFIG.plans.forEach((plan) => {
+      const header = createCell('th', 'plans__plan', null, 'col');
+      const choose = document.createElement('button');
+
+      if (plan.popular) {
+        header.classList.add('plans__plan--popular');
+        header.appendChild(createText('span', 'plans__badge', labels.popular));
+      }
+      header.appendChild(createText('span', 'plans__name', plan.name));
+      header.appendChild(createText('span', 'plans__price', ''));
+      header.appendChild(createText('span', 'plans__extra', ''));
+      header.appendChild(createText('span', 'plans__description', plan.description));
+      header.setAttribute('data-plan', plan.id);
+      head.appendChild(header);
+
+      // "Choose plan" reads as "Choose plan, Comfort Plus" for assistive technology
+      choose.type = 'button';
+      choose.className = `btn ${plan.popular ? 'btn--primary' : 'btn--secondary'} plans__choose`;
+      choose.setAttribute('data-plan', plan.id);
+      choose.textContent = labels.choose;
+      choose.appendChild(createText('span', 'sr-only', `, ${plan.name}`));
+      foot.appendChild(createCell('td', plan.popular ? 'plans__cell plans__cell--popular' : 'plans__cell', choose));
+    });
+
+    PLANS_CONFIG.features.forEach((feature) => {
+      const row = body.insertRow();
+      row.appendChild(createCell('th', '', feature.label, 'row'));
+
+      PLANS_CONFIG.plans.forEach((plan) => {
+        const value = plan.features[feature.id];
+        const cell = createCell('td', plan.popular ? 'plans__cell plans__cell--popular' : 'plans__cell', null);
+
+        if (typeof value === 'string') {
+          cell.textContent = value;
+        } else {
+          const mark = createText('span', `plans__mark plans__mark--${value ? 'yes' : 'no'}`, value ? '✓' : '—');
+          mark.setAttribute('aria-hidden', 'true');
+          cell.appendChild(mark);
+          cell.appendChild(createText('span', 'sr-only', value ? labels.included : labels.notIncluded));
+        }
+        row.appendChild(cell);
+      });
+    });
+
+    showPrices(table, cycle);
+    return table;
+  }
+
+  /**
+   * Show one billing cycle's prices in the table headers
+   * @param {HTMLTableElement} table - Comparison table
+   * @param {string} cycle - 'monthly' or 'annual'
+   */
+  function showPrices(table, cycle) {
+    PLANS_CONFIG.plans.forEach((plan) => {
+      const header = table.querySelector(`.plans__plan[data-plan="${plan.id}"]`);
+
+      header.querySelector('.plans__price').textContent = formatPrice(plan.price[cycle], cycle);
+      header.querySelector('.plans__extra').textContent = formatLabel(PLANS_CONFIG.labels.extraSystem, {
+        price: formatPrice(plan.extraSystem[cycle], cycle),
+      });
+    });
+  }
+
+  /**
+   * Wire up the plans section: render the table, the billing toggle and the
+   * sign-up form's plan fields. The section ships hidden and is shown here.
+   * @param {HTMLElement} section - Element holding .plans__billing, .plans__table-wrapper and .plans__signup
+   * @param {Object} [options] - Options
+   * @param {function(string, string, HTMLFormElement): void} [options.onChoose] - Called with the plan id,
+   *   the billing cycle and the sign-up form once the form is open
+   * @returns {PlansSection|null} Controller, or null when the markup is incomplete
+   */
+  function create(section, options = {}) {
+    const wrapper = section.querySelector('.plans__table-wrapper');
+    const billing = section.querySelector('.plans__billing');
+    const signup = section.querySelector('.plans__signup');
+    const form = signup && signup.querySelector('form');
+
+    if (!wrapper || !billing || !form) {
+      return null;
+    }
+
+    const field = (name) => form.querySelector(`[name="${name}"]`);
+    const total = signup.querySelector('.plans__total');
+    let cycle = PLANS_CONFIG.defaultCycle;
+
+    const table = buildTable(cycle);
+    wrapper.appendChild(table);
+
+    billing.querySelectorAll('input[type="radio"]').forEach((radio) => {
+      radio.checked = radio.value === cycle;
+    });
+    const saving = billing.querySelector('.plans__saving');
+    if (saving) {
+      saving.textContent = formatLabel(PLANS_CONFIG.labels.saving, { percent: getAnnualSaving() });
+    }
+
+    // The sign-up options come from the same config as the table
+    PLANS_CONFIG.plans.forEach((plan) => {
+      field('plan').appendChild(new Option(plan.name, plan.id));
+    });
+    for (let count = 1; count <= PLANS_CONFIG.maxSystems; count++) {
+      field('planSystems').appendChild(new Option(formatSystems(count), String(count)));
+    }
+
+    /**
+     * Show the price of the plan, cycle and system count chosen in the sign-up form
+     */
+    function updateTotal() {
+      const chosenCycle = (form.querySelector('[name="billingCycle"]:checked') || {}).value;
+      const price = getPrice(field('plan').value, chosenCycle, field('planSystems').value);
+
+      total.textContent = price === null ? '' : formatLabel(PLANS_CONFIG.labels.total, {
+        plan: getPlan(field('plan').value).name,
+        systems: formatSystems(Number(field('planSystems').value)),
+        price: formatPrice(price, chosenCycle),
+      });
+    }
+
+    /**
+     * Open the sign-up form for a plan
+     * @param {string} planId - Plan id
+     * @param {string} [chosenCycle] - Billing cycle (the table's when unset)
+     */
+    function choose(planId, chosenCycle = cycle) {
+      if (!getPlan(planId)) {
+        return;
+      }
+
+      field('plan').value = planId;
+      form.querySelectorAll('[name="billingCycle"]').forEach((radio) => {
+        radio.checked = radio.value === chosenCycle;
+      });
+      updateTotal();
+
+      signup.hidden = false;
+      const title = signup.querySelector('.plans__signup-title');
+      if (title) {
+        title.focus();
+      }
+
+      if (options.onChoose) {
+        options.onChoose(planId, chosenCycle, form);
+      }
+    }
+
+    /**
+     * Hide the sign-up form and return to the chosen plan's button
+     */
+    function close() {
+      const planId = field('plan').value;
+      const button = table.querySelector(`.plans__choose[data-plan="${planId}"]`);
+
+      signup.hidden = true;
+      if (button) {
+        button.focus();
+      }
+    }
+
+    billing.addEventListener('change', (event) => {
+      cycle = event.target.value;
+      showPrices(table, cycle);
+    });
+
+    table.addEventListener('click', (event) => {
+      const button = event.target.closest('.plans__choose');
+      if (button) {
+        choose(button.getAttribute('data-plan'));
+      }
+    });
+
+    form.addEventListener('change', (event) => {
+      if (['plan', 'billingCycle', 'planSystems'].includes(event.target.name)) {
+        updateTotal();
+      }
+    });
+    // The reset event fires before the controls are emptied
+    form.addEventListener('reset', () => setTimeout(updateTotal));
+
+    const cancel = signup.querySelector('.plans__cancel');
+    if (cancel) {
+      cancel.addEventListener('click', close);
+    }
+
+    section.hidden = false;
+
+    return {
+      getCycle: () => cycle,
+      choose,
+      close,
+    };
+  }
+
+  /**
+   * Element with a class and text
+   * @param {string} tagName - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement}
+   */
+  function createText(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Table cell holding text or an element
+   * @param {string} tagName - 'th' or 'td'
+   * @param {string} className - Class name
+   * @param {string|HTMLElement|null} content - Text, child element or nothing
+   * @param {string} [scope] - Header scope ('col' or 'row')
+   * @returns {HTMLTableCellElement}
+   */
+  function createCell(tagName, className, content, scope) {
+    const cell = document.createElement(tagName);
+
+    if (className) {
+      cell.className = className;
+    }
+    if (scope) {
+      cell.setAttribute('scope', scope);
+    }
+    if (typeof content === 'string') {
+      cell.textContent = content;
+    } else if (content) {
+      cell.appendChild(content);
+    }
+    return cell;
+  }
+
+  /**
+   * Format a number of systems
+   * @param {number} count - Systems
+   * @returns {string} e.g. "2 systems"
+   */
+  function formatSystems(count) {
+    return formatLabel(count === 1 ? PLANS_CONFIG.labels.system : PLANS_CONFIG.labels.systems, { count });
+  }
+
+  /**
+   * Format whole dollars
+   * @param {number} amount - Amount in USD
+   * @returns {string} e.g. "$269"
+   */
+  function formatCurrency(amount) {
+    return `$${amount.toLocaleString('en-US')}`;
+  }
+
+  /**
+   * Fill {placeholders} in a label
+   * @param {string} template - Label template
+   * @param {Object.<string, *>} params - Values
+   * @returns {string}
+   */
+  function formatLabel(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+  }
+
+  // Export public API
+  const MaintenancePlans = {
+    create,
+    getPlan,
+    getPrice,
+    formatPrice,
+    getAnnualSaving,
+    toOffers,
+    compareOffers,
+    PLANS_CONFIG,
+  };
+
+  // Attach to the global scope
+  root.MaintenancePlans = MaintenancePlans;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaintenancePlans;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
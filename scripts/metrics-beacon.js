@@ -0,0 +1,519 @@
+/**
+ * Metrics Beacon Module
+ * Transport for PerformanceMonitor data: batches metric events and the load
+ * report, and sends them when the page is hidden, with navigator.sendBeacon
+ * or a keepalive fetch so they survive the page unloading. Batches that fail
+ * are kept in localStorage and retried on the next visit.
+ *
+ * The payload schema is shared with the collector on the server.
+ *
+ * @module metrics-beacon
+ */
+
+(function(root) {
+  'use strict';
+
+  // Transport settings
+  const BEACON_CONFIG = Object.freeze({
+    sampleRate: 1, // Share of sessions that send anything (0-1)
+    maxBatchSize: 20, // Send early once this many events are queued
+    maxEvents: 50, // Events a payload may carry; the collector rejects more
+    maxPayloadBytes: 60000, // sendBeacon and keepalive fetch refuse bodies over 64KB
+    sessionKey: 'thermocool:metrics-session', // sessionStorage
+    retryKey: 'thermocool:metrics-retry', // localStorage
+    maxStoredBatches: 10,
+    maxStoredAge: 7 * 24 * 60 * 60 * 1000, // Stored batches older than a week are dropped
+    // Viewport breakpoints, as in styles/
+    devices: Object.freeze({ tabletFrom: 768, desktopFrom: 1024 }),
+  });
+
+  /**
+   * Payload schema; bump the version on any incompatible change
+   * @const {Object}
+   */
+  const SCHEMA = Object.freeze({
+    name: 'thermocool.rum',
+    version: 1,
+  });
+
+  const log = (typeof module !== 'undefined' && module.exports ? require('./logger.js') : root.Logger).create('Analytics');
+
+  /**
+   * Metrics payload
+   * @typedef {Object} MetricsPayload
+   * @property {string} schema - SCHEMA.name
+   * @property {number} version - SCHEMA.version
+   * @property {string} batchId - Unique per batch, so a retried batch can be recognized
+   * @property {string} sessionId - Same for every batch of the browser session
+   * @property {number} sampleRate - Sample rate the session was picked with
+   * @property {number} sentAt - Time the batch was made (ms since epoch)
+   * @property {PageContext} page - Where the events were measured
+   * @property {Array<MetricsEvent>} events - Metric events and load reports
+   */
+
+  /**
+   * Page context
+   * @typedef {Object} PageContext
+   * @property {string} path - URL path, without query string or hash
+   * @property {string} device - 'mobile', 'tablet' or 'desktop', from the viewport width
+   * @property {string|null} connection - Effective connection type (e.g. '4g') where known
+   * @property {string} userAgent - User agent string
+   */
+
+  /**
+   * Event in a payload
+   * @typedef {Object} MetricsEvent
+   * @property {string} type - 'metric' or 'report'
+   * @property {number} time - When it was queued (ms since epoch)
+   * @property {Object} [metric] - MetricEvent, for type 'metric'
+   * @property {Object} [report] - serializeReport() output, for type 'report'
+   */
+
+  /**
+   * Beacon controller
+   * @typedef {Object} MetricsBeacon
+   * @property {function(Object): void} addMetric - Queue a MetricEvent
+   * @property {function(Object): void} addReport - Queue a getMetrics() report
+   * @property {function(): Promise<boolean>} flush - Send what is queued
+   * @property {function(): string} getSessionId - Session id
+   * @property {function(): boolean} isSampled - Whether this session sends anything
+   */
+
+  /**
+   * Generate a unique id
+   * @returns {string}
+   */
+  function createId() {
+    if (root.crypto && typeof root.crypto.randomUUID === 'function') {
+      return root.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Resolves the PerformanceMonitor module (global in the browser, require in Node)
+   * @returns {Object|null} PerformanceMonitor API, or null when it is not loaded
+   */
+  function getPerformanceMonitor() {
+    if (root.PerformanceMonitor) {
+      return root.PerformanceMonitor;
+    }
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      return require('./performance.js');
+    }
+    return null;
+  }
+
+  /**
+   * Web Storage object, when the browser allows it
+   * @param {string} name - 'localStorage' or 'sessionStorage'
+   * @returns {Storage|null}
+   */
+  function getStorage(name) {
+    try {
+      return root[name] || null;
+    } catch (error) {
+      // Blocked storage throws on access
+      return null;
+    }
+  }
+
+  /**
+   * Make a getMetrics() report JSON-safe: the custom measures Map becomes an
+   * object keyed by measure name
+   * @param {Object} report - PerformanceMonitor.getMetrics() output
+   * @returns {Object}
+   */
+  function serializeReport(report) {
+    const custom = report.custom instanceof Map ? Object.fromEntries(report.custom) : { ...report.custom };
+    return { ...report, custom };
+  }
+
+  /**
+   * Device class from the viewport width
+   * @returns {string} 'mobile', 'tablet' or 'desktop'
+   */
+  function getDeviceType() {
+    const width = root.innerWidth || 0;
+
+    if (width >= BEACON_CONFIG.devices.desktopFrom) {
+      return 'desktop';
+    }
+    return width >= BEACON_CONFIG.devices.tabletFrom ? 'tablet' : 'mobile';
+  }
+
+  /**
+   * Describe the current page
+   * @returns {PageContext}
+   */
+  function getPageContext() {
+    const navigatorInfo = root.navigator || {};
+
+    return {
+      path: root.location ? root.location.pathname : '',
+      device: getDeviceType(),
+      connection: (navigatorInfo.connection && navigatorInfo.connection.effectiveType) || null,
+      userAgent: navigatorInfo.userAgent || '',
+    };
+  }
+
+  /**
+   * Build a payload
+   * @param {Object} options - Options
+   * @param {string} options.sessionId - Session id
+   * @param {number} options.sampleRate - Session sample rate
+   * @param {Array<MetricsEvent>} options.events - Events
+   * @param {PageContext} [options.page] - Page context (default: the current page)
+   * @returns {MetricsPayload}
+   */
+  function buildPayload({ sessionId, sampleRate, events, page = getPageContext() }) {
+    return {
+      schema: SCHEMA.name,
+      version: SCHEMA.version,
+      batchId: createId(),
+      sessionId,
+      sampleRate,
+      sentAt: Date.now(),
+      page,
+      events,
+    };
+  }
+
+  /**
+   * Check a payload against the schema
+   * @param {*} payload - Parsed request body
+   * @returns {Array<string>} Problems (empty when valid)
+   */
+  function validatePayload(payload) {
+    const problems = [];
+
+    if (!payload || typeof payload !== 'object') {
+      return ['payload must be an object'];
+    }
+    if (payload.schema !== SCHEMA.name || payload.version !== SCHEMA.version) {
+      problems.push(`unsupported schema ${payload.schema} v${payload.version}`);
+    }
+    ['batchId', 'sessionId'].forEach((key) => {
+      if (typeof payload[key] !== 'string' || !payload[key]) {
+        problems.push(`${key} must be a non-empty string`);
+      }
+    });
+    if (typeof payload.sampleRate !== 'number' || !(payload.sampleRate > 0 && payload.sampleRate <= 1)) {
+      problems.push('sampleRate must be a number in (0, 1]');
+    }
+    if (!payload.page || typeof payload.page.path !== 'string') {
+      problems.push('page.path must be a string');
+    }
+    if (!Array.isArray(payload.events)) {
+      problems.push('events must be an array');
+    } else if (payload.events.length > BEACON_CONFIG.maxEvents) {
+      problems.push(`events must hold at most ${BEACON_CONFIG.maxEvents} entries`);
+    } else {
+      const monitor = getPerformanceMonitor();
+      const metricNames = monitor ? Object.keys(monitor.THRESHOLDS) : [];
+
+      payload.events.forEach((event, index) => {
+        if (!event || !['metric', 'report'].includes(event.type) || !event[event.type]) {
+          problems.push(`events[${index}] must be a metric or a report`);
+          return;
+        }
+        if (typeof event.time !== 'number' || !Number.isFinite(event.time)) {
+          problems.push(`events[${index}].time must be a number`);
+        }
+        if (event.type !== 'metric') {
+          return;
+        }
+
+        const metric = event.metric;
+        // Names become keys of the collector's summary, so only known metrics
+        if (!metricNames.includes(metric.name)) {
+          problems.push(`events[${index}].metric.name must be one of ${metricNames.join(', ')}`);
+        }
+        if (typeof metric.id !== 'string' || !metric.id) {
+          problems.push(`events[${index}].metric.id must be a non-empty string`);
+        }
+        if (typeof metric.value !== 'number' || !Number.isFinite(metric.value)) {
+          problems.push(`events[${index}].metric.value must be a finite number`);
+        }
+      });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Send a payload without waiting on the page: sendBeacon first, keepalive
+   * fetch when the browser refuses the beacon
+   * @param {string} endpoint - Collector URL
+   * @param {MetricsPayload} payload - Payload
+   * @returns {Promise<boolean>} Whether the payload was handed over. False for network
+   *   errors, 5xx and 429 responses, which are worth retrying; any other 4xx counts as handed over.
+   */
+  async function send(endpoint, payload) {
+    const body = JSON.stringify(payload);
+    const navigatorInfo = root.navigator || {};
+
+    if (typeof navigatorInfo.sendBeacon === 'function' &&
+      navigatorInfo.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+      return true;
+    }
+
+    try {
+      const response = await root.fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true,
+      });
+
+      // Rate limited - the stored batch goes out on a later visit
+      if (response.status === 429) {
+        return false;
+      }
+      if (!response.ok && response.status < 500) {
+        // Retrying won't fix a rejected payload
+        log.warn(`Collector rejected the batch: ${response.status}`);
+      }
+      return response.status < 500;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read the batches kept for retry, dropping expired ones
+   * @param {Storage|null} storage - localStorage
+   * @returns {Array<{endpoint: string, payload: MetricsPayload, storedAt: number}>}
+   */
+  function readStoredBatches(storage) {
+    if (!storage) {
+      return [];
+    }
+
+    try {
+      const stored = JSON.parse(storage.getItem(BEACON_CONFIG.retryKey) || '[]');
+      return Array.isArray(stored)
+        ? stored.filter((item) => item && Date.now() - item.storedAt < BEACON_CONFIG.maxStoredAge)
+        : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save the batches kept for retry, newest last, up to maxStoredBatches
+   * @param {Storage|null} storage - localStorage
+   * @param {Array<Object>} batches - Stored batches
+   * @returns {void}
+   */
+  function writeStoredBatches(storage, batches) {
+    if (!storage) {
+      return;
+    }
+
+    try {
+      if (batches.length === 0) {
+        storage.removeItem(BEACON_CONFIG.retryKey);
+      } else {
+        storage.setItem(BEACON_CONFIG.retryKey, JSON.stringify(batches.slice(-BEACON_CONFIG.maxStoredBatches)));
+      }
+    } catch (error) {
+      log.warn('Could not store batches for retry:', error.message);
+    }
+  }
+
+  /**
+   * Session id and sampling decision, kept for the browser session so a
+   * session is either sampled as a whole or not at all
+   * @param {Storage|null} storage - sessionStorage
+   * @param {number} sampleRate - Sample rate
+   * @returns {{id: string, sampled: boolean}}
+   */
+  function getSession(storage, sampleRate) {
+    try {
+      const stored = JSON.parse((storage && storage.getItem(BEACON_CONFIG.sessionKey)) || 'null');
+      if (stored && typeof stored.id === 'string' && stored.sampleRate === sampleRate) {
+        return stored;
+      }
+    } catch (error) {
+      // Fall through to a new session
+    }
+
+    const session = { id: createId(), sampled: Math.random() < sampleRate, sampleRate };
+
+    try {
+      if (storage) {
+        storage.setItem(BEACON_CONFIG.sessionKey, JSON.stringify(session));
+      }
+    } catch (error) {
+      // Without storage every page load is its own session
+    }
+
+    return session;
+  }
+
+  /**
+   * Create a beacon that sends to one collector
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - Collector URL
+   * @param {number} [options.sampleRate] - Share of sessions to send (default BEACON_CONFIG.sampleRate)
+   * @param {number} [options.maxBatchSize] - Queued events that trigger a send
+   * @param {Storage} [options.storage] - Storage for batches awaiting retry (default localStorage)
+   * @param {Storage} [options.sessionStorage] - Storage for the session (default sessionStorage)
+   * @returns {MetricsBeacon}
+   */
+  function create(options) {
+    const sampleRate = Math.min(1, Math.max(0, Number(options.sampleRate ?? BEACON_CONFIG.sampleRate) || 0));
+    const maxBatchSize = Math.min(options.maxBatchSize || BEACON_CONFIG.maxBatchSize, BEACON_CONFIG.maxEvents);
+    const storage = options.storage || getStorage('localStorage');
+    const session = getSession(options.sessionStorage || getStorage('sessionStorage'), sampleRate);
+    let queue = [];
+
+    /**
+     * Queue an event, sending early when the batch is full
+     * @param {MetricsEvent} event - Event
+     */
+    function enqueue(event) {
+      if (!session.sampled) {
+        return;
+      }
+
+      queue.push(event);
+      if (queue.length >= maxBatchSize) {
+        flush();
+      }
+    }
+
+    /**
+     * Send a batch, keeping it for the next visit if that fails
+     * @param {Array<MetricsEvent>} events - Events
+     * @returns {Promise<boolean>}
+     */
+    async function sendBatch(events) {
+      let payload = buildPayload({ sessionId: session.id, sampleRate, events });
+
+      // Oversized batches lose their resource lists first, then are split
+      if (JSON.stringify(payload).length > BEACON_CONFIG.maxPayloadBytes) {
+        payload.events = events.map(trimEvent);
+        if (events.length > 1 && JSON.stringify(payload).length > BEACON_CONFIG.maxPayloadBytes) {
+          const middle = Math.ceil(events.length / 2);
+          const results = await Promise.all([sendBatch(events.slice(0, middle)), sendBatch(events.slice(middle))]);
+          return results.every(Boolean);
+        }
+      }
+
+      const sent = await send(options.endpoint, payload);
+      if (!sent) {
+        writeStoredBatches(storage, [
+          ...readStoredBatches(storage),
+          { endpoint: options.endpoint, payload, storedAt: Date.now() },
+        ]);
+      }
+      return sent;
+    }
+
+    /**
+     * Send everything queued
+     * @returns {Promise<boolean>} Whether the batch was handed over (true when empty)
+     */
+    function flush() {
+      if (queue.length === 0) {
+        return Promise.resolve(true);
+      }
+
+      const events = queue;
+      queue = [];
+      return sendBatch(events);
+    }
+
+    /**
+     * Resend batches kept from earlier visits
+     * @returns {Promise<void>}
+     */
+    async function retryStored() {
+      const stored = readStoredBatches(storage);
+      // Taken out first, so another open tab doesn't send them as well
+      writeStoredBatches(storage, []);
+
+      const failed = [];
+      for (const item of stored) {
+        if (!(await send(item.endpoint, item.payload))) {
+          failed.push(item);
+        }
+      }
+
+      writeStoredBatches(storage, [...failed, ...readStoredBatches(storage)]);
+    }
+
+    if (root.document) {
+      root.document.addEventListener('visibilitychange', () => {
+        if (root.document.visibilityState === 'hidden') {
+          flush();
+        }
+      });
+    }
+    if (typeof root.addEventListener === 'function') {
+      root.addEventListener('pagehide', flush);
+    }
+
+    retryStored();
+
+    return {
+      addMetric: (metric) => enqueue({ type: 'metric', time: Date.now(), metric: { ...metric } }),
+      addReport: (report) => enqueue({ type: 'report', time: Date.now(), report: serializeReport(report) }),
+      flush,
+      getSessionId: () => session.id,
+      isSampled: () => session.sampled,
+    };
+  }
+
+  /**
+   * Drop the bulky resource lists from a report event
+   * @param {MetricsEvent} event - Event
+   * @returns {MetricsEvent}
+   */
+  function trimEvent(event) {
+    if (event.type !== 'report') {
+      return event;
+    }
+    return { ...event, report: { ...event.report, resources: null } };
+  }
+
+  /**
+   * Create a beacon fed by PerformanceMonitor: every metric event and the load report
+   * @param {Object} monitor - PerformanceMonitor
+   * @param {Object} options - create() options
+   * @returns {MetricsBeacon}
+   */
+  function connect(monitor, options) {
+    const beacon = create(options);
+
+    if (beacon.isSampled()) {
+      monitor.onMetric('*', beacon.addMetric);
+      monitor.onReport(beacon.addReport);
+    }
+
+    return beacon;
+  }
+
+  // Export public API
+  const MetricsBeacon = {
+    create,
+    connect,
+    send,
+    buildPayload,
+    validatePayload,
+    serializeReport,
+    BEACON_CONFIG,
+    SCHEMA,
+  };
+
+  // Attach to the global scope
+  root.MetricsBeacon = MetricsBeacon;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetricsBeacon;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
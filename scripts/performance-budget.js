@@ -0,0 +1,177 @@
+/**
+ * Performance Budget Module
+ * The page's performance budget - bytes and request counts per resource
+ * type, total transfer size and a ceiling per metric - and its evaluation
+ * against a PerformanceMonitor report. Shared by PerformanceMonitor in the
+ * browser and by server/check-budget.js, which checks saved reports.
+ *
+ * @module performance-budget
+ */
+
+(function(root) {
+  'use strict';
+
+  const KB = 1024;
+
+  // Performance budget - sizes are transfer sizes, so cached resources cost nothing
+  const BUDGET = Object.freeze({
+    resources: Object.freeze({
+      images: Object.freeze({ maxBytes: 600 * KB, maxCount: 20 }),
+      scripts: Object.freeze({ maxBytes: 200 * KB, maxCount: 20 }),
+      stylesheets: Object.freeze({ maxBytes: 80 * KB, maxCount: 4 }),
+      other: Object.freeze({ maxBytes: 300 * KB, maxCount: 20 }),
+    }),
+    maxTotalBytes: 1024 * KB,
+    // Ceilings at the "good" end of PerformanceMonitor.THRESHOLDS
+    metrics: Object.freeze({
+      FCP: 1800,
+      LCP: 2500,
+      INP: 200,
+      CLS: 0.1,
+      TTFB: 800,
+      TTI: 3800,
+    }),
+    maxUrls: 5, // Offending URLs listed per violation, largest first
+  });
+
+  // Report fields holding each metric
+  const METRIC_FIELDS = Object.freeze({
+    FCP: ['paint', 'firstContentfulPaint'],
+    LCP: ['vitals', 'largestContentfulPaint'],
+    INP: ['vitals', 'interactionToNextPaint'],
+    FID: ['vitals', 'firstInputDelay'],
+    CLS: ['vitals', 'cumulativeLayoutShift'],
+    TTFB: ['navigation', 'firstByte'],
+    TTI: ['vitals', 'timeToInteractive'],
+  });
+
+  /**
+   * Budget violation
+   * @typedef {Object} BudgetViolation
+   * @property {string} type - Always 'budget-violation'
+   * @property {string} budget - Budget entry broken, e.g. 'resources.images.maxBytes', 'maxTotalBytes'
+   *   or 'metrics.LCP'
+   * @property {number} limit - Budgeted value
+   * @property {number} actual - Measured value
+   * @property {Array<string>} urls - Offending resource URLs, largest first. For metrics, the LCP
+   *   image when the report attributes one, otherwise empty.
+   */
+
+  /**
+   * Build a violation
+   * @param {string} budget - Budget entry
+   * @param {number} limit - Budgeted value
+   * @param {number} actual - Measured value
+   * @param {Array<Object>} [resources] - Offending resources
+   * @param {number} maxUrls - URLs to list
+   * @returns {BudgetViolation}
+   */
+  function createViolation(budget, limit, actual, resources, maxUrls) {
+    return {
+      type: 'budget-violation',
+      budget,
+      limit,
+      actual,
+      urls: (resources || [])
+        .slice()
+        .sort((a, b) => (b.size || 0) - (a.size || 0))
+        .slice(0, maxUrls)
+        .map((resource) => resource.name),
+    };
+  }
+
+  /**
+   * Check a report against a budget
+   * @param {Object} report - PerformanceMonitor.getMetrics() output, or the same parsed from JSON
+   * @param {Object} [budget] - Budget (default BUDGET)
+   * @returns {Array<BudgetViolation>} Violations (empty when within budget)
+   */
+  function evaluate(report, budget = BUDGET) {
+    const violations = [];
+    const resources = (report && report.resources) || {};
+    const maxUrls = budget.maxUrls || BUDGET.maxUrls;
+    let totalBytes = 0;
+
+    Object.keys(resources).forEach((type) => {
+      const list = Array.isArray(resources[type]) ? resources[type] : [];
+      const bytes = list.reduce((sum, resource) => sum + (resource.size || 0), 0);
+      const limits = (budget.resources || {})[type] || {};
+
+      totalBytes += bytes;
+
+      if (typeof limits.maxBytes === 'number' && bytes > limits.maxBytes) {
+        violations.push(createViolation(`resources.${type}.maxBytes`, limits.maxBytes, bytes, list, maxUrls));
+      }
+      if (typeof limits.maxCount === 'number' && list.length > limits.maxCount) {
+        violations.push(createViolation(`resources.${type}.maxCount`, limits.maxCount, list.length, list, maxUrls));
+      }
+    });
+
+    if (typeof budget.maxTotalBytes === 'number' && totalBytes > budget.maxTotalBytes) {
+      const all = Object.values(resources).filter(Array.isArray).flat();
+      violations.push(createViolation('maxTotalBytes', budget.maxTotalBytes, totalBytes, all, maxUrls));
+    }
+
+    Object.keys(budget.metrics || {}).forEach((name) => {
+      const value = getMetricValue(report, name);
+
+      // 0 means not measured (yet)
+      if (value > budget.metrics[name]) {
+        violations.push(createViolation(`metrics.${name}`, budget.metrics[name], value,
+          getAttributedResources(report, name), maxUrls));
+      }
+    });
+
+    return violations;
+  }
+
+  /**
+   * Resource behind a metric, from the report's attribution (the LCP image)
+   * @param {Object} report - Report
+   * @param {string} name - Metric name
+   * @returns {Array<{name: string}>}
+   */
+  function getAttributedResources(report, name) {
+    const lcp = report && report.attribution && report.attribution.largestContentfulPaint;
+    return name === 'LCP' && lcp && lcp.url ? [{ name: lcp.url }] : [];
+  }
+
+  /**
+   * Read a metric from a report
+   * @param {Object} report - Report
+   * @param {string} name - Metric name, e.g. 'LCP'
+   * @returns {number} Value, 0 when missing
+   */
+  function getMetricValue(report, name) {
+    const field = METRIC_FIELDS[name];
+    const value = field && report && report[field[0]] ? report[field[0]][field[1]] : 0;
+    return typeof value === 'number' ? value : 0;
+  }
+
+  /**
+   * Describe a violation in one line
+   * @param {BudgetViolation} violation - Violation
+   * @returns {string} e.g. "resources.images.maxBytes: 742311 > 614400"
+   */
+  function describe(violation) {
+    const format = (value) => (Number.isInteger(value) ? value : Number(value.toFixed(3)));
+    const urls = violation.urls.length > 0 ? ` (${violation.urls.join(', ')})` : '';
+    return `${violation.budget}: ${format(violation.actual)} > ${format(violation.limit)}${urls}`;
+  }
+
+  // Export public API
+  const PerformanceBudget = {
+    evaluate,
+    describe,
+    BUDGET,
+  };
+
+  // Attach to the global scope
+  root.PerformanceBudget = PerformanceBudget;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceBudget;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
@@ -18,6 +18,16 @@
       domContentLoaded: 0,
       loadComplete: 0,
       firstByte: 0,
+      phases: {
+        redirect: 0,
+        dns: 0,
+        connection: 0,
+        tls: 0,
+        request: 0,
+        response: 0,
+        domProcessing: 0,
+        loadEvent: 0,
+      },
     },
     paint: {
       firstPaint: 0,
@@ -26,9 +36,17 @@
     vitals: {
       largestContentfulPaint: 0,
       firstInputDelay: 0,
+      interactionToNextPaint: 0,
       cumulativeLayoutShift: 0,
       timeToInteractive: 0,
     },
+    // Serializable "why" behind the vitals - see the *Attribution typedefs
+    attribution: {
+      largestContentfulPaint: null,
+      firstInputDelay: null,
+      interactionToNextPaint: null,
+      cumulativeLayoutShift: null,
+    },
     resources: {
       images: [],
       scripts: [],
@@ -42,49 +60,162 @@
   const THRESHOLDS = Object.freeze({
     LCP: { good: 2500, needsImprovement: 4000 },
     FID: { good: 100, needsImprovement: 300 },
+    INP: { good: 200, needsImprovement: 500 },
     CLS: { good: 0.1, needsImprovement: 0.25 },
     FCP: { good: 1800, needsImprovement: 3000 },
     TTFB: { good: 800, needsImprovement: 1800 },
     TTI: { good: 3800, needsImprovement: 7300 },
   });
 
+  // Display names and units of the reported metrics, for the console
+  const METRIC_LABELS = Object.freeze({
+    FCP: { label: 'First Contentful Paint', unit: 'ms' },
+    LCP: { label: 'Largest Contentful Paint', unit: 'ms' },
+    FID: { label: 'First Input Delay', unit: 'ms' },
+    INP: { label: 'Interaction to Next Paint', unit: 'ms' },
+    CLS: { label: 'Cumulative Layout Shift', unit: '' },
+    TTFB: { label: 'Time to First Byte', unit: 'ms' },
+    TTI: { label: 'Time to Interactive', unit: 'ms' },
+  });
+
+  // Settings for the metrics built from more than one entry
+  const COLLECTION = Object.freeze({
+    clsSessionGap: 1000, // A shift more than 1s after the previous one starts a new session window
+    clsSessionMax: 5000, // Session windows close after 5s
+    inpDurationThreshold: 40, // Shortest event entry observed (the browser minimum is 16ms)
+    inpCandidates: 10, // Longest interactions kept for the 98th percentile
+    clsSources: 5, // Shift sources kept in the CLS attribution, largest shifts first
+    selectorDepth: 5, // Ancestors walked when building a selector, unless an id comes first
+    ttiQuietWindow: 5000, // TTI needs 5s without long tasks
+  });
+
+  // Navigation Timing fields read from the legacy performance.timing
+  const LEGACY_TIMING_FIELDS = Object.freeze([
+    'redirectStart', 'redirectEnd', 'domainLookupStart', 'domainLookupEnd', 'connectStart', 'connectEnd',
+    'secureConnectionStart', 'requestStart', 'responseStart', 'responseEnd', 'domInteractive',
+    'domContentLoadedEventEnd', 'domComplete', 'loadEventStart', 'loadEventEnd',
+  ]);
+
   // Observer instances for cleanup
   const observers = {
     lcp: null,
     fid: null,
+    inp: null,
     cls: null,
+    longtask: null,
     paint: null,
     resource: null,
   };
 
+  // Subscribers per metric name ('*' receives every metric) and to the load report
+  const metricListeners = new Map();
+  const reportListeners = new Set();
+
+  // Last emitted event per metric, replayed to late subscribers
+  const lastMetrics = new Map();
+  let lastReport = null;
+
+  // Budget violation subscribers, and the last violation per budget entry
+  const budgetListeners = new Set();
+  const lastViolations = new Map();
+
+  // Budgets are checked from the load event on; before that resources are still arriving
+  let budgetChecksStarted = false;
+
+  // Identifies this page load in metric ids, so analytics can sum deltas per page view
+  const pageLoadId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+  // When the page was first hidden; LCP candidates after that are ignored
+  let firstHiddenTime = Infinity;
+
+  // Feeds event and first-input entries to INP (null where event timing is unsupported)
+  let recordInteractions = null;
+
+  let initialized = false;
+
+  const log = (typeof module !== 'undefined' && module.exports ? require('./logger.js') : window.Logger).create('Performance');
+
+  /**
+   * Metric event, emitted once per new value
+   * @typedef {Object} MetricEvent
+   * @property {string} name - Metric name: FCP, LCP, FID, INP, CLS, TTFB or TTI
+   * @property {string} id - Same for every event of this metric during the page load
+   * @property {number} value - Current value
+   * @property {number} delta - Change since the previous event of this metric (the value for the first)
+   * @property {string|null} rating - 'good', 'needs-improvement' or 'poor' (null without a threshold)
+   * @property {Object|null} attribution - LCPAttribution, CLSAttribution or InteractionAttribution
+   *   (INP and FID); null for the other metrics
+   */
+
+  /**
+   * What the LCP was, and where its time went
+   * @typedef {Object} LCPAttribution
+   * @property {string|null} element - CSS selector of the LCP element (null once it left the DOM)
+   * @property {string|null} url - Image URL, null for text
+   * @property {number} size - Rendered area in px²
+   * @property {number} timeToFirstByte - Navigation start to the first byte of the page
+   * @property {number} resourceLoadDelay - First byte to the start of the image request
+   * @property {number} resourceLoadDuration - Image request start to its last byte
+   * @property {number} elementRenderDelay - Last byte (of the image or the page) to the paint
+   */
+
+  /**
+   * Largest layout shifts of the worst CLS session window
+   * @typedef {Object} CLSAttribution
+   * @property {number} largestShiftTime - Start time of the largest shift
+   * @property {number} largestShiftValue - Score of the largest shift
+   * @property {Array<{selector: string|null, value: number, time: number, previousRect: Object,
+   *   currentRect: Object}>} sources - Shifted elements, largest shift first; rects are {x, y, width, height}
+   */
+
   /**
-   * Initialize all performance monitoring
+   * The slow interaction behind INP or FID
+   * @typedef {Object} InteractionAttribution
+   * @property {string|null} target - CSS selector of the event target
+   * @property {string} eventType - e.g. 'click', 'keydown'
+   * @property {number} startTime - When the input happened
+   * @property {number} inputDelay - Input to the start of the event handlers
+   * @property {number} processingDuration - Time spent in the event handlers
+   * @property {number} presentationDelay - Handlers done to the next paint
+   */
+
+  /**
+   * Initialize all performance monitoring. Safe to call more than once.
    * @returns {void}
    */
   function initPerformanceMonitoring() {
+    if (initialized) {
+      return;
+    }
+    initialized = true;
+
     if (!supportsPerformanceAPI()) {
-      console.warn('[Performance] Performance API not fully supported');
+      log.warn('Performance API not fully supported');
       return;
     }
 
+    // The console is one subscriber among others
+    onMetric('*', (metric) => {
+      const { label, unit } = METRIC_LABELS[metric.name] || { label: metric.name, unit: '' };
+      logMetric(label, metric.value, unit, metric.rating);
+    });
+    onReport(logPerformanceSummary);
+    onBudgetViolation((violation) => {
+      log.warn('Budget exceeded:', getPerformanceBudget().describe(violation));
+    });
+
+    trackFirstHidden();
     captureNavigationTiming();
     observePaintMetrics();
     observeLargestContentfulPaint();
+    observeInteractionToNextPaint();
     observeFirstInputDelay();
     observeCumulativeLayoutShift();
     observeResourceTiming();
-    calculateTimeToInteractive();
-
-    // Log summary when page is fully loaded
-    if (document.readyState === 'complete') {
-      logPerformanceSummary();
-    } else {
-      window.addEventListener('load', () => {
-        setTimeout(logPerformanceSummary, 0);
-      });
-    }
+    // The load report waits for TTI, the last of the load metrics
+    observeTimeToInteractive(emitReport);
 
-    console.log('[Performance] Monitoring initialized');
+    log.debug('Monitoring initialized');
   }
 
   /**
@@ -94,46 +225,122 @@
   function supportsPerformanceAPI() {
     return !!(
       window.performance &&
-      performance.timing &&
       performance.getEntriesByType
     );
   }
 
   /**
-   * Capture navigation timing metrics
-   * @returns {void}
+   * Check whether PerformanceObserver can observe an entry type
+   * @param {string} type - Entry type, e.g. 'event'
+   * @returns {boolean}
    */
-  function captureNavigationTiming() {
-    if (!performance.timing) {
-      return;
+  function supportsEntryType(type) {
+    if (!('PerformanceObserver' in window)) {
+      return false;
     }
 
-    const timing = performance.timing;
-    metrics.navigation.start = timing.navigationStart;
-    metrics.navigation.firstByte = timing.responseStart - timing.requestStart;
-
-    // Calculate metrics when available
-    const calculateMetrics = () => {
-      if (timing.domContentLoadedEventEnd > 0) {
-        metrics.navigation.domContentLoaded = 
-          timing.domContentLoadedEventEnd - timing.navigationStart;
-      }
-
-      if (timing.loadEventEnd > 0) {
-        metrics.navigation.loadComplete = 
-          timing.loadEventEnd - timing.navigationStart;
-      }
-    };
+    const supported = PerformanceObserver.supportedEntryTypes;
+    // Browsers without supportedEntryTypes find out when observe() throws
+    return supported ? supported.includes(type) : true;
+  }
 
+  /**
+   * Run a callback once the load event has finished, even if it already has
+   * @param {function(): void} callback - Callback
+   * @returns {void}
+   */
+  function whenLoaded(callback) {
     if (document.readyState === 'complete') {
-      calculateMetrics();
+      setTimeout(callback, 0);
     } else {
       window.addEventListener('load', () => {
-        setTimeout(calculateMetrics, 0);
+        setTimeout(callback, 0);
       });
     }
   }
 
+  /**
+   * Run a callback whenever the page is hidden (tab switch, minimize, unload)
+   * @param {function(): void} callback - Callback
+   * @returns {void}
+   */
+  function onHidden(callback) {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        callback();
+      }
+    }, true);
+  }
+
+  /**
+   * Remember when the page was first hidden
+   * @returns {void}
+   */
+  function trackFirstHidden() {
+    firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+    onHidden(() => {
+      firstHiddenTime = Math.min(firstHiddenTime, performance.now());
+    });
+  }
+
+  /**
+   * Navigation timestamps relative to the time origin: the Navigation Timing
+   * Level 2 entry, or the legacy performance.timing rebased on navigationStart
+   * @returns {Object|null} Timing, or null when neither is available
+   */
+  function getNavigationTiming() {
+    const [entry] = performance.getEntriesByType('navigation');
+    if (entry) {
+      return entry;
+    }
+
+    const legacy = performance.timing;
+    if (!legacy || !legacy.navigationStart) {
+      return null;
+    }
+
+    const timing = {};
+    LEGACY_TIMING_FIELDS.forEach((field) => {
+      timing[field] = legacy[field] > 0 ? legacy[field] - legacy.navigationStart : 0;
+    });
+    return timing;
+  }
+
+  /**
+   * Capture navigation timing metrics
+   * @returns {void}
+   */
+  function captureNavigationTiming() {
+    const timing = getNavigationTiming();
+    if (!timing) {
+      return;
+    }
+
+    metrics.navigation.start = performance.timeOrigin || performance.timing.navigationStart;
+    // A prerendered page counts from activation, not from the prerender request
+    metrics.navigation.firstByte = Math.max(timing.responseStart - (timing.activationStart || 0), 0);
+    emitMetric('TTFB', metrics.navigation.firstByte);
+
+    // The load event fields are only filled in once it has finished
+    whenLoaded(() => {
+      const final = getNavigationTiming();
+      const span = (start, end) => (start > 0 && end > start ? end - start : 0);
+
+      metrics.navigation.domContentLoaded = final.domContentLoadedEventEnd;
+      metrics.navigation.loadComplete = final.loadEventEnd;
+      metrics.navigation.phases = {
+        redirect: span(final.redirectStart, final.redirectEnd),
+        dns: span(final.domainLookupStart, final.domainLookupEnd),
+        connection: span(final.connectStart, final.connectEnd),
+        tls: span(final.secureConnectionStart, final.connectEnd),
+        request: span(final.requestStart, final.responseStart),
+        response: span(final.responseStart, final.responseEnd),
+        domProcessing: span(final.responseEnd, final.domComplete),
+        loadEvent: span(final.loadEventStart, final.loadEventEnd),
+      };
+    });
+  }
+
   /**
    * Observe paint timing metrics
    * @returns {void}
@@ -150,75 +357,245 @@
         entries.forEach((entry) => {
           if (entry.name === 'first-paint') {
             metrics.paint.firstPaint = entry.startTime;
-            logMetric('First Paint', entry.startTime, 'ms');
           } else if (entry.name === 'first-contentful-paint') {
             metrics.paint.firstContentfulPaint = entry.startTime;
-            logMetric('First Contentful Paint', entry.startTime, 'ms', 
-              getMetricRating(entry.startTime, THRESHOLDS.FCP));
+            emitMetric('FCP', entry.startTime);
           }
         });
       });
 
       observers.paint.observe({ type: 'paint', buffered: true });
     } catch (error) {
-      console.warn('[Performance] Paint timing observation failed:', error.message);
+      log.warn('Paint timing observation failed:', error.message);
     }
   }
 
   /**
-   * Observe Largest Contentful Paint
+   * Observe Largest Contentful Paint. The value is final after the first
+   * keydown or click, or once the page is hidden; later candidates are ignored.
    * @returns {void}
    */
   function observeLargestContentfulPaint() {
-    if (!('PerformanceObserver' in window)) {
+    if (!supportsEntryType('largest-contentful-paint')) {
       return;
     }
 
+    let finalized = false;
+
+    const handleEntries = (entries) => {
+      // Candidates painted after the page was hidden are not what the visitor saw
+      const visible = entries.filter((entry) => entry.startTime < firstHiddenTime);
+      const lastEntry = visible[visible.length - 1];
+
+      if (finalized || !lastEntry) {
+        return;
+      }
+
+      metrics.vitals.largestContentfulPaint =
+        lastEntry.renderTime || lastEntry.loadTime;
+      metrics.attribution.largestContentfulPaint =
+        getLCPAttribution(lastEntry, metrics.vitals.largestContentfulPaint);
+
+      const metric = emitMetric('LCP', metrics.vitals.largestContentfulPaint,
+        metrics.attribution.largestContentfulPaint);
+
+      if (metric && metric.rating === 'poor') {
+        log.warn('LCP exceeds recommended threshold');
+        logLCPDetails(metric.attribution);
+      }
+    };
+
+    const finalize = () => {
+      if (finalized || !observers.lcp) {
+        return;
+      }
+
+      if (typeof observers.lcp.takeRecords === 'function') {
+        handleEntries(observers.lcp.takeRecords());
+      }
+      observers.lcp.disconnect();
+      finalized = true;
+    };
+
     try {
       observers.lcp = new PerformanceObserver((entryList) => {
-        const entries = entryList.getEntries();
-        const lastEntry = entries[entries.length - 1];
-        
-        metrics.vitals.largestContentfulPaint = 
-          lastEntry.renderTime || lastEntry.loadTime;
+        handleEntries(entryList.getEntries());
+      });
+
+      observers.lcp.observe({ type: 'largest-contentful-paint', buffered: true });
+    } catch (error) {
+      log.warn('LCP observation failed:', error.message);
+      return;
+    }
+
+    ['keydown', 'click'].forEach((type) => {
+      window.addEventListener(type, finalize, { once: true, capture: true });
+    });
+    onHidden(finalize);
+  }
+
+  /**
+   * Attribute the LCP: its element, its image and the load-delay breakdown
+   * @param {PerformanceEntry} entry - LCP entry
+   * @param {number} value - LCP value
+   * @returns {LCPAttribution}
+   */
+  function getLCPAttribution(entry, value) {
+    const navigation = getNavigationTiming();
+    const timeToFirstByte = navigation ? Math.max(navigation.responseStart - (navigation.activationStart || 0), 0) : 0;
+    const resource = entry.url
+      ? performance.getEntriesByType('resource').find((item) => item.name === entry.url)
+      : null;
+
+    // Each phase starts where the previous one ended, so they add up to the LCP
+    const requestStart = Math.max(timeToFirstByte, resource ? resource.requestStart || resource.startTime : 0);
+    const responseEnd = Math.max(requestStart, resource ? resource.responseEnd : 0);
+    const renderTime = Math.max(responseEnd, value);
+
+    return deepFreeze({
+      element: getSelector(entry.element),
+      url: entry.url || null,
+      size: entry.size || 0,
+      timeToFirstByte,
+      resourceLoadDelay: requestStart - timeToFirstByte,
+      resourceLoadDuration: responseEnd - requestStart,
+      elementRenderDelay: renderTime - responseEnd,
+    });
+  }
+
+  /**
+   * Log LCP element details for debugging
+   * @param {LCPAttribution} attribution - LCP attribution
+   * @returns {void}
+   */
+  function logLCPDetails(attribution) {
+    log.group('LCP Element Details');
+    log.info('Element:', attribution.element || 'N/A');
+    log.info('Size:', attribution.size);
+    log.info('URL:', attribution.url || 'N/A');
+    log.info('Time to First Byte:', attribution.timeToFirstByte);
+    log.info('Resource Load Delay:', attribution.resourceLoadDelay);
+    log.info('Resource Load Duration:', attribution.resourceLoadDuration);
+    log.info('Element Render Delay:', attribution.elementRenderDelay);
+    log.groupEnd();
+  }
 
-        const rating = getMetricRating(
-          metrics.vitals.largestContentfulPaint,
-          THRESHOLDS.LCP
-        );
+  /**
+   * Observe Interaction to Next Paint: the 98th percentile of interaction
+   * latency, from event timing entries grouped by interactionId
+   * @returns {void}
+   */
+  function observeInteractionToNextPaint() {
+    if (!supportsEntryType('event')) {
+      return;
+    }
 
-        logMetric('Largest Contentful Paint', 
-          metrics.vitals.largestContentfulPaint, 'ms', rating);
+    // Longest interactions first, capped at COLLECTION.inpCandidates
+    const longest = [];
+    const byId = new Map();
+    let interactionCount = 0;
 
-        if (rating === 'poor') {
-          console.warn('[Performance] LCP exceeds recommended threshold');
-          logLCPDetails(lastEntry);
+    recordInteractions = (entries) => {
+      entries.forEach((entry) => {
+        if (!entry.interactionId) {
+          return;
+        }
+
+        // Attributed right away, while the target is still in the DOM
+        const known = byId.get(entry.interactionId);
+        if (known) {
+          if (entry.duration > known.latency) {
+            known.latency = entry.duration;
+            known.attribution = getInteractionAttribution(entry);
+          }
+        } else {
+          interactionCount += 1;
+          const interaction = {
+            id: entry.interactionId,
+            latency: entry.duration,
+            attribution: getInteractionAttribution(entry),
+          };
+          byId.set(interaction.id, interaction);
+          longest.push(interaction);
         }
       });
 
-      observers.lcp.observe({ type: 'largest-contentful-paint', buffered: true });
+      longest.sort((a, b) => b.latency - a.latency);
+      longest.splice(COLLECTION.inpCandidates).forEach((interaction) => byId.delete(interaction.id));
+
+      // Skip one of the longest per 50 interactions, which approximates the 98th percentile
+      const count = typeof performance.interactionCount === 'number' ? performance.interactionCount : interactionCount;
+      const candidate = longest[Math.min(longest.length - 1, Math.floor(count / 50))];
+
+      if (!candidate) {
+        return;
+      }
+
+      metrics.vitals.interactionToNextPaint = candidate.latency;
+      metrics.attribution.interactionToNextPaint = candidate.attribution;
+
+      const metric = emitMetric('INP', candidate.latency, candidate.attribution);
+
+      if (metric && metric.rating === 'poor') {
+        log.warn('INP exceeds recommended threshold');
+        logInteractionDetails('INP', metric.attribution);
+      }
+    };
+
+    try {
+      observers.inp = new PerformanceObserver((entryList) => {
+        recordInteractions(entryList.getEntries());
+      });
+
+      observers.inp.observe({
+        type: 'event',
+        buffered: true,
+        durationThreshold: COLLECTION.inpDurationThreshold,
+      });
     } catch (error) {
-      console.warn('[Performance] LCP observation failed:', error.message);
+      recordInteractions = null;
+      log.warn('INP observation failed:', error.message);
     }
   }
 
   /**
-   * Log LCP element details for debugging
-   * @param {PerformanceEntry} entry - LCP entry
+   * Attribute a slow interaction to its target and event, and split its time
+   * @param {PerformanceEventTiming} entry - Event timing or first-input entry
+   * @returns {InteractionAttribution}
+   */
+  function getInteractionAttribution(entry) {
+    const processingEnd = entry.processingEnd || entry.processingStart;
+
+    return deepFreeze({
+      target: getSelector(entry.target),
+      eventType: entry.name,
+      startTime: entry.startTime,
+      inputDelay: Math.max(entry.processingStart - entry.startTime, 0),
+      processingDuration: Math.max(processingEnd - entry.processingStart, 0),
+      presentationDelay: Math.max(entry.startTime + entry.duration - processingEnd, 0),
+    });
+  }
+
+  /**
+   * Log interaction details for debugging
+   * @param {string} name - 'INP' or 'FID'
+   * @param {InteractionAttribution} attribution - Interaction attribution
    * @returns {void}
    */
-  function logLCPDetails(entry) {
-    console.group('[Performance] LCP Element Details');
-    console.log('Element:', entry.element);
-    console.log('Size:', entry.size);
-    console.log('Load Time:', entry.loadTime);
-    console.log('Render Time:', entry.renderTime);
-    console.log('URL:', entry.url || 'N/A');
-    console.groupEnd();
+  function logInteractionDetails(name, attribution) {
+    log.group(`${name} Interaction Details`);
+    log.info('Event Type:', attribution.eventType);
+    log.info('Target:', attribution.target || 'N/A');
+    log.info('Start Time:', attribution.startTime);
+    log.info('Input Delay:', attribution.inputDelay);
+    log.info('Processing Time:', attribution.processingDuration);
+    log.info('Presentation Delay:', attribution.presentationDelay);
+    log.groupEnd();
   }
 
   /**
-   * Observe First Input Delay
+   * Observe First Input Delay. Kept for browsers without event timing; the
+   * first input also counts towards INP.
    * @returns {void}
    */
   function observeFirstInputDelay() {
@@ -229,107 +606,214 @@
     try {
       observers.fid = new PerformanceObserver((entryList) => {
         const entries = entryList.getEntries();
-        
+
         entries.forEach((entry) => {
-          metrics.vitals.firstInputDelay = 
+          metrics.vitals.firstInputDelay =
             entry.processingStart - entry.startTime;
+          metrics.attribution.firstInputDelay = getInteractionAttribution(entry);
 
-          const rating = getMetricRating(
-            metrics.vitals.firstInputDelay,
-            THRESHOLDS.FID
-          );
+          const metric = emitMetric('FID', metrics.vitals.firstInputDelay, metrics.attribution.firstInputDelay);
 
-          logMetric('First Input Delay', 
-            metrics.vitals.firstInputDelay, 'ms', rating);
-
-          if (rating === 'poor') {
-            console.warn('[Performance] FID exceeds recommended threshold');
-            logFIDDetails(entry);
+          if (metric && metric.rating === 'poor') {
+            log.warn('FID exceeds recommended threshold');
+            logInteractionDetails('FID', metric.attribution);
           }
         });
+
+        // A quick first input can fall below the event entries' durationThreshold
+        if (recordInteractions) {
+          recordInteractions(entries);
+        }
       });
 
       observers.fid.observe({ type: 'first-input', buffered: true });
     } catch (error) {
-      console.warn('[Performance] FID observation failed:', error.message);
+      log.warn('FID observation failed:', error.message);
     }
   }
 
   /**
-   * Log FID event details for debugging
-   * @param {PerformanceEntry} entry - FID entry
-   * @returns {void}
-   */
-  function logFIDDetails(entry) {
-    console.group('[Performance] FID Event Details');
-    console.log('Event Type:', entry.name);
-    console.log('Start Time:', entry.startTime);
-    console.log('Processing Start:', entry.processingStart);
-    console.log('Duration:', entry.duration);
-    console.groupEnd();
-  }
-
-  /**
-   * Observe Cumulative Layout Shift
+   * Observe Cumulative Layout Shift: the largest session window of shifts,
+   * each window closing after a 1s gap or 5s in total
    * @returns {void}
    */
   function observeCumulativeLayoutShift() {
-    if (!('PerformanceObserver' in window)) {
+    if (!supportsEntryType('layout-shift')) {
       return;
     }
 
-    let clsValue = 0;
-    const clsEntries = [];
+    let sessionValue = 0;
+    let sessionEntries = [];
+    let worstEntries = [];
 
     try {
       observers.cls = new PerformanceObserver((entryList) => {
         const entries = entryList.getEntries();
-        
+        let changed = false;
+
         entries.forEach((entry) => {
-          if (!entry.hadRecentInput) {
-            clsValue += entry.value;
-            clsEntries.push(entry);
-            metrics.vitals.cumulativeLayoutShift = clsValue;
+          if (entry.hadRecentInput) {
+            return;
+          }
+
+          const first = sessionEntries[0];
+          const last = sessionEntries[sessionEntries.length - 1];
+
+          if (first &&
+            entry.startTime - last.startTime < COLLECTION.clsSessionGap &&
+            entry.startTime - first.startTime < COLLECTION.clsSessionMax) {
+            sessionValue += entry.value;
+            sessionEntries.push(entry);
+          } else {
+            sessionValue = entry.value;
+            sessionEntries = [entry];
+          }
+
+          if (sessionValue > metrics.vitals.cumulativeLayoutShift) {
+            metrics.vitals.cumulativeLayoutShift = sessionValue;
+            worstEntries = sessionEntries;
+            changed = true;
           }
         });
 
-        const rating = getMetricRating(clsValue, THRESHOLDS.CLS);
-        logMetric('Cumulative Layout Shift', clsValue, '', rating);
+        // Attributed now, while the shifted elements are still where they moved to
+        if (changed) {
+          metrics.attribution.cumulativeLayoutShift = getCLSAttribution(worstEntries);
+        }
 
-        if (rating === 'poor' && clsEntries.length > 0) {
-          console.warn('[Performance] CLS exceeds recommended threshold');
-          logCLSDetails(clsEntries);
+        const metric = emitMetric('CLS', metrics.vitals.cumulativeLayoutShift,
+          metrics.attribution.cumulativeLayoutShift);
+
+        if (metric && metric.rating === 'poor' && metric.attribution) {
+          log.warn('CLS exceeds recommended threshold');
+          logCLSDetails(worstEntries.length, metric.attribution);
         }
       });
 
       observers.cls.observe({ type: 'layout-shift', buffered: true });
     } catch (error) {
-      console.warn('[Performance] CLS observation failed:', error.message);
+      log.warn('CLS observation failed:', error.message);
     }
   }
 
+  /**
+   * Attribute the CLS to the elements moved by the largest shifts of a window
+   * @param {Array<LayoutShift>} entries - Shifts of the worst session window
+   * @returns {CLSAttribution}
+   */
+  function getCLSAttribution(entries) {
+    const byValue = [...entries].sort((a, b) => b.value - a.value);
+    const toRect = (rect) => (rect ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height } : null);
+    const sources = [];
+
+    byValue.forEach((entry) => {
+      (entry.sources || []).forEach((source) => {
+        const selector = getSelector(source.node);
+
+        // Nodes already removed from the page can't be pointed at
+        if (!selector) {
+          return;
+        }
+
+        sources.push({
+          selector,
+          value: entry.value,
+          time: entry.startTime,
+          previousRect: toRect(source.previousRect),
+          currentRect: toRect(source.currentRect),
+        });
+      });
+    });
+
+    return deepFreeze({
+      largestShiftTime: byValue[0].startTime,
+      largestShiftValue: byValue[0].value,
+      sources: sources.slice(0, COLLECTION.clsSources),
+    });
+  }
+
   /**
    * Log CLS shift details for debugging
-   * @param {Array<PerformanceEntry>} entries - CLS entries
+   * @param {number} shiftCount - Shifts in the worst session window
+   * @param {CLSAttribution} attribution - CLS attribution
    * @returns {void}
    */
-  function logCLSDetails(entries) {
-    console.group('[Performance] Layout Shift Details');
-    console.log('Total Shifts:', entries.length);
-    console.log('Top 5 Shifts:');
-    
-    entries
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 5)
-      .forEach((entry, index) => {
-        console.log(`${index + 1}.`, {
-          value: entry.value.toFixed(4),
-          time: entry.startTime.toFixed(2),
-          sources: entry.sources?.map(s => s.node) || [],
-        });
+  function logCLSDetails(shiftCount, attribution) {
+    log.group('Layout Shift Details');
+    log.info('Shifts in Worst Window:', shiftCount);
+    log.info('Largest Shift:', attribution.largestShiftValue.toFixed(4), 'at', attribution.largestShiftTime.toFixed(2));
+    log.info(`Top ${COLLECTION.clsSources} Sources:`);
+
+    attribution.sources.forEach((source, index) => {
+      log.info(`${index + 1}.`, {
+        selector: source.selector || 'N/A',
+        value: source.value.toFixed(4),
+        time: source.time.toFixed(2),
       });
-    
-    console.groupEnd();
+    });
+
+    log.groupEnd();
+  }
+
+  /**
+   * Stable CSS selector for an element: the nearest id, then tag names with
+   * their first class and position, e.g. "#services > div.services__grid > article:nth-of-type(2)"
+   * @param {Node|null} node - Element (text nodes use their parent)
+   * @returns {string|null} Selector, or null without an element
+   */
+  function getSelector(node) {
+    let element = node && node.nodeType === 3 ? node.parentElement : node;
+
+    if (!element || element.nodeType !== 1) {
+      return null;
+    }
+
+    const escape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value);
+    const parts = [];
+
+    while (element && element.nodeType === 1 && parts.length < COLLECTION.selectorDepth) {
+      if (element.id) {
+        parts.unshift(`#${escape(element.id)}`);
+        break;
+      }
+
+      let part = element.localName;
+      // State classes (e.g. "loaded", "form__group--error") come and go; the first class is the block
+      const [firstClass] = Array.from(element.classList || []);
+      if (firstClass) {
+        part += `.${escape(firstClass)}`;
+      }
+
+      const parent = element.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter((child) => child.localName === element.localName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+        }
+      }
+
+      parts.unshift(part);
+      if (element.localName === 'body') {
+        break;
+      }
+      element = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Freeze an attribution object and everything in it
+   * @param {Object} value - Plain object or array
+   * @returns {Object} The same value, frozen
+   */
+  function deepFreeze(value) {
+    Object.values(value).forEach((item) => {
+      if (item && typeof item === 'object') {
+        deepFreeze(item);
+      }
+    });
+    return Object.freeze(value);
   }
 
   /**
@@ -341,19 +825,7 @@
       return;
     }
 
-    window.addEventListener('load', () => {
-      setTimeout(() => {
-        const resources = performance.getEntriesByType('resource');
-        
-        resources.forEach((resource) => {
-          categorizeResource(resource);
-        });
-
-        logResourceSummary();
-      }, 0);
-    });
-
-    // Observe new resources
+    // Observe resources, including those loaded before monitoring started
     if ('PerformanceObserver' in window) {
       try {
         observers.resource = new PerformanceObserver((entryList) => {
@@ -361,13 +833,32 @@
           entries.forEach((resource) => {
             categorizeResource(resource);
           });
+
+          if (budgetChecksStarted) {
+            checkBudget();
+          }
         });
 
         observers.resource.observe({ type: 'resource', buffered: true });
       } catch (error) {
-        console.warn('[Performance] Resource observation failed:', error.message);
+        observers.resource = null;
+        log.warn('Resource observation failed:', error.message);
       }
     }
+
+    whenLoaded(() => {
+      // The observer has them already (buffered); reading them again would count them twice
+      if (!observers.resource) {
+        performance.getEntriesByType('resource').forEach((resource) => {
+          categorizeResource(resource);
+        });
+      }
+
+      logResourceSummary();
+
+      budgetChecksStarted = true;
+      checkBudget();
+    });
   }
 
   /**
@@ -396,26 +887,232 @@
   }
 
   /**
-   * Calculate Time to Interactive (approximation)
+   * Observe Time to Interactive (approximation): the end of the last long
+   * task before a 5s quiet window after load, and no earlier than
+   * DOMContentLoaded or FCP. Without long task support it is DOMContentLoaded.
+   * @param {function(): void} [onSettled] - Called once TTI is known
    * @returns {void}
    */
-  function calculateTimeToInteractive() {
-    window.addEventListener('load', () => {
-      setTimeout(() => {
-        if (!performance.timing) {
-          return;
-        }
+  function observeTimeToInteractive(onSettled) {
+    let lastLongTaskEnd = 0;
+    let quietTimer = null;
+    let settled = false;
 
-        const timing = performance.timing;
-        const tti = timing.domInteractive - timing.navigationStart;
-        metrics.vitals.timeToInteractive = tti;
+    const settle = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(quietTimer);
+      if (observers.longtask) {
+        observers.longtask.disconnect();
+      }
+
+      const timing = getNavigationTiming();
+      metrics.vitals.timeToInteractive = Math.max(
+        lastLongTaskEnd,
+        metrics.paint.firstContentfulPaint,
+        timing ? timing.domContentLoadedEventEnd : 0
+      );
+      emitMetric('TTI', metrics.vitals.timeToInteractive);
+
+      if (onSettled) {
+        onSettled();
+      }
+    };
+
+    if (supportsEntryType('longtask')) {
+      try {
+        observers.longtask = new PerformanceObserver((entryList) => {
+          entryList.getEntries().forEach((entry) => {
+            lastLongTaskEnd = Math.max(lastLongTaskEnd, entry.startTime + entry.duration);
+          });
+
+          // A long task restarts the quiet window
+          if (quietTimer) {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(settle, COLLECTION.ttiQuietWindow);
+          }
+        });
 
-        const rating = getMetricRating(tti, THRESHOLDS.TTI);
-        logMetric('Time to Interactive', tti, 'ms', rating);
-      }, 0);
+        observers.longtask.observe({ type: 'longtask', buffered: true });
+      } catch (error) {
+        observers.longtask = null;
+        log.warn('Long task observation failed:', error.message);
+      }
+    }
+
+    whenLoaded(() => {
+      if (observers.longtask) {
+        quietTimer = setTimeout(settle, COLLECTION.ttiQuietWindow);
+      } else {
+        settle();
+      }
+    });
+    // Don't lose the report when the visitor leaves before the page goes quiet
+    onHidden(settle);
+  }
+
+  /**
+   * Subscribe to a metric. The last event of the metric, if any, is replayed
+   * right away, so subscribing after the metric was measured still works.
+   * @param {string} name - Metric name, or '*' for every metric
+   * @param {function(MetricEvent): void} callback - Called with each event
+   * @returns {function(): void} Unsubscribe
+   */
+  function onMetric(name, callback) {
+    if (!metricListeners.has(name)) {
+      metricListeners.set(name, new Set());
+    }
+    metricListeners.get(name).add(callback);
+
+    lastMetrics.forEach((metric) => {
+      if (name === '*' || metric.name === name) {
+        notify(callback, metric);
+      }
+    });
+
+    return () => {
+      metricListeners.get(name).delete(callback);
+    };
+  }
+
+  /**
+   * Subscribe to the load report (getMetrics() once the page has loaded and
+   * TTI is known, or earlier if the page is hidden first).
+   * A report already made is replayed right away.
+   * @param {function(Object): void} callback - Called with the report
+   * @returns {function(): void} Unsubscribe
+   */
+  function onReport(callback) {
+    reportListeners.add(callback);
+
+    if (lastReport) {
+      notify(callback, lastReport);
+    }
+
+    return () => {
+      reportListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Subscribe to performance budget violations. Violations already found are
+   * replayed right away.
+   * @param {function(Object): void} callback - Called with each BudgetViolation
+   *   (see performance-budget.js), again whenever its measured value changes
+   * @returns {function(): void} Unsubscribe
+   */
+  function onBudgetViolation(callback) {
+    budgetListeners.add(callback);
+
+    lastViolations.forEach((violation) => notify(callback, violation));
+
+    return () => {
+      budgetListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Check the collected metrics against the performance budget and emit
+   * new or changed violations
+   * @returns {void}
+   */
+  function checkBudget() {
+    const budget = getPerformanceBudget();
+    if (!budget) {
+      return;
+    }
+
+    budget.evaluate(getMetrics()).forEach((found) => {
+      const previous = lastViolations.get(found.budget);
+      if (previous && previous.actual === found.actual) {
+        return;
+      }
+
+      const violation = Object.freeze({ ...found, urls: Object.freeze(found.urls) });
+      lastViolations.set(violation.budget, violation);
+      budgetListeners.forEach((callback) => notify(callback, violation));
     });
   }
 
+  /**
+   * Resolves the PerformanceBudget module (window global in the browser, require in Node)
+   * @returns {Object|null} PerformanceBudget API, or null when it is not loaded
+   */
+  function getPerformanceBudget() {
+    if (typeof window !== 'undefined' && window.PerformanceBudget) {
+      return window.PerformanceBudget;
+    }
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      return require('./performance-budget.js');
+    }
+    return null;
+  }
+
+  /**
+   * Emit a metric value to its subscribers, unless it is unchanged
+   * @param {string} name - Metric name
+   * @param {number} value - Current value
+   * @param {Object|null} [attribution] - Attribution of the value
+   * @returns {MetricEvent|null} The event, or null when nothing changed
+   */
+  function emitMetric(name, value, attribution = null) {
+    const previous = lastMetrics.get(name);
+
+    if (typeof value !== 'number' || Number.isNaN(value) || (previous && previous.value === value)) {
+      return null;
+    }
+
+    const metric = Object.freeze({
+      name,
+      id: `${name}-${pageLoadId}`,
+      value,
+      delta: previous ? value - previous.value : value,
+      rating: THRESHOLDS[name] ? getMetricRating(value, THRESHOLDS[name]) : null,
+      attribution,
+    });
+
+    lastMetrics.set(name, metric);
+    [metricListeners.get(name), metricListeners.get('*')].forEach((listeners) => {
+      if (listeners) {
+        listeners.forEach((callback) => notify(callback, metric));
+      }
+    });
+
+    if (budgetChecksStarted) {
+      checkBudget();
+    }
+
+    return metric;
+  }
+
+  /**
+   * Send the load report to its subscribers
+   * @returns {void}
+   */
+  function emitReport() {
+    if (lastReport) {
+      return;
+    }
+    lastReport = getMetrics();
+    reportListeners.forEach((callback) => notify(callback, lastReport));
+  }
+
+  /**
+   * Call a subscriber, keeping one failing subscriber from stopping the others
+   * @param {Function} callback - Subscriber
+   * @param {*} payload - Event or report
+   * @returns {void}
+   */
+  function notify(callback, payload) {
+    try {
+      callback(payload);
+    } catch (error) {
+      log.warn('Subscriber failed:', error.message);
+    }
+  }
+
   /**
    * Get metric rating based on thresholds
    * @param {number} value - Metric value
@@ -444,9 +1141,7 @@
     const formattedValue = typeof value === 'number' ? value.toFixed(2) : value;
     const ratingEmoji = rating ? getRatingEmoji(rating) : '';
     
-    console.log(
-      `[Performance] ${name}: ${formattedValue}${unit} ${ratingEmoji}`
-    );
+    log.info(`${name}: ${formattedValue}${unit} ${ratingEmoji}`);
   }
 
   /**
@@ -465,59 +1160,61 @@
 
   /**
    * Log comprehensive performance summary
+   * @param {Object} report - Load report (getMetrics() output)
    * @returns {void}
    */
-  function logPerformanceSummary() {
-    console.group('[Performance] Complete Summary');
+  function logPerformanceSummary(report) {
+    log.group('Complete Summary');
     
     // Navigation metrics
-    console.group('Navigation Timing');
-    console.log('Time to First Byte:', metrics.navigation.firstByte.toFixed(2), 'ms');
-    console.log('DOM Content Loaded:', metrics.navigation.domContentLoaded.toFixed(2), 'ms');
-    console.log('Page Load Complete:', metrics.navigation.loadComplete.toFixed(2), 'ms');
-    console.groupEnd();
+    log.group('Navigation Timing');
+    log.info('Time to First Byte:', report.navigation.firstByte.toFixed(2), 'ms');
+    log.info('DOM Content Loaded:', report.navigation.domContentLoaded.toFixed(2), 'ms');
+    log.info('Page Load Complete:', report.navigation.loadComplete.toFixed(2), 'ms');
+    log.groupEnd();
 
     // Paint metrics
-    console.group('Paint Metrics');
-    console.log('First Paint:', metrics.paint.firstPaint.toFixed(2), 'ms');
-    console.log('First Contentful Paint:', metrics.paint.firstContentfulPaint.toFixed(2), 'ms');
-    console.groupEnd();
+    log.group('Paint Metrics');
+    log.info('First Paint:', report.paint.firstPaint.toFixed(2), 'ms');
+    log.info('First Contentful Paint:', report.paint.firstContentfulPaint.toFixed(2), 'ms');
+    log.groupEnd();
 
     // Core Web Vitals
-    console.group('Core Web Vitals');
-    console.log('LCP:', metrics.vitals.largestContentfulPaint.toFixed(2), 'ms',
-      getRatingEmoji(getMetricRating(metrics.vitals.largestContentfulPaint, THRESHOLDS.LCP)));
-    console.log('FID:', metrics.vitals.firstInputDelay.toFixed(2), 'ms',
-      getRatingEmoji(getMetricRating(metrics.vitals.firstInputDelay, THRESHOLDS.FID)));
-    console.log('CLS:', metrics.vitals.cumulativeLayoutShift.toFixed(3),
-      getRatingEmoji(getMetricRating(metrics.vitals.cumulativeLayoutShift, THRESHOLDS.CLS)));
-    console.log('TTI:', metrics.vitals.timeToInteractive.toFixed(2), 'ms',
-      getRatingEmoji(getMetricRating(metrics.vitals.timeToInteractive, THRESHOLDS.TTI)));
-    console.groupEnd();
+    log.group('Core Web Vitals');
+    log.info('LCP:', report.vitals.largestContentfulPaint.toFixed(2), 'ms',
+      getRatingEmoji(getMetricRating(report.vitals.largestContentfulPaint, THRESHOLDS.LCP)));
+    log.info('FID:', report.vitals.firstInputDelay.toFixed(2), 'ms',
+      getRatingEmoji(getMetricRating(report.vitals.firstInputDelay, THRESHOLDS.FID)));
+    log.info('INP:', report.vitals.interactionToNextPaint.toFixed(2), 'ms',
+      getRatingEmoji(getMetricRating(report.vitals.interactionToNextPaint, THRESHOLDS.INP)));
+    log.info('CLS:', report.vitals.cumulativeLayoutShift.toFixed(3),
+      getRatingEmoji(getMetricRating(report.vitals.cumulativeLayoutShift, THRESHOLDS.CLS)));
+    log.info('TTI:', report.vitals.timeToInteractive.toFixed(2), 'ms',
+      getRatingEmoji(getMetricRating(report.vitals.timeToInteractive, THRESHOLDS.TTI)));
+    log.groupEnd();
 
     // Detailed timing breakdown
-    if (performance.timing) {
-      logDetailedTiming();
-    }
+    logDetailedTiming(report.navigation.phases);
 
-    console.groupEnd();
+    log.groupEnd();
   }
 
   /**
    * Log detailed timing breakdown
+   * @param {Object} phases - Navigation phase durations in ms
    * @returns {void}
    */
-  function logDetailedTiming() {
-    const timing = performance.timing;
-    
-    console.group('Detailed Timing Breakdown');
-    console.log('DNS Lookup:', (timing.domainLookupEnd - timing.domainLookupStart).toFixed(2), 'ms');
-    console.log('TCP Connection:', (timing.connectEnd - timing.connectStart).toFixed(2), 'ms');
-    console.log('Request Time:', (timing.responseStart - timing.requestStart).toFixed(2), 'ms');
-    console.log('Response Time:', (timing.responseEnd - timing.responseStart).toFixed(2), 'ms');
-    console.log('DOM Processing:', (timing.domComplete - timing.domLoading).toFixed(2), 'ms');
-    console.log('Load Event:', (timing.loadEventEnd - timing.loadEventStart).toFixed(2), 'ms');
-    console.groupEnd();
+  function logDetailedTiming(phases) {
+    log.group('Detailed Timing Breakdown');
+    log.info('Redirect:', phases.redirect.toFixed(2), 'ms');
+    log.info('DNS Lookup:', phases.dns.toFixed(2), 'ms');
+    log.info('TCP Connection:', phases.connection.toFixed(2), 'ms');
+    log.info('TLS Negotiation:', phases.tls.toFixed(2), 'ms');
+    log.info('Request Time:', phases.request.toFixed(2), 'ms');
+    log.info('Response Time:', phases.response.toFixed(2), 'ms');
+    log.info('DOM Processing:', phases.domProcessing.toFixed(2), 'ms');
+    log.info('Load Event:', phases.loadEvent.toFixed(2), 'ms');
+    log.groupEnd();
   }
 
   /**
@@ -525,7 +1222,7 @@
    * @returns {void}
    */
   function logResourceSummary() {
-    console.group('[Performance] Resource Loading Summary');
+    log.group('Resource Loading Summary');
 
     const resourceTypes = ['images', 'scripts', 'stylesheets', 'other'];
     
@@ -541,7 +1238,7 @@
       const avgDuration = totalDuration / resources.length;
       const cachedCount = resources.filter(r => r.cached).length;
 
-      console.log(`${type}:`, {
+      log.info(`${type}:`, {
         count: resources.length,
         totalSize: formatBytes(totalSize),
         avgDuration: avgDuration.toFixed(2) + ' ms',
@@ -549,7 +1246,7 @@
       });
     });
 
-    console.groupEnd();
+    log.groupEnd();
   }
 
   /**
@@ -581,9 +1278,9 @@
 
     try {
       performance.mark(name);
-      console.log(`[Performance] Mark: ${name}`);
+      log.debug(`Mark: ${name}`);
     } catch (error) {
-      console.warn('[Performance] Failed to create mark:', error.message);
+      log.warn('Failed to create mark:', error.message);
     }
   }
 
@@ -605,11 +1302,11 @@
       
       if (measure) {
         metrics.custom.set(name, measure.duration);
-        console.log(`[Performance] ${name}: ${measure.duration.toFixed(2)} ms`);
+        log.debug(`${name}: ${measure.duration.toFixed(2)} ms`);
         return measure.duration;
       }
     } catch (error) {
-      console.warn('[Performance] Failed to measure:', error.message);
+      log.warn('Failed to measure:', error.message);
     }
 
     return null;
@@ -621,9 +1318,11 @@
    */
   function getMetrics() {
     return {
-      navigation: { ...metrics.navigation },
+      navigation: { ...metrics.navigation, phases: { ...metrics.navigation.phases } },
       paint: { ...metrics.paint },
       vitals: { ...metrics.vitals },
+      // Attribution objects are frozen, so sharing them is safe
+      attribution: { ...metrics.attribution },
       resources: {
         images: [...metrics.resources.images],
         scripts: [...metrics.resources.scripts],
@@ -635,13 +1334,14 @@
   }
 
   /**
-   * Send metrics to analytics endpoint
+   * Send metrics to analytics endpoint once. For batched delivery that
+   * survives the page unloading, use MetricsBeacon.connect().
    * @param {string} endpoint - Analytics endpoint URL
    * @returns {Promise<void>}
    */
   async function sendToAnalytics(endpoint) {
     if (!endpoint) {
-      console.warn('[Performance] No analytics endpoint provided');
+      log.warn('No analytics endpoint provided');
       return;
     }
 
@@ -649,7 +1349,7 @@
       url: window.location.href,
       timestamp: Date.now(),
       userAgent: navigator.userAgent,
-      metrics: getMetrics(),
+      metrics: { ...getMetrics(), custom: Object.fromEntries(metrics.custom) },
     };
 
     try {
@@ -659,15 +1359,16 @@
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(payload),
+        keepalive: true,
       });
 
       if (!response.ok) {
         throw new Error(`Analytics request failed: ${response.status}`);
       }
 
-      console.log('[Performance] Metrics sent to analytics');
+      log.debug('Metrics sent to analytics');
     } catch (error) {
-      console.error('[Performance] Failed to send metrics:', error.message);
+      log.error('Failed to send metrics:', error.message);
     }
   }
 
@@ -682,17 +1383,22 @@
       }
     });
 
-    console.log('[Performance] Cleanup complete');
+    log.debug('Cleanup complete');
   }
 
   // Export public API
   const PerformanceMonitor = {
     init: initPerformanceMonitoring,
+    onMetric,
+    onReport,
+    onBudgetViolation,
     mark,
     measure,
     getMetrics,
     sendToAnalytics,
     cleanup,
+    THRESHOLDS,
+    METRIC_LABELS,
   };
 
   // Attach to window for global access
@@ -0,0 +1,357 @@
+/**
+ * Photo Attachments Module
+ * Enhances a file input into a photo list with thumbnails, remove buttons
+ * and per-file upload progress. Photos are redrawn through a canvas before
+ * upload, which downscales large ones and drops their EXIF metadata (GPS
+ * position, camera serial numbers). The processed files are written back
+ * into the input, so validation and plain form posts see what gets sent.
+ *
+ * @module photo-attachments
+ */
+
+(function() {
+  'use strict';
+
+  // Photo processing and display settings
+  const PHOTO_CONFIG = Object.freeze({
+    maxDimension: 1600, // Longest side after downscaling, in pixels
+    outputType: 'image/jpeg',
+    outputQuality: 0.85,
+    labels: Object.freeze({
+      remove: 'Remove',
+      removeFile: 'Remove {name}',
+      processing: 'Preparing…',
+    }),
+  });
+
+  const log = window.Logger.create('Photos');
+
+  /**
+   * Attached photo
+   * @typedef {Object} AttachedPhoto
+   * @property {File} file - File that will be uploaded
+   * @property {string} thumbnailUrl - Object URL of the thumbnail ('' when not an image)
+   * @property {HTMLLIElement} item - List item showing the photo
+   * @property {HTMLProgressElement} progress - Upload progress bar
+   */
+
+  /**
+   * Photo attachments controller
+   * @typedef {Object} PhotoAttachments
+   * @property {function(): Array<File>} getFiles - Files that will be uploaded
+   * @property {function(): Promise<void>} ready - Resolves once every picked photo is processed
+   * @property {function(number, number): void} setProgress - Spread upload progress over the photos
+   * @property {function(): void} clear - Remove every photo
+   */
+
+  /**
+   * Whether the browser can write files back into an input
+   * @returns {boolean}
+   */
+  function isSupported() {
+    try {
+      return typeof DataTransfer === 'function' && Boolean(new DataTransfer().items);
+    } catch (error) {
+      return false; // Older Safari has DataTransfer but no constructor
+    }
+  }
+
+  /**
+   * Enhance a file input
+   * @param {HTMLInputElement} input - File input (type="file" multiple)
+   * @param {Object} [options] - Options
+   * @param {function(Array<File>): void} [options.onChange] - Called after photos were added or removed
+   * @returns {PhotoAttachments|null} Controller, or null when the browser cannot support it
+   */
+  function create(input, options = {}) {
+    if (!isSupported()) {
+      return null;
+    }
+
+    const photos = [];
+    const list = document.createElement('ul');
+    let pending = Promise.resolve();
+
+    list.className = 'attachments';
+    list.setAttribute('aria-label', 'Attached photos');
+    input.parentNode.insertBefore(list, input.nextSibling);
+
+    /**
+     * Write the kept files back into the input
+     */
+    function syncInput() {
+      const transfer = new DataTransfer();
+      photos.forEach((photo) => transfer.items.add(photo.file));
+      input.files = transfer.files;
+    }
+
+    /**
+     * Tell the page the attachments changed
+     */
+    function notify() {
+      syncInput();
+      if (options.onChange) {
+        options.onChange(photos.map((photo) => photo.file));
+      }
+    }
+
+    /**
+     * Drop a photo
+     * @param {AttachedPhoto} photo - Photo to remove
+     */
+    function remove(photo) {
+      const index = photos.indexOf(photo);
+
+      if (index === -1) {
+        return;
+      }
+
+      photos.splice(index, 1);
+      photo.item.remove();
+      if (photo.thumbnailUrl) {
+        URL.revokeObjectURL(photo.thumbnailUrl);
+      }
+      notify();
+      input.focus();
+    }
+
+    /**
+     * Process newly picked files and add them after the kept ones
+     * @param {Array<File>} picked - Files from the file dialog
+     * @returns {Promise<void>}
+     */
+    async function add(picked) {
+      const placeholders = picked.map((file) => {
+        const item = buildItem(file.name, PHOTO_CONFIG.labels.processing);
+        list.appendChild(item);
+        return item;
+      });
+
+      // The dialog replaced the input's files - put the kept ones back while the new ones are processed
+      syncInput();
+
+      const prepared = await Promise.all(picked.map(preparePhoto));
+
+      prepared.forEach((file, index) => {
+        const thumbnailUrl = file.type.startsWith('image/') ? URL.createObjectURL(file) : '';
+        const item = buildItem(file.name, formatSize(file.size), thumbnailUrl);
+        const photo = { file, thumbnailUrl, item, progress: item.querySelector('progress') };
+
+        item.querySelector('.attachments__remove').addEventListener('click', () => remove(photo));
+        placeholders[index].replaceWith(item);
+        photos.push(photo);
+      });
+
+      notify();
+    }
+
+    input.addEventListener('change', () => {
+      const picked = Array.from(input.files || []);
+
+      if (picked.length === 0) {
+        syncInput(); // Cancelled dialog - keep what was attached before
+        return;
+      }
+
+      pending = pending.then(() => add(picked)).catch((error) => {
+        log.warn('Could not attach photos:', error.message);
+      });
+    });
+
+    // The reset event fires before the input is emptied
+    input.form.addEventListener('reset', () => setTimeout(clear));
+
+    /**
+     * Spread upload progress over the photos. Files are appended last to the
+     * multipart body, so the bytes before them are the text fields.
+     * @param {number} loaded - Bytes sent
+     * @param {number} total - Total request size
+     */
+    function setProgress(loaded, total) {
+      const fileBytes = photos.reduce((sum, photo) => sum + photo.file.size, 0);
+      let offset = Math.max(0, total - fileBytes);
+
+      photos.forEach((photo) => {
+        const sent = Math.min(Math.max(loaded - offset, 0), photo.file.size);
+        photo.progress.max = photo.file.size || 1;
+        photo.progress.value = sent;
+        photo.item.classList.toggle('attachments__item--uploading', sent > 0 && sent < photo.file.size);
+        offset += photo.file.size;
+      });
+    }
+
+    /**
+     * Remove every photo
+     */
+    function clear() {
+      photos.splice(0).forEach((photo) => {
+        photo.item.remove();
+        if (photo.thumbnailUrl) {
+          URL.revokeObjectURL(photo.thumbnailUrl);
+        }
+      });
+      list.textContent = '';
+      syncInput();
+    }
+
+    return {
+      getFiles: () => photos.map((photo) => photo.file),
+      ready: () => pending,
+      setProgress,
+      clear,
+    };
+  }
+
+  /**
+   * Build a list item for a photo
+   * @param {string} name - File name
+   * @param {string} detail - Size or status text
+   * @param {string} [thumbnailUrl] - Thumbnail object URL
+   * @returns {HTMLLIElement}
+   */
+  function buildItem(name, detail, thumbnailUrl) {
+    const item = document.createElement('li');
+    item.className = 'attachments__item';
+
+    if (thumbnailUrl) {
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'attachments__thumb';
+      thumbnail.src = thumbnailUrl;
+      thumbnail.alt = '';
+      item.appendChild(thumbnail);
+    }
+
+    const label = document.createElement('span');
+    label.className = 'attachments__name';
+    label.textContent = name;
+
+    const size = document.createElement('span');
+    size.className = 'attachments__size';
+    size.textContent = detail;
+
+    const progress = document.createElement('progress');
+    progress.className = 'attachments__progress';
+    progress.max = 1;
+    progress.value = 0;
+    progress.setAttribute('aria-label', `Upload of ${name}`);
+
+    item.appendChild(label);
+    item.appendChild(size);
+    item.appendChild(progress);
+
+    if (thumbnailUrl !== undefined) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'attachments__remove';
+      button.textContent = PHOTO_CONFIG.labels.remove;
+      button.setAttribute('aria-label', PHOTO_CONFIG.labels.removeFile.replace('{name}', name));
+      item.appendChild(button);
+    }
+
+    return item;
+  }
+
+  /**
+   * Redraw a photo through a canvas: downscaled to maxDimension and
+   * re-encoded without metadata. Files that are not images, or that the
+   * browser cannot decode, are returned unchanged for validation to judge.
+   * @param {File} file - Picked file
+   * @returns {Promise<File>} File to upload
+   */
+  async function preparePhoto(file) {
+    if (!file.type.startsWith('image/')) {
+      return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+
+    if (!context) {
+      return file;
+    }
+
+    let image;
+    try {
+      image = await decodeImage(file);
+    } catch (error) {
+      log.warn(`Could not read ${file.name}:`, error.message);
+      return file;
+    }
+
+    const scale = Math.min(1, PHOTO_CONFIG.maxDimension / Math.max(image.width, image.height));
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+
+    // JPEG has no transparency - paint PNG backgrounds white instead of black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    if (typeof image.close === 'function') {
+      image.close();
+    }
+
+    const blob = await new Promise((resolve) => {
+      canvas.toBlob(resolve, PHOTO_CONFIG.outputType, PHOTO_CONFIG.outputQuality);
+    });
+
+    if (!blob) {
+      return file;
+    }
+
+    const name = file.name.replace(/\.[^.]*$/, '') + '.jpg';
+    return new File([blob], name, { type: PHOTO_CONFIG.outputType, lastModified: file.lastModified });
+  }
+
+  /**
+   * Decode an image file, applying its EXIF orientation
+   * @param {File} file - Image file
+   * @returns {Promise<ImageBitmap|HTMLImageElement>}
+   */
+  function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+      return createImageBitmap(file, { imageOrientation: 'from-image' });
+    }
+
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Unsupported image format'));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} e.g. '850 KB' or '2.4 MB'
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // Export public API
+  const PhotoAttachments = {
+    create,
+    isSupported,
+    PHOTO_CONFIG,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoAttachments;
+  } else {
+    window.PhotoAttachments = PhotoAttachments;
+  }
+
+})();
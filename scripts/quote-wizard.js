@@ -0,0 +1,367 @@
+/**
+ * Quote Wizard Module
+ * Turns a form whose fieldsets carry data-wizard-step into a multi-step
+ * wizard with a progress indicator and Back/Next navigation. Steps are
+ * mirrored in history state so the browser's Back/Forward buttons work.
+ * Without JavaScript the fieldsets simply render as one long form.
+ *
+ * @module quote-wizard
+ */
+
+(function() {
+  'use strict';
+
+  // Wizard settings
+  const WIZARD_CONFIG = Object.freeze({
+    stepSelector: '[data-wizard-step]',
+    historyKey: 'quoteStep', // Key of the step index in history.state
+    labels: Object.freeze({
+      back: 'Back',
+      next: 'Next',
+      status: 'Step {current} of {total}: {title}',
+    }),
+  });
+
+  /**
+   * Wizard controller
+   * @typedef {Object} QuoteWizard
+   * @property {function(number, Object=): void} goTo - Show a step by index
+   * @property {function(): boolean} next - Validate the current step and advance
+   * @property {function(): void} back - Go to the previous step
+   * @property {function(string): boolean} showField - Show the step containing a field
+   * @property {function(): number} getCurrentStep - Index of the visible step
+   */
+
+  /**
+   * Create a wizard on a form
+   * @param {HTMLFormElement} form - Form with data-wizard-step fieldsets
+   * @param {Object} [options] - Wizard options
+   * @param {function(ValidationResult): void} [options.onInvalid] - Shows the first error of a step
+   *   (receives the validateFieldsFast result, which includes fieldName)
+   * @returns {QuoteWizard|null} Controller, or null when the form has fewer than two steps
+   */
+  function create(form, options = {}) {
+    const steps = Array.from(form.querySelectorAll(WIZARD_CONFIG.stepSelector));
+
+    if (steps.length < 2) {
+      return null;
+    }
+
+    const { validateFieldsFast, collectFormData, getFieldRules } = window.FormValidation;
+    const submitButton = form.querySelector('[type="submit"]');
+    const progress = buildProgress(steps);
+    const status = buildStatus();
+    const nav = buildNav();
+    let current = 0;
+
+    form.classList.add('form--wizard');
+    form.insertBefore(progress, form.firstChild);
+    form.insertBefore(status, progress.nextSibling);
+    form.insertBefore(nav, submitButton);
+
+    steps.forEach((step) => {
+      step.setAttribute('tabindex', '-1'); // Focus target announcing the step legend
+    });
+
+    /**
+     * Names of the validated fields inside a step
+     * @param {HTMLElement} step - Step fieldset
+     * @returns {Array<string>}
+     */
+    function getStepFields(step) {
+      const names = Array.from(step.querySelectorAll('input, select, textarea'))
+        .map((control) => control.name)
+        .filter((name) => name && getFieldRules(name));
+      return Array.from(new Set(names));
+    }
+
+    /**
+     * First validation error of a step. Rules see the whole form for cross-field checks.
+     * @param {number} index - Step index
+     * @returns {ValidationResult|null}
+     */
+    function findStepError(index) {
+      return validateFieldsFast(collectFormData(form, getStepFields(steps[index])), {
+        formData: collectFormData(form),
+      });
+    }
+
+    /**
+     * Validate one step, reporting its first error
+     * @param {number} index - Step index
+     * @returns {boolean} Whether the step is valid
+     */
+    function validateStep(index) {
+      const result = findStepError(index);
+
+      if (result) {
+        if (options.onInvalid) {
+          options.onInvalid(result);
+        }
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Show a step
+     * @param {number} index - Step index
+     * @param {Object} [goOptions] - Navigation options
+     * @param {string} [goOptions.history] - 'push', 'replace' or 'none'
+     * @param {boolean} [goOptions.focus] - Move focus to the step
+     */
+    function goTo(index, goOptions = {}) {
+      const target = Math.max(0, Math.min(index, steps.length - 1));
+      const historyMode = goOptions.history || 'none';
+
+      current = target;
+      steps.forEach((step, stepIndex) => {
+        step.hidden = stepIndex !== target;
+      });
+
+      updateProgress(progress, target);
+      updateNav(nav, submitButton, target, steps.length);
+      status.textContent = formatLabel(WIZARD_CONFIG.labels.status, {
+        current: target + 1,
+        total: steps.length,
+        title: getStepTitle(steps[target]),
+      });
+
+      if (historyMode !== 'none') {
+        const state = { ...(window.history.state || {}), [WIZARD_CONFIG.historyKey]: target };
+        if (historyMode === 'push') {
+          window.history.pushState(state, '');
+        } else {
+          window.history.replaceState(state, '');
+        }
+      }
+
+      if (goOptions.focus) {
+        steps[target].focus();
+      }
+    }
+
+    /**
+     * Validate the current step and move to the next one
+     * @returns {boolean} Whether the wizard advanced
+     */
+    function next() {
+      if (current >= steps.length - 1 || !validateStep(current)) {
+        return false;
+      }
+      goTo(current + 1, { history: 'push', focus: true });
+      return true;
+    }
+
+    /**
+     * Go back one step, through history when this step was pushed so that
+     * the browser's Back button and ours stay in sync
+     */
+    function back() {
+      if (current === 0) {
+        return;
+      }
+
+      const state = window.history.state;
+      if (state && state[WIZARD_CONFIG.historyKey] === current) {
+        window.history.back();
+      } else {
+        goTo(current - 1, { history: 'replace', focus: true });
+      }
+    }
+
+    /**
+     * Show the step that contains a field
+     * @param {string} fieldName - Field name
+     * @returns {boolean} Whether the field was found
+     */
+    function showField(fieldName) {
+      const index = steps.findIndex((step) => step.querySelector(`[name="${fieldName}"]`));
+
+      if (index === -1) {
+        return false;
+      }
+      if (index !== current) {
+        goTo(index, { history: 'replace' });
+      }
+      return true;
+    }
+
+    /**
+     * Follow Back/Forward. Moving forward re-validates the skipped steps and
+     * stops at the first invalid one.
+     * @param {PopStateEvent} event - History event
+     */
+    function handlePopState(event) {
+      const state = event.state || {};
+      const target = Number.isInteger(state[WIZARD_CONFIG.historyKey]) ? state[WIZARD_CONFIG.historyKey] : 0;
+
+      for (let index = current; index < target; index++) {
+        if (!validateStep(index)) {
+          goTo(index, { history: 'replace' });
+          return;
+        }
+      }
+
+      goTo(target, { focus: true });
+    }
+
+    nav.querySelector('.wizard__back').addEventListener('click', back);
+    nav.querySelector('.wizard__next').addEventListener('click', next);
+
+    // Enter in a field submits the form - treat it as "Next" until the last step
+    form.addEventListener('submit', (event) => {
+      if (current < steps.length - 1) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        next();
+      }
+    });
+
+    form.addEventListener('reset', () => {
+      goTo(0, { history: 'replace' });
+    });
+
+    window.addEventListener('popstate', handlePopState);
+
+    // A reload keeps the history entry, so resume at its step if the earlier ones still hold
+    const savedState = window.history.state;
+    const savedStep = savedState && Number.isInteger(savedState[WIZARD_CONFIG.historyKey])
+      ? savedState[WIZARD_CONFIG.historyKey]
+      : 0;
+    let startStep = 0;
+    while (startStep < savedStep && findStepError(startStep) === null) {
+      startStep++;
+    }
+    goTo(startStep, { history: 'replace' });
+
+    return {
+      goTo,
+      next,
+      back,
+      showField,
+      getCurrentStep: () => current,
+    };
+  }
+
+  /**
+   * Build the progress indicator
+   * @param {Array<HTMLElement>} steps - Step fieldsets
+   * @returns {HTMLOListElement}
+   */
+  function buildProgress(steps) {
+    const list = document.createElement('ol');
+    list.className = 'wizard__progress';
+    list.setAttribute('aria-label', 'Quote progress');
+
+    steps.forEach((step) => {
+      const item = document.createElement('li');
+      item.className = 'wizard__progress-item';
+      item.textContent = getStepTitle(step);
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Build the live region announcing step changes
+   * @returns {HTMLParagraphElement}
+   */
+  function buildStatus() {
+    const status = document.createElement('p');
+    status.className = 'sr-only';
+    status.setAttribute('aria-live', 'polite');
+    return status;
+  }
+
+  /**
+   * Build the Back/Next buttons
+   * @returns {HTMLDivElement}
+   */
+  function buildNav() {
+    const nav = document.createElement('div');
+    nav.className = 'wizard__nav';
+
+    const backButton = document.createElement('button');
+    backButton.type = 'button';
+    backButton.className = 'btn btn--secondary wizard__back';
+    backButton.textContent = WIZARD_CONFIG.labels.back;
+
+    const nextButton = document.createElement('button');
+    nextButton.type = 'button';
+    nextButton.className = 'btn btn--primary wizard__next';
+    nextButton.textContent = WIZARD_CONFIG.labels.next;
+
+    nav.appendChild(backButton);
+    nav.appendChild(nextButton);
+    return nav;
+  }
+
+  /**
+   * Mark the current and completed steps in the progress indicator
+   * @param {HTMLOListElement} progress - Progress list
+   * @param {number} index - Current step index
+   */
+  function updateProgress(progress, index) {
+    Array.from(progress.children).forEach((item, itemIndex) => {
+      item.classList.toggle('wizard__progress-item--complete', itemIndex < index);
+      item.classList.toggle('wizard__progress-item--current', itemIndex === index);
+      if (itemIndex === index) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Show the buttons that apply to a step
+   * @param {HTMLDivElement} nav - Navigation container
+   * @param {HTMLButtonElement} submitButton - Form submit button
+   * @param {number} index - Current step index
+   * @param {number} total - Number of steps
+   */
+  function updateNav(nav, submitButton, index, total) {
+    const isLast = index === total - 1;
+
+    nav.querySelector('.wizard__back').hidden = index === 0;
+    nav.querySelector('.wizard__next').hidden = isLast;
+    if (submitButton) {
+      submitButton.hidden = !isLast;
+    }
+  }
+
+  /**
+   * Title of a step, from its legend
+   * @param {HTMLElement} step - Step fieldset
+   * @returns {string}
+   */
+  function getStepTitle(step) {
+    const legend = step.querySelector('legend');
+    return legend ? legend.textContent.trim() : '';
+  }
+
+  /**
+   * Fill {placeholders} in a label
+   * @param {string} template - Label template
+   * @param {Object.<string, *>} params - Values
+   * @returns {string}
+   */
+  function formatLabel(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+  }
+
+  // Export public API
+  const QuoteWizard = {
+    create,
+    WIZARD_CONFIG,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteWizard;
+  } else {
+    window.QuoteWizard = QuoteWizard;
+  }
+
+})();
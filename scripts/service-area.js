@@ -0,0 +1,162 @@
+/**
+ * Service Area Module
+ * Checks whether a ZIP code lies within the published service radius, using
+ * the bundled ZIP centroids and the great-circle distance to the midpoint.
+ * Shared by the "Do you serve my area?" widget, the contact form's zip rule
+ * and the server, so every lead carries the same verdict.
+ *
+ * @module service-area
+ */
+
+(function(root) {
+  'use strict';
+
+  // Service area - keep in sync with areaServed in index.html
+  const SERVICE_AREA = Object.freeze({
+    midpoint: Object.freeze({ latitude: 39.9612, longitude: -82.9988 }), // Columbus, OH
+    radiusMiles: 50,
+    surchargeFromMiles: 40, // Visits further out than this carry a travel surcharge
+    zipPattern: /^(\d{5})(?:-\d{4})?$/,
+    labels: Object.freeze({
+      inArea: 'Good news - {zip} is in our service area.',
+      edgeOfArea: '{zip} is at the edge of our service area (about {distance} miles out). ' +
+        'We can come to you; a travel surcharge applies.',
+      outOfArea: 'Sorry - {zip} is about {distance} miles away, outside our {radius}-mile service area.',
+      unknown: 'We couldn\'t look up {zip}. Call us and we\'ll tell you whether we can help.',
+      invalid: 'Enter a 5-digit ZIP code.',
+    }),
+  });
+
+  const EARTH_RADIUS_MILES = 3958.8;
+
+  /**
+   * Service-area verdict
+   * @typedef {Object} AreaCheck
+   * @property {string} status - 'inArea', 'edgeOfArea', 'outOfArea', 'unknown' (not in the
+   *   dataset) or 'invalid' (not a ZIP code)
+   * @property {string} zip - 5-digit ZIP code ('' when invalid)
+   * @property {number|null} distance - Miles from the midpoint, one decimal (null unless located)
+   */
+
+  /**
+   * Resolves the ZIP centroid dataset (window global in the browser, require in Node)
+   * @returns {Object.<string, Array<number>>} Centroids keyed by ZIP code
+   */
+  function getCentroids() {
+    if (root.ZipCentroids) {
+      return root.ZipCentroids;
+    }
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      return require('./zip-centroids.js');
+    }
+    return {};
+  }
+
+  /**
+   * Great-circle distance between two points (haversine formula)
+   * @param {{latitude: number, longitude: number}} from - First point
+   * @param {{latitude: number, longitude: number}} to - Second point
+   * @returns {number} Distance in miles
+   */
+  function distanceInMiles(from, to) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const deltaLatitude = toRadians(to.latitude - from.latitude);
+    const deltaLongitude = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(deltaLatitude / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Check a ZIP code against the service area
+   * @param {string} value - ZIP or ZIP+4 as entered
+   * @returns {AreaCheck}
+   */
+  function checkZip(value) {
+    const match = SERVICE_AREA.zipPattern.exec(String(value || '').trim());
+
+    if (!match) {
+      return { status: 'invalid', zip: '', distance: null };
+    }
+
+    const zip = match[1];
+    const centroid = getCentroids()[zip];
+
+    if (!centroid) {
+      return { status: 'unknown', zip, distance: null };
+    }
+
+    const distance = distanceInMiles(SERVICE_AREA.midpoint, { latitude: centroid[0], longitude: centroid[1] });
+    let status = 'outOfArea';
+
+    if (distance <= SERVICE_AREA.surchargeFromMiles) {
+      status = 'inArea';
+    } else if (distance <= SERVICE_AREA.radiusMiles) {
+      status = 'edgeOfArea';
+    }
+
+    return { status, zip, distance: Math.round(distance * 10) / 10 };
+  }
+
+  /**
+   * Sentence describing a verdict
+   * @param {AreaCheck} check - checkZip() result
+   * @returns {string}
+   */
+  function describe(check) {
+    const params = {
+      zip: check.zip,
+      distance: check.distance === null ? '' : Math.round(check.distance),
+      radius: SERVICE_AREA.radiusMiles,
+    };
+
+    return SERVICE_AREA.labels[check.status].replace(/\{(\w+)\}/g, (match, key) =>
+      (key in params ? String(params[key]) : match)
+    );
+  }
+
+  /**
+   * Compare the configured area with schema.org areaServed (a GeoCircle)
+   * @param {Object} areaServed - areaServed from the page's structured data
+   * @returns {Array<string>} Mismatches (empty when they agree)
+   */
+  function compareAreaServed(areaServed) {
+    const problems = [];
+    const midpoint = (areaServed && areaServed.geoMidpoint) || {};
+    const radius = /^([\d.]+)\s*(?:mi|miles?)$/i.exec(String((areaServed && areaServed.geoRadius) || '').trim());
+
+    if (Number(midpoint.latitude) !== SERVICE_AREA.midpoint.latitude ||
+      Number(midpoint.longitude) !== SERVICE_AREA.midpoint.longitude) {
+      problems.push(
+        `midpoint: configured ${SERVICE_AREA.midpoint.latitude},${SERVICE_AREA.midpoint.longitude}, ` +
+        `structured data says ${midpoint.latitude},${midpoint.longitude}`
+      );
+    }
+    if (!radius || Number(radius[1]) !== SERVICE_AREA.radiusMiles) {
+      problems.push(
+        `radius: configured ${SERVICE_AREA.radiusMiles} miles, structured data says ${areaServed && areaServed.geoRadius}`
+      );
+    }
+
+    return problems;
+  }
+
+  // Export public API
+  const ServiceArea = {
+    checkZip,
+    describe,
+    distanceInMiles,
+    compareAreaServed,
+    SERVICE_AREA,
+  };
+
+  // Attach to the global scope
+  root.ServiceArea = ServiceArea;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceArea;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,302 @@
+/**
+ * Spam Protection Module
+ * Honeypot, time-to-submit and rate limit checks plus a scored rule set for
+ * contact form submissions. Runs in the browser and in the Node server, so
+ * bots that skip JavaScript meet the same rules on POST /submit-contact.
+ *
+ * @module spam-protection
+ */
+
+(function(root) {
+  'use strict';
+
+  // Spam check settings
+  const SPAM_CONFIG = Object.freeze({
+    honeypotField: 'website', // Invisible to people, irresistible to form-filling bots
+    timestampField: 'formStartedAt', // Set by the page when the form is ready
+    minSubmitTime: 3000, // People need more than 3 seconds to fill the form
+    threshold: 5, // Score at or above which a submission is spam
+    rateLimit: Object.freeze({
+      max: 3, // Submissions allowed per window
+      windowMs: 10 * 60 * 1000,
+      storageKey: 'thermocool:submit-times',
+    }),
+  });
+
+  /**
+   * Scored spam rule
+   * @typedef {Object} SpamRule
+   * @property {string} name - Rule identifier reported in matches
+   * @property {number} weight - Points per hit
+   * @property {Array<string>} fields - Fields the rule inspects
+   * @property {function(string): number} test - Number of hits in a field value
+   */
+
+  /**
+   * Default rule set. Scores add up across rules and fields.
+   * @const {Array<SpamRule>}
+   */
+  const SPAM_RULES = Object.freeze([
+    Object.freeze({
+      name: 'keywords',
+      weight: 3,
+      fields: ['name', 'message'],
+      test: (value) => (value.match(/\b(viagra|cialis|casino|lottery|crypto|bitcoin|seo services|backlinks)\b/gi) || []).length,
+    }),
+    Object.freeze({
+      name: 'linkDensity',
+      weight: 2,
+      fields: ['message'],
+      test: (value) => {
+        const links = (value.match(/\b(?:https?:\/\/|www\.)\S+/gi) || []).length;
+        const words = value.split(/\s+/).filter(Boolean).length;
+        // One link is fine; every extra one, or a message that is mostly links, is not
+        return Math.max(0, links - 1) + (links > 0 && links / words > 0.2 ? 1 : 0);
+      },
+    }),
+    Object.freeze({
+      name: 'linkInName',
+      weight: 5,
+      fields: ['name'],
+      test: (value) => (/\b(?:https?:\/\/|www\.)\S+/i.test(value) ? 1 : 0),
+    }),
+    Object.freeze({
+      name: 'repeatedCharacters',
+      weight: 1,
+      fields: ['name', 'message'],
+      test: (value) => (value.match(/(\S)\1{5,}/g) || []).length,
+    }),
+    Object.freeze({
+      name: 'scriptInjection',
+      // Below the threshold: one stray fragment (a pasted error message) needs a second signal
+      weight: 4,
+      fields: ['name', 'email', 'message'],
+      // Event handlers only count inside a tag, so "set it online=yes" is left alone
+      test: (value) => (value.match(/<\s*\/?\s*(?:script|iframe|object|embed)\b|javascript:|<[^>]*\son\w+\s*=/gi) || []).length,
+    }),
+  ]);
+
+  /**
+   * Spam verdict
+   * @typedef {Object} SpamVerdict
+   * @property {boolean} spam - Whether the submission should be rejected
+   * @property {string|null} reason - 'honeypot', 'tooFast' or 'score' (null when clean)
+   * @property {number} score - Rule score
+   * @property {Array<{rule: string, field: string, points: number}>} matches - Scoring rules that hit
+   */
+
+  /**
+   * Score form data against a rule set
+   * @param {Object.<string, string>} data - Submitted form data
+   * @param {Array<SpamRule>} [rules] - Rules to apply
+   * @returns {{score: number, matches: Array<{rule: string, field: string, points: number}>}}
+   */
+  function scoreSubmission(data, rules = SPAM_RULES) {
+    const matches = [];
+    let score = 0;
+
+    rules.forEach((rule) => {
+      rule.fields.forEach((field) => {
+        const value = data[field];
+        if (typeof value !== 'string' || !value) {
+          return;
+        }
+
+        const hits = Number(rule.test(value)) || 0;
+        if (hits > 0) {
+          const points = hits * rule.weight;
+          score += points;
+          matches.push({ rule: rule.name, field, points });
+        }
+      });
+    });
+
+    return { score, matches };
+  }
+
+  /**
+   * Whether the honeypot field was filled in
+   * @param {Object.<string, string>} data - Submitted form data
+   * @returns {boolean}
+   */
+  function isHoneypotFilled(data) {
+    return String(data[SPAM_CONFIG.honeypotField] || '').trim() !== '';
+  }
+
+  /**
+   * Whether the form was submitted faster than a person could fill it.
+   * A missing timestamp (JavaScript disabled) is not held against the sender.
+   * @param {Object.<string, string>} data - Submitted form data
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {boolean}
+   */
+  function isTooFast(data, now = Date.now()) {
+    const startedAt = Number(data[SPAM_CONFIG.timestampField]);
+    if (!startedAt) {
+      return false;
+    }
+    return now - startedAt < SPAM_CONFIG.minSubmitTime;
+  }
+
+  /**
+   * Run every spam check on a submission
+   * @param {Object.<string, string>} data - Submitted form data
+   * @param {Object} [options] - Check options
+   * @param {number} [options.now] - Current time (ms since epoch)
+   * @param {Array<SpamRule>} [options.rules] - Rules to score with
+   * @param {number} [options.threshold] - Spam score threshold
+   * @returns {SpamVerdict} Verdict
+   */
+  function evaluate(data, options = {}) {
+    const threshold = options.threshold ?? SPAM_CONFIG.threshold;
+    const { score, matches } = scoreSubmission(data, options.rules);
+    let reason = null;
+
+    if (isHoneypotFilled(data)) {
+      reason = 'honeypot';
+    } else if (isTooFast(data, options.now)) {
+      reason = 'tooFast';
+    } else if (score >= threshold) {
+      reason = 'score';
+    }
+
+    return {
+      spam: reason !== null,
+      reason,
+      score,
+      matches,
+    };
+  }
+
+  /**
+   * Create a sliding-window rate limiter. Timestamps live in a Map by default,
+   * or in a Web Storage object (sessionStorage) so they survive page reloads.
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.max] - Submissions allowed per window
+   * @param {number} [options.windowMs] - Window length
+   * @param {Storage} [options.storage] - Web Storage to persist timestamps in
+   * @param {string} [options.storageKey] - Storage key prefix
+   * @returns {{check: Function, record: Function}} Rate limiter
+   */
+  function createRateLimiter(options = {}) {
+    const max = options.max ?? SPAM_CONFIG.rateLimit.max;
+    const windowMs = options.windowMs ?? SPAM_CONFIG.rateLimit.windowMs;
+    const storageKey = options.storageKey || SPAM_CONFIG.rateLimit.storageKey;
+    const storage = options.storage || null;
+    const memory = new Map();
+    let lastPruned = 0;
+
+    /**
+     * Drop the keys whose timestamps have all expired, so clients that never
+     * come back don't stay in memory. Runs at most once per window.
+     * @param {number} now - Current time
+     */
+    function prune(now) {
+      if (storage || now - lastPruned < windowMs) {
+        return;
+      }
+      lastPruned = now;
+
+      memory.forEach((times, key) => {
+        if (now - times[times.length - 1] >= windowMs) {
+          memory.delete(key);
+        }
+      });
+    }
+
+    /**
+     * Read the timestamps recorded for a key, dropping expired ones
+     * @param {string} key - Client key
+     * @param {number} now - Current time
+     * @returns {Array<number>}
+     */
+    function read(key, now) {
+      let times = memory.get(key) || [];
+
+      if (storage) {
+        try {
+          times = JSON.parse(storage.getItem(`${storageKey}:${key}`)) || [];
+        } catch (error) {
+          times = []; // Corrupt or blocked storage - start over
+        }
+      }
+
+      return times.filter((time) => now - time < windowMs);
+    }
+
+    /**
+     * Store the timestamps for a key
+     * @param {string} key - Client key
+     * @param {Array<number>} times - Timestamps
+     */
+    function write(key, times) {
+      if (!storage) {
+        if (times.length) {
+          memory.set(key, times);
+        } else {
+          memory.delete(key);
+        }
+        return;
+      }
+
+      try {
+        storage.setItem(`${storageKey}:${key}`, JSON.stringify(times));
+      } catch (error) {
+        // Storage full or disabled - the server still enforces its own limit
+      }
+    }
+
+    /**
+     * Whether another submission is allowed now
+     * @param {string} [key] - Client key (IP address on the server)
+     * @param {number} [now] - Current time
+     * @returns {{allowed: boolean, retryAfter: number}} retryAfter is in ms
+     */
+    function check(key = 'session', now = Date.now()) {
+      prune(now);
+      const times = read(key, now);
+      write(key, times);
+
+      if (times.length < max) {
+        return { allowed: true, retryAfter: 0 };
+      }
+
+      return { allowed: false, retryAfter: windowMs - (now - times[0]) };
+    }
+
+    /**
+     * Record a submission
+     * @param {string} [key] - Client key
+     * @param {number} [now] - Current time
+     */
+    function record(key = 'session', now = Date.now()) {
+      prune(now);
+      write(key, read(key, now).concat(now));
+    }
+
+    return {
+      check,
+      record,
+    };
+  }
+
+  // Export public API
+  const SpamProtection = {
+    evaluate,
+    scoreSubmission,
+    isHoneypotFilled,
+    isTooFast,
+    createRateLimiter,
+    SPAM_CONFIG,
+    SPAM_RULES,
+  };
+
+  // Attach to the global scope
+  root.SpamProtection = SpamProtection;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpamProtection;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
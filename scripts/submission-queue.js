@@ -0,0 +1,372 @@
+/**
+ * Submission Queue Module
+ * Persists contact form submissions that could not be sent (offline) in
+ * IndexedDB and replays them later, from the page or from the service worker
+ *
+ * @module submission-queue
+ */
+
+(function(root) {
+  'use strict';
+
+  // Queue storage and sync settings
+  const QUEUE_CONFIG = Object.freeze({
+    dbName: 'thermocool',
+    dbVersion: 1,
+    storeName: 'submissions',
+    syncTag: 'contact-submissions',
+    sendingLockTimeout: 60000, // Items stuck in "sending" longer than this are retried
+    defaultRetryDelay: 60000, // Wait after a 408 or 429 without a usable Retry-After
+    retryableStatuses: Object.freeze([408, 429]), // Client errors that mean "later", not "never"
+  });
+
+  /**
+   * Item status values
+   * @const {Object.<string, string>}
+   */
+  const STATUS = Object.freeze({
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed',
+  });
+
+  /**
+   * Queued submission
+   * @typedef {Object} QueuedSubmission
+   * @property {string} id - Unique item identifier
+   * @property {string} endpoint - URL the data is posted to
+   * @property {Object.<string, string|Array>} data - Sanitized form data; attached files are stored
+   *   as File objects, which IndexedDB keeps alongside the text
+   * @property {string} status - One of STATUS
+   * @property {number} createdAt - Enqueue time (ms since epoch)
+   * @property {number} updatedAt - Last status change (ms since epoch)
+   * @property {number} attempts - Number of send attempts
+   * @property {string|null} lastError - Last failure reason
+   * @property {string} [idempotencyKey] - Sent as Idempotency-Key, so the server stores the
+   *   lead once however often it arrives (the item id for items queued without one)
+   * @property {number} [retryAt] - Not resent before this time (ms since epoch), after a 408 or 429
+   * @property {Object.<string, string>|null} [fieldErrors] - Field errors the server gave a FAILED item,
+   *   so the page can show them once the visitor puts the submission back into the form
+   */
+
+  let dbPromise = null;
+
+  /**
+   * Check if IndexedDB is available in this context
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof root.indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and upgrade) the queue database once
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    if (dbPromise) {
+      return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = root.indexedDB.open(QUEUE_CONFIG.dbName, QUEUE_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(QUEUE_CONFIG.storeName)) {
+          db.createObjectStore(QUEUE_CONFIG.storeName, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against the queue store
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} operation - Store operation
+   * @returns {Promise<*>} Request result
+   */
+  async function runInStore(mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(QUEUE_CONFIG.storeName, mode);
+      const request = operation(transaction.objectStore(QUEUE_CONFIG.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Generate a unique item id
+   * @returns {string}
+   */
+  function createId() {
+    if (root.crypto && typeof root.crypto.randomUUID === 'function') {
+      return root.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Add a submission to the queue
+   * @param {string} endpoint - URL to post to
+   * @param {Object.<string, string>} data - Sanitized form data
+   * @param {Object} [options] - Queue options
+   * @param {string} [options.idempotencyKey] - Key of an earlier attempt that may have reached the server
+   * @returns {Promise<QueuedSubmission>} Stored item
+   */
+  async function enqueue(endpoint, data, options = {}) {
+    const now = Date.now();
+    const id = createId();
+    const item = {
+      id,
+      endpoint,
+      idempotencyKey: options.idempotencyKey || id,
+      data,
+      status: STATUS.PENDING,
+      createdAt: now,
+      updatedAt: now,
+      attempts: 0,
+      lastError: null,
+    };
+
+    await runInStore('readwrite', (store) => store.put(item));
+    return item;
+  }
+
+  /**
+   * Get all queued items, oldest first
+   * @returns {Promise<Array<QueuedSubmission>>}
+   */
+  async function getAll() {
+    const items = await runInStore('readonly', (store) => store.getAll());
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Persist changes to an item
+   * @param {QueuedSubmission} item - Item to store
+   * @returns {Promise<void>}
+   */
+  async function update(item) {
+    await runInStore('readwrite', (store) => store.put({ ...item, updatedAt: Date.now() }));
+  }
+
+  /**
+   * Remove an item from the queue
+   * @param {string} id - Item id
+   * @returns {Promise<void>}
+   */
+  async function remove(id) {
+    await runInStore('readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Whether an item should be (re)sent now
+   * @param {QueuedSubmission} item - Queue item
+   * @param {number} now - Current time
+   * @returns {boolean}
+   */
+  function isReadyToSend(item, now) {
+    if (item.status === STATUS.PENDING) {
+      return !(item.retryAt > now);
+    }
+    // Another context (page or service worker) may be sending it right now
+    return item.status === STATUS.SENDING &&
+      now - item.updatedAt > QUEUE_CONFIG.sendingLockTimeout;
+  }
+
+  /**
+   * Delay requested by a Retry-After header (seconds or an HTTP date)
+   * @param {Response} response - Fetch response
+   * @param {number} now - Current time
+   * @returns {number} Delay in ms
+   */
+  function getRetryDelay(response, now) {
+    const header = response.headers && response.headers.get('Retry-After');
+    const seconds = Number(header);
+
+    if (header && Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? QUEUE_CONFIG.defaultRetryDelay : Math.max(0, date - now);
+  }
+
+  /**
+   * Field errors from the JSON body of a rejected submission
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object.<string, string>|null>}
+   */
+  async function readFieldErrors(response) {
+    try {
+      const body = await response.json();
+      return body && body.errors && typeof body.errors === 'object' ? body.errors : null;
+    } catch (error) {
+      return null; // Not JSON (an HTML error page, a proxy)
+    }
+  }
+
+  /**
+   * Post a queued item to its endpoint
+   * @param {QueuedSubmission} item - Queue item
+   * @returns {Promise<Response>} Fetch response
+   */
+  function sendItem(item) {
+    const fields = [];
+    const files = [];
+    const idempotencyKey = item.idempotencyKey || item.id;
+
+    Object.keys(item.data).forEach((key) => {
+      [].concat(item.data[key] ?? []).forEach((value) => {
+        (value instanceof root.Blob ? files : fields).push([key, value]);
+      });
+    });
+
+    if (files.length > 0) {
+      // Text fields first, files last - the same layout the page sends
+      const body = new root.FormData();
+      fields.forEach(([key, value]) => body.append(key, value));
+      files.forEach(([key, file]) => body.append(key, file, file.name));
+
+      return root.fetch(item.endpoint, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'Idempotency-Key': idempotencyKey },
+        body,
+      });
+    }
+
+    return root.fetch(item.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: JSON.stringify(item.data),
+    });
+  }
+
+  /**
+   * Send every pending item. Stops at the first network failure, 408 or 429,
+   * since the remaining items would fail the same way.
+   * @param {Object} [options] - Replay options
+   * @param {function(QueuedSubmission): Promise<Response>} [options.send] - Custom sender
+   * @returns {Promise<{sent: number, failed: number, pending: number}>} Replay summary
+   */
+  async function replay(options = {}) {
+    const send = options.send || sendItem;
+    const summary = { sent: 0, failed: 0, pending: 0 };
+    const items = await getAll();
+    const now = Date.now();
+
+    for (const item of items) {
+      if (!isReadyToSend(item, now)) {
+        continue;
+      }
+
+      item.status = STATUS.SENDING;
+      item.attempts += 1;
+      await update(item);
+
+      let response;
+      try {
+        response = await send(item);
+      } catch (error) {
+        item.status = STATUS.PENDING;
+        item.lastError = error.message;
+        await update(item);
+        summary.pending = items.filter((queued) => queued.status === STATUS.PENDING).length;
+        return summary;
+      }
+
+      if (response.ok) {
+        item.status = STATUS.SENT;
+        item.lastError = null;
+        summary.sent += 1;
+      } else if (QUEUE_CONFIG.retryableStatuses.includes(response.status)) {
+        // Rate limited or timed out - try again once the server allows it.
+        // The remaining items would get the same answer.
+        const failedAt = Date.now();
+        item.status = STATUS.PENDING;
+        item.retryAt = failedAt + getRetryDelay(response, failedAt);
+        item.lastError = `Server responded with ${response.status}`;
+        await update(item);
+        summary.pending = items.filter((queued) => queued.status === STATUS.PENDING).length;
+        return summary;
+      } else if (response.status >= 500) {
+        // Server trouble - keep it for the next replay
+        item.status = STATUS.PENDING;
+        item.lastError = `Server responded with ${response.status}`;
+      } else {
+        // The server rejected the data itself; resending will not help. The
+        // item keeps its data until the visitor corrects or dismisses it.
+        item.status = STATUS.FAILED;
+        item.lastError = `Server responded with ${response.status}`;
+        item.fieldErrors = await readFieldErrors(response);
+        summary.failed += 1;
+      }
+
+      await update(item);
+    }
+
+    summary.pending = items.filter((item) => item.status === STATUS.PENDING).length;
+    return summary;
+  }
+
+  /**
+   * Ask the service worker to replay the queue when connectivity returns
+   * @returns {Promise<boolean>} True if a Background Sync was registered
+   */
+  async function registerBackgroundSync() {
+    if (!root.navigator || !('serviceWorker' in root.navigator)) {
+      return false;
+    }
+
+    try {
+      const registration = await root.navigator.serviceWorker.ready;
+      if (!registration.sync) {
+        return false;
+      }
+      await registration.sync.register(QUEUE_CONFIG.syncTag);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Export public API
+  const SubmissionQueue = {
+    isSupported,
+    enqueue,
+    getAll,
+    update,
+    remove,
+    replay,
+    registerBackgroundSync,
+    STATUS,
+    QUEUE_CONFIG,
+  };
+
+  // Attach to the global scope (window or service worker)
+  root.SubmissionQueue = SubmissionQueue;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubmissionQueue;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
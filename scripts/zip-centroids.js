@@ -0,0 +1,116 @@
+/**
+ * ZIP Centroids
+ * Offline ZIP code centroids for the service-area check, as
+ * [latitude, longitude] in decimal degrees. Trimmed to the ZIP codes in and
+ * around the service area (central Ohio), plus the larger cities beyond it
+ * that send us out-of-area leads. Coordinates are rounded to three decimals,
+ * about 100 m, which is plenty for a 50-mile radius.
+ *
+ * To extend it, take the internal points of the ZIP Code Tabulation Areas
+ * from the US Census Bureau Gazetteer files (public domain).
+ *
+ * @module zip-centroids
+ */
+
+(function(root) {
+  'use strict';
+
+  const ZipCentroids = Object.freeze({
+    // Columbus
+    '43201': [39.990, -83.000],
+    '43202': [40.020, -83.013],
+    '43203': [39.972, -82.970],
+    '43204': [39.953, -83.080],
+    '43205': [39.957, -82.965],
+    '43206': [39.942, -82.975],
+    '43207': [39.900, -82.970],
+    '43209': [39.955, -82.925],
+    '43210': [40.003, -83.016],
+    '43211': [40.013, -82.970],
+    '43212': [39.985, -83.045],
+    '43213': [39.970, -82.870],
+    '43214': [40.055, -83.025],
+    '43215': [39.962, -83.005],
+    '43219': [40.010, -82.920],
+    '43220': [40.050, -83.070],
+    '43221': [40.020, -83.080],
+    '43222': [39.957, -83.030],
+    '43223': [39.930, -83.040],
+    '43224': [40.040, -82.965],
+    '43227': [39.945, -82.890],
+    '43228': [39.950, -83.120],
+    '43229': [40.085, -82.975],
+    '43230': [40.035, -82.870],
+    '43231': [40.080, -82.935],
+    '43232': [39.920, -82.870],
+    '43235': [40.100, -83.055],
+
+    // Suburbs and surrounding communities
+    '43004': [40.005, -82.808], // Blacklick
+    '43015': [40.299, -83.068], // Delaware
+    '43016': [40.099, -83.114], // Dublin
+    '43017': [40.115, -83.130], // Dublin
+    '43021': [40.215, -82.880], // Galena
+    '43023': [40.068, -82.519], // Granville
+    '43025': [39.962, -82.491], // Hebron
+    '43026': [40.033, -83.159], // Hilliard
+    '43031': [40.153, -82.685], // Johnstown
+    '43035': [40.187, -82.993], // Lewis Center
+    '43040': [40.236, -83.367], // Marysville
+    '43044': [40.072, -83.556], // Mechanicsburg
+    '43046': [39.900, -82.535], // Millersport
+    '43050': [40.393, -82.486], // Mount Vernon
+    '43054': [40.081, -82.809], // New Albany
+    '43055': [40.058, -82.401], // Newark
+    '43062': [39.996, -82.674], // Pataskala
+    '43064': [40.107, -83.267], // Plain City
+    '43065': [40.158, -83.075], // Powell
+    '43068': [39.955, -82.812], // Reynoldsburg
+    '43074': [40.242, -82.859], // Sunbury
+    '43076': [39.891, -82.417], // Thornville
+    '43081': [40.126, -82.929], // Westerville
+    '43082': [40.153, -82.880], // Westerville
+    '43085': [40.093, -83.018], // Worthington
+    '43103': [39.716, -82.953], // Ashville
+    '43105': [39.845, -82.601], // Baltimore
+    '43110': [39.843, -82.805], // Canal Winchester
+    '43113': [39.600, -82.946], // Circleville
+    '43119': [39.934, -83.162], // Galloway
+    '43123': [39.881, -83.093], // Grove City
+    '43125': [39.878, -82.884], // Groveport
+    '43130': [39.714, -82.599], // Lancaster
+    '43137': [39.808, -82.975], // Lockbourne
+    '43138': [39.540, -82.407], // Logan
+    '43140': [39.886, -83.448], // London
+    '43143': [39.719, -83.265], // Mount Sterling
+    '43146': [39.803, -83.155], // Orient
+    '43147': [39.884, -82.754], // Pickerington
+    '43153': [39.737, -83.612], // South Solon
+    '43160': [39.536, -83.439], // Washington Court House
+    '43162': [39.944, -83.269], // West Jefferson
+    '43302': [40.589, -83.128], // Marion
+    '43315': [40.500, -82.893], // Cardington
+    '43344': [40.427, -83.296], // Richwood
+    '45503': [39.950, -83.770], // Springfield
+    '45601': [39.333, -82.982], // Chillicothe
+
+    // Beyond the service area
+    '43604': [41.652, -83.537], // Toledo
+    '43701': [39.940, -82.013], // Zanesville
+    '44113': [41.482, -81.700], // Cleveland
+    '44308': [41.081, -81.519], // Akron
+    '44902': [40.758, -82.515], // Mansfield
+    '45202': [39.107, -84.504], // Cincinnati
+    '45402': [39.760, -84.192], // Dayton
+    '45701': [39.329, -82.101], // Athens
+  });
+
+  // Attach to the global scope
+  root.ZipCentroids = ZipCentroids;
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipCentroids;
+  }
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,140 @@
+/**
+ * Performance Budget Check
+ * Checks saved PerformanceMonitor reports against the budget in
+ * scripts/performance-budget.js - the one the page checks itself against -
+ * so a regression shows up from a recorded session
+ *
+ * Usage: node server/check-budget.js <file>...
+ *   A file holds a getMetrics() dump as JSON, a MetricsBeacon payload, or
+ *   JSONL as written by the metrics store (every report in it is checked).
+ *   Exits with 1 when a report is over budget and 2 when a file can't be read.
+ *
+ * @module server/check-budget
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const PerformanceBudget = require('../scripts/performance-budget.js');
+
+/**
+ * Labelled report
+ * @typedef {Object} SavedReport
+ * @property {string} label - Where the report came from, for the output
+ * @property {Object} report - getMetrics() output
+ */
+
+/**
+ * Find the reports in a parsed JSON value
+ * @param {*} value - A getMetrics() dump, a MetricsBeacon payload or a metrics store record
+ * @param {string} label - Label of the value
+ * @returns {Array<SavedReport>}
+ */
+function extractReports(value, label) {
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+
+  // Metrics store record
+  if (value.payload) {
+    return extractReports(value.payload, `${label} (${value.receivedAt})`);
+  }
+
+  // MetricsBeacon payload
+  if (Array.isArray(value.events)) {
+    return value.events
+      .filter((event) => event && event.type === 'report' && event.report)
+      .map((event) => ({ label: `${label} ${value.page ? value.page.path : ''}`.trim(), report: event.report }));
+  }
+
+  // getMetrics() dump
+  if (value.resources || value.vitals) {
+    return [{ label, report: value }];
+  }
+
+  return [];
+}
+
+/**
+ * Read the reports saved in a file
+ * @param {string} filePath - JSON or JSONL file
+ * @returns {Array<SavedReport>}
+ */
+function readReports(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  try {
+    return extractReports(JSON.parse(content), filePath);
+  } catch (error) {
+    // Not a single JSON document - read it as JSONL
+  }
+
+  return content.split('\n').flatMap((line, index) => {
+    if (!line.trim()) {
+      return [];
+    }
+    try {
+      return extractReports(JSON.parse(line), `${filePath}:${index + 1}`);
+    } catch (error) {
+      return []; // Skip a torn or hand-edited line
+    }
+  });
+}
+
+/**
+ * Check files and print the violations
+ * @param {Array<string>} files - Files to check
+ * @returns {number} Exit code: 0 within budget, 1 over budget, 2 on bad input
+ */
+function main(files) {
+  if (files.length === 0) {
+    console.error('Usage: node server/check-budget.js <file>...');
+    return 2;
+  }
+
+  let checked = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    let reports;
+    try {
+      reports = readReports(file);
+    } catch (error) {
+      console.error(`[Budget] Could not read ${file}: ${error.message}`);
+      return 2;
+    }
+
+    if (reports.length === 0) {
+      console.error(`[Budget] No reports found in ${file}`);
+      return 2;
+    }
+
+    reports.forEach(({ label, report }) => {
+      const violations = PerformanceBudget.evaluate(report);
+      checked += 1;
+
+      if (violations.length === 0) {
+        console.log(`[Budget] ${label}: within budget`);
+        return;
+      }
+
+      failed += 1;
+      console.log(`[Budget] ${label}: ${violations.length} over budget`);
+      violations.forEach((violation) => console.log(`  ${PerformanceBudget.describe(violation)}`));
+    });
+  }
+
+  console.log(`[Budget] ${checked} report(s) checked, ${failed} over budget`);
+  return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  extractReports,
+  readReports,
+  main,
+};
@@ -0,0 +1,129 @@
+/**
+ * Lead Store
+ * Append-only JSONL storage for accepted contact form submissions
+ *
+ * @module server/lead-store
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Stored lead record
+ * @typedef {Object} LeadRecord
+ * @property {string} id - Unique lead identifier
+ * @property {string} receivedAt - ISO 8601 timestamp of acceptance
+ * @property {string} [reference] - Reference number given to the visitor
+ * @property {Object.<string, string>} data - Server-side sanitized form data
+ * @property {Object} meta - Request metadata (user agent, source, submitting form)
+ */
+
+/**
+ * Create a lead store backed by a JSONL file.
+ * Writes are serialized so concurrent submissions never interleave lines.
+ * @param {string} filePath - Path of the JSONL file
+ * @param {Object} [options] - Store options
+ * @param {function(Date): string} [options.createReference] - Issues each record's reference number
+ * @returns {{append: Function, findRecent: Function, filePath: string}} Lead store
+ */
+function createLeadStore(filePath, options = {}) {
+  let writeQueue = Promise.resolve();
+  let directoryReady = null;
+
+  /**
+   * Ensure the storage directory exists (once)
+   * @returns {Promise<void>}
+   */
+  function ensureDirectory() {
+    if (!directoryReady) {
+      directoryReady = fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    }
+    return directoryReady;
+  }
+
+  /**
+   * Append a lead to the store
+   * @param {Object.<string, string>} data - Sanitized form data
+   * @param {Object} [meta] - Request metadata
+   * @returns {Promise<LeadRecord>} Stored record
+   */
+  function append(data, meta = {}) {
+    const receivedAt = new Date();
+    const record = {
+      id: crypto.randomUUID(),
+      receivedAt: receivedAt.toISOString(),
+      ...(options.createReference ? { reference: options.createReference(receivedAt) } : {}),
+      data,
+      meta,
+    };
+
+    const write = writeQueue.then(async () => {
+      await ensureDirectory();
+      await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n', { flag: 'a' });
+      return record;
+    });
+
+    // Keep the queue alive even if this write fails
+    writeQueue = write.catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Find the most recent lead received since a point in time that matches a predicate
+   * @param {function(LeadRecord): boolean} predicate - Match test
+   * @param {number} since - Earliest receivedAt to consider (ms since epoch)
+   * @returns {Promise<LeadRecord|null>} Matching record or null
+   */
+  async function findRecent(predicate, since) {
+    // Let in-flight appends land first
+    await writeQueue;
+
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const lines = content.split('\n');
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(lines[i]);
+      } catch (error) {
+        continue; // Skip a torn or hand-edited line
+      }
+
+      if (Date.parse(record.receivedAt) < since) {
+        return null; // Append-only, so everything before this is older
+      }
+      if (predicate(record)) {
+        return record;
+      }
+    }
+
+    return null;
+  }
+
+  return {
+    append,
+    findRecent,
+    filePath,
+  };
+}
+
+module.exports = {
+  createLeadStore,
+};
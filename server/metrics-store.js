@@ -0,0 +1,255 @@
+/**
+ * Metrics Store
+ * Append-only JSONL storage for real-user metrics batches sent by
+ * MetricsBeacon, and their aggregation into percentiles per metric by day,
+ * page and device class
+ *
+ * @module server/metrics-store
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Percentiles reported per group
+const PERCENTILES = Object.freeze([50, 75, 95]);
+
+// Stands for "all pages" or "all devices" in aggregate rows
+const ALL = '*';
+
+/**
+ * Stored metrics batch
+ * @typedef {Object} MetricsRecord
+ * @property {string} receivedAt - ISO 8601 timestamp of receipt
+ * @property {string} device - 'mobile', 'tablet' or 'desktop', from the user agent
+ * @property {Object} payload - MetricsBeacon payload as received
+ */
+
+/**
+ * Aggregate row
+ * @typedef {Object} SummaryRow
+ * @property {string} day - UTC day, YYYY-MM-DD
+ * @property {string} page - URL path, or '*' for all pages
+ * @property {string} device - Device class, or '*' for all devices
+ * @property {number} count - Page loads measured
+ * @property {number} p50 - Median
+ * @property {number} p75 - 75th percentile
+ * @property {number} p95 - 95th percentile
+ */
+
+/**
+ * Device class from a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} 'mobile', 'tablet' or 'desktop'
+ */
+function getDeviceClass(userAgent) {
+  const ua = String(userAgent || '');
+
+  if (/iPad|Tablet|PlayBook|Silk|Kindle|Android(?!.*Mobile)/i.test(ua)) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android|Windows Phone/i.test(ua)) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
+
+/**
+ * Weighted percentile (nearest rank)
+ * @param {Array<{value: number, weight: number}>} samples - Samples sorted by value
+ * @param {number} percentile - 0-100
+ * @returns {number}
+ */
+function getPercentile(samples, percentile) {
+  const total = samples.reduce((sum, sample) => sum + sample.weight, 0);
+  const rank = (percentile / 100) * total;
+  let cumulative = 0;
+
+  for (const sample of samples) {
+    cumulative += sample.weight;
+    if (cumulative >= rank) {
+      return sample.value;
+    }
+  }
+
+  return samples.length > 0 ? samples[samples.length - 1].value : 0;
+}
+
+/**
+ * Aggregate stored batches into percentiles per metric by day, page and
+ * device. Only the last value of each metric per page load counts, and each
+ * page load is weighted by the inverse of its session's sample rate.
+ * @param {Array<MetricsRecord>} records - Stored batches
+ * @returns {Object.<string, Array<SummaryRow>>} Rows per metric name, sorted by day
+ */
+function aggregate(records) {
+  const seenBatches = new Set();
+  // Final value per metric per page load: metric id -> sample
+  const finalValues = new Map();
+
+  records.forEach((record) => {
+    const payload = record.payload;
+
+    // A batch retried after it did arrive is only counted once
+    if (seenBatches.has(payload.batchId)) {
+      return;
+    }
+    seenBatches.add(payload.batchId);
+
+    payload.events.forEach((event) => {
+      if (!event || event.type !== 'metric' || !event.metric || typeof event.metric.value !== 'number') {
+        return;
+      }
+
+      const key = `${payload.sessionId}:${event.metric.id}`;
+      const previous = finalValues.get(key);
+
+      if (!previous || event.time >= previous.time) {
+        finalValues.set(key, {
+          name: event.metric.name,
+          value: event.metric.value,
+          time: event.time,
+          day: record.receivedAt.slice(0, 10),
+          page: payload.page.path,
+          device: record.device,
+          weight: 1 / payload.sampleRate,
+        });
+      }
+    });
+  });
+
+  // Every sample also counts towards the all-pages and all-devices rows
+  const groups = new Map();
+  finalValues.forEach((sample) => {
+    [sample.page, ALL].forEach((page) => {
+      [sample.device, ALL].forEach((device) => {
+        const key = [sample.name, sample.day, page, device].join('|');
+        if (!groups.has(key)) {
+          groups.set(key, { name: sample.name, day: sample.day, page, device, samples: [] });
+        }
+        groups.get(key).samples.push(sample);
+      });
+    });
+  });
+
+  // No prototype: metric names from older records become keys as they are
+  const summary = Object.create(null);
+  groups.forEach((group) => {
+    const samples = group.samples.sort((a, b) => a.value - b.value);
+    const row = { day: group.day, page: group.page, device: group.device, count: samples.length };
+
+    PERCENTILES.forEach((percentile) => {
+      row[`p${percentile}`] = getPercentile(samples, percentile);
+    });
+
+    (summary[group.name] = summary[group.name] || []).push(row);
+  });
+
+  Object.values(summary).forEach((rows) => rows.sort((a, b) => a.day.localeCompare(b.day)));
+
+  return summary;
+}
+
+/**
+ * Create a metrics store backed by a JSONL file.
+ * Writes are serialized so concurrent batches never interleave lines.
+ * @param {string} filePath - Path of the JSONL file
+ * @returns {{append: Function, summarize: Function, filePath: string}} Metrics store
+ */
+function createMetricsStore(filePath) {
+  let writeQueue = Promise.resolve();
+  let directoryReady = null;
+
+  /**
+   * Ensure the storage directory exists (once)
+   * @returns {Promise<void>}
+   */
+  function ensureDirectory() {
+    if (!directoryReady) {
+      directoryReady = fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    }
+    return directoryReady;
+  }
+
+  /**
+   * Append a batch to the store
+   * @param {Object} payload - Validated MetricsBeacon payload
+   * @param {string} userAgent - User-Agent of the request
+   * @returns {Promise<MetricsRecord>} Stored record
+   */
+  function append(payload, userAgent) {
+    const record = {
+      receivedAt: new Date().toISOString(),
+      device: getDeviceClass(userAgent),
+      payload,
+    };
+
+    const write = writeQueue.then(async () => {
+      await ensureDirectory();
+      await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n', { flag: 'a' });
+      return record;
+    });
+
+    // Keep the queue alive even if this write fails
+    writeQueue = write.catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Aggregate the batches received since a point in time
+   * @param {number} since - Earliest receivedAt to include (ms since epoch)
+   * @returns {Promise<Object.<string, Array<SummaryRow>>>} aggregate() output
+   */
+  async function summarize(since) {
+    // Let in-flight appends land first
+    await writeQueue;
+
+    const records = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity,
+    });
+
+    // Read line by line, so only the batches in range are held in memory
+    try {
+      for await (const line of lines) {
+        if (!line) {
+          continue;
+        }
+
+        try {
+          const record = JSON.parse(line);
+          if (Date.parse(record.receivedAt) >= since && record.payload && Array.isArray(record.payload.events)) {
+            records.push(record);
+          }
+        } catch (error) {
+          // Skip a torn or hand-edited line
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+
+    return aggregate(records);
+  }
+
+  return {
+    append,
+    summarize,
+    filePath,
+  };
+}
+
+module.exports = {
+  createMetricsStore,
+  aggregate,
+  getDeviceClass,
+  ALL,
+  PERCENTILES,
+};
@@ -0,0 +1,149 @@
+/**
+ * Multipart Parser
+ * Parses multipart/form-data request bodies (RFC 7578) that have already
+ * been read into memory, which the body size limit keeps small
+ *
+ * @module server/multipart
+ */
+
+'use strict';
+
+/**
+ * Uploaded file part
+ * @typedef {Object} UploadedFile
+ * @property {string} name - File name sent by the client (no directory part)
+ * @property {string} type - Content-Type sent by the client
+ * @property {number} size - Size in bytes
+ * @property {Buffer} data - File content
+ */
+
+/**
+ * Create a parse error carrying a 400 status
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status property
+ */
+function createParseError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read the boundary parameter of a multipart Content-Type header
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} Boundary, or null when missing
+ */
+function getBoundary(contentType) {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType || '');
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Parse the header block of one part
+ * @param {string} block - Header lines
+ * @returns {{name: string, fileName: string|null, type: string}} Part metadata
+ */
+function parsePartHeaders(block) {
+  const headers = {};
+
+  block.split('\r\n').forEach((line) => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+
+  const disposition = headers['content-disposition'] || '';
+  const name = /;\s*name="([^"]*)"/i.exec(disposition);
+  const fileName = /;\s*filename="([^"]*)"/i.exec(disposition);
+
+  if (!/^form-data\b/i.test(disposition) || !name) {
+    throw createParseError('Malformed multipart part headers');
+  }
+
+  return {
+    name: name[1],
+    // Some browsers send the full local path - keep the last segment only
+    fileName: fileName ? fileName[1].split(/[\\/]/).pop() : null,
+    type: headers['content-type'] || 'application/octet-stream',
+  };
+}
+
+/**
+ * Parse a multipart/form-data body. Repeated names become arrays; file parts
+ * are collected as UploadedFile arrays under their field name. File inputs
+ * left empty (no file name and no content) are skipped.
+ * @param {Buffer} body - Raw body
+ * @param {string} contentType - Content-Type header, including the boundary
+ * @returns {Object.<string, string|Array<string>|Array<UploadedFile>>} Parsed fields, in an
+ *   object without a prototype so names like "__proto__" stay plain fields
+ */
+function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+
+  if (!boundary) {
+    throw createParseError('Missing multipart boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const partEnd = Buffer.from(`\r\n--${boundary}`);
+  const fields = Object.create(null);
+  let position = body.indexOf(delimiter);
+
+  if (position === -1) {
+    throw createParseError('Malformed multipart body');
+  }
+
+  position += delimiter.length;
+
+  // Each part: CRLF, headers, blank line, content, CRLF--boundary
+  while (body.toString('latin1', position, position + 2) !== '--') {
+    const headerStart = position + 2;
+    const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+    if (headerEnd === -1) {
+      throw createParseError('Malformed multipart body');
+    }
+
+    const contentEnd = body.indexOf(partEnd, headerEnd + 4);
+    if (contentEnd === -1) {
+      throw createParseError('Unterminated multipart body');
+    }
+
+    const part = parsePartHeaders(body.toString('utf8', headerStart, headerEnd));
+    const content = body.subarray(headerEnd + 4, contentEnd);
+
+    if (part.fileName !== null) {
+      if (part.fileName || content.length > 0) {
+        fields[part.name] = [].concat(fields[part.name] || [], {
+          name: part.fileName,
+          type: part.type,
+          size: content.length,
+          data: Buffer.from(content),
+        });
+      }
+    } else {
+      const value = content.toString('utf8');
+      fields[part.name] = part.name in fields ? [].concat(fields[part.name], value) : value;
+    }
+
+    position = contentEnd + partEnd.length;
+  }
+
+  return fields;
+}
+
+/**
+ * Whether a value is a file part produced by parseMultipart (never true for
+ * JSON or form-encoded input, which cannot carry Buffers)
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+function isUploadedFile(value) {
+  return Boolean(value) && typeof value === 'object' && Buffer.isBuffer(value.data);
+}
+
+module.exports = {
+  parseMultipart,
+  isUploadedFile,
+  getBoundary,
+};
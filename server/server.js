@@ -0,0 +1,848 @@
+/**
+ * Local Development Server
+ * Serves the static site and implements POST /submit-contact (quote requests)
+ * and POST /submit-plan (maintenance plan sign-ups), re-validating every
+ * payload with the same FormValidation rules the browser uses. Also collects
+ * real-user metrics (POST /rum) and serves their dashboard (GET /rum/dashboard).
+ *
+ * Usage: node server/server.js   (PORT, LEADS_FILE, SPAM_FILE, UPLOADS_DIR and METRICS_FILE may be set
+ * in the environment)
+ *
+ * @module server/server
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { validateForm, validateRuleSet, formatMessage, getFieldRules } = require('../scripts/form-validation.js');
+const SpamProtection = require('../scripts/spam-protection.js');
+const BusinessHours = require('../scripts/business-hours.js');
+const { createReference } = require('../scripts/confirmation.js');
+const MetricsBeacon = require('../scripts/metrics-beacon.js');
+const { createLeadStore } = require('./lead-store.js');
+const { createMetricsStore } = require('./metrics-store.js');
+const { createUploadStore, sniffImageType } = require('./upload-store.js');
+const { parseMultipart, isUploadedFile } = require('./multipart.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Server configuration
+const CONFIG = Object.freeze({
+  port: Number(process.env.PORT) || 8000,
+  host: process.env.HOST || '127.0.0.1',
+  leadsFile: process.env.LEADS_FILE || path.join(__dirname, 'storage', 'leads.jsonl'),
+  spamFile: process.env.SPAM_FILE || path.join(__dirname, 'storage', 'spam.jsonl'),
+  uploadsDir: process.env.UPLOADS_DIR || path.join(__dirname, 'storage', 'uploads'),
+  metricsFile: process.env.METRICS_FILE || path.join(__dirname, 'storage', 'metrics.jsonl'),
+  dashboardPage: path.join(__dirname, 'rum-dashboard.html'),
+  dashboardDays: Object.freeze({ default: 30, max: 365 }),
+  maxBodySize: 100 * 1024, // 100 KB is plenty for the text fields
+  maxUploadSize: 25 * 1024 * 1024, // Multipart bodies: the photo rule's 20 MB total plus headroom
+  thankYouPage: '/thank-you.html',
+  duplicateWindow: 24 * 60 * 60 * 1000, // Same email within 24h counts as a duplicate lead
+  maxSubmissionAge: 7 * 24 * 60 * 60 * 1000, // Oldest submittedAt trusted for the date rules (a lead queued offline)
+  rateLimit: Object.freeze({
+    max: 5, // Per IP - a little looser than the per-session browser limit, for shared networks
+    windowMs: 10 * 60 * 1000,
+  }),
+  metricsRateLimit: Object.freeze({
+    max: 60, // Per IP - a page view sends a batch or two, retries included
+    windowMs: 10 * 60 * 1000,
+  }),
+  checkLeadRateLimit: Object.freeze({
+    max: 20, // Per IP - enough for a visitor correcting a typo, too few to probe a list of addresses
+    windowMs: 10 * 60 * 1000,
+  }),
+});
+
+// Content types for static files
+const MIME_TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+});
+
+// Top-level paths that must never be served statically
+const BLOCKED_SEGMENTS = Object.freeze(['server', 'node_modules']);
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status property
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parse the request URL
+ * @param {http.IncomingMessage} req - Request
+ * @returns {URL} Parsed URL
+ * @throws {Error} 400 when the request target is not a valid URL
+ */
+function getRequestUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch (error) {
+    throw createHttpError(400, 'Bad request');
+  }
+}
+
+/**
+ * Whether the client expects a JSON response rather than a page
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean}
+ */
+function wantsJson(req) {
+  const accept = req.headers.accept || '';
+  const contentType = req.headers['content-type'] || '';
+  return accept.includes('application/json') || contentType.includes('application/json');
+}
+
+/**
+ * Preferred locale of the client, from the first Accept-Language entry.
+ * FormValidation falls back to its default catalog for unknown locales.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} Locale tag (e.g. 'es-MX')
+ */
+function getRequestLocale(req) {
+  const header = req.headers['accept-language'] || '';
+  const [first] = header.split(',');
+  return first ? first.split(';')[0].trim() : 'en';
+}
+
+/**
+ * Read the request body up to a size limit
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Buffer>} Raw body
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(createHttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Media type of a request, without parameters
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} e.g. 'application/json'
+ */
+function getMediaType(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Parse a JSON, form-encoded or multipart request body into a plain object
+ * @param {http.IncomingMessage} req - Request
+ * @param {Buffer} body - Raw body
+ * @returns {Object.<string, string|Array<string>>} Parsed fields
+ */
+function parseBody(req, body) {
+  const contentType = getMediaType(req);
+
+  if (contentType === 'application/json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      throw createHttpError(400, 'Malformed JSON body');
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw createHttpError(400, 'JSON body must be an object');
+    }
+    return parsed;
+  }
+
+  if (contentType === 'application/x-www-form-urlencoded') {
+    const fields = {};
+    new URLSearchParams(body.toString('utf8')).forEach((value, key) => {
+      if (key in fields) {
+        fields[key] = [].concat(fields[key], value);
+      } else {
+        fields[key] = value;
+      }
+    });
+    return fields;
+  }
+
+  if (contentType === 'multipart/form-data') {
+    return parseMultipart(body, req.headers['content-type']);
+  }
+
+  throw createHttpError(415, `Unsupported content type: ${contentType || 'none'}`);
+}
+
+/**
+ * Coerce untrusted payload values to the strings validateForm expects.
+ * Fields with a multiple rule (checkbox groups) keep every value as an array.
+ * File fields keep only real multipart uploads, typed by their content
+ * rather than by what the client claimed.
+ * @param {Object} fields - Parsed request fields
+ * @returns {Object.<string, string|Array>} Form data, without a prototype so a field
+ *   named "__proto__" can't replace it
+ */
+function toFormData(fields) {
+  const formData = Object.create(null);
+  Object.keys(fields).forEach((key) => {
+    const value = fields[key];
+    const rules = getFieldRules(key);
+
+    if (rules && rules.type === 'file') {
+      formData[key] = [].concat(value ?? []).filter(isUploadedFile).map((upload) => ({
+        ...upload,
+        name: upload.name.replace(/[\u0000-\u001f\u007f]/g, '').slice(0, 100),
+        type: sniffImageType(upload.data) || 'application/octet-stream',
+      }));
+    } else if (rules && rules.multiple) {
+      formData[key] = [].concat(value ?? []).map((item) => String(item ?? ''));
+    } else {
+      formData[key] = Array.isArray(value) ? String(value[value.length - 1]) : String(value ?? '');
+    }
+  });
+  return formData;
+}
+
+/**
+ * Replace uploads with their name, type and size, e.g. for the spam quarantine
+ * @param {Object} formData - Form data
+ * @returns {Object} Form data without file contents
+ */
+function describeUploads(formData) {
+  const described = { ...formData };
+  Object.keys(described).forEach((key) => {
+    if (Array.isArray(described[key]) && described[key].some(isUploadedFile)) {
+      described[key] = described[key].map(({ name, type, size }) => ({ name, type, size }));
+    }
+  });
+  return described;
+}
+
+/**
+ * Write a lead's uploads to the upload store. Every upload is checked first,
+ * so a lead with one unsupported file stores none of them.
+ * @param {Object} data - Sanitized form data
+ * @param {{save: Function}} uploadStore - Upload store
+ * @returns {Promise<Object>} Data with uploads replaced by their stored descriptions
+ * @throws {Error} 422 when a file's content is not an image type its rule accepts
+ */
+async function storeUploads(data, uploadStore) {
+  Object.keys(data).forEach((key) => {
+    const rules = getFieldRules(key) || {};
+    [].concat(data[key] ?? []).filter(isUploadedFile).forEach((upload) => {
+      const type = sniffImageType(upload.data);
+      if (!type || (rules.accept && !rules.accept.includes(type))) {
+        throw createHttpError(422, `Unsupported file type: ${upload.name}`);
+      }
+    });
+  });
+
+  const stored = { ...data };
+  for (const key of Object.keys(stored)) {
+    if (Array.isArray(stored[key]) && stored[key].some(isUploadedFile)) {
+      stored[key] = await Promise.all(stored[key].map((upload) => uploadStore.save(upload)));
+    }
+  }
+  return stored;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an HTML response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} html - Response markup
+ */
+function sendHtml(res, status, html) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.end(html);
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the error page shown to non-JavaScript form posts
+ * @param {Object.<string, string>} errors - Error messages keyed by field
+ * @param {string} locale - Locale the messages are in
+ * @returns {string} Page markup
+ */
+function renderErrorPage(errors, locale) {
+  const items = Object.keys(errors)
+    .map((field) => `<li>${escapeHtml(errors[field])}</li>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Please check your details - ThermoCool</title>
+  <link rel="stylesheet" href="/styles/main.css">
+  <link rel="stylesheet" href="/styles/components.css">
+</head>
+<body>
+  <main class="contact">
+    <div class="contact__container">
+      <div class="form__submit-error form__submit-error--visible" role="alert">
+        <p><strong>We couldn't send your message.</strong></p>
+        <ul>${items}</ul>
+      </div>
+      <p><a href="/#contact">Go back to the contact form</a></p>
+    </div>
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * Handle POST /submit-contact
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @returns {Promise<void>}
+ */
+function handleSubmitContact(req, res, context) {
+  return handleSubmission(req, res, context, 'quote');
+}
+
+/**
+ * Handle POST /submit-plan
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @returns {Promise<void>}
+ */
+function handleSubmitPlan(req, res, context) {
+  return handleSubmission(req, res, context, 'planSignup');
+}
+
+/**
+ * Idempotency-Key of a submission, when the client sent a usable one
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null}
+ */
+function getIdempotencyKey(req) {
+  const key = String(req.headers['idempotency-key'] || '').trim();
+  return /^[A-Za-z0-9-]{8,100}$/.test(key) ? key : null;
+}
+
+/**
+ * Claim an idempotency key for a submission. A lead already stored under the
+ * key, or being stored by a concurrent request, is returned as `previous`;
+ * otherwise the key stays claimed until `release` is called with the outcome,
+ * so repeats arriving meanwhile wait for it instead of storing a second lead.
+ * @param {Object} context - Shared server context
+ * @param {string} key - Idempotency key
+ * @returns {Promise<{previous: Object|null, release: function(Object|null): void}>}
+ */
+async function claimIdempotencyKey(context, key) {
+  let pending = context.pendingLeads.get(key);
+  while (pending) {
+    const record = await pending;
+    if (record) {
+      return { previous: record, release() {} };
+    }
+    pending = context.pendingLeads.get(key); // That attempt stored nothing - take over the key
+  }
+
+  // Registered before the next await, so no other request can slip in between
+  let release;
+  const claim = new Promise((resolve) => {
+    release = (record) => {
+      if (context.pendingLeads.get(key) === claim) {
+        context.pendingLeads.delete(key);
+      }
+      resolve(record || null);
+    };
+  });
+  context.pendingLeads.set(key, claim);
+
+  let previous;
+  try {
+    previous = await context.leadStore.findRecent(
+      (record) => Boolean(record.meta) && record.meta.idempotencyKey === key,
+      Date.now() - CONFIG.duplicateWindow
+    );
+  } catch (error) {
+    release(null);
+    throw error;
+  }
+
+  if (previous) {
+    release(previous);
+    return { previous, release() {} };
+  }
+  return { previous: null, release };
+}
+
+/**
+ * Answer an accepted submission
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} record - Stored lead record
+ */
+function sendLeadAccepted(req, res, record) {
+  if (wantsJson(req)) {
+    sendJson(res, 201, { success: true, id: record.id, reference: record.reference });
+  } else {
+    res.writeHead(303, { Location: CONFIG.thankYouPage });
+    res.end();
+  }
+}
+
+/**
+ * Validate and store a form submission. A repeat of an Idempotency-Key already
+ * stored (a retry after a timeout, a queued replay) gets that lead's answer.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @param {string} scope - FormValidation scope of the submitting form, recorded with the lead
+ * @returns {Promise<void>}
+ */
+async function handleSubmission(req, res, context, scope) {
+  const limit = getMediaType(req) === 'multipart/form-data' ? CONFIG.maxUploadSize : CONFIG.maxBodySize;
+  const body = await readBody(req, limit);
+  const formData = toFormData(parseBody(req, body));
+  const locale = getRequestLocale(req);
+  const clientIp = req.socket.remoteAddress || 'unknown';
+  const idempotencyKey = getIdempotencyKey(req);
+  let release = () => {};
+
+  if (idempotencyKey) {
+    const claim = await claimIdempotencyKey(context, idempotencyKey);
+    if (claim.previous) {
+      console.log(`[Server] Lead ${claim.previous.id} (${claim.previous.reference}) repeated, not stored again`);
+      sendLeadAccepted(req, res, claim.previous);
+      return;
+    }
+    release = claim.release;
+  }
+
+  let record = null;
+  try {
+    record = await processSubmission(req, res, context, { formData, locale, clientIp, scope, idempotencyKey });
+  } finally {
+    release(record);
+  }
+
+  if (record) {
+    console.log(`[Server] Lead ${record.id} (${record.reference}, ${scope}) stored`);
+    sendLeadAccepted(req, res, record);
+  }
+}
+
+/**
+ * Check, validate and store a submission. Answers rate-limited, spam and
+ * invalid submissions itself; a stored lead is returned for the caller to answer.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @param {Object} submission - Parsed submission
+ * @param {Object.<string, *>} submission.formData - Form data
+ * @param {string} submission.locale - Response locale
+ * @param {string} submission.clientIp - Client address
+ * @param {string} submission.scope - FormValidation scope
+ * @param {string|null} submission.idempotencyKey - Idempotency key, recorded with the lead
+ * @returns {Promise<Object|null>} Stored lead record, or null when nothing was stored
+ */
+async function processSubmission(req, res, context, { formData, locale, clientIp, scope, idempotencyKey }) {
+  const rate = context.rateLimiter.check(clientIp);
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(rate.retryAfter / 1000)));
+    throw createHttpError(429, formatMessage('rateLimited', { count: Math.ceil(rate.retryAfter / 60000) }, { locale }));
+  }
+
+  const verdict = SpamProtection.evaluate(formData);
+  if (verdict.spam) {
+    await handleSpam(req, res, context, { formData, verdict, locale, clientIp });
+    return null;
+  }
+
+  // A queued lead is judged by when the visitor sent it, not when it arrived
+  const validation = validateForm(formData, { locale, scope, now: getSubmittedAt(formData) });
+
+  if (!validation.valid) {
+    const errors = Object.fromEntries(validation.errors);
+
+    if (wantsJson(req)) {
+      sendJson(res, 422, {
+        success: false,
+        message: formatMessage('formInvalid', {}, { locale }),
+        errors,
+        codes: Object.fromEntries(validation.codes),
+      });
+    } else {
+      sendHtml(res, 422, renderErrorPage(errors, locale));
+    }
+    return null;
+  }
+
+  context.rateLimiter.record(clientIp);
+
+  const rescheduling = needsReschedule(validation.sanitizedData);
+  const data = await storeUploads(validation.sanitizedData, context.uploadStore);
+  const record = await context.leadStore.append(data, {
+    userAgent: req.headers['user-agent'] || '',
+    source: wantsJson(req) ? 'fetch' : 'form-post',
+    form: scope,
+    ...(idempotencyKey ? { idempotencyKey } : {}),
+    ...(rescheduling ? { slotStatus: 'needs-reschedule' } : {}),
+  });
+
+  if (rescheduling) {
+    console.warn(`[Server] Lead ${record.id} (${record.reference}) asked for a visit that has passed since it was sent - reschedule it`);
+  }
+  return record;
+}
+
+/**
+ * When the visitor sent the form, as recorded by the page. Missing, future
+ * and implausibly old times fall back to now.
+ * @param {Object.<string, *>} formData - Form data
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {number} ms since epoch
+ */
+function getSubmittedAt(formData, now = Date.now()) {
+  const submittedAt = Number(formData.submittedAt);
+  const plausible = Number.isFinite(submittedAt) && submittedAt <= now && now - submittedAt <= CONFIG.maxSubmissionAge;
+  return plausible ? submittedAt : now;
+}
+
+/**
+ * Whether the preferred date or slot, bookable when the lead was sent, can no
+ * longer be booked now
+ * @param {Object.<string, *>} data - Sanitized lead data
+ * @returns {boolean}
+ */
+function needsReschedule(data) {
+  if (!data.preferredDate) {
+    return false;
+  }
+
+  const options = { service: data.service };
+  return Boolean(
+    BusinessHours.checkDate(data.preferredDate, options) ||
+    (data.preferredSlot && BusinessHours.checkSlot(data.preferredDate, data.preferredSlot, options))
+  );
+}
+
+/**
+ * Quarantine a submission flagged as spam and answer it.
+ * A filled honeypot gets the normal success response so bots learn nothing;
+ * other verdicts get a 422 a person can act on.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @param {Object} submission - Flagged submission
+ * @param {Object.<string, string>} submission.formData - Raw form data
+ * @param {Object} submission.verdict - SpamProtection verdict
+ * @param {string} submission.locale - Response locale
+ * @param {string} submission.clientIp - Client address
+ * @returns {Promise<void>}
+ */
+async function handleSpam(req, res, context, { formData, verdict, locale, clientIp }) {
+  context.rateLimiter.record(clientIp);
+
+  const record = await context.spamStore.append(describeUploads(formData), {
+    userAgent: req.headers['user-agent'] || '',
+    source: wantsJson(req) ? 'fetch' : 'form-post',
+    ip: clientIp,
+    reason: verdict.reason,
+    score: verdict.score,
+    matches: verdict.matches,
+  });
+
+  console.warn(`[Server] Submission ${record.id} quarantined as spam (${verdict.reason}, score ${verdict.score})`);
+
+  if (verdict.reason === 'honeypot') {
+    if (wantsJson(req)) {
+      sendJson(res, 201, { success: true, id: record.id, reference: record.reference });
+    } else {
+      res.writeHead(303, { Location: CONFIG.thankYouPage });
+      res.end();
+    }
+    return;
+  }
+
+  const message = formatMessage(verdict.reason === 'tooFast' ? 'tooFast' : 'spamDetected', {}, { locale });
+
+  if (wantsJson(req)) {
+    sendJson(res, 422, { success: false, message, errors: {}, codes: {} });
+  } else {
+    sendHtml(res, 422, renderErrorPage({ form: message }, locale));
+  }
+}
+
+/**
+ * Handle GET /check-lead?email=... - duplicate lead lookup used by the
+ * contact form's async email check
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @returns {Promise<void>}
+ */
+async function handleCheckLead(req, res, context) {
+  const clientIp = req.socket.remoteAddress || 'unknown';
+  const { searchParams } = getRequestUrl(req);
+  const email = (searchParams.get('email') || '').trim().toLowerCase();
+
+  // Every lookup tells whether an address sent a request, so they are rationed
+  const rate = context.checkLeadRateLimiter.check(clientIp);
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(rate.retryAfter / 1000)));
+    throw createHttpError(429, 'Too many lead checks');
+  }
+  context.checkLeadRateLimiter.record(clientIp);
+
+  if (!email) {
+    throw createHttpError(400, 'Missing email parameter');
+  }
+
+  // Plan sign-ups don't count: signing up after requesting a quote is expected
+  const match = await context.leadStore.findRecent(
+    (record) => record.data && record.data.email === email &&
+      (!record.meta || !record.meta.form || record.meta.form === 'quote'),
+    Date.now() - CONFIG.duplicateWindow
+  );
+
+  sendJson(res, 200, { duplicate: !!match });
+}
+
+/**
+ * Handle POST /rum - a batch of real-user metrics from MetricsBeacon
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @returns {Promise<void>}
+ */
+async function handleCollectMetrics(req, res, context) {
+  const clientIp = req.socket.remoteAddress || 'unknown';
+
+  const rate = context.metricsRateLimiter.check(clientIp);
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(rate.retryAfter / 1000)));
+    throw createHttpError(429, 'Too many metrics batches');
+  }
+
+  const body = await readBody(req, CONFIG.maxBodySize);
+  const payload = parseBody(req, body);
+  const problems = MetricsBeacon.validatePayload(payload);
+
+  if (problems.length > 0) {
+    sendJson(res, 422, { success: false, message: 'Invalid metrics payload', errors: problems });
+    return;
+  }
+
+  // Keep the page dimension to plain paths
+  payload.page = { ...payload.page, path: payload.page.path.split(/[?#]/)[0].slice(0, 200) || '/' };
+
+  context.metricsRateLimiter.record(clientIp);
+
+  await context.metricsStore.append(payload, req.headers['user-agent'] || payload.page.userAgent);
+  sendJson(res, 202, { success: true });
+}
+
+/**
+ * Handle GET /rum/summary?days=... - percentiles per metric by day, page and device
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Shared server context
+ * @returns {Promise<void>}
+ */
+async function handleMetricsSummary(req, res, context) {
+  const { searchParams } = getRequestUrl(req);
+  const requested = Number.parseInt(searchParams.get('days'), 10);
+  const days = Math.min(Number.isInteger(requested) && requested > 0 ? requested : CONFIG.dashboardDays.default,
+    CONFIG.dashboardDays.max);
+
+  const metrics = await context.metricsStore.summarize(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  sendJson(res, 200, { days, generatedAt: new Date().toISOString(), metrics });
+}
+
+/**
+ * Handle GET /rum/dashboard - the metrics dashboard page
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {Promise<void>}
+ */
+async function handleMetricsDashboard(req, res) {
+  sendHtml(res, 200, await fs.promises.readFile(CONFIG.dashboardPage, 'utf8'));
+}
+
+/**
+ * Serve a static file from the project root
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {Promise<void>}
+ */
+async function serveStatic(req, res) {
+  const { pathname } = getRequestUrl(req);
+
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch (error) {
+    throw createHttpError(400, 'Bad request');
+  }
+
+  const filePath = path.resolve(ROOT_DIR, '.' + relativePath);
+  const firstSegment = path.relative(ROOT_DIR, filePath).split(path.sep)[0];
+
+  if (
+    !filePath.startsWith(ROOT_DIR + path.sep) ||
+    firstSegment.startsWith('.') ||
+    BLOCKED_SEGMENTS.includes(firstSegment)
+  ) {
+    throw createHttpError(404, 'Not found');
+  }
+
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath);
+  } catch (error) {
+    throw createHttpError(404, 'Not found');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+  });
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+// Route table: "METHOD /path" -> handler
+const ROUTES = Object.freeze({
+  'POST /submit-contact': handleSubmitContact,
+  'POST /submit-plan': handleSubmitPlan,
+  'GET /check-lead': handleCheckLead,
+  'POST /rum': handleCollectMetrics,
+  'GET /rum/summary': handleMetricsSummary,
+  'GET /rum/dashboard': handleMetricsDashboard,
+});
+
+/**
+ * Create the HTTP server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.leadsFile] - Override the JSONL lead file
+ * @param {string} [options.spamFile] - Override the JSONL spam quarantine file
+ * @param {string} [options.uploadsDir] - Override the photo upload directory
+ * @param {string} [options.metricsFile] - Override the JSONL metrics file
+ * @returns {http.Server} Configured (not yet listening) server
+ */
+function createServer(options = {}) {
+  const context = {
+    leadStore: createLeadStore(options.leadsFile || CONFIG.leadsFile, { createReference }),
+    // Honeypot hits get a reference too, so the fake success looks real
+    spamStore: createLeadStore(options.spamFile || CONFIG.spamFile, { createReference }),
+    uploadStore: createUploadStore(options.uploadsDir || CONFIG.uploadsDir),
+    metricsStore: createMetricsStore(options.metricsFile || CONFIG.metricsFile),
+    rateLimiter: SpamProtection.createRateLimiter(CONFIG.rateLimit),
+    metricsRateLimiter: SpamProtection.createRateLimiter(CONFIG.metricsRateLimit),
+    checkLeadRateLimiter: SpamProtection.createRateLimiter(CONFIG.checkLeadRateLimit),
+    // Idempotency-Key claims of submissions in progress
+    pendingLeads: new Map(),
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      const { pathname } = getRequestUrl(req);
+      const handler = ROUTES[`${req.method} ${pathname}`];
+
+      if (handler) {
+        await handler(req, res, context);
+      } else if (req.method === 'GET' || req.method === 'HEAD') {
+        await serveStatic(req, res);
+      } else {
+        throw createHttpError(405, 'Method not allowed');
+      }
+    } catch (error) {
+      const status = error.status || 500;
+
+      if (status === 500) {
+        console.error('[Server] Request failed:', error);
+      }
+
+      if (res.headersSent) {
+        res.end();
+      } else if (wantsJson(req)) {
+        sendJson(res, status, { success: false, message: status === 500 ? 'Internal server error' : error.message });
+      } else {
+        sendHtml(res, status, `<!DOCTYPE html><title>${status}</title><p>${escapeHtml(status === 500 ? 'Internal server error' : error.message)}</p>`);
+      }
+    }
+  });
+}
+
+if (require.main === module) {
+  // Warns about any inconsistent rule before the first request arrives
+  validateRuleSet();
+
+  createServer().listen(CONFIG.port, CONFIG.host, () => {
+    console.log(`[Server] ThermoCool running at http://${CONFIG.host}:${CONFIG.port}`);
+    console.log(`[Server] Storing leads in ${CONFIG.leadsFile}`);
+    console.log(`[Server] Metrics dashboard at http://${CONFIG.host}:${CONFIG.port}/rum/dashboard`);
+  });
+}
+
+module.exports = {
+  createServer,
+  CONFIG,
+};
@@ -0,0 +1,106 @@
+/**
+ * Upload Store
+ * Writes attached photos to disk under random names and describes them
+ * for the lead record
+ *
+ * @module server/upload-store
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stored file extension per sniffed content type
+const EXTENSIONS = Object.freeze({
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+});
+
+/**
+ * Stored upload, as kept in the lead record
+ * @typedef {Object} StoredUpload
+ * @property {string} name - Original file name
+ * @property {string} type - Content type detected from the file's bytes
+ * @property {number} size - Size in bytes
+ * @property {string} file - Name of the stored file inside the upload directory
+ */
+
+/**
+ * Detect an image type from its leading bytes. The client's Content-Type
+ * and file name are only claims; this is what the file really is.
+ * @param {Buffer} data - File content
+ * @returns {string|null} MIME type, or null when not a supported image
+ */
+function sniffImageType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Create an upload store writing into a directory
+ * @param {string} directory - Upload directory
+ * @returns {{save: Function, directory: string}} Upload store
+ */
+function createUploadStore(directory) {
+  let directoryReady = null;
+
+  /**
+   * Ensure the upload directory exists (once)
+   * @returns {Promise<void>}
+   */
+  function ensureDirectory() {
+    if (!directoryReady) {
+      directoryReady = fs.promises.mkdir(directory, { recursive: true });
+    }
+    return directoryReady;
+  }
+
+  /**
+   * Write an uploaded file
+   * @param {{name: string, type: string, size: number, data: Buffer}} upload - Validated upload
+   * @returns {Promise<StoredUpload>} Stored file description
+   * @throws {Error} 422 when the content is not a supported image; nothing is written
+   */
+  async function save(upload) {
+    const type = sniffImageType(upload.data);
+    if (!type) {
+      const error = new Error(`Unsupported file type: ${upload.name}`);
+      error.status = 422;
+      throw error;
+    }
+
+    const file = crypto.randomUUID() + EXTENSIONS[type];
+
+    await ensureDirectory();
+    // wx: never overwrite, even on the (theoretical) UUID collision
+    await fs.promises.writeFile(path.join(directory, file), upload.data, { flag: 'wx' });
+
+    return {
+      name: upload.name,
+      type,
+      size: upload.size,
+      file,
+    };
+  }
+
+  return {
+    save,
+    directory,
+  };
+}
+
+module.exports = {
+  createUploadStore,
+  sniffImageType,
+};
@@ -0,0 +1,46 @@
+/**
+ * Service Worker
+ * Replays contact form submissions queued while offline via Background Sync
+ *
+ * @module sw
+ */
+
+/* global SubmissionQueue, clients */
+
+'use strict';
+
+importScripts('scripts/submission-queue.js');
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SubmissionQueue.QUEUE_CONFIG.syncTag) {
+    return;
+  }
+
+  event.waitUntil(replayQueue());
+});
+
+/**
+ * Replay the queue and tell open pages so they can refresh their status.
+ * Rejecting while items remain pending makes the browser retry the sync later.
+ * @returns {Promise<void>}
+ */
+async function replayQueue() {
+  const summary = await SubmissionQueue.replay();
+
+  const windows = await clients.matchAll({ type: 'window' });
+  windows.forEach((client) => {
+    client.postMessage({ type: 'submission-queue-replayed', summary });
+  });
+
+  if (summary.pending > 0) {
+    throw new Error(`${summary.pending} submission(s) still pending`);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Tests for scripts/business-hours.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const BusinessHours = require('../scripts/business-hours.js');
+
+// Monday 19 October 2026, 10:30 in New York (EDT)
+const NOW = Date.parse('2026-10-19T14:30:00Z');
+
+test('converts wall-clock times in the business timezone across DST changes', () => {
+  const at = (date, time) => new Date(BusinessHours.zonedTimeToTimestamp(date, time)).toISOString();
+
+  assert.equal(at('2026-03-07', '08:00'), '2026-03-07T13:00:00.000Z'); // EST
+  assert.equal(at('2026-03-08', '09:00'), '2026-03-08T13:00:00.000Z'); // EDT from 02:00 that day
+  assert.equal(at('2026-11-01', '09:00'), '2026-11-01T14:00:00.000Z'); // Back to EST
+});
+
+test('takes today from the business timezone, not UTC', () => {
+  // 23:00 in New York is already the next day in UTC
+  assert.equal(BusinessHours.getToday(Date.parse('2026-10-20T03:00:00Z')), '2026-10-19');
+});
+
+test('marks slots that start within the lead time unavailable', () => {
+  const slots = BusinessHours.getSlots('2026-10-19', { now: NOW });
+
+  assert.deepEqual(slots.map((slot) => [slot.value, slot.available]), [
+    ['08:00-10:00', false],
+    ['10:00-12:00', false],
+    ['12:00-14:00', false],
+    ['14:00-16:00', true],
+    ['16:00-18:00', true],
+  ]);
+  assert.equal(slots[3].label, '2:00 PM - 4:00 PM');
+});
+
+test('uses the shorter Saturday hours', () => {
+  const slots = BusinessHours.getSlots('2026-10-24', { now: NOW });
+
+  assert.deepEqual(slots.map((slot) => slot.value), ['09:00-11:00', '11:00-13:00', '13:00-15:00']);
+});
+
+test('reports why a day cannot be booked', () => {
+  const status = (date, options = {}) => BusinessHours.getDayStatus(date, { now: NOW, ...options }).status;
+
+  assert.equal(status('2026-10-18'), 'past');
+  assert.equal(status('2026-11-26'), 'holiday');
+  assert.equal(status('2026-10-25'), 'emergencyOnly');
+  assert.equal(status('2026-10-25', { service: 'emergency' }), 'open');
+  assert.equal(status('2026-12-19'), 'tooFarAhead');
+  assert.equal(status('2027-02-30'), 'invalid');
+});
+
+test('checkDate and checkSlot return the codes the validation messages use', () => {
+  const evening = Date.parse('2026-10-19T21:00:00Z'); // 17:00 in New York
+
+  assert.equal(BusinessHours.checkDate('2026-10-20', { now: NOW }), null);
+  assert.equal(BusinessHours.checkDate('2026-10-19', { now: evening }), 'noSlotsLeft');
+  assert.deepEqual(BusinessHours.checkDate('2026-12-19', { now: NOW }), { code: 'tooFarAhead', params: { count: 60 } });
+
+  assert.equal(BusinessHours.checkSlot('', '08:00-10:00', { now: NOW }), 'dateRequired');
+  assert.equal(BusinessHours.checkSlot('2026-10-19', '08:00-10:00', { now: NOW }), 'slotPassed');
+  assert.equal(BusinessHours.checkSlot('2026-10-24', '16:00-18:00', { now: NOW }).code, 'invalidSlot');
+  // A closed day is checkDate's to report
+  assert.equal(BusinessHours.checkSlot('2026-11-26', '08:00-10:00', { now: NOW }), null);
+});
+
+test('the weekly hours match the structured data on the page', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  const data = JSON.parse(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html)[1]);
+
+  assert.deepEqual(BusinessHours.compareOpeningHours(data.openingHoursSpecification), []);
+  assert.match(
+    BusinessHours.compareOpeningHours([{ dayOfWeek: 'Monday', opens: '09:00', closes: '18:00' }])[0],
+    /Monday: configured 08:00-18:00, structured data says 09:00-18:00/
+  );
+});
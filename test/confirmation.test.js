@@ -0,0 +1,98 @@
+/**
+ * Tests for the reference number and the .ics/.vcf downloads of scripts/confirmation.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Both modules attach to self, which is how confirmation.js finds BusinessHours
+globalThis.self = globalThis;
+require('../scripts/business-hours.js');
+const Confirmation = require('../scripts/confirmation.js');
+
+const BUSINESS = Object.freeze({
+  name: 'ThermoCool HVAC Services',
+  telephone: '+1-614-555-0100',
+  email: 'info@thermocool.example',
+  url: 'https://www.thermocool.example/',
+  address: { streetAddress: '1 Main St, Suite 2', addressLocality: 'Columbus', addressRegion: 'OH', postalCode: '43215', addressCountry: 'US' },
+});
+
+test('creates references from the date and unambiguous characters', () => {
+  const reference = Confirmation.createReference(new Date('2026-10-19T14:30:00Z'));
+
+  assert.match(reference, /^TC-261019-[0-9A-HJKMNP-TV-Z]{5}$/);
+});
+
+test('reads the business details from the page\'s structured data', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  const scripts = Array.from(html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g),
+    (match) => ({ textContent: match[1] }));
+  const doc = { querySelectorAll: () => scripts };
+
+  const business = Confirmation.readBusinessDetails(doc);
+  assert.equal(business.name, 'ThermoCool');
+  assert.equal(business.telephone, '+1234567890');
+});
+
+test('puts the chosen slot in the calendar file, in UTC', () => {
+  const ics = Confirmation.buildCalendarFile(
+    { preferredDate: '2026-10-22', preferredSlot: '14:00-16:00', service: 'heating' },
+    { reference: 'TC-261019-7K3QX', business: BUSINESS, now: new Date('2026-10-19T14:30:00Z') }
+  );
+  const lines = ics.split('\r\n');
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(lines.includes('UID:TC-261019-7K3QX@www.thermocool.example'));
+  assert.ok(lines.includes('DTSTAMP:20261019T143000Z'));
+  assert.ok(lines.includes('DTSTART:20261022T180000Z'));
+  assert.ok(lines.includes('DTEND:20261022T200000Z'));
+  assert.ok(lines.includes('STATUS:TENTATIVE'));
+});
+
+test('falls back to the visit window, and has no calendar file without a date', () => {
+  const ics = Confirmation.buildCalendarFile({ preferredDate: '2026-10-22', visitWindow: 'morning' }, { reference: 'R', business: BUSINESS });
+
+  assert.match(ics, /\r\nDTSTART:20261022T120000Z\r\nDTEND:20261022T160000Z\r\n/);
+  assert.equal(Confirmation.buildCalendarFile({ visitWindow: 'morning' }, { reference: 'R', business: BUSINESS }), null);
+});
+
+test('escapes text values and folds long lines', () => {
+  const ics = Confirmation.buildCalendarFile(
+    { preferredDate: '2026-10-22', preferredSlot: '14:00-16:00' },
+    { reference: 'TC-261019-7K3QX', business: BUSINESS }
+  );
+
+  assert.match(ics, /\r\nDESCRIPTION:Reference TC-261019-7K3QX\. This is the window you asked for\\; w\r\n e will call/);
+});
+
+test('builds a vCard with the address in its seven components', () => {
+  const vcf = Confirmation.buildContactCard(BUSINESS);
+
+  assert.equal(vcf, [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:ThermoCool HVAC Services',
+    'ORG:ThermoCool HVAC Services',
+    'TEL;TYPE=WORK,VOICE:+1-614-555-0100',
+    'EMAIL;TYPE=INTERNET,WORK:info@thermocool.example',
+    'URL:https://www.thermocool.example/',
+    'ADR;TYPE=WORK:;;1 Main St\\, Suite 2;Columbus;OH;43215;US',
+    'END:VCARD',
+    '',
+  ].join('\r\n'));
+});
+
+test('folds at 75 octets without splitting a multi-byte character', () => {
+  const name = 'Ñandú Heating & Cooling — '.repeat(4);
+  const vcf = Confirmation.buildContactCard({ name });
+
+  vcf.split('\r\n').forEach((line) => {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  });
+  assert.ok(vcf.replace(/\r\n /g, '').includes(`\r\nFN:${name}\r\n`));
+});
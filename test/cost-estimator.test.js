@@ -0,0 +1,64 @@
+/**
+ * Tests for the pricing and summary parts of scripts/cost-estimator.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CostEstimator = require('../scripts/cost-estimator.js');
+
+const FURNACE = Object.freeze({
+  service: 'heating',
+  systemType: 'furnace',
+  squareFeet: 2000,
+  systemAge: 'under-5',
+  zones: 1,
+});
+
+test('prices an installation as a rounded range around the midpoint', () => {
+  const result = CostEstimator.estimate(FURNACE);
+
+  assert.equal(result.low, 4750);
+  assert.equal(result.high, 6450);
+  assert.equal(result.perYear, false);
+  assert.equal(CostEstimator.formatRange(result), '$4,750 - $6,450');
+});
+
+test('adds extra zones and the age factor', () => {
+  const result = CostEstimator.estimate({ service: 'cooling', systemType: 'heat-pump', squareFeet: '3000', systemAge: 'over-15', zones: 3 });
+
+  assert.deepEqual([result.low, result.high], [10850, 14650]);
+});
+
+test('prices maintenance per year', () => {
+  const result = CostEstimator.estimate({ ...FURNACE, service: 'maintenance', systemType: 'both', zones: 2 });
+
+  assert.equal(CostEstimator.formatRange(result), '$300 - $400 per year');
+});
+
+test('clamps size and zones and falls back to the unknown age factor', () => {
+  const result = CostEstimator.estimate({ ...FURNACE, squareFeet: 50000, systemAge: 'ancient', zones: 9 });
+
+  assert.equal(result.input.squareFeet, 10000);
+  assert.equal(result.input.zones, 4);
+  assert.deepEqual([result.low, result.high], [14650, 19800]);
+});
+
+test('has no estimate for a system type the service does not offer', () => {
+  assert.equal(CostEstimator.estimate({ ...FURNACE, systemType: 'ductless' }), null);
+});
+
+test('replaces an earlier summary in the message and keeps the visitor\'s text', () => {
+  const first = CostEstimator.formatSummary(CostEstimator.estimate(FURNACE), { 'under-5': 'Under 5 years' });
+  assert.equal(
+    first,
+    '[Estimate] Heating Systems: $4,750 - $6,450 | System: Gas furnace | Size: 2,000 sq ft | Age: Under 5 years | Zones: 1'
+  );
+
+  const second = CostEstimator.formatSummary(CostEstimator.estimate({ ...FURNACE, systemType: 'boiler' }));
+  const message = CostEstimator.mergeSummary(CostEstimator.mergeSummary('Furnace is loud', first), second);
+
+  assert.equal(message, `${second} — Furnace is loud`);
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for the phone, requiredIf and message catalog parts of scripts/form-validation.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FormValidation = require('../scripts/form-validation.js');
+
+const LEAD = Object.freeze({
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  phone: '(415) 555-2671',
+  zip: '94103',
+  service: 'heating',
+  propertyType: 'house',
+  systemAge: 'unknown',
+  preferredContact: 'phone',
+  visitWindow: 'morning',
+});
+
+test('parses US numbers into E.164 and a display format', () => {
+  const parsed = FormValidation.parsePhoneNumber('415.555.2671');
+
+  assert.equal(parsed.valid, true);
+  assert.equal(parsed.e164, '+14155552671');
+  assert.equal(parsed.display, '(415) 555-2671');
+});
+
+test('keeps a phone extension apart from the number', () => {
+  const parsed = FormValidation.parsePhoneNumber('(415) 555-2671 ext 12');
+
+  assert.equal(parsed.e164, '+14155552671');
+  assert.equal(parsed.extension, '12');
+  assert.equal(parsed.display, '(415) 555-2671 ext. 12');
+});
+
+test('rejects impossible exchanges', () => {
+  const parsed = FormValidation.parsePhoneNumber('555-123-4567');
+
+  assert.equal(parsed.valid, false);
+  assert.equal(parsed.issue.code, 'invalidExchange');
+});
+
+test('requires a phone number unless email is the preferred contact', () => {
+  const withoutPhone = { ...LEAD };
+  delete withoutPhone.phone;
+
+  const byPhone = FormValidation.validateForm(withoutPhone, { scope: 'quote' });
+  assert.equal(byPhone.codes.get('phone'), 'required');
+
+  const byEmail = FormValidation.validateForm({ ...withoutPhone, preferredContact: 'email' }, { scope: 'quote' });
+  assert.equal(byEmail.errors.has('phone'), false);
+});
+
+test('requires a message for emergency and other services only', () => {
+  const other = FormValidation.validateForm({ ...LEAD, service: 'other' }, { scope: 'quote' });
+  assert.equal(other.codes.get('message'), 'required');
+
+  const described = FormValidation.validateForm({ ...LEAD, service: 'other', message: 'Thermostat is blank' }, { scope: 'quote' });
+  assert.equal(described.valid, true);
+
+  const heating = FormValidation.validateForm(LEAD, { scope: 'quote' });
+  assert.equal(heating.valid, true);
+  assert.equal(heating.sanitizedData.phone, '+14155552671');
+});
+
+test('every English message has a Spanish translation', () => {
+  const { en, es } = FormValidation.MESSAGES;
+
+  assert.deepEqual(Object.keys(es.fields).sort(), Object.keys(en.fields).sort());
+  assert.deepEqual(Object.keys(es.errors).sort(), Object.keys(en.errors).sort());
+});
+
+test('formats page notices in the requested locale', () => {
+  assert.equal(FormValidation.formatMessage('queueItem', { date: '19/10/2026' }, { locale: 'es' }), 'Solicitud del 19/10/2026:');
+  assert.match(FormValidation.formatMessage('networkError', {}, { locale: 'en' }), /could not reach our server/);
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for the pricing parts of scripts/maintenance-plans.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const MaintenancePlans = require('../scripts/maintenance-plans.js');
+const FormValidation = require('../scripts/form-validation.js');
+
+test('adds the extra-system price for each system after the first', () => {
+  assert.equal(MaintenancePlans.getPrice('essential', 'monthly'), 15);
+  assert.equal(MaintenancePlans.getPrice('comfort-plus', 'annual', 3), 527);
+  assert.equal(MaintenancePlans.getPrice('total-care', 'monthly', '4'), 93);
+});
+
+test('has no price for an unknown plan or cycle, or an unsupported system count', () => {
+  assert.equal(MaintenancePlans.getPrice('platinum', 'monthly'), null);
+  assert.equal(MaintenancePlans.getPrice('essential', 'weekly'), null);
+  assert.equal(MaintenancePlans.getPrice('essential', 'monthly', 5), null);
+  assert.equal(MaintenancePlans.getPrice('essential', 'monthly', '2.5'), null);
+});
+
+test('formats prices per billing cycle and the best annual saving', () => {
+  assert.equal(MaintenancePlans.formatPrice(1234, 'annual'), '$1,234/yr');
+  assert.equal(MaintenancePlans.formatPrice(25, 'monthly'), '$25/mo');
+  assert.equal(MaintenancePlans.getAnnualSaving(), 12);
+});
+
+test('a sign-up is stored with the configured price, not one sent by the browser', () => {
+  const result = FormValidation.validateForm({
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    phone: '(415) 555-2671',
+    zip: '43215',
+    preferredContact: 'phone',
+    plan: 'total-care',
+    billingCycle: 'annual',
+    planSystems: '2',
+    planPrice: '1',
+  }, { scope: 'planSignup' });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.sanitizedData.planPrice, 608);
+});
+
+test('the plan prices match the Offers in the page\'s structured data', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  const data = JSON.parse(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html)[1]);
+
+  assert.deepEqual(MaintenancePlans.compareOffers(data.hasOfferCatalog), []);
+  assert.equal(MaintenancePlans.compareOffers({ itemListElement: [] }).length, 3);
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for server/metrics-store.js and MetricsBeacon.validatePayload
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { aggregate, createMetricsStore, ALL } = require('../server/metrics-store.js');
+const MetricsBeacon = require('../scripts/metrics-beacon.js');
+
+const DAY = '2026-10-19';
+
+/**
+ * Build a stored record
+ * @param {Object} options - Record fields
+ * @returns {Object} MetricsRecord
+ */
+function createRecord({ batchId, sessionId = 's1', sampleRate = 1, path: pagePath = '/', device = 'desktop', events }) {
+  return {
+    receivedAt: `${DAY}T12:00:00.000Z`,
+    device,
+    payload: {
+      schema: 'thermocool.rum',
+      version: 1,
+      batchId,
+      sessionId,
+      sampleRate,
+      sentAt: 0,
+      page: { path: pagePath },
+      events,
+    },
+  };
+}
+
+/**
+ * Build a metric event
+ * @param {string} name - Metric name
+ * @param {string} id - Metric id
+ * @param {number} value - Value
+ * @param {number} [time] - Queue time
+ * @returns {Object}
+ */
+function metric(name, id, value, time = 1) {
+  return { type: 'metric', time, metric: { name, id, value } };
+}
+
+/**
+ * The row for all pages and devices
+ * @param {Array<Object>} rows - Summary rows
+ * @returns {Object}
+ */
+function overall(rows) {
+  return rows.find((row) => row.page === ALL && row.device === ALL);
+}
+
+test('counts a batch sent twice once', () => {
+  const batch = createRecord({ batchId: 'b1', events: [metric('LCP', 'lcp-1', 1200)] });
+  const summary = aggregate([batch, batch, createRecord({ batchId: 'b2', sessionId: 's2', events: [metric('LCP', 'lcp-2', 3000)] })]);
+
+  assert.equal(overall(summary.LCP).count, 2);
+});
+
+test('keeps only the last value of a metric per page load', () => {
+  const summary = aggregate([
+    createRecord({ batchId: 'b1', events: [metric('CLS', 'cls-1', 0.05, 1), metric('CLS', 'cls-1', 0.3, 2)] }),
+    createRecord({ batchId: 'b2', events: [metric('CLS', 'cls-1', 0.1, 3)] }),
+  ]);
+
+  assert.deepEqual(overall(summary.CLS), { day: DAY, page: ALL, device: ALL, count: 1, p50: 0.1, p75: 0.1, p95: 0.1 });
+});
+
+test('weights each page load by the inverse of its sample rate', () => {
+  const summary = aggregate([
+    // Sampled at 100%: stands for itself
+    createRecord({ batchId: 'b1', sessionId: 's1', sampleRate: 1, events: [metric('INP', 'a', 100)] }),
+    createRecord({ batchId: 'b2', sessionId: 's2', sampleRate: 1, events: [metric('INP', 'b', 150)] }),
+    // Sampled at 10%: stands for ten page loads
+    createRecord({ batchId: 'b3', sessionId: 's3', sampleRate: 0.1, events: [metric('INP', 'c', 600)] }),
+  ]);
+  const row = overall(summary.INP);
+
+  assert.equal(row.count, 3);
+  assert.equal(row.p50, 600);
+  assert.equal(row.p95, 600);
+});
+
+test('groups by page and device with rollup rows', () => {
+  const summary = aggregate([
+    createRecord({ batchId: 'b1', sessionId: 's1', path: '/', device: 'mobile', events: [metric('FCP', 'a', 1000)] }),
+    createRecord({ batchId: 'b2', sessionId: 's2', path: '/plans', device: 'desktop', events: [metric('FCP', 'b', 2000)] }),
+  ]);
+  const keys = summary.FCP.map((row) => `${row.page}|${row.device}`).sort();
+
+  assert.deepEqual(keys, ['*|*', '*|desktop', '*|mobile', '/plans|*', '/plans|desktop', '/|*', '/|mobile']);
+});
+
+test('stored metric names like __proto__ do not break the summary', () => {
+  const summary = aggregate([
+    createRecord({ batchId: 'b1', events: [metric('constructor', 'a', 1), metric('__proto__', 'b', 2), metric('LCP', 'c', 900)] }),
+  ]);
+
+  assert.equal(overall(summary.LCP).p50, 900);
+  assert.equal(overall(summary.constructor).p50, 1);
+  assert.ok(Array.isArray(summary.__proto__));
+});
+
+test('summarize skips torn lines and batches out of range', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'metrics-store-'));
+  const store = createMetricsStore(path.join(directory, 'metrics.jsonl'));
+
+  try {
+    assert.deepEqual(Object.keys(await store.summarize(0)), []);
+
+    const payload = createRecord({ batchId: 'b1', events: [metric('TTFB', 'a', 300)] }).payload;
+    await store.append(payload, 'Mozilla/5.0 (iPhone)');
+    await fs.promises.appendFile(store.filePath, '{"torn\n');
+
+    const summary = await store.summarize(0);
+    assert.equal(overall(summary.TTFB).p50, 300);
+    assert.ok(summary.TTFB.some((row) => row.device === 'mobile'));
+    assert.deepEqual(Object.keys(await store.summarize(Date.now() + 60000)), []);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('validatePayload accepts what MetricsBeacon builds', () => {
+  const payload = MetricsBeacon.buildPayload({
+    sessionId: 's1',
+    sampleRate: 0.25,
+    events: [metric('LCP', 'lcp-1', 1200)],
+    page: { path: '/', device: 'desktop', connection: null, userAgent: '' },
+  });
+
+  assert.deepEqual(MetricsBeacon.validatePayload(payload), []);
+});
+
+test('validatePayload rejects unknown metric names and malformed metric events', () => {
+  const payload = createRecord({
+    batchId: 'b1',
+    events: [
+      metric('__proto__', 'a', 1),
+      metric('constructor', 'b', 1),
+      { type: 'metric', time: 1, metric: { name: 'LCP', id: 7, value: 1 } },
+      { type: 'metric', time: 1, metric: { name: 'LCP', id: 'c', value: Infinity } },
+      { type: 'metric', time: 'soon', metric: { name: 'LCP', id: 'd', value: 1 } },
+    ],
+  }).payload;
+
+  const problems = MetricsBeacon.validatePayload(payload);
+
+  assert.equal(problems.length, 5);
+  assert.match(problems[0], /events\[0\]\.metric\.name/);
+  assert.match(problems[1], /events\[1\]\.metric\.name/);
+  assert.match(problems[2], /events\[2\]\.metric\.id/);
+  assert.match(problems[3], /events\[3\]\.metric\.value/);
+  assert.match(problems[4], /events\[4\]\.time/);
+});
+
+test('validatePayload caps the events per payload', () => {
+  const events = Array.from({ length: MetricsBeacon.BEACON_CONFIG.maxEvents + 1 }, (_, index) => metric('LCP', `m${index}`, 1));
+  const problems = MetricsBeacon.validatePayload(createRecord({ batchId: 'b1', events }).payload);
+
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /at most/);
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for server/multipart.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMultipart, getBoundary, isUploadedFile } = require('../server/multipart.js');
+
+const BOUNDARY = '----thermocool42';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+/**
+ * Build a multipart body
+ * @param {Array<{name: string, value?: string, fileName?: string, type?: string, data?: Buffer}>} parts - Parts
+ * @param {string} [boundary] - Boundary
+ * @returns {Buffer}
+ */
+function buildBody(parts, boundary = BOUNDARY) {
+  const chunks = parts.map((part) => {
+    const fileName = part.fileName !== undefined ? `; filename="${part.fileName}"` : '';
+    const type = part.type ? `\r\nContent-Type: ${part.type}` : '';
+    return Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"${fileName}${type}\r\n\r\n`),
+      part.data || Buffer.from(part.value || ''),
+      Buffer.from('\r\n'),
+    ]);
+  });
+  return Buffer.concat([...chunks, Buffer.from(`--${boundary}--\r\n`)]);
+}
+
+test('reads plain and quoted boundaries', () => {
+  assert.equal(getBoundary('multipart/form-data; boundary=abc'), 'abc');
+  assert.equal(getBoundary('multipart/form-data; boundary="a b;c"'), 'a b;c');
+  assert.equal(getBoundary('multipart/form-data'), null);
+});
+
+test('parses text fields and keeps repeated names as arrays', () => {
+  const fields = parseMultipart(buildBody([
+    { name: 'name', value: 'Jane Doe' },
+    { name: 'symptoms', value: 'no-heat' },
+    { name: 'symptoms', value: 'leaking' },
+    { name: 'message', value: '' },
+  ]), CONTENT_TYPE);
+
+  assert.equal(fields.name, 'Jane Doe');
+  assert.deepEqual(fields.symptoms, ['no-heat', 'leaking']);
+  assert.equal(fields.message, '');
+});
+
+test('collects file parts, keeping only the last segment of the file name', () => {
+  const data = Buffer.from([0xff, 0xd8, 0xff, 0x00, 0x0d, 0x0a]);
+  const fields = parseMultipart(buildBody([
+    { name: 'photos', fileName: 'C:\\Users\\jane\\unit.jpg', type: 'image/jpeg', data },
+  ]), CONTENT_TYPE);
+
+  assert.equal(fields.photos.length, 1);
+  assert.equal(fields.photos[0].name, 'unit.jpg');
+  assert.equal(fields.photos[0].type, 'image/jpeg');
+  assert.equal(fields.photos[0].size, data.length);
+  assert.ok(fields.photos[0].data.equals(data));
+  assert.ok(isUploadedFile(fields.photos[0]));
+});
+
+test('skips file inputs left empty', () => {
+  const fields = parseMultipart(buildBody([
+    { name: 'name', value: 'Jane Doe' },
+    { name: 'photos', fileName: '', type: 'application/octet-stream' },
+  ]), CONTENT_TYPE);
+
+  assert.deepEqual(Object.keys(fields), ['name']);
+});
+
+test('keeps content that looks like the boundary without a leading CRLF', () => {
+  const value = `before --${BOUNDARY} after`;
+  const fields = parseMultipart(buildBody([{ name: 'message', value }]), CONTENT_TYPE);
+
+  assert.equal(fields.message, value);
+});
+
+test('keeps names like __proto__ as plain fields', () => {
+  const fields = parseMultipart(buildBody([
+    { name: '__proto__', value: 'a' },
+    { name: 'constructor', value: 'b' },
+  ]), CONTENT_TYPE);
+
+  assert.equal(fields.__proto__, 'a');
+  assert.equal(fields.constructor, 'b');
+});
+
+test('rejects malformed bodies with a 400', () => {
+  const cases = [
+    [buildBody([{ name: 'name', value: 'x' }]), 'multipart/form-data'],
+    [Buffer.from('no boundary here'), CONTENT_TYPE],
+    [Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="name"\r\n\r\nunterminated`), CONTENT_TYPE],
+    [Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: attachment\r\n\r\nx\r\n--${BOUNDARY}--`), CONTENT_TYPE],
+  ];
+
+  cases.forEach(([body, contentType]) => {
+    assert.throws(() => parseMultipart(body, contentType), (error) => error.status === 400);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for scripts/performance-budget.js and server/check-budget.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PerformanceBudget = require('../scripts/performance-budget.js');
+const CheckBudget = require('../server/check-budget.js');
+
+const KB = 1024;
+
+const GOOD_REPORT = Object.freeze({
+  resources: {
+    images: [{ name: '/images/hero.webp', size: 120 * KB }],
+    scripts: [{ name: '/scripts/main.js', size: 40 * KB }],
+  },
+  paint: { firstContentfulPaint: 900 },
+  vitals: { largestContentfulPaint: 1600, cumulativeLayoutShift: 0.02, interactionToNextPaint: 0 },
+  navigation: { firstByte: 200 },
+});
+
+const SLOW_REPORT = Object.freeze({
+  resources: {
+    images: [
+      { name: '/images/small.png', size: 100 * KB },
+      { name: '/images/hero.jpg', size: 550 * KB },
+    ],
+  },
+  vitals: { largestContentfulPaint: 3100, cumulativeLayoutShift: 0.25 },
+  attribution: { largestContentfulPaint: { url: '/images/hero.jpg' } },
+});
+
+test('a report within budget has no violations, and unmeasured metrics do not count', () => {
+  assert.deepEqual(PerformanceBudget.evaluate(GOOD_REPORT), []);
+  assert.deepEqual(PerformanceBudget.evaluate({}), []);
+});
+
+test('lists the largest offending resources and the LCP element', () => {
+  const violations = PerformanceBudget.evaluate(SLOW_REPORT);
+
+  assert.deepEqual(violations.map((violation) => violation.budget), [
+    'resources.images.maxBytes',
+    'metrics.LCP',
+    'metrics.CLS',
+  ]);
+  assert.deepEqual(violations[0].urls, ['/images/hero.jpg', '/images/small.png']);
+  assert.equal(PerformanceBudget.describe(violations[1]), 'metrics.LCP: 3100 > 2500 (/images/hero.jpg)');
+  assert.equal(PerformanceBudget.describe(violations[2]), 'metrics.CLS: 0.25 > 0.1');
+});
+
+test('checks against a custom budget', () => {
+  const violations = PerformanceBudget.evaluate(GOOD_REPORT, { maxTotalBytes: 100 * KB });
+
+  assert.deepEqual(violations.map((violation) => [violation.budget, violation.actual]), [['maxTotalBytes', 160 * KB]]);
+});
+
+test('check-budget finds reports in dumps, beacon payloads and metrics store records', () => {
+  const payload = { page: { path: '/' }, events: [{ type: 'metric' }, { type: 'report', report: GOOD_REPORT }] };
+
+  assert.deepEqual(CheckBudget.extractReports(GOOD_REPORT, 'dump.json'), [{ label: 'dump.json', report: GOOD_REPORT }]);
+  assert.deepEqual(CheckBudget.extractReports(payload, 'beacon.json'), [{ label: 'beacon.json /', report: GOOD_REPORT }]);
+  assert.deepEqual(
+    CheckBudget.extractReports({ receivedAt: '2026-10-19T14:30:00.000Z', payload }, 'metrics.jsonl:1'),
+    [{ label: 'metrics.jsonl:1 (2026-10-19T14:30:00.000Z) /', report: GOOD_REPORT }]
+  );
+  assert.deepEqual(CheckBudget.extractReports({ hello: 'world' }, 'other.json'), []);
+});
+
+test('check-budget exits 1 when a report in a JSONL file is over budget, skipping torn lines', async (t) => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thermocool-budget-'));
+  t.after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'metrics.jsonl');
+  const output = [];
+  t.mock.method(console, 'log', (line) => output.push(line));
+
+  await fs.promises.writeFile(file, [
+    JSON.stringify({ receivedAt: 'a', payload: { events: [{ type: 'report', report: GOOD_REPORT }] } }),
+    '{"receivedAt": "b", "payl',
+    JSON.stringify({ receivedAt: 'c', payload: { events: [{ type: 'report', report: SLOW_REPORT }] } }),
+    '',
+  ].join('\n'));
+
+  assert.equal(CheckBudget.main([file]), 1);
+  assert.equal(output.at(-1), '[Budget] 2 report(s) checked, 1 over budget');
+  assert.ok(output.includes('  metrics.CLS: 0.25 > 0.1'));
+});
+
+test('check-budget exits 0 within budget and 2 on unreadable input', async (t) => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thermocool-budget-'));
+  t.after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const good = path.join(directory, 'good.json');
+  const empty = path.join(directory, 'empty.json');
+
+  await fs.promises.writeFile(good, JSON.stringify(GOOD_REPORT));
+  await fs.promises.writeFile(empty, '{}');
+
+  assert.equal(CheckBudget.main([good]), 0);
+  assert.equal(CheckBudget.main([empty]), 2);
+  assert.equal(CheckBudget.main([path.join(directory, 'missing.json')]), 2);
+  assert.equal(CheckBudget.main([]), 2);
+});
@@ -0,0 +1,252 @@
+/**
+ * Tests for the error paths of server/server.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { createServer } = require('../server/server.js');
+const BusinessHours = require('../scripts/business-hours.js');
+
+const LEAD = Object.freeze({
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  phone: '(415) 555-2671',
+  zip: '94103',
+  service: 'heating',
+  propertyType: 'house',
+  systemAge: 'unknown',
+  preferredContact: 'phone',
+  visitWindow: 'morning',
+});
+
+let directory;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thermocool-server-'));
+  server = createServer({
+    leadsFile: path.join(directory, 'leads.jsonl'),
+    spamFile: path.join(directory, 'spam.jsonl'),
+    uploadsDir: path.join(directory, 'uploads'),
+    metricsFile: path.join(directory, 'metrics.jsonl'),
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+/**
+ * Send a raw request line and read the status line of the answer
+ * @param {string} target - Request target, sent as is
+ * @returns {Promise<string>} e.g. 'HTTP/1.1 400 Bad Request'
+ */
+function rawRequest(target) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => {
+      socket.write(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let response = '';
+    socket.on('data', (chunk) => { response += chunk; });
+    socket.on('end', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+}
+
+/**
+ * POST JSON
+ * @param {string} pathname - Path
+ * @param {Object} body - Body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Promise<Response>}
+ */
+function postJson(pathname, body, headers = {}) {
+  return fetch(baseUrl + pathname, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Number of stored leads
+ * @returns {Promise<number>}
+ */
+async function countLeads() {
+  return (await readLeads()).length;
+}
+
+/**
+ * Stored lead records
+ * @returns {Promise<Array<Object>>}
+ */
+async function readLeads() {
+  try {
+    const content = await fs.promises.readFile(path.join(directory, 'leads.jsonl'), 'utf8');
+    return content.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * A slot from the past few days, and a time at which it could still be booked
+ * @returns {{preferredDate: string, preferredSlot: string, submittedAt: number}}
+ */
+function findPassedSlot() {
+  for (let daysAgo = 2; daysAgo < 7; daysAgo++) {
+    const preferredDate = BusinessHours.addDays(BusinessHours.getToday(), -daysAgo);
+    const submittedAt = BusinessHours.zonedTimeToTimestamp(preferredDate, '00:00');
+    const slot = BusinessHours.getSlots(preferredDate, { service: LEAD.service, now: submittedAt })
+      .find((candidate) => candidate.available);
+
+    if (slot) {
+      return { preferredDate, preferredSlot: slot.value, submittedAt };
+    }
+  }
+  throw new Error('No open day in the past week');
+}
+
+test('answers an unparseable request target with a 400 and keeps serving', async () => {
+  assert.equal(await rawRequest('//['), 'HTTP/1.1 400 Bad Request');
+
+  const response = await fetch(`${baseUrl}/`);
+  assert.equal(response.status, 200);
+});
+
+test('answers a malformed percent escape with a 400', async () => {
+  assert.equal(await rawRequest('/%E0%A4%A'), 'HTTP/1.1 400 Bad Request');
+});
+
+test('does not serve the server directory', async () => {
+  const response = await fetch(`${baseUrl}/server/server.js`);
+  assert.equal(response.status, 404);
+});
+
+test('stores a lead once per Idempotency-Key', async () => {
+  const before = await countLeads();
+  const headers = { 'Idempotency-Key': 'test-key-0001' };
+
+  const first = await postJson('/submit-contact', LEAD, headers);
+  const repeat = await postJson('/submit-contact', LEAD, headers);
+
+  assert.equal(first.status, 201);
+  assert.equal(repeat.status, 201);
+  assert.equal((await repeat.json()).id, (await first.json()).id);
+  assert.equal(await countLeads(), before + 1);
+});
+
+test('stores one lead for concurrent repeats of an Idempotency-Key', async () => {
+  const before = await countLeads();
+  const headers = { 'Idempotency-Key': 'test-key-0003' };
+
+  const responses = await Promise.all([1, 2, 3].map(() => postJson('/submit-contact', LEAD, headers)));
+  const ids = await Promise.all(responses.map((response) => response.json().then((body) => body.id)));
+
+  assert.deepEqual(responses.map((response) => response.status), [201, 201, 201]);
+  assert.equal(new Set(ids).size, 1);
+  assert.equal(await countLeads(), before + 1);
+});
+
+test('checks the slot of a queued lead against when it was sent and flags it for rescheduling', async () => {
+  const { preferredDate, preferredSlot, submittedAt } = findPassedSlot();
+  const lead = { ...LEAD, email: 'queued@example.com', preferredDate, preferredSlot };
+
+  const stale = await postJson('/submit-contact', lead);
+  assert.equal(stale.status, 422);
+
+  const queued = await postJson('/submit-contact', { ...lead, submittedAt: String(submittedAt) });
+  assert.equal(queued.status, 201);
+
+  const { id } = await queued.json();
+  const record = (await readLeads()).find((candidate) => candidate.id === id);
+  assert.equal(record.data.preferredSlot, preferredSlot);
+  assert.equal(record.meta.slotStatus, 'needs-reschedule');
+});
+
+test('refuses uploads that are not images, storing nothing', async () => {
+  const body = new FormData();
+  Object.keys(LEAD).forEach((key) => body.append(key, LEAD[key]));
+  body.append('photos', new Blob([Buffer.from('not really a jpeg')], { type: 'image/jpeg' }), 'unit.jpg');
+
+  const response = await fetch(`${baseUrl}/submit-contact`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Idempotency-Key': 'test-key-0002' },
+    body,
+  });
+
+  assert.equal(response.status, 422);
+  assert.deepEqual(await fs.promises.readdir(path.join(directory, 'uploads')).catch(() => []), []);
+});
+
+test('rejects metrics payloads with unknown metric names', async () => {
+  const response = await postJson('/rum', {
+    schema: 'thermocool.rum',
+    version: 1,
+    batchId: 'b1',
+    sessionId: 's1',
+    sampleRate: 1,
+    page: { path: '/' },
+    events: [{ type: 'metric', time: 1, metric: { name: '__proto__', id: 'a', value: 1 } }],
+  });
+
+  assert.equal(response.status, 422);
+
+  const summary = await fetch(`${baseUrl}/rum/summary`);
+  assert.equal(summary.status, 200);
+});
+
+test('rate-limits POST /rum with a Retry-After', async () => {
+  const payload = (batchId) => ({
+    schema: 'thermocool.rum',
+    version: 1,
+    batchId,
+    sessionId: 's1',
+    sampleRate: 1,
+    page: { path: '/' },
+    events: [{ type: 'metric', time: 1, metric: { name: 'LCP', id: batchId, value: 1200 } }],
+  });
+
+  let response;
+  for (let i = 0; i < 100; i++) {
+    response = await postJson('/rum', payload(`rate-${i}`));
+    if (response.status !== 202) {
+      break;
+    }
+  }
+
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('Retry-After')) > 0);
+});
+
+test('rate-limits GET /check-lead', async () => {
+  const first = await fetch(`${baseUrl}/check-lead?email=${encodeURIComponent(LEAD.email)}`);
+  assert.deepEqual(await first.json(), { duplicate: true });
+
+  let response;
+  for (let i = 0; i < 100; i++) {
+    response = await fetch(`${baseUrl}/check-lead?email=probe${i}%40example.com`);
+    if (response.status !== 200) {
+      break;
+    }
+  }
+
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('Retry-After')) > 0);
+});
+
+test('answers unknown methods with a 405', async () => {
+  const response = await fetch(`${baseUrl}/`, { method: 'DELETE', headers: { 'Accept': 'application/json' } });
+  assert.equal(response.status, 405);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for scripts/service-area.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ServiceArea = require('../scripts/service-area.js');
+
+test('places ZIP codes inside, at the edge of and outside the service area', () => {
+  assert.deepEqual(ServiceArea.checkZip('43016'), { status: 'inArea', zip: '43016', distance: 11.3 });
+  assert.deepEqual(ServiceArea.checkZip('43050'), { status: 'edgeOfArea', zip: '43050', distance: 40.3 });
+  assert.deepEqual(ServiceArea.checkZip('43701'), { status: 'outOfArea', zip: '43701', distance: 52.2 });
+});
+
+test('accepts ZIP+4 and surrounding spaces', () => {
+  assert.equal(ServiceArea.checkZip(' 43215-1234 ').zip, '43215');
+});
+
+test('tells a malformed ZIP from one missing in the dataset', () => {
+  assert.deepEqual(ServiceArea.checkZip('4321'), { status: 'invalid', zip: '', distance: null });
+  assert.deepEqual(ServiceArea.checkZip('99999'), { status: 'unknown', zip: '99999', distance: null });
+});
+
+test('describes a verdict with the distance rounded to whole miles', () => {
+  assert.equal(
+    ServiceArea.describe(ServiceArea.checkZip('43701')),
+    'Sorry - 43701 is about 52 miles away, outside our 50-mile service area.'
+  );
+});
+
+test('the configured area matches the structured data on the page', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  const data = JSON.parse(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html)[1]);
+
+  assert.deepEqual(ServiceArea.compareAreaServed(data.areaServed), []);
+  assert.deepEqual(
+    ServiceArea.compareAreaServed({ ...data.areaServed, geoRadius: '40 mi' }),
+    ['radius: configured 50 miles, structured data says 40 mi']
+  );
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for scripts/spam-protection.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SpamProtection = require('../scripts/spam-protection.js');
+
+const NOW = Date.UTC(2026, 9, 19, 14, 0);
+
+const LEAD = Object.freeze({
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  message: 'The furnace clicks but never lights. It is about ten years old.',
+});
+
+test('lets an ordinary request through', () => {
+  const verdict = SpamProtection.evaluate({ ...LEAD, formStartedAt: String(NOW - 60000) }, { now: NOW });
+
+  assert.deepEqual(verdict, { spam: false, reason: null, score: 0, matches: [] });
+});
+
+test('flags a filled honeypot before anything else', () => {
+  const verdict = SpamProtection.evaluate({ ...LEAD, website: 'http://spam.example', formStartedAt: String(NOW) }, { now: NOW });
+
+  assert.equal(verdict.spam, true);
+  assert.equal(verdict.reason, 'honeypot');
+});
+
+test('flags forms sent faster than a person can fill them, but not forms without a timestamp', () => {
+  assert.equal(SpamProtection.evaluate({ ...LEAD, formStartedAt: String(NOW - 1000) }, { now: NOW }).reason, 'tooFast');
+  assert.equal(SpamProtection.evaluate({ ...LEAD, formStartedAt: '' }, { now: NOW }).spam, false);
+});
+
+test('adds up rule points per hit and field', () => {
+  const { score, matches } = SpamProtection.scoreSubmission({
+    name: 'Casino Bob',
+    message: 'Cheap casino and crypto deals at http://a.example http://b.example',
+  });
+
+  assert.deepEqual(matches, [
+    { rule: 'keywords', field: 'name', points: 3 },
+    { rule: 'keywords', field: 'message', points: 6 },
+    { rule: 'linkDensity', field: 'message', points: 4 },
+  ]);
+  assert.equal(score, 13);
+});
+
+test('a single link in the message is fine, a link in the name is spam', () => {
+  assert.equal(SpamProtection.evaluate({ ...LEAD, message: 'Photos are at https://photos.example/unit' }).spam, false);
+
+  const verdict = SpamProtection.evaluate({ ...LEAD, name: 'www.cheap-hvac.example' });
+  assert.equal(verdict.reason, 'score');
+});
+
+test('one script-like fragment is not enough on its own', () => {
+  const pasted = SpamProtection.evaluate({ ...LEAD, message: 'The thermostat app shows javascript:void(0) instead of the schedule' });
+  assert.equal(pasted.spam, false);
+  assert.equal(pasted.score, 4);
+
+  const injected = SpamProtection.evaluate({ ...LEAD, message: '<script>alert(1)</script>' });
+  assert.equal(injected.reason, 'score');
+});
+
+test('counts event handlers only inside a tag', () => {
+  assert.equal(SpamProtection.scoreSubmission({ message: 'Set the unit online=yes and oncall = Bob' }).score, 0);
+  assert.equal(SpamProtection.scoreSubmission({ message: '<img src=x onerror=alert(1)>' }).score, 4);
+});
+
+test('the rate limiter allows max submissions per window and reports when the next one is allowed', () => {
+  const limiter = SpamProtection.createRateLimiter({ max: 2, windowMs: 60000 });
+
+  limiter.record('1.2.3.4', NOW);
+  limiter.record('1.2.3.4', NOW + 10000);
+
+  assert.deepEqual(limiter.check('1.2.3.4', NOW + 20000), { allowed: false, retryAfter: 40000 });
+  assert.deepEqual(limiter.check('5.6.7.8', NOW + 20000), { allowed: true, retryAfter: 0 });
+  assert.equal(limiter.check('1.2.3.4', NOW + 60000).allowed, true);
+});
+
+test('the rate limiter keeps its timestamps in Web Storage when given one', () => {
+  const items = new Map();
+  const storage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+
+  SpamProtection.createRateLimiter({ max: 1, windowMs: 60000, storage, storageKey: 'test' }).record('session', NOW);
+
+  const reloaded = SpamProtection.createRateLimiter({ max: 1, windowMs: 60000, storage, storageKey: 'test' });
+  assert.equal(reloaded.check('session', NOW + 1000).allowed, false);
+  assert.deepEqual(JSON.parse(items.get('test:session')), [NOW]);
+});
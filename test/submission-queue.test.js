@@ -0,0 +1,168 @@
+/**
+ * Tests for the replay statuses of scripts/submission-queue.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * In-memory stand-in for the part of IndexedDB the queue uses: one database,
+ * object stores keyed by keyPath, put/getAll/delete in a transaction
+ * @returns {Object} indexedDB-like factory
+ */
+function createMemoryIndexedDB() {
+  const stores = new Map();
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name, { keyPath }) => stores.set(name, { keyPath, records: new Map() }),
+    transaction: (name) => {
+      const { keyPath, records } = stores.get(name);
+      const transaction = {};
+      const request = (result) => {
+        setImmediate(() => transaction.oncomplete());
+        return { result };
+      };
+
+      transaction.objectStore = () => ({
+        put: (value) => {
+          records.set(value[keyPath], structuredClone(value));
+          return request(value[keyPath]);
+        },
+        getAll: () => request(Array.from(records.values(), (value) => structuredClone(value))),
+        delete: (key) => {
+          records.delete(key);
+          return request(undefined);
+        },
+      });
+      return transaction;
+    },
+  };
+
+  return {
+    open: () => {
+      const request = { result: db };
+      setImmediate(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+}
+
+globalThis.self = globalThis;
+globalThis.indexedDB = createMemoryIndexedDB();
+
+const SubmissionQueue = require('../scripts/submission-queue.js');
+const { STATUS } = SubmissionQueue;
+
+/**
+ * Minimal fetch Response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - JSON body
+ * @param {Object.<string, string>} [headers] - Headers
+ * @returns {Object}
+ */
+function respond(status, body = {}, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body,
+  };
+}
+
+/**
+ * Empty the queue between tests
+ * @returns {Promise<void>}
+ */
+async function clearQueue() {
+  const items = await SubmissionQueue.getAll();
+  await Promise.all(items.map((item) => SubmissionQueue.remove(item.id)));
+}
+
+test.beforeEach(clearQueue);
+
+test('marks accepted items sent and keeps 5xx ones pending', async () => {
+  const first = await SubmissionQueue.enqueue('/submit-contact', { name: 'Ann' });
+  const second = await SubmissionQueue.enqueue('/submit-contact', { name: 'Bob' });
+
+  const summary = await SubmissionQueue.replay({
+    send: async (item) => respond(item.id === first.id ? 201 : 503),
+  });
+
+  const items = await SubmissionQueue.getAll();
+  assert.deepEqual(summary, { sent: 1, failed: 0, pending: 1 });
+  assert.equal(items.find((item) => item.id === first.id).status, STATUS.SENT);
+  assert.equal(items.find((item) => item.id === second.id).status, STATUS.PENDING);
+  assert.equal(items.find((item) => item.id === second.id).attempts, 1);
+});
+
+test('keeps a rejected item, its data and the server field errors', async () => {
+  const item = await SubmissionQueue.enqueue('/submit-contact', { name: 'Ann', email: 'ann@' });
+
+  const summary = await SubmissionQueue.replay({
+    send: async () => respond(422, { success: false, errors: { email: 'Please enter a valid email address' } }),
+  });
+
+  const [stored] = await SubmissionQueue.getAll();
+  assert.deepEqual(summary, { sent: 0, failed: 1, pending: 0 });
+  assert.equal(stored.id, item.id);
+  assert.equal(stored.status, STATUS.FAILED);
+  assert.deepEqual(stored.data, { name: 'Ann', email: 'ann@' });
+  assert.deepEqual(stored.fieldErrors, { email: 'Please enter a valid email address' });
+});
+
+test('stops at a 429 and holds the item until Retry-After has passed', async () => {
+  await SubmissionQueue.enqueue('/submit-contact', { name: 'Ann' });
+  await SubmissionQueue.enqueue('/submit-contact', { name: 'Bob' });
+  const sent = [];
+
+  const summary = await SubmissionQueue.replay({
+    send: async (item) => {
+      sent.push(item.data.name);
+      return respond(429, {}, { 'Retry-After': '120' });
+    },
+  });
+
+  const [limited, untouched] = await SubmissionQueue.getAll();
+  assert.deepEqual(sent, ['Ann']);
+  assert.deepEqual(summary, { sent: 0, failed: 0, pending: 2 });
+  assert.equal(limited.status, STATUS.PENDING);
+  assert.ok(limited.retryAt - Date.now() > 100000);
+  assert.equal(untouched.attempts, 0);
+
+  // Still waiting: the next replay skips it
+  sent.length = 0;
+  await SubmissionQueue.replay({ send: async (item) => { sent.push(item.data.name); return respond(201); } });
+  assert.deepEqual(sent, ['Bob']);
+});
+
+test('stops at a network failure and keeps everything pending', async () => {
+  await SubmissionQueue.enqueue('/submit-contact', { name: 'Ann' });
+  await SubmissionQueue.enqueue('/submit-contact', { name: 'Bob' });
+  let calls = 0;
+
+  const summary = await SubmissionQueue.replay({
+    send: async () => {
+      calls += 1;
+      throw new TypeError('Failed to fetch');
+    },
+  });
+
+  const items = await SubmissionQueue.getAll();
+  assert.equal(calls, 1);
+  assert.deepEqual(summary, { sent: 0, failed: 0, pending: 2 });
+  assert.equal(items[0].lastError, 'Failed to fetch');
+});
+
+test('sends the idempotency key of the first attempt', async () => {
+  const item = await SubmissionQueue.enqueue('/submit-contact', { name: 'Ann' }, { idempotencyKey: 'key-from-the-page' });
+  const keyless = await SubmissionQueue.enqueue('/submit-contact', { name: 'Bob' });
+
+  assert.equal(item.idempotencyKey, 'key-from-the-page');
+  assert.equal(keyless.idempotencyKey, keyless.id);
+});